@@ -146,8 +146,80 @@ define([
 		return zeroWidthNode;
 	}
 
+	/**
+	 * Checks whether the given node is a text node that consists only of
+	 * white space and zero width characters, which the user can't put
+	 * the cursor into.
+	 *
+	 * @param node
+	 *        A DOM node.
+	 * @return
+	 *        True if the node is such a text node.
+	 */
+	function isVoidText(node) {
+		return 3 === node.nodeType && !/[^\s\u200b\ufeff]/.test(node.data);
+	}
+
+	/**
+	 * Finds the block right before or after the given boundary.
+	 *
+	 * White space and zero width text between the boundary and the block
+	 * is skipped, as well as the start or end of the elements the boundary
+	 * is at the start or end of.  The search never leaves the editing host
+	 * of the boundary.
+	 *
+	 * In the following example
+	 *
+	 * "<div class="aloha-block ...">...</div><p>[]some text</p>"
+	 *
+	 * the block before the boundary is the div.
+	 *
+	 * @param container
+	 *        The container of the boundary.
+	 * @param offset
+	 *        The offset of the boundary.
+	 * @param isGoingLeft
+	 *        True to find the block before the boundary, false to find
+	 *        the block after it.
+	 * @return
+	 *        The DOM element of the block, or null if the boundary is not
+	 *        next to a block.
+	 */
+	function findAdjacentBlock(container, offset, isGoingLeft) {
+		var node;
+		var parent;
+		if (3 === container.nodeType) {
+			var text = isGoingLeft
+			         ? container.data.substring(0, offset)
+			         : container.data.substring(offset);
+			if (/[^\s\u200b\ufeff]/.test(text)) {
+				return null;
+			}
+			node = isGoingLeft ? container.previousSibling : container.nextSibling;
+			parent = container.parentNode;
+		} else {
+			node = container.childNodes[isGoingLeft ? offset - 1 : offset];
+			parent = container;
+		}
+		while (true) {
+			while (node && isVoidText(node)) {
+				node = isGoingLeft ? node.previousSibling : node.nextSibling;
+			}
+			if (node) {
+				return $(node).hasClass('aloha-block') ? node : null;
+			}
+			if (!parent || !parent.parentNode || $(parent).hasClass('aloha-editable')) {
+				return null;
+			}
+			node = isGoingLeft ? parent.previousSibling : parent.nextSibling;
+			parent = parent.parentNode;
+		}
+	}
+
 	return {
 		removeZeroWidthTextNodeFix: removeZeroWidthTextNodeFix,
-		insertZeroWidthTextNodeFix: insertZeroWidthTextNodeFix
+		insertZeroWidthTextNodeFix: insertZeroWidthTextNodeFix,
+		findAdjacentBlock: findAdjacentBlock,
+		isVoidText: isVoidText
 	};
 });
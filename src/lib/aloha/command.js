@@ -85,6 +85,7 @@ define([
 		execCommand: function (commandId, showUi, value, range) {
 			var eventData = {
 				commandId: commandId,
+				value: value,
 				preventDefault: false
 			};
 
@@ -25,22 +25,114 @@
  * recipients can access the Corresponding Source.
  */
 define([
+	'jquery',
 	'aloha/core',
 	'aloha/registry',
 	'util/class'
 ], function (
+	$,
 	Aloha,
 	Registry,
 	Class
 ) {
 	'use strict';
 
+	/**
+	 * The number of runs which are kept in the debug log.
+	 *
+	 * @type {number}
+	 * @const
+	 */
+	var DEBUG_LOG_SIZE = 50;
+
+	/**
+	 * Gets the content handler settings of the last entry in
+	 * Aloha.settings.contentHandler.editables whose selector matches the
+	 * given editable.
+	 *
+	 * @param {Aloha.Editable} editable
+	 * @return {?object}
+	 */
+	function getProfile(editable) {
+		var profiles = Aloha.settings.contentHandler
+		            && Aloha.settings.contentHandler.editables;
+		var profile = null;
+		if (profiles && editable && editable.obj) {
+			$.each(profiles, function (selector, settings) {
+				if (editable.obj.is(selector)) {
+					profile = settings;
+				}
+			});
+		}
+		return profile;
+	}
+
+	/**
+	 * Determines the ids of the content handlers which handle content.
+	 *
+	 * A handler list of the editable's profile for the command takes
+	 * precedence over the given list.
+	 *
+	 * @param {object} options As given to handleContent().
+	 * @param {Aloha.Editable} editable
+	 * @param {function():Array.<string>} getIds Returns all registered ids.
+	 * @return {?Array.<string>}
+	 */
+	function getHandlerIds(options, editable, getIds) {
+		if (!options) {
+			return getIds();
+		}
+		var profile = options.command && getProfile(editable);
+		if (profile && profile[options.command]) {
+			return profile[options.command];
+		}
+		return options.contenthandler;
+	}
+
+	/**
+	 * Orders handlers by descending priority.  Handlers of the same priority
+	 * keep their order.
+	 *
+	 * @param {Array.<object>} entries Objects with the handler and its index
+	 *                                 in the list of handlers.
+	 * @return {Array.<object>}
+	 */
+	function sortByPriority(entries) {
+		return entries.sort(function (a, b) {
+			return ((b.handler.priority || 0) - (a.handler.priority || 0))
+			    || (a.index - b.index);
+		});
+	}
+
 	var ContentHandlerManager = Registry.extend({
 
+		/**
+		 * The most recent runs of content handlers, if
+		 * Aloha.settings.contentHandler.debug is set.
+		 *
+		 * @type {Array.<object>}
+		 */
+		_debugLog: null,
+
+		_constructor: function () {
+			this._super();
+			this._debugLog = [];
+		},
+
 		/**
 		 * Create a contentHandler from the given definition.  Acts as a factory
 		 * method for contentHandler.
 		 *
+		 * Besides handleContent(), the definition may contain
+		 *
+		 *     priority - handlers with a higher priority are invoked before
+		 *                those with a lower one, regardless of their order
+		 *                in the configuration (defaults to 0)
+		 *     phases   - the commands for which the handler is invoked, out
+		 *                of 'initEditable', 'getContents', 'insertHtml',
+		 *                'paste' and 'smartContentChange' (defaults to all
+		 *                of them)
+		 *
 		 * @param {object} definition
 		 */
 		createHandler: function (definition) {
@@ -48,6 +140,8 @@ define([
 				throw 'ContentHandler has no function handleContent().';
 			}
 			var AbstractContentHandler = Class.extend({
+				priority: 0,
+				phases: null,
 				handleContent: function (content) {
 					// Implement in subclass!
 				}
@@ -55,10 +149,29 @@ define([
 			return new AbstractContentHandler();
 		},
 
+		/**
+		 * Checks whether the given handler is invoked for a command.
+		 *
+		 * @param {object} handler
+		 * @param {string=} command
+		 * @return {boolean}
+		 */
+		isInPhase: function (handler, command) {
+			return !command || !handler.phases
+			    || -1 !== $.inArray(command, handler.phases);
+		},
+
 		/**
 		 * Manipulates the given contents of an editable by invoking content
 		 * handlers over it.
 		 *
+		 * The handlers are taken from the handler list of the editable's
+		 * profile in Aloha.settings.contentHandler.editables for the
+		 * command, if there is one, and otherwise from
+		 * options.contenthandler.  Handlers which don't take part in the
+		 * phase of the command are skipped, and the others are invoked in
+		 * the order of their priority.
+		 *
 		 * @param {string} content The content of an editable which will be
 		 *                         handled.
 		 * @param {object} options Used to filter limit which content handlers
@@ -69,24 +182,49 @@ define([
 		handleContent: function (content, options, editable) {
 			var manager = this;
 
+			editable = editable || Aloha.activeEditable;
+
 			// Because if no options are specified, to indicate which content
 			// handler to use, then all that are available are used.
-			var handlers = options ? options.contenthandler : manager.getIds();
+			var ids = getHandlerIds(options, editable, function () {
+				return manager.getIds();
+			});
 
-			if (!handlers) {
+			if (!ids) {
 				return content;
 			}
 
+			var command = options && options.command;
+			var entries = [];
+			$.each(ids, function (index, id) {
+				var handler = manager.get(id);
+				if (handler && manager.isInPhase(handler, command)) {
+					entries.push({id: id, handler: handler, index: index});
+				}
+			});
+
+			var log = Aloha.settings.contentHandler
+			       && Aloha.settings.contentHandler.debug
+			        ? manager._startDebugLog(command, editable)
+			        : null;
+
 			var i;
-			var handler;
-			for (i = 0; i < handlers.length; i++) {
-				handler = manager.get(handlers[i]);
-				if (handler) {
-					content = handler.handleContent(
-						content,
-						options,
-						editable || Aloha.activeEditable
-					);
+			var input;
+			entries = sortByPriority(entries);
+			for (i = 0; i < entries.length; i++) {
+				input = content;
+				content = entries[i].handler.handleContent(
+					content,
+					options,
+					editable
+				);
+
+				if (log) {
+					log.steps.push({
+						handler: entries[i].id,
+						input: input,
+						output: content
+					});
 				}
 
 				// FIXME: Is it ever valid for content to be null?  This would
@@ -97,6 +235,48 @@ define([
 			}
 
 			return content;
+		},
+
+		/**
+		 * Starts a new entry in the debug log.
+		 *
+		 * @param {string=} command
+		 * @param {Aloha.Editable} editable
+		 * @return {object} The entry, to which the steps are added.
+		 * @private
+		 */
+		_startDebugLog: function (command, editable) {
+			var log = {
+				command: command,
+				editable: editable && editable.getId ? editable.getId() : null,
+				steps: []
+			};
+			this._debugLog.push(log);
+			if (this._debugLog.length > DEBUG_LOG_SIZE) {
+				this._debugLog.shift();
+			}
+			return log;
+		},
+
+		/**
+		 * Gets the most recent runs of content handlers, which are recorded
+		 * if Aloha.settings.contentHandler.debug is set.
+		 *
+		 * Each run has the command, the id of the editable, and the steps,
+		 * which consist of the id of the handler with the content it
+		 * received and returned.
+		 *
+		 * @return {Array.<object>} The runs, oldest first.
+		 */
+		getDebugLog: function () {
+			return this._debugLog.slice();
+		},
+
+		/**
+		 * Empties the debug log.
+		 */
+		clearDebugLog: function () {
+			this._debugLog = [];
 		}
 	});
 
@@ -87,7 +87,8 @@ define([
 	 */
 	function handleSmartContentChange(editable) {
 		return ContentHandlerManager.handleContent(editable.getContents(), {
-			contenthandler: Aloha.settings.contentHandler.smartContentChange
+			contenthandler: Aloha.settings.contentHandler.smartContentChange,
+			command: 'smartContentChange'
 		}, editable);
 	}
 
@@ -177,6 +178,15 @@ define([
 			return letEventPass;
 		});
 
+		$editable.keypress(function (event) {
+			if (Markup.keyPressHandlers.length && event.which >= 32) {
+				// the character is inserted after the key press handlers
+				// ran, either by the browser or by one of the handlers
+				window.setTimeout(function () {
+					Markup.postProcessKeyPress(event);
+				}, 0);
+			}
+		});
 		$editable.keypress(StateOverride.keyPressHandler);
 		$editable.keypress(function (event) {
 			// triggers a smartContentChange to get the right charcode
@@ -927,11 +937,21 @@ define([
 			}
 
 			if (null == cache.serialized) {
-				cache.serialized = contentSerializer(cache.element[0]);
+				cache.serialized = contentSerializer(cache.element[0], this);
 			}
 			return cache.serialized;
 		},
 
+		/**
+		 * Discards the contents which getContents() cached, so that the
+		 * next call passes them through the content handlers again.  Needed
+		 * when the result of a content handler changes although the
+		 * editable does not.
+		 */
+		clearContentsCache: function () {
+			delete editableContentCache[this.getId()];
+		},
+
 		/**
 		 * Set the contents of this editable as a HTML string
 		 * @param content as html
@@ -956,7 +976,7 @@ define([
 				type: 'set-contents'
 			});
 
-			return asObject ? this.obj.contents() : contentSerializer(this.obj[0]);
+			return asObject ? this.obj.contents() : contentSerializer(this.obj[0], this);
 		},
 
 		/**
@@ -1123,7 +1143,8 @@ define([
 	 * @param {!Function} serializerFunction
 	 *        A function that accepts a DOM element and returns the serialized
 	 *        XHTML of the element contents (excluding the start and end tag of
-	 *        the passed element).
+	 *        the passed element).  The editable whose contents are serialized
+	 *        is passed as the second argument.
 	 * @api
 	 */
 	Aloha.Editable.setContentSerializer = function (serializerFunction) {
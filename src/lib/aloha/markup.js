@@ -414,6 +414,46 @@ define([
 			}
 		},
 
+		/**
+		 * Handlers for typed characters
+		 */
+		keyPressHandlers: [],
+
+		/**
+		 * Add a handler for typed characters.  The handler receives the
+		 * keypress event after the character has been inserted.
+		 * @param handler handler function
+		 */
+		addKeyPressHandler: function (handler) {
+			this.keyPressHandlers.push(handler);
+		},
+
+		/**
+		 * Removes a handler for typed characters
+		 * @param handler handler function
+		 */
+		removeKeyPressHandler: function (handler) {
+			var index = jQuery.inArray(handler, this.keyPressHandlers);
+			if (-1 !== index) {
+				this.keyPressHandlers.splice(index, 1);
+			}
+		},
+
+		/**
+		 * Lets the key press handlers process a character after it has been
+		 * typed
+		 * @param event DOM keypress event
+		 */
+		postProcessKeyPress: function (event) {
+			var i;
+			if (!event.which || event.which < 32) {
+				return;
+			}
+			for (i = 0; i < this.keyPressHandlers.length; ++i) {
+				this.keyPressHandlers[i](event);
+			}
+		},
+
 		insertBreak: function () {
 			var range = Aloha.Selection.rangeObject,
 				nonWSIndex,
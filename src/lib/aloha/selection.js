@@ -704,6 +704,24 @@ define([
 			return this._updateSelection(event, null);
 		},
 
+		/**
+		 * Puts the caret at the given position, and updates the rangeObject
+		 * accordingly.
+		 *
+		 * @param {Node} container
+		 * @param {number} offset
+		 */
+		setCaret: function (container, offset) {
+			var range = new Range({
+				startContainer: container,
+				startOffset: offset,
+				endContainer: container,
+				endOffset: offset
+			});
+			range.select();
+			this.updateSelection();
+		},
+
 		/**
 		 * Internal version of updateSelection that adds the range parameter to be
 		 * able to work around an IE bug that caused the current user selection
@@ -426,7 +426,160 @@ define([
 		});
 	}
 
+	/**
+	 * Formattings which office applications express with inline styles,
+	 * and the elements which express them semantically.
+	 *
+	 * @type {Array.<object>}
+	 * @const
+	 */
+	var STYLE_FORMATTINGS = [
+		{property: 'font-weight', value: /^(bold|bolder|[6-9]00)$/, nodeName: 'b'},
+		{property: 'font-style', value: /^(italic|oblique)/, nodeName: 'i'},
+		{property: 'text-decoration', value: /underline/, nodeName: 'u'},
+		{property: 'text-decoration', value: /line-through/, nodeName: 'del'},
+		{property: 'vertical-align', value: /^super/, nodeName: 'sup'},
+		{property: 'vertical-align', value: /^sub/, nodeName: 'sub'}
+	];
+
+	/**
+	 * Parses the style attribute of an element.
+	 *
+	 * Reading the style attribute, rather than the computed style, works for
+	 * elements which are not part of the document.
+	 *
+	 * @param {HTMLElement} elem
+	 * @return {object<string, string>} Values by lower case property name.
+	 */
+	function parseStyle(elem) {
+		var style = {};
+		$.each((elem.getAttribute('style') || '').split(';'), function (i, declaration) {
+			var colon = declaration.indexOf(':');
+			if (colon > 0) {
+				style[$.trim(declaration.substr(0, colon)).toLowerCase()] =
+					$.trim(declaration.substr(colon + 1)).toLowerCase();
+			}
+		});
+		if (style['text-decoration-line']) {
+			style['text-decoration'] = style['text-decoration-line'];
+		}
+		return style;
+	}
+
+	/**
+	 * Wraps the contents of an element into b, i, u, del, sup and sub
+	 * elements according to the formattings in its style attribute.
+	 *
+	 * Underlines inside of links are ignored, since they only mark the link.
+	 *
+	 * @param {jQuery.<HTMLElement>} $elem
+	 */
+	function transformStyledFormattings($elem) {
+		if (!$elem[0].getAttribute('style') || '' === $.trim($elem.text())) {
+			return;
+		}
+		var style = parseStyle($elem[0]);
+		var inLink = $elem.closest('a').length > 0;
+		$.each(STYLE_FORMATTINGS, function (i, formatting) {
+			if (style[formatting.property]
+					&& formatting.value.test(style[formatting.property])
+					&& !(inLink && 'u' === formatting.nodeName)) {
+				$elem.wrapInner('<' + formatting.nodeName + '>');
+			}
+		});
+	}
 
+	/**
+	 * Moves lists which are direct children of other lists into the
+	 * preceding list item.
+	 *
+	 * Office applications render nested lists as
+	 *
+	 * <ul><li>Foo</li><ul><li>Bar</li></ul></ul>
+	 *
+	 * which is invalid, and would be removed by the generic content handler.
+	 *
+	 * @param {jQuery.<HTMLElement>} $content
+	 */
+	function nestStrayLists($content) {
+		$content.find('ul>ul,ul>ol,ol>ul,ol>ol').each(function () {
+			var $list = $(this);
+			var $prev = $list.prev('li');
+			if ($prev.length) {
+				$prev.append($list);
+			} else {
+				$list.children('li').unwrap();
+			}
+		});
+	}
+
+	/**
+	 * Transforms the paragraphs with which office applications mark the
+	 * title and subtitle of a document into headings.
+	 *
+	 * @param {jQuery.<HTMLElement>} $content
+	 */
+	function transformTitles($content) {
+		$content.find('p.title').each(function () {
+			Markup.transformDomObject($(this), 'h1').removeAttr('class');
+		});
+		$content.find('p.subtitle').each(function () {
+			Markup.transformDomObject($(this), 'h2').removeAttr('class');
+		});
+	}
+
+	/**
+	 * Elements which browsers create when plain text is pasted.
+	 *
+	 * @const
+	 * @type {object<string, boolean>}
+	 */
+	var PLAIN_TEXT_ELEMENTS = {
+		BR: true,
+		DIV: true,
+		P: true,
+		SPAN: true
+	};
+
+	/**
+	 * Extracts the text of pasted content, if it consists of nothing but
+	 * text.
+	 *
+	 * @param {string} content
+	 * @return {?string} The text, with line breaks, or null if the content
+	 *                   contains markup.
+	 */
+	function plainTextOf(content) {
+		var text = '';
+		var isPlain = true;
+		var newline = function () {
+			if (text && '\n' !== text.charAt(text.length - 1)) {
+				text += '\n';
+			}
+		};
+		var collect = function (i, node) {
+			if (!isPlain) {
+				return false;
+			}
+			if (3 === node.nodeType) {
+				text += node.data.replace(/\u00a0/g, ' ');
+			} else if (1 === node.nodeType) {
+				if (!PLAIN_TEXT_ELEMENTS[node.nodeName]) {
+					isPlain = false;
+				} else if ('BR' === node.nodeName) {
+					text += '\n';
+				} else if ('SPAN' === node.nodeName) {
+					$.each(node.childNodes, collect);
+				} else {
+					newline();
+					$.each(node.childNodes, collect);
+					newline();
+				}
+			}
+		};
+		$.each($('<div>' + content + '</div>')[0].childNodes, collect);
+		return isPlain ? text : null;
+	}
 
 	return {
 		wrapContent: wrapContent,
@@ -434,6 +587,10 @@ define([
 		doGenericCleanup: doGenericCleanup,
 		notAlohaBlockFilter: notAlohaBlockFilter,
 		isTransformFormatting: isTransformFormatting,
-		removeAttributes: removeAttributes
+		removeAttributes: removeAttributes,
+		transformStyledFormattings: transformStyledFormattings,
+		nestStrayLists: nestStrayLists,
+		transformTitles: transformTitles,
+		plainTextOf: plainTextOf
 	};
 });
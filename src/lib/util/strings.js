@@ -130,12 +130,28 @@ define(['jquery'], function ($) {
 		return false;
 	}
 
+	/**
+	 * Fills in the placeholders of a template, like "{count}", with the
+	 * values of the given object.  Placeholders without a value are left as
+	 * they are.
+	 *
+	 * @param {string} template
+	 * @param {object<string, *>=} values
+	 * @return {string}
+	 */
+	function format(template, values) {
+		return template.replace(/\{(\w+)\}/g, function (placeholder, name) {
+			return values && null != values[name] ? String(values[name]) : placeholder;
+		});
+	}
+
 	return {
 		words: words,
 		dashesToCamelCase: dashesToCamelCase,
 		camelCaseToDashes: camelCaseToDashes,
 		splitIncl: splitIncl,
 		empty: empty,
-		parseBoolean: parseBoolean
+		parseBoolean: parseBoolean,
+		format: format
 	};
 });
@@ -37,10 +37,12 @@ define([
 	'block/blockmanager',
 	'block/sidebarattributeeditor',
 	'block/block',
+	'block/declarativeblock',
 	'block/editormanager',
 	'block/blockcontenthandler',
 	'block/editor',
 	'block/dragbehavior',
+	'block/keyboard',
 	'ui/ui',
 	'ui/toggleButton',
 	'i18n!block/nls/i18n',
@@ -55,10 +57,12 @@ define([
 	BlockManager,
 	SidebarAttributeEditor,
 	block,
+	DeclarativeBlock,
 	EditorManager,
 	BlockContentHandler,
 	editor,
 	dragBehavior,
+	Keyboard,
 	Ui,
 	ToggleButton, 
 	i18n,
@@ -80,9 +84,26 @@ define([
 
 		settings: {},
 
+		/**
+		 * HotKeys for working with blocks without the mouse
+		 */
+		hotKey: {
+			selectPreviousBlock: 'alt+shift+left',
+			selectNextBlock:     'alt+shift+right',
+			moveBlockUp:         'alt+shift+up',
+			moveBlockDown:       'alt+shift+down',
+			duplicateBlock:      'alt+shift+d',
+			deleteBlock:         'alt+shift+del alt+shift+backspace',
+			deselectBlock:       'return'
+		},
+
 		init: function () {
 			var that = this;
 
+			if (typeof this.settings.hotKey !== 'undefined') {
+				jQuery.extend(true, this.hotKey, this.settings.hotKey);
+			}
+
 			// set default root tags
 			if (!this.settings.rootTags) {
 				this.settings.rootTags = defaultRootTags;
@@ -96,6 +117,11 @@ define([
 			BlockManager.registerBlockType('DefaultBlock', block.DefaultBlock);
 			BlockManager.registerBlockType('EmptyBlock', block.EmptyBlock);
 
+			// Register block types defined in the settings
+			jQuery.each(this.settings.types || {}, function (identifier, definition) {
+				BlockManager.registerDeclarativeBlockType(identifier, definition);
+			});
+
 			// Register default editors
 			EditorManager.register('string', editor.StringEditor);
 			EditorManager.register('number', editor.NumberEditor);
@@ -104,6 +130,17 @@ define([
 			EditorManager.register('select', editor.SelectEditor);
 			EditorManager.register('radio', editor.RadioButtonEditor);
 			EditorManager.register('button', editor.ButtonEditor);
+			EditorManager.register('date', editor.DateEditor);
+			EditorManager.register('time', editor.TimeEditor);
+			EditorManager.register('datetime', editor.DateTimeEditor);
+			EditorManager.register('color', editor.ColorEditor);
+			EditorManager.register('boolean', editor.BooleanEditor);
+			EditorManager.register('checkbox', editor.BooleanEditor);
+			EditorManager.register('textarea', editor.TextareaEditor);
+			EditorManager.register('multiline', editor.TextareaEditor);
+			EditorManager.register('repository', editor.RepositoryEditor);
+			EditorManager.register('image', editor.ImageEditor);
+			EditorManager.register('list', editor.ListEditor);
 
 			// register content handler for block plugin
 			ContentHandlerManager.register('block', BlockContentHandler);
@@ -143,6 +180,82 @@ define([
 				that.applyButtonConfig(params.editable);
 			});
 
+			this._registerHotKeys();
+
+			// Tell screen reader users why blocks or content were refused
+			BlockManager.bind('block-refused', function (data) {
+				Keyboard.announce(data.messages.join(' '));
+			});
+		},
+
+		/**
+		 * Registers the hotkeys for selecting, moving, duplicating and
+		 * deleting blocks.
+		 *
+		 * They are registered as markup key handlers rather than bound to
+		 * the editables, because they must be handled before the default
+		 * handling of the keys, which would move the cursor or delete the
+		 * block right away.  The commands which work on the active block
+		 * only apply while the block itself is selected, not while the
+		 * cursor is in one of its nested editables.
+		 */
+		_registerHotKeys: function () {
+			var withSelectedBlock = function (command) {
+				return function () {
+					var block = BlockManager._activeBlock;
+					if (!block || block._isInsideNestedEditable
+							|| block.$element.hasClass('aloha-table-wrapper')) {
+						return false;
+					}
+					command(block);
+					return true;
+				};
+			};
+
+			var commands = {
+				// Because the keys select words on Mac OS, they keep their
+				// default behavior where there is no block to select
+				selectPreviousBlock: function () {
+					return !!Keyboard.selectAdjacent(true);
+				},
+				selectNextBlock: function () {
+					return !!Keyboard.selectAdjacent(false);
+				},
+				moveBlockUp: withSelectedBlock(function (block) {
+					Keyboard.move(block, true);
+				}),
+				moveBlockDown: withSelectedBlock(function (block) {
+					Keyboard.move(block, false);
+				}),
+				duplicateBlock: withSelectedBlock(Keyboard.duplicate),
+				deleteBlock: withSelectedBlock(function (block) {
+					Keyboard.remove(block);
+				}),
+				deselectBlock: withSelectedBlock(Keyboard.deselect)
+			};
+
+			// The commands by key code and combination
+			var hotKeys = {};
+			jQuery.each(this.hotKey, function (name, combinations) {
+				if (!commands[name] || !combinations) {
+					return;
+				}
+				jQuery.each(combinations.toLowerCase().split(' '), function (i, combination) {
+					if (!combination) {
+						return;
+					}
+					var keyCode = Keyboard.keyCodeOf(combination);
+					if (!hotKeys[keyCode]) {
+						hotKeys[keyCode] = {};
+						Aloha.Markup.addKeyHandler(keyCode, function (event) {
+							var command = hotKeys[keyCode][Keyboard.combinationOf(event)];
+							// Returning false stops the handling of the key
+							return !(command && command());
+						});
+					}
+					hotKeys[keyCode][combination] = commands[name];
+				});
+			});
 		},
 
 		/**
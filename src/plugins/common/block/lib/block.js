@@ -42,7 +42,8 @@ define([
 	'block/block-utils',
 	'util/dom',
 	'util/functions',
-	'aloha/engine'
+	'aloha/engine',
+	'block/nesting'
 ], function (
 	Aloha,
 	jQuery,
@@ -55,7 +56,8 @@ define([
 	BlockUtils,
 	Dom,
 	Fn,
-	Engine
+	Engine,
+	Nesting
 ) {
 	'use strict';
 
@@ -88,6 +90,15 @@ define([
 		 */
 		title: null,
 
+		/**
+		 * What the nested editables of the block may contain, or null if
+		 * anything is allowed.  See block/nesting for the rules.
+		 *
+		 * @type Object
+		 * @api
+		 */
+		allowedChildren: null,
+
 		/**
 		 * Id of the underlying $element, used to identify the block.
 		 * @type String
@@ -376,11 +387,15 @@ define([
 		/**
 		 * Callback which is executed when somebody triggers destroy().
 		 *
-		 * This only allows destruction if the block is *inside* an aloha-editable and *not* inside an aloha-block.
+		 * This only allows destruction if the block is *inside* an aloha-editable and *not* inside an aloha-block,
+		 * and if the editable does not need the block to keep the minimum number of blocks of its type.
 		 *
 		 * @return {Boolean} true of destruction should happen, false otherwise
 		 */
 		shouldDestroy: function () {
+			if (Nesting.checkRemoval(this.$element[0])) {
+				return false;
+			}
 			var $closest = this.$element.parent().closest('.aloha-block,.aloha-editable,.aloha-table-cell-editable,.aloha-block-collection');
 			if ($closest.hasClass('aloha-block-collection') && this.$element[0].tagName.toLowerCase() === 'div') {
 				return true;
@@ -494,6 +509,18 @@ define([
 			return null;
 		},
 
+		/**
+		 * Get the rules for what the given nested editable of the block may
+		 * contain. By default, the same rules apply to all nested editables.
+		 *
+		 * @param {HTMLElement} editable
+		 * @return {Object} Rules as described in block/nesting, or null
+		 * @api
+		 */
+		getAllowedChildren: function (editable) {
+			return this.allowedChildren;
+		},
+
 		/**
 		 * Template Method which should return the block title. Needed for editing sidebar.
 		 * By default, the block title is returned.
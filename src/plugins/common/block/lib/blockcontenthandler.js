@@ -25,19 +25,26 @@
  * recipients can access the Corresponding Source.
  */
 define(
-['jquery', 'aloha/contenthandlermanager', 'block/blockmanager'],
-function (jQuery, ContentHandlerManager, BlockManager) {
+['jquery', 'aloha/contenthandlermanager', 'block/blockmanager', 'block/nesting'],
+function (jQuery, ContentHandlerManager, BlockManager, Nesting) {
 
 	/**
 	 * @name block.BlockContentHandler
 	 * @class Special block content handler
 	 *
 	 * The blog content handler handles pasting of blocks in editables. Pasted
-	 * block markup will be replaced by a newly created block instance.
+	 * block markup will be replaced by a newly created block instance, with
+	 * a new id and the attributes of the copied block.
+	 *
+	 * It takes part in initializing editables, inserting and pasting
+	 * content, but not in reading the contents of an editable, because it
+	 * must not give the saved blocks new ids.
 	 */
 	var BlockContentHandler = ContentHandlerManager.createHandler(
 	/** @lends block.BlockContentHandler */
 	{
+		phases: ['initEditable', 'paste', 'insertHtml'],
+
 		/**
 		 * Handle the pasting. Remove all unwanted stuff.
 		 *
@@ -49,9 +56,18 @@ function (jQuery, ContentHandlerManager, BlockManager) {
 		 * case 1) results in very much undesired and inconsistent behavior. If 1) happens,
 		 * the property "data-aloha-block-copy-only-block" is set to "true"; so we can kick in and
 		 * do additional cleanups.
+		 *
+		 * Blocks are only inserted into editables which are among their own
+		 * dropzones. Blocks and elements which a nested editable does not
+		 * allow are left out (see block/nesting). Neither applies to the
+		 * initial content of an editable, which is not inserted by the user.
+		 *
 		 * @param {jQuery} content
+		 * @param {object} options
+		 * @param {Aloha.Editable} editable The editable into which the content
+		 *        is inserted.
 		 */
-		handleContent: function (content) {
+		handleContent: function (content, options, editable) {
 			if (typeof content === 'string') {
 				content = jQuery('<div>' + content + '</div>');
 			} else if (content instanceof jQuery) {
@@ -79,39 +95,20 @@ function (jQuery, ContentHandlerManager, BlockManager) {
 
 			}
 
-			content.find('.aloha-block').each(function () {
-				var oldBlock = jQuery(this);
-
-				var elementAttributes = {}; // all attributes except data-*
-				var blockAttributes = {}; // all data* attributes
-				jQuery.each(oldBlock[0].attributes, function (k, v) {
-					if (v.nodeName === 'id') {
-						return;
-					}
+			var target = (options && 'initEditable' === options.command) ? null : editable;
 
-					if (v.nodeName.match(/^data-/)) {
-						blockAttributes[v.nodeName.substr(5)] = v.nodeValue;
-					} else {
-						elementAttributes[v.nodeName] = v.nodeValue;
-					}
-				});
-
-				var newBlockId = GENTICS.Utils.guid();
-
-				var newBlock = jQuery('<' + this.tagName + '/>')
-					.attr(elementAttributes)
-					.attr('id', newBlockId)
-					.removeClass('aloha-block-active')
-					.removeClass('aloha-block')
-					.html(oldBlock.html());
+			if (target) {
+				Nesting.refuse(target.obj[0], Nesting.filter(content, target.obj[0]));
+			}
 
-				oldBlock.replaceWith(newBlock);
+			var blocks = BlockManager._prepareInsertedBlocks(content, target && target.obj);
 
-				// We need to blockify the contents with a timeout, as we need the connected DOM node for it.
+			// We need to blockify the contents with a timeout, as we need the connected DOM node for it.
+			if (blocks.length) {
 				window.setTimeout(function () {
-					BlockManager._blockify(jQuery('#' + newBlockId), blockAttributes);
+					BlockManager._blockifyInserted(blocks);
 				}, 50);
-			});
+			}
 
 			return content.html();
 		}
@@ -34,6 +34,7 @@ define([
 	'util/class',
 	'util/strings',
 	'util/maps',
+	'aloha/ephemera',
 	'block/block-utils'
 ], function (
 	Aloha,
@@ -44,6 +45,7 @@ define([
 	Class,
 	Strings,
 	Maps,
+	Ephemera,
     BlockUtils
 ) {
 	'use strict';
@@ -72,6 +74,21 @@ define([
 		return !Aloha.getSelection().getRangeAt(0).collapsed;
 	}
 
+	/**
+	 * Gets a copy of the element of a block without the markup which only
+	 * exists while the block is edited, like handles and highlighting.
+	 *
+	 * @param {HTMLElement} element
+	 * @return {HTMLElement}
+	 */
+	function cleanCopyOf(element) {
+		var copy = Ephemera.prune(element.cloneNode(true));
+		$(copy).add($(copy).find('.aloha-block'))
+			.removeClass('ui-draggable ui-draggable-disabled')
+			.removeAttr('data-aloha-block-copy-only-block');
+		return copy;
+	}
+
 	/**
 	 * This is the block manager, which is the central entity for maintaining the lifecycle of blocks.
 	 *
@@ -379,6 +396,30 @@ define([
 				}
 			});
 
+			// Put the markup of the block into the clipboard, rather than what
+			// the browser makes of the selection around the block
+			jQuery(window.document).bind('copy cut', function (e) {
+				var block = that._activeBlock;
+				var clipboardData = e.originalEvent && e.originalEvent.clipboardData;
+				if (!block || block._isInsideNestedEditable || !clipboardData
+						|| BlockUtils.isTable(block.$element)
+						|| (Aloha.activeEditable && jQuery.contains(block.$element[0], Aloha.activeEditable.obj[0]))) {
+					return;
+				}
+				try {
+					clipboardData.setData('text/html', that.serializeBlocks([block]));
+					clipboardData.setData('text/plain', block.$element.text());
+				} catch (error) {
+					// IE only accepts "Text" and "URL", so the browser copies the
+					// selected block
+					return;
+				}
+				e.preventDefault();
+				if ('cut' === e.type && block.shouldDestroy()) {
+					block.destroy();
+				}
+			});
+
 			jQuery(window.document).keyup(function (e) {
 				// IF: Release of ctrl / command C
 				if (!currentlyCutting && currentlyCopying && (e.which === 67 || e.which === 18 || e.which === 91)) {
@@ -463,6 +504,21 @@ define([
 			this.blockTypes.register(identifier, blockType);
 		},
 
+		/**
+		 * Register a block type which is generated from a definition with a
+		 * schema and a template. See block.declarativeblock.
+		 *
+		 * @param {String} Identifier
+		 * @param {Object} The definition of the block type
+		 * @return {Class} The generated block type
+		 * @api
+		 */
+		registerDeclarativeBlockType: function (identifier, definition) {
+			var blockType = Aloha.require('block/declarativeblock').create(definition);
+			this.registerBlockType(identifier, blockType);
+			return blockType;
+		},
+
 		/**
 		 * Blockify a given element with the instance defaults
 		 * Directly called when one does jQuery.alohaBlock(instanceDefaults)
@@ -504,6 +560,94 @@ define([
 			this.blocks.register(block.getId(), block);
 		},
 
+		/**
+		 * Gets the markup of blocks as it is saved, which carries the type
+		 * and the attributes of the blocks.  This is what is put into the
+		 * clipboard when blocks are copied.
+		 *
+		 * @param {Array.<block.block.AbstractBlock>} blocks
+		 * @return {string} HTML
+		 * @api
+		 */
+		serializeBlocks: function (blocks) {
+			var $container = jQuery('<div>');
+			jQuery.each(blocks, function (i, block) {
+				$container.append(cleanCopyOf(block.$element[0]));
+			});
+			return $container.html();
+		},
+
+		/**
+		 * Prepares the blocks in markup which is about to be inserted into an
+		 * editable, like pasted blocks.
+		 *
+		 * Every block gets a new id, so that copies don't share the id of the
+		 * original.  Its attributes stay in the markup, from where _blockify()
+		 * takes them.  If the editable is not among its own dropzones (see
+		 * BlockPlugin.setDropzones()), blocks must not be inserted into it,
+		 * and they are removed from the markup.
+		 *
+		 * @param {jQuery} $content The container of the markup.
+		 * @param {jQuery=} $editable The editable into which the markup will
+		 *        be inserted.
+		 * @return {Array.<string>} The ids of the blocks, outer blocks first,
+		 *         to be passed to _blockifyInserted() once the markup is in the
+		 *         document.
+		 * @private
+		 */
+		_prepareInsertedBlocks: function ($content, $editable) {
+			var $blocks = $content.find('.aloha-block');
+			if (!$blocks.length) {
+				return [];
+			}
+			var dropzones = $editable && $editable.length
+			              ? ($editable.data('block-dropzones') || ['.aloha-editable'])
+			              : null;
+			if (dropzones && !$editable.is(dropzones.join())) {
+				Aloha.Log.warn('block/blockmanager', 'Blocks are not inserted into the editable '
+					+ $editable.attr('id') + ', because it is not among the dropzones [ '
+					+ dropzones.join() + ' ].');
+				$blocks.remove();
+				return [];
+			}
+			$blocks.children('.aloha-block-handle').remove();
+			$blocks.find('.aloha-editable')
+				.removeAttr('id')
+				.removeAttr('contenteditable')
+				.removeClass('aloha-editable-active');
+			return $blocks.map(function () {
+				var id = GENTICS.Utils.guid();
+				jQuery(this)
+					.removeClass('aloha-block aloha-block-active aloha-block-highlighted')
+					.removeAttr('contenteditable')
+					.attr('id', id);
+				return id;
+			}).get();
+		},
+
+		/**
+		 * Creates the blocks which were prepared by _prepareInsertedBlocks().
+		 * Blocks whose markup did not make it into the document are skipped.
+		 *
+		 * @param {Array.<string>} ids
+		 * @return {Array.<block.block.AbstractBlock>} The new blocks.
+		 * @private
+		 */
+		_blockifyInserted: function (ids) {
+			var that = this;
+			var blocks = [];
+			jQuery.each(ids, function (i, id) {
+				var $element = jQuery('#' + id);
+				if ($element.length) {
+					that._blockify($element, {});
+					if (that.getBlock(id)) {
+						blocks.push(that.getBlock(id));
+					}
+				}
+			});
+			return blocks;
+		},
+
 		/**
 		 * Unblockify the given element
 		 * 
@@ -552,6 +696,14 @@ define([
 						data[Strings.camelCaseToDashes(key)] = dataCamelCase[key];
 					}
 				}
+
+				// Because jQuery.data() converts values like "007" or "[1,2]"
+				// from JSON, the data- attributes are taken as they are written.
+				$.each($clone[0].attributes, function (i, attribute) {
+					if ('data-' === attribute.nodeName.substr(0, 5)) {
+						data[attribute.nodeName.substr(5).toLowerCase()] = attribute.nodeValue;
+					}
+				});
 			}
 
 			return jQuery.extend(
@@ -0,0 +1,299 @@
+/* declarativeblock.js is part of Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * Block types which are defined in configuration rather than in code.
+ *
+ * A definition consists of a title, a schema of the block attributes and an
+ * HTML template:
+ *
+ *	{
+ *		title: 'Teaser',
+ *		schema: {
+ *			headline: {type: 'string', label: 'Headline', required: true},
+ *			columns: {type: 'number', label: 'Columns', min: 1, max: 4, 'default': 2}
+ *		},
+ *		template: '<h3>{{headline}}</h3>'
+ *		        + '<div data-block-editable="body"></div>'
+ *	}
+ *
+ * Placeholders like {{headline}} are replaced with the escaped value of the
+ * attribute.  Elements with a data-block-editable attribute become nested
+ * editables, whose contents are kept when the block is rendered again.
+ *
+ * The schema is shown in the sidebar attribute editor, and values which do
+ * not conform to it are refused by attr().
+ *
+ * What the regions may contain is declared by region name, with the rules
+ * described in block/nesting:
+ *
+ *	allowedChildren: {
+ *		body: {blocks: {ImageBlock: {max: 2}}, elements: ['p', 'b', 'i']}
+ *	}
+ *
+ * @name block.declarativeblock
+ * @namespace block/declarativeblock
+ */
+define([
+	'aloha',
+	'jquery',
+	'block/block',
+	'block/validation'
+], function (
+	Aloha,
+	$,
+	block,
+	Validation
+) {
+	'use strict';
+
+	/**
+	 * The attribute which marks nested editable regions in templates.
+	 *
+	 * @type {string}
+	 * @const
+	 */
+	var REGION_ATTRIBUTE = 'data-block-editable';
+
+	/**
+	 * Matches placeholders in templates.
+	 *
+	 * @type {RegExp}
+	 * @const
+	 */
+	var PLACEHOLDER = /\{\{\s*([\w\-]+)\s*\}\}/g;
+
+	/**
+	 * Characters which are escaped in attribute values.
+	 *
+	 * @type {object<string, string>}
+	 * @const
+	 */
+	var ENTITIES = {
+		'&': '&amp;',
+		'<': '&lt;',
+		'>': '&gt;',
+		'"': '&quot;',
+		'\'': '&#39;'
+	};
+
+	/**
+	 * Escapes a value so that it can be put into HTML text and attributes.
+	 *
+	 * @param {*} value
+	 * @return {string}
+	 */
+	function escape(value) {
+		if (null == value) {
+			return '';
+		}
+		return String(value).replace(/[&<>"']/g, function (character) {
+			return ENTITIES[character];
+		});
+	}
+
+	/**
+	 * Replaces the placeholders in a template with the given attributes.
+	 *
+	 * @param {string} template
+	 * @param {object<string, *>} attributes Attributes with lowercase names.
+	 * @return {string} HTML
+	 */
+	function render(template, attributes) {
+		return (template || '').replace(PLACEHOLDER, function (placeholder, name) {
+			return escape(attributes[name.toLowerCase()]);
+		});
+	}
+
+	/**
+	 * Checks whether a region belongs to the given block, rather than to a
+	 * block nested in it.
+	 *
+	 * @param {HTMLElement} region
+	 * @param {HTMLElement} element The element of the block.
+	 * @return {boolean}
+	 */
+	function isOwnRegion(region, element) {
+		return $(region).parent().closest('.aloha-block')[0] === element;
+	}
+
+	/**
+	 * Renders a template into the element of a block.
+	 *
+	 * The regions of the current contents are moved into the regions of the
+	 * same name in the rendered template, so that the nested editables, and
+	 * what was written into them, survive.
+	 *
+	 * @param {jQuery} $element
+	 * @param {string} template
+	 * @param {object<string, *>} attributes
+	 */
+	function renderInto($element, template, attributes) {
+		var existing = {};
+		$element.find('[' + REGION_ATTRIBUTE + ']').each(function () {
+			var name = this.getAttribute(REGION_ATTRIBUTE);
+			if (!existing[name] && isOwnRegion(this, $element[0])) {
+				existing[name] = this;
+			}
+		});
+		var $rendered = $('<div>').html(render(template, attributes));
+		$rendered.find('[' + REGION_ATTRIBUTE + ']').each(function () {
+			var region = existing[this.getAttribute(REGION_ATTRIBUTE)];
+			if (region) {
+				// Because jQuery would remove the data and the event handlers
+				// of the editable when it is removed with the old contents
+				this.parentNode.replaceChild(region, this);
+			}
+			$(region || this).addClass('aloha-editable');
+		});
+		$element.empty().append($rendered.contents());
+	}
+
+	/**
+	 * Creates a block type from a definition.
+	 *
+	 * @param {object} definition An object with the properties
+	 *        title    - the title of the block in the sidebar
+	 *        schema   - the definitions of the attributes, by name
+	 *        template - the HTML of the block, with placeholders and nested
+	 *                   editable regions
+	 *        allowedChildren - the rules for the contents of the regions,
+	 *                   by region name
+	 * @return {Class} A class which extends block.block.AbstractBlock
+	 * @api
+	 */
+	function create(definition) {
+		var schema = definition.schema || {};
+		var definitions = {};
+		$.each(schema, function (name, attribute) {
+			definitions[name.toLowerCase()] = attribute;
+		});
+
+		/**
+		 * Checks a value before it is set, and reports the values which are
+		 * refused.
+		 *
+		 * @param {AbstractBlock} instance
+		 * @param {string} name
+		 * @param {*} value
+		 * @return {boolean}
+		 */
+		function isValid(instance, name, value) {
+			var attribute = definitions[name.toLowerCase()];
+			var error = attribute ? Validation.validate(attribute, value) : null;
+			if (!error) {
+				return true;
+			}
+			Aloha.Log.warn('block/declarativeblock', 'The value "' + value
+				+ '" of the attribute ' + name + ' is refused by the rule "'
+				+ error + '".');
+			instance.trigger('invalid', {
+				attribute: name,
+				value: value,
+				error: error
+			});
+			return false;
+		}
+
+		/**
+		 * @name block.declarativeblock.DeclarativeBlock
+		 * @class A block which renders a template
+		 * @extends block.block.AbstractBlock
+		 */
+		return block.AbstractBlock.extend(
+		/** @lends block.declarativeblock.DeclarativeBlock */
+		{
+			title: definition.title,
+
+			/**
+			 * The definition from which the block type was created.
+			 *
+			 * @type {object}
+			 */
+			definition: definition,
+
+			init: function ($element, postProcessFn) {
+				var that = this;
+				$.each(schema, function (name, attribute) {
+					if (undefined !== attribute['default'] && undefined === that.attr(name)) {
+						that.attr(name, attribute['default'], true);
+					}
+				});
+				this.update($element, postProcessFn);
+			},
+
+			update: function ($element, postProcessFn) {
+				renderInto($element, definition.template, this.attr());
+				postProcessFn();
+			},
+
+			/**
+			 * The schema for the sidebar attribute editor.  The minimum and
+			 * maximum of numbers are the range of their sliders.
+			 *
+			 * @return {?object}
+			 */
+			getSchema: function () {
+				if ($.isEmptyObject(schema)) {
+					return null;
+				}
+				var editable = {};
+				$.each(schema, function (name, attribute) {
+					editable[name] = $.extend({label: name}, attribute);
+					if ('number' === attribute.type && !attribute.range) {
+						editable[name].range = {min: attribute.min, max: attribute.max};
+					}
+				});
+				return editable;
+			},
+
+			/**
+			 * The rules of the region which the given nested editable is.
+			 *
+			 * @override
+			 */
+			getAllowedChildren: function (editable) {
+				var rules = definition.allowedChildren;
+				return (rules && rules[editable.getAttribute(REGION_ATTRIBUTE)]) || null;
+			},
+
+			/**
+			 * Sets attributes like AbstractBlock.attr(), but leaves out values
+			 * which violate the schema.  For every refused value, an "invalid"
+			 * event is triggered with the attribute, the value and the name of
+			 * the violated rule.
+			 *
+			 * @override
+			 */
+			attr: function (attributeNameOrObject, attributeValue, suppressEvents) {
+				var that = this;
+				var args = $.makeArray(arguments);
+				var valid;
+				if (args.length >= 2) {
+					if (!isValid(this, attributeNameOrObject, attributeValue)) {
+						return null;
+					}
+				} else if ('object' === typeof attributeNameOrObject) {
+					valid = {};
+					$.each(attributeNameOrObject, function (name, value) {
+						if (isValid(that, name, value)) {
+							valid[name] = value;
+						}
+					});
+					args[0] = valid;
+				}
+				return this._super.apply(this, args);
+			}
+		});
+	}
+
+	return {
+		create: create,
+		render: render,
+		validate: Validation.validate
+	};
+});
@@ -31,6 +31,7 @@ define([
 	'PubSub',
 	'aloha/copypaste',
 	'block/block-utils',
+	'block/nesting',
 	'aloha/console',
 	'ui/scopes',
 	'util/misc'
@@ -40,6 +41,7 @@ define([
 	PubSub,
 	CopyPaste,
 	BlockUtils,
+	Nesting,
 	Console,
 	Scopes,
 	Misc
@@ -112,6 +114,8 @@ define([
 		this.blockObject = blockObject;
 		this.$element = blockObject.$element;
 		this.insertBeforeOrAfterMode = false;
+		this.$refusedEditable = null;
+		this.refusal = null;
 		if (this.$element[0].nodeName === 'DIV') {
 			// this drag/drop behaviour is only suitable for DIV-blocks
 			// inline drag/drop is initialized somewhere else (block.js)
@@ -363,6 +367,19 @@ define([
 			return false;
 		}
 
+		var refusal = Nesting.checkBlock($dstEditable[0], this.$element[0]);
+		if (refusal) {
+			this.disableInsertBeforeOrAfter(this.$overElement);
+			this._getHiglightElement().hide();
+			this.$overElement = null;
+			this.markRefused($dstEditable, refusal);
+			event.stopImmediatePropagation();
+
+			return false;
+		}
+
+		this.markRefused(null, null);
+
 		if (!this._isAllowedOverElement(elm)) {
 			this.disableInsertBeforeOrAfter(this.$overElement);
 			this.enableInsertBeforeOrAfter(elm);
@@ -479,6 +496,26 @@ define([
 		}
 	};
 
+	/**
+	 * Marks the editable over which the block is, while the editable
+	 * refuses the block, so that the user can see that it can't be dropped
+	 * there.
+	 *
+	 * @param {jQuery.<HTMLElement>} $editable The editable, or null to
+	 *                                         remove the mark.
+	 * @param {object} refusal Why the editable refuses the block.
+	 */
+	DragBehavior.prototype.markRefused = function ($editable, refusal) {
+		if (this.$refusedEditable) {
+			this.$refusedEditable.removeClass(Nesting.REFUSED_CLASS);
+		}
+		this.$refusedEditable = $editable;
+		this.refusal = refusal;
+		if ($editable) {
+			$editable.addClass(Nesting.REFUSED_CLASS);
+		}
+	};
+
 	/**
 	 * Returns true or false depending if the element given is allowed to
 	 * contain BlockElements
@@ -506,6 +543,10 @@ define([
 				return false;
 			}
 
+			if (Nesting.checkBlock($elm.closest('.aloha-editable')[0], this.$element[0])) {
+				return false;
+			}
+
 			return true;
 		} else {
 			return false;
@@ -518,6 +559,16 @@ define([
 	 * element before or after this
 	 */
 	DragBehavior.prototype.onDragStop = function () {
+		var $refusedEditable = this.$refusedEditable;
+		var refusal = this.refusal;
+		if (refusal) {
+			// The block is not dropped into an editable which refuses it
+			this.markRefused(null, null);
+			this.disableInsertBeforeOrAfter(this.$overElement);
+			Nesting.refuse($refusedEditable[0], [refusal]);
+			return;
+		}
+
 		// @todo check if the $overElement is a Valid element to drop the block
 		if (allowDropRegions(this.$overElement, this.$element)) {
 			if (this.$overElement &&
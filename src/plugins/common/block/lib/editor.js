@@ -28,10 +28,56 @@
  * @name block.editor
  * @namespace Block attribute editors
  */
-define(['jquery', 'aloha/observable', 'util/class'],
-function (jQuery, Observable, Class) {
+define([
+	'jquery',
+	'aloha/observable',
+	'aloha/repositorymanager',
+	'util/class',
+	'block/validation',
+	'i18n!block/nls/i18n',
+	'jqueryui'
+], function (
+	jQuery,
+	Observable,
+	RepositoryManager,
+	Class,
+	Validation,
+	i18n
+) {
 	"use strict";
 
+	/**
+	 * Gets the message for a violated validation rule, with the limits of the
+	 * schema filled in.
+	 *
+	 * @param {string} error The name of the violated rule.
+	 * @param {Object} schema
+	 * @return {String}
+	 */
+	function getErrorMessage(error, schema) {
+		var key = 'list' === schema.type && ('min' === error || 'max' === error)
+		        ? 'editor.error.list.' + error
+		        : 'editor.error.' + error;
+		return i18n.t(key).replace(/\{(min|max)\}/g, function (placeholder, name) {
+			return Validation.getLimit(schema, name);
+		});
+	}
+
+	/**
+	 * Sets the min and max attributes of an input element from the schema.
+	 *
+	 * @param {jQuery} $formElement
+	 * @param {Object} schema
+	 */
+	function setLimits($formElement, schema) {
+		jQuery.each(['min', 'max'], function (i, name) {
+			var limit = Validation.getLimit(schema, name);
+			if (undefined !== limit) {
+				$formElement.attr(name, limit);
+			}
+		});
+	}
+
 	/**
 	 * This is the base class for all editors in the sidebar. You need to extend
 	 * this class if you need to write your own editor. In most cases, however,
@@ -104,13 +150,54 @@ function (jQuery, Observable, Class) {
 			// Implement in subclass!
 		},
 
+		/**
+		 * Check a value against the rules of the schema: required, pattern,
+		 * min and max, and the type of the value.
+		 *
+		 * @param {String} value
+		 * @return {String|null} The name of the violated rule, or null if the
+		 *                       value is valid.
+		 * @api
+		 */
+		validate: function (value) {
+			return Validation.validate(this.schema, value);
+		},
+
+		/**
+		 * Template method to show the error of an invalid value, or to hide
+		 * it if error is null.
+		 *
+		 * @param {String|null} error The name of the violated rule.
+		 * @api
+		 */
+		showError: function (error) {
+			// Implement in subclass!
+		},
+
+		/**
+		 * Trigger a change event with the current value, unless the value
+		 * is invalid. Invalid values are not passed on to the block, but
+		 * their error is shown.
+		 *
+		 * @return {Boolean} Whether the value is valid.
+		 */
+		_triggerChange: function () {
+			var value = this.getValue();
+			var error = this.validate(value);
+			this.showError(error);
+			if (!error) {
+				this.trigger('change', value);
+			}
+			return !error;
+		},
+
 		/**
 		 * On deactivating, we still need to trigger a change event if the value has been modified.
 		 *
 		 * @private
 		 */
 		_deactivate: function () {
-			this.trigger('change', this.getValue());
+			this._triggerChange();
 			this.destroy();
 		}
 	});
@@ -145,6 +232,13 @@ function (jQuery, Observable, Class) {
 		 */
 		_$formInputElement: null,
 
+		/**
+		 * The jQuery element which shows validation errors.
+		 *
+		 * @type {jQuery}
+		 */
+		_$error: null,
+
 		/**
 		 * Render the label and form element
 		 *
@@ -164,9 +258,32 @@ function (jQuery, Observable, Class) {
 				$wrapper.append($label).append($formElement);
 			}
 
+			this._$error = jQuery('<div class="aloha-block-editor-error" role="alert" />')
+				.hide()
+				.appendTo($wrapper);
+
 			return $wrapper;
 		},
 
+		/**
+		 * Show the error of an invalid value below the form element, and
+		 * mark the form element as invalid.
+		 *
+		 * @param {String|null} error
+		 */
+		showError: function (error) {
+			if (!this._$error) {
+				return;
+			}
+			this._$error.parent().toggleClass('aloha-block-editor-invalid', !!error);
+			this._$formInputElement.attr('aria-invalid', error ? 'true' : 'false');
+			if (error) {
+				this._$error.text(getErrorMessage(error, this.schema)).show();
+			} else {
+				this._$error.text('').hide();
+			}
+		},
+
 		/**
 		 * Render the label for the editor, by using the "label" property
 		 * from the schema.
@@ -200,7 +317,7 @@ function (jQuery, Observable, Class) {
 			this.afterRenderFormElement(this._$formInputElement);
 
 			this._$formInputElement.change(function () {
-				that.trigger('change', that.getValue());
+				that._triggerChange();
 			});
 
 			return this._$formInputElement;
@@ -376,6 +493,285 @@ function (jQuery, Observable, Class) {
 		}
 	});
 
+	/**
+	 * @name block.editor.DateEditor
+	 * @class An editor for dates, in the format YYYY-MM-DD
+	 * @extends block.editor.AbstractFormElementEditor
+	 */
+	var DateEditor = AbstractFormElementEditor.extend(
+	/** @lends block.editor.DateEditor */
+	{
+		formInputElementDefinition: '<input type="date" />',
+
+		afterRenderFormElement: function ($formElement) {
+			setLimits($formElement, this.schema);
+		}
+	});
+
+	/**
+	 * @name block.editor.TimeEditor
+	 * @class An editor for times of day, in the format HH:MM
+	 * @extends block.editor.DateEditor
+	 */
+	var TimeEditor = DateEditor.extend(
+	/** @lends block.editor.TimeEditor */
+	{
+		formInputElementDefinition: '<input type="time" />'
+	});
+
+	/**
+	 * @name block.editor.DateTimeEditor
+	 * @class An editor for dates with times, in the format YYYY-MM-DDTHH:MM
+	 * @extends block.editor.DateEditor
+	 */
+	var DateTimeEditor = DateEditor.extend(
+	/** @lends block.editor.DateTimeEditor */
+	{
+		formInputElementDefinition: '<input type="datetime-local" />'
+	});
+
+	/**
+	 * @name block.editor.ColorEditor
+	 * @class An editor for colors, in the format #RRGGBB
+	 * @extends block.editor.AbstractFormElementEditor
+	 */
+	var ColorEditor = AbstractFormElementEditor.extend(
+	/** @lends block.editor.ColorEditor */
+	{
+		formInputElementDefinition: '<input type="color" />'
+	});
+
+	/**
+	 * @name block.editor.BooleanEditor
+	 * @class An editor for yes/no values, which are "true" or "false"
+	 * @extends block.editor.AbstractFormElementEditor
+	 */
+	var BooleanEditor = AbstractFormElementEditor.extend(
+	/** @lends block.editor.BooleanEditor */
+	{
+		formInputElementDefinition: '<input type="checkbox" />',
+
+		getValue: function () {
+			return this._$formInputElement.prop('checked') ? 'true' : 'false';
+		},
+
+		setValue: function (value) {
+			this._$formInputElement.prop('checked', true === value || 'true' === value);
+		}
+	});
+
+	/**
+	 * @name block.editor.TextareaEditor
+	 * @class An editor for text with multiple lines
+	 * @extends block.editor.AbstractFormElementEditor
+	 */
+	var TextareaEditor = AbstractFormElementEditor.extend(
+	/** @lends block.editor.TextareaEditor */
+	{
+		formInputElementDefinition: '<textarea />',
+
+		afterRenderFormElement: function ($formElement) {
+			$formElement.attr('rows', this.schema.rows || 4);
+		}
+	});
+
+	/**
+	 * An editor which picks an object from the repositories, by searching
+	 * them with the entered text. The value is the id of the object, or the
+	 * property of the object named in the "valueProperty" of the schema.
+	 *
+	 * The search can be restricted with the "objectTypeFilter" and the
+	 * "repositoryId" of the schema.
+	 *
+	 * @name block.editor.RepositoryEditor
+	 * @class An editor for repository objects
+	 * @extends block.editor.AbstractFormElementEditor
+	 */
+	var RepositoryEditor = AbstractFormElementEditor.extend(
+	/** @lends block.editor.RepositoryEditor */
+	{
+		formInputElementDefinition: '<input type="text" />',
+
+		/**
+		 * The object types which are searched, if the schema has no
+		 * objectTypeFilter.
+		 *
+		 * @type Array
+		 */
+		objectTypeFilter: null,
+
+		/**
+		 * The property of the objects which is the value, if the schema has
+		 * no valueProperty.
+		 *
+		 * @type String
+		 */
+		valueProperty: 'id',
+
+		afterRenderFormElement: function ($formElement) {
+			var that = this;
+			var valueProperty = this.schema.valueProperty || this.valueProperty;
+			$formElement.autocomplete({
+				source: function (request, response) {
+					RepositoryManager.query({
+						queryString: request.term,
+						objectTypeFilter: that.schema.objectTypeFilter || that.objectTypeFilter,
+						repositoryId: that.schema.repositoryId,
+						maxItems: that.schema.maxItems || 10
+					}, function (data) {
+						response(jQuery.map(data.items || [], function (item) {
+							return {
+								label: item.name || item[valueProperty],
+								value: item[valueProperty],
+								item: item
+							};
+						}));
+					});
+				},
+				select: function (event, ui) {
+					$formElement.val(ui.item.value);
+					that.onSelect(ui.item.item);
+					that._triggerChange();
+					return false;
+				}
+			});
+		},
+
+		/**
+		 * Template method which is called when an object has been picked.
+		 *
+		 * @param {Object} item The repository object
+		 * @api
+		 */
+		onSelect: function (item) {
+		}
+	});
+
+	/**
+	 * @name block.editor.ImageEditor
+	 * @class An editor which picks images from the repositories, and shows a
+	 *        preview of the picked image. The value is the URL of the image.
+	 * @extends block.editor.RepositoryEditor
+	 */
+	var ImageEditor = RepositoryEditor.extend(
+	/** @lends block.editor.ImageEditor */
+	{
+		objectTypeFilter: ['image'],
+
+		valueProperty: 'url',
+
+		/**
+		 * @type {jQuery}
+		 */
+		_$preview: null,
+
+		render: function () {
+			var that = this;
+			var $wrapper = this._super();
+			this._$preview = jQuery('<img class="aloha-block-editor-preview" alt="" />').hide();
+			this._$formInputElement.after(this._$preview);
+			this._$formInputElement.change(function () {
+				that._updatePreview();
+			});
+			return $wrapper;
+		},
+
+		setValue: function (value) {
+			this._super(value);
+			this._updatePreview();
+		},
+
+		onSelect: function () {
+			this._updatePreview();
+		},
+
+		_updatePreview: function () {
+			var url = this.getValue();
+			if (url) {
+				this._$preview.attr('src', url).show();
+			} else {
+				this._$preview.removeAttr('src').hide();
+			}
+		},
+
+		destroy: function () {
+			this._$preview.remove();
+			this._super();
+		}
+	});
+
+	/**
+	 * An editor for a list of texts, which can be added and removed. The
+	 * value is a JSON array of the texts; empty texts are left out.
+	 *
+	 * The min and max of the schema limit the number of items, and the
+	 * pattern applies to each item.
+	 *
+	 * @name block.editor.ListEditor
+	 * @class An editor for lists
+	 * @extends block.editor.AbstractFormElementEditor
+	 */
+	var ListEditor = AbstractFormElementEditor.extend(
+	/** @lends block.editor.ListEditor */
+	{
+		formInputElementDefinition: '<div class="aloha-block-editor-list" />',
+
+		/**
+		 * @type {jQuery}
+		 */
+		_$items: null,
+
+		afterRenderFormElement: function ($formElement) {
+			var that = this;
+			this._$items = jQuery('<ol />').appendTo($formElement);
+			jQuery('<button type="button" class="aloha-block-editor-list-add" />')
+				.text(i18n.t('editor.list.add'))
+				.click(function () {
+					that._addItem('').find('input').focus();
+				})
+				.appendTo($formElement);
+		},
+
+		/**
+		 * Add an input element for an item.
+		 *
+		 * @param {String} value
+		 * @return {jQuery} The list item
+		 */
+		_addItem: function (value) {
+			var that = this;
+			var $item = jQuery('<li />');
+			jQuery('<input type="text" />').val(value).appendTo($item);
+			jQuery('<button type="button" class="aloha-block-editor-list-remove" />')
+				.text(i18n.t('editor.list.remove'))
+				.click(function () {
+					$item.remove();
+					that._triggerChange();
+				})
+				.appendTo($item);
+			return $item.appendTo(this._$items);
+		},
+
+		getValue: function () {
+			var items = [];
+			this._$items.find('input').each(function () {
+				var item = jQuery.trim(this.value);
+				if (item) {
+					items.push(item);
+				}
+			});
+			return JSON.stringify(items);
+		},
+
+		setValue: function (value) {
+			var that = this;
+			this._$items.empty();
+			jQuery.each(Validation.parseList(value), function (i, item) {
+				that._addItem(item);
+			});
+		}
+	});
+
 	return {
 		AbstractEditor: AbstractEditor,
 		AbstractFormElementEditor: AbstractFormElementEditor,
@@ -385,6 +781,15 @@ function (jQuery, Observable, Class) {
 		EmailEditor: EmailEditor,
 		SelectEditor: SelectEditor,
 		RadioButtonEditor: RadioButtonEditor,
-		ButtonEditor: ButtonEditor
+		ButtonEditor: ButtonEditor,
+		DateEditor: DateEditor,
+		TimeEditor: TimeEditor,
+		DateTimeEditor: DateTimeEditor,
+		ColorEditor: ColorEditor,
+		BooleanEditor: BooleanEditor,
+		TextareaEditor: TextareaEditor,
+		RepositoryEditor: RepositoryEditor,
+		ImageEditor: ImageEditor,
+		ListEditor: ListEditor
 	}
 });
@@ -0,0 +1,401 @@
+/* keyboard.js is part of Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * Commands to select, move, duplicate and delete blocks with the keyboard.
+ *
+ * Every command announces its outcome to screen readers through a live
+ * region, and leaves the focus in the editable of the block, so that the
+ * next command can follow right away.
+ *
+ * @name block.keyboard
+ * @namespace block/keyboard
+ */
+define([
+	'aloha',
+	'jquery',
+	'aloha/block-jump',
+	'block/blockmanager',
+	'block/nesting',
+	'ui/dialog',
+	'util/strings',
+	'i18n!block/nls/i18n'
+], function (
+	Aloha,
+	$,
+	BlockJump,
+	BlockManager,
+	Nesting,
+	Dialog,
+	Strings,
+	i18n
+) {
+	'use strict';
+
+	/**
+	 * The live region through which announcements are made.
+	 *
+	 * @type {jQuery}
+	 */
+	var $announcer = null;
+
+	/**
+	 * Translates a message and fills in its placeholders.
+	 *
+	 * @param {string} key
+	 * @param {object<string, *>} values
+	 * @return {string}
+	 */
+	function message(key, values) {
+		return Strings.format(i18n.t(key), values);
+	}
+
+	/**
+	 * Gets the title of a block for announcements.
+	 *
+	 * @param {AbstractBlock} block
+	 * @return {string}
+	 */
+	function titleOf(block) {
+		return block.getTitle() || i18n.t('block.title');
+	}
+
+	/**
+	 * Reads out a message to screen reader users, without moving the focus.
+	 *
+	 * @param {string} text
+	 * @api
+	 */
+	function announce(text) {
+		if (!$announcer) {
+			$announcer = $('<div class="aloha-ui aloha-block-announcer"'
+				+ ' role="status" aria-live="polite" aria-atomic="true"></div>')
+				.appendTo('body');
+		}
+		$announcer.text(text);
+	}
+
+	/**
+	 * Gets the key code of the key in a combination like "alt+shift+left",
+	 * as written for jQuery.hotkeys.
+	 *
+	 * @param {string} combination
+	 * @return {number}
+	 */
+	function keyCodeOf(combination) {
+		var key = combination.toLowerCase().split('+').pop();
+		var keyCode = null;
+		$.each($.hotkeys.specialKeys, function (code, name) {
+			if (name === key) {
+				keyCode = parseInt(code, 10);
+				return false;
+			}
+		});
+		return null === keyCode ? key.toUpperCase().charCodeAt(0) : keyCode;
+	}
+
+	/**
+	 * Writes the keys of a keydown event as a combination, in the way
+	 * jQuery.hotkeys does.
+	 *
+	 * @param {jQuery.Event} event
+	 * @return {string}
+	 */
+	function combinationOf(event) {
+		var key = $.hotkeys.specialKeys[event.which]
+		       || String.fromCharCode(event.which).toLowerCase();
+		var modifiers = '';
+		if (event.altKey && 'alt' !== key) {
+			modifiers += 'alt+';
+		}
+		if (event.ctrlKey && 'ctrl' !== key) {
+			modifiers += 'ctrl+';
+		}
+		if (event.metaKey && !event.ctrlKey && 'meta' !== key) {
+			modifiers += 'meta+';
+		}
+		if (event.shiftKey && 'shift' !== key) {
+			modifiers += 'shift+';
+		}
+		return modifiers + key;
+	}
+
+	/**
+	 * Scrolls the window just far enough to show the given element.
+	 *
+	 * @param {HTMLElement} element
+	 */
+	function scrollIntoView(element) {
+		var rect = element.getBoundingClientRect();
+		var height = window.innerHeight || document.documentElement.clientHeight;
+		if (rect.top < 0) {
+			element.scrollIntoView(true);
+		} else if (rect.bottom > height) {
+			element.scrollIntoView(false);
+		}
+	}
+
+	/**
+	 * Focuses the editable which contains the given element, so that
+	 * keyboard commands keep working after the selection was removed or
+	 * the focus was taken by a dialog.
+	 *
+	 * @param {HTMLElement} element
+	 */
+	function focusEditableHost(element) {
+		var editable = Aloha.getEditableHost($(element));
+		if (editable && editable.obj[0] !== document.activeElement) {
+			editable.obj.focus();
+		}
+	}
+
+	/**
+	 * Notifies the editable of the given element that its contents changed,
+	 * so that the change can be undone.
+	 *
+	 * @param {HTMLElement} element
+	 */
+	function contentChanged(element) {
+		var editable = Aloha.getEditableHost($(element));
+		if (editable) {
+			editable.smartContentChange({type: 'block-change', plugin: 'block'});
+		}
+	}
+
+	/**
+	 * Gets the editable in which a block is.
+	 *
+	 * @param {HTMLElement} element
+	 * @return {?HTMLElement}
+	 */
+	function editableOf(element) {
+		return $(element).parent().closest('.aloha-editable')[0] || null;
+	}
+
+	/**
+	 * Gets the nodes among which a block can be moved: its siblings,
+	 * except for void text and the handles of the parent block.
+	 *
+	 * @param {HTMLElement} element
+	 * @return {Array.<Node>}
+	 */
+	function siblingsOf(element) {
+		return $.grep(element.parentNode.childNodes, function (node) {
+			return !BlockJump.isVoidText(node) && !$(node).hasClass('aloha-block-handle');
+		});
+	}
+
+	/**
+	 * Selects a block, like clicking it does: the block is activated, and
+	 * the browser selection is removed.
+	 *
+	 * @param {AbstractBlock} block
+	 * @api
+	 */
+	function select(block) {
+		var element = block.$element[0];
+		focusEditableHost(element);
+		block.activate(element);
+		Aloha.getSelection().removeAllRanges();
+		scrollIntoView(element);
+		announce(message('block.announce.selected', {title: titleOf(block)}));
+	}
+
+	/**
+	 * Deselects the given block, and puts the cursor right after it.
+	 *
+	 * @param {AbstractBlock} block
+	 * @api
+	 */
+	function deselect(block) {
+		var element = block.$element[0];
+		var range = Aloha.createRange();
+		range.setStartAfter(element);
+		range.collapse(true);
+		block.deactivate();
+		focusEditableHost(element);
+		Aloha.getSelection().removeAllRanges();
+		Aloha.getSelection().addRange(range);
+		announce(message('block.announce.deselected', {title: titleOf(block)}));
+	}
+
+	/**
+	 * Selects the block which is right before or after the active block or,
+	 * if no block is active, the cursor.  That there is no such block is
+	 * only announced when going from a block, because from the cursor, the
+	 * keys keep their default behavior.
+	 *
+	 * @param {boolean} isGoingLeft Whether to select the block before.
+	 * @return {?AbstractBlock} The block which was selected, if any.
+	 * @api
+	 */
+	function selectAdjacent(isGoingLeft) {
+		var active = BlockManager._activeBlock;
+		var element = null;
+		var selection, range, index;
+		if (active && !active._isInsideNestedEditable) {
+			index = $(active.$element[0].parentNode.childNodes).index(active.$element[0]);
+			element = BlockJump.findAdjacentBlock(
+				active.$element[0].parentNode,
+				isGoingLeft ? index : index + 1,
+				isGoingLeft
+			);
+		} else {
+			selection = Aloha.getSelection();
+			if (selection.getRangeCount()) {
+				range = selection.getRangeAt(0);
+				element = isGoingLeft
+				        ? BlockJump.findAdjacentBlock(range.startContainer, range.startOffset, true)
+				        : BlockJump.findAdjacentBlock(range.endContainer, range.endOffset, false);
+			}
+		}
+		var block = element && BlockManager.getBlock(element);
+		if (!block) {
+			if (active && !active._isInsideNestedEditable) {
+				announce(message(
+					isGoingLeft ? 'block.announce.none.before' : 'block.announce.none.after',
+					{title: titleOf(active)}
+				));
+			}
+			return null;
+		}
+		BlockJump.removeZeroWidthTextNodeFix();
+		select(block);
+		return block;
+	}
+
+	/**
+	 * Moves a block one step up or down among its siblings.  The block stays
+	 * selected.
+	 *
+	 * @param {AbstractBlock} block
+	 * @param {boolean} isGoingUp
+	 * @return {boolean} False if the block can't be moved any further.
+	 * @api
+	 */
+	function move(block, isGoingUp) {
+		var element = block.$element[0];
+		var siblings = siblingsOf(element);
+		var index = $.inArray(element, siblings);
+		var sibling = siblings[isGoingUp ? index - 1 : index + 1];
+		if (!sibling) {
+			announce(message(
+				isGoingUp ? 'block.announce.first' : 'block.announce.last',
+				{title: titleOf(block)}
+			));
+			return false;
+		}
+		BlockJump.removeZeroWidthTextNodeFix();
+		element.parentNode.insertBefore(element, isGoingUp ? sibling : sibling.nextSibling);
+		focusEditableHost(element);
+		scrollIntoView(element);
+		contentChanged(element);
+		announce(message('block.announce.moved', {
+			title: titleOf(block),
+			position: isGoingUp ? index : index + 2,
+			count: siblings.length
+		}));
+		return true;
+	}
+
+	/**
+	 * Inserts a copy of a block right after it, and selects the copy.
+	 *
+	 * The copy is made like when the block is copied and pasted: it, and
+	 * the blocks nested in it, get new ids, and are initialized with the
+	 * attributes of the originals.  No copy is made if the editable of the
+	 * block does not allow another one.
+	 *
+	 * @param {AbstractBlock} block
+	 * @return {?AbstractBlock} The copy.
+	 * @api
+	 */
+	function duplicate(block) {
+		BlockJump.removeZeroWidthTextNodeFix();
+		var $content = $('<div>').html(BlockManager.serializeBlocks([block]));
+		var editable = editableOf(block.$element[0]);
+		var refusals = Nesting.filter($content, editable);
+		if (refusals.length) {
+			Nesting.refuse(editable, refusals);
+			return null;
+		}
+		var prepared = BlockManager._prepareInsertedBlocks($content);
+		var $copy = $content.children().insertAfter(block.$element);
+		var copy = BlockManager._blockifyInserted(prepared)[0];
+		if (!copy) {
+			$copy.remove();
+			return null;
+		}
+		contentChanged($copy[0]);
+		select(copy);
+		announce(message('block.announce.duplicated', {title: titleOf(copy)}));
+		return copy;
+	}
+
+	/**
+	 * Deletes a block after the user confirmed it.  The cursor is put where
+	 * the block was.  Blocks which their editable needs are not deleted.
+	 *
+	 * @param {AbstractBlock} block
+	 * @param {function(boolean)=} callback Called with whether the block was
+	 *        deleted, once it is gone.
+	 * @api
+	 */
+	function remove(block, callback) {
+		var element = block.$element[0];
+		var title = titleOf(block);
+		var done = callback || $.noop;
+		var refusal = Nesting.checkRemoval(element);
+		if (refusal) {
+			Nesting.refuse(editableOf(element), [refusal]);
+			done(false);
+			return;
+		}
+		Dialog.confirm({
+			title: i18n.t('block.delete.confirm.title'),
+			text: message('block.delete.confirm', {title: title}),
+			answer: function (isConfirmed) {
+				focusEditableHost(element);
+				if (!isConfirmed || !block.shouldDestroy()) {
+					Aloha.getSelection().removeAllRanges();
+					announce(message('block.announce.kept', {title: title}));
+					done(false);
+					return;
+				}
+				var parent = element.parentNode;
+				var index = $(parent.childNodes).index(element);
+				// Because the block fades out before it is removed, after
+				// which the selection change is triggered
+				var onRemoved = function () {
+					BlockManager.unbind('block-selection-change', onRemoved);
+					var range = Aloha.createRange();
+					range.setStart(parent, Math.min(index, parent.childNodes.length));
+					range.collapse(true);
+					Aloha.getSelection().removeAllRanges();
+					Aloha.getSelection().addRange(range);
+					contentChanged(parent);
+					announce(message('block.announce.deleted', {title: title}));
+					done(true);
+				};
+				BlockManager.bind('block-selection-change', onRemoved);
+				block.destroy();
+			}
+		});
+	}
+
+	return {
+		keyCodeOf: keyCodeOf,
+		combinationOf: combinationOf,
+		announce: announce,
+		select: select,
+		deselect: deselect,
+		selectAdjacent: selectAdjacent,
+		move: move,
+		duplicate: duplicate,
+		remove: remove
+	};
+});
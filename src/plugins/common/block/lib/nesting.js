@@ -0,0 +1,259 @@
+/* nesting.js is part of Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * Rules for what the nested editables of blocks may contain.
+ *
+ * A block type declares the rules for its nested editables by its
+ * getAllowedChildren() method, which by default returns the
+ * allowedChildren property:
+ *
+ *	{
+ *		blocks: {
+ *			ImageBlock: {min: 1, max: 4},
+ *			CaptionBlock: {}
+ *		},
+ *		elements: ['p', 'b', 'i', 'a', 'br']
+ *	}
+ *
+ * The keys of "blocks" are the names with which block types are registered.
+ * Blocks of other types are not allowed, and the number of blocks of a type
+ * may be limited by "min" and "max".  The HTML elements which are allowed
+ * around the blocks and the text are listed in "elements".  If "blocks" or
+ * "elements" is left out, any block type or element is allowed.
+ *
+ * Editables which are not nested in a block have no rules.
+ *
+ * @name block.nesting
+ * @namespace block/nesting
+ */
+define([
+	'aloha',
+	'jquery',
+	'block/blockmanager',
+	'util/strings',
+	'i18n!block/nls/i18n'
+], function (
+	Aloha,
+	$,
+	BlockManager,
+	Strings,
+	i18n
+) {
+	'use strict';
+
+	/**
+	 * The class which marks an editable while it refuses a block.
+	 *
+	 * @type {string}
+	 * @const
+	 */
+	var REFUSED_CLASS = 'aloha-block-refused';
+
+	/**
+	 * How long an editable stays marked after it refused inserted content,
+	 * in milliseconds.
+	 *
+	 * @type {number}
+	 * @const
+	 */
+	var REFUSED_DURATION = 1500;
+
+	/**
+	 * Gets the rules for the contents of an editable.
+	 *
+	 * @param {?HTMLElement} editable
+	 * @return {?object} The rules, or null if anything is allowed.
+	 * @api
+	 */
+	function rulesOf(editable) {
+		if (!editable) {
+			return null;
+		}
+		var element = $(editable).parent().closest('.aloha-block')[0];
+		var block = element && BlockManager.getBlock(element);
+		return (block && block.getAllowedChildren(editable)) || null;
+	}
+
+	/**
+	 * Gets the type of the block with the given element, also for blocks
+	 * which are not created yet.
+	 *
+	 * @param {HTMLElement} element
+	 * @return {string}
+	 */
+	function typeOf(element) {
+		return BlockManager.getConfig($(element))['aloha-block-type'];
+	}
+
+	/**
+	 * Counts the blocks of a type in an editable, leaving out those in
+	 * nested editables, and the ones which only exist while a block is
+	 * dragged.
+	 *
+	 * @param {HTMLElement} editable
+	 * @param {string} type
+	 * @param {HTMLElement=} except A block which is not counted.
+	 * @return {number}
+	 */
+	function count(editable, type, except) {
+		return $(editable).find('.aloha-block').filter(function () {
+			return this !== except
+			    && !$(this).is('.aloha-dragdrop-filler, .ui-draggable-dragging')
+			    && $(this).parent().closest('.aloha-editable')[0] === editable
+			    && typeOf(this) === type;
+		}).length;
+	}
+
+	/**
+	 * Checks whether a block may be taken out of its editable.
+	 *
+	 * @param {HTMLElement} element The element of the block.
+	 * @return {?object} A refusal, or null if the block may be taken out.
+	 * @api
+	 */
+	function checkRemoval(element) {
+		var editable = $(element).parent().closest('.aloha-editable')[0];
+		var rules = rulesOf(editable);
+		var type = typeOf(element);
+		var rule = rules && rules.blocks && rules.blocks[type];
+		if (rule && null != rule.min && count(editable, type, element) < rule.min) {
+			return {reason: 'min', type: type, limit: rule.min};
+		}
+		return null;
+	}
+
+	/**
+	 * Checks whether a block may be put into an editable.  Blocks which are
+	 * moved from another editable must not be needed there.
+	 *
+	 * @param {HTMLElement} editable
+	 * @param {HTMLElement} element The element of the block.
+	 * @return {?object} A refusal, or null if the block is allowed.
+	 * @api
+	 */
+	function checkBlock(editable, element) {
+		var rules = rulesOf(editable);
+		var type = typeOf(element);
+		if (rules && rules.blocks) {
+			var rule = rules.blocks[type];
+			if (!rule) {
+				return {reason: 'type', type: type};
+			}
+			if (null != rule.max && count(editable, type, element) >= rule.max) {
+				return {reason: 'max', type: type, limit: rule.max};
+			}
+		}
+		var source = $(element).parent().closest('.aloha-editable')[0];
+		return source && source !== editable ? checkRemoval(element) : null;
+	}
+
+	/**
+	 * Removes what an editable does not allow from content which is about to
+	 * be inserted into it.  Blocks which are not allowed are removed, and
+	 * elements which are not allowed are replaced by their contents.
+	 *
+	 * The contents of the inserted blocks are left alone, because they are
+	 * subject to the rules of those blocks.
+	 *
+	 * @param {jQuery} $content A container with the content.
+	 * @param {?HTMLElement} editable
+	 * @return {Array.<object>} The refusals.
+	 * @api
+	 */
+	function filter($content, editable) {
+		var rules = rulesOf(editable);
+		var refusals = [];
+		if (!rules) {
+			return refusals;
+		}
+		var counts = {};
+		var elements = rules.elements && $.map(rules.elements, function (name) {
+			return name.toLowerCase();
+		});
+		var $nodes = $content.find('*').filter(function () {
+			return !$(this).parent().closest('.aloha-block', $content[0]).length;
+		});
+		$nodes.each(function () {
+			var $node = $(this);
+			var name = this.nodeName.toLowerCase();
+			var type, rule, refusal;
+			if ($node.hasClass('aloha-block')) {
+				if (!rules.blocks) {
+					return;
+				}
+				type = typeOf(this);
+				rule = rules.blocks[type];
+				if (undefined === counts[type]) {
+					counts[type] = count(editable, type);
+				}
+				if (!rule) {
+					refusal = {reason: 'type', type: type};
+				} else if (null != rule.max && counts[type] >= rule.max) {
+					refusal = {reason: 'max', type: type, limit: rule.max};
+				} else {
+					counts[type]++;
+					return;
+				}
+				refusals.push(refusal);
+				$node.remove();
+			} else if (elements && -1 === $.inArray(name, elements)) {
+				refusals.push({reason: 'element', element: name});
+				$node.replaceWith($node.contents());
+			}
+		});
+		return refusals;
+	}
+
+	/**
+	 * Describes a refusal to the user.
+	 *
+	 * @param {object} refusal
+	 * @return {string}
+	 * @api
+	 */
+	function describe(refusal) {
+		return Strings.format(i18n.t('block.refused.' + refusal.reason), refusal);
+	}
+
+	/**
+	 * Shows that an editable refused a block or content, by marking the
+	 * editable for a moment, and triggers the "block-refused" event on the
+	 * BlockManager with the editable and the refusals.
+	 *
+	 * @param {HTMLElement} editable
+	 * @param {Array.<object>} refusals
+	 * @api
+	 */
+	function refuse(editable, refusals) {
+		if (!refusals.length) {
+			return;
+		}
+		var messages = $.map(refusals, describe);
+		Aloha.Log.warn('block/nesting', messages.join(' '));
+		var $editable = $(editable).addClass(REFUSED_CLASS);
+		window.clearTimeout($editable.data('block-refused-timeout'));
+		$editable.data('block-refused-timeout', window.setTimeout(function () {
+			$editable.removeClass(REFUSED_CLASS).removeData('block-refused-timeout');
+		}, REFUSED_DURATION));
+		BlockManager.trigger('block-refused', {
+			editable: editable,
+			refusals: refusals,
+			messages: messages
+		});
+	}
+
+	return {
+		REFUSED_CLASS: REFUSED_CLASS,
+		rulesOf: rulesOf,
+		checkBlock: checkBlock,
+		checkRemoval: checkRemoval,
+		filter: filter,
+		describe: describe,
+		refuse: refuse
+	};
+});
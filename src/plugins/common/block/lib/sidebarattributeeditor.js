@@ -100,6 +100,11 @@ define([ 'jquery', 'block/blockmanager', 'aloha/sidebar', 'block/editormanager',
 							// Editor -> Block binding
 							editor.bind('change', function(value) {
 								block.attr(attributeName, value);
+								// Because the block refuses values which
+								// violate its schema
+								if (block.attr(attributeName) !== value) {
+									editor.setValue(block.attr(attributeName));
+								}
 								});
 
 								// Block -> Editor binding
@@ -107,6 +112,13 @@ define([ 'jquery', 'block/blockmanager', 'aloha/sidebar', 'block/editormanager',
 									editor.setValue(block.attr(attributeName));
 							});
 
+								// Show the values which the block refused
+								block.bind('invalid', function (invalid) {
+									if (invalid.attribute === attributeName) {
+										editor.showError(invalid.error);
+									}
+								});
+
 								$form.append(editor.render());
 
 								// Set initial value Block -> Editor
@@ -0,0 +1,158 @@
+/* validation.js is part of Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * Checks block attribute values against the definitions of a block schema.
+ *
+ * Used by the attribute editors in the sidebar, and by block types which are
+ * defined declaratively.
+ *
+ * @name block.validation
+ * @namespace block/validation
+ */
+define(['jquery'], function ($) {
+	'use strict';
+
+	/**
+	 * Types whose values are compared with min and max.
+	 *
+	 * @type {Array.<string>}
+	 * @const
+	 */
+	var COMPARABLE = ['number', 'date', 'time', 'datetime', 'list'];
+
+	/**
+	 * Reads the items of a list attribute, which are stored as a JSON array.
+	 *
+	 * A value which is no JSON array is taken as a single item.
+	 *
+	 * @param {*} value
+	 * @return {Array.<string>}
+	 */
+	function parseList(value) {
+		if (null == value || '' === value) {
+			return [];
+		}
+		if ($.isArray(value)) {
+			return $.map(value, String);
+		}
+		var items;
+		try {
+			items = $.parseJSON(value);
+		} catch (e) {
+			items = null;
+		}
+		return $.isArray(items) ? $.map(items, String) : [String(value)];
+	}
+
+	/**
+	 * Gets the minimum or maximum of an attribute.  The range of number
+	 * sliders counts as well.
+	 *
+	 * @param {object} definition
+	 * @param {string} name "min" or "max"
+	 * @return {*} Undefined if there is no limit.
+	 */
+	function getLimit(definition, name) {
+		if (null != definition[name]) {
+			return definition[name];
+		}
+		if (definition.range && null != definition.range[name]) {
+			return definition.range[name];
+		}
+		return undefined;
+	}
+
+	function isEmpty(definition, value) {
+		return 'list' === definition.type
+		     ? !parseList(value).length
+		     : (null == value || '' === value);
+	}
+
+	/**
+	 * Compares a value with a minimum or maximum.
+	 *
+	 * Dates and times are compared as strings, as they are in ISO 8601
+	 * format.  Lists are compared by the number of their items.
+	 *
+	 * @param {string} type
+	 * @param {*} value
+	 * @param {*} limit
+	 * @return {number} Less than, equal to or greater than zero.
+	 */
+	function compare(type, value, limit) {
+		if ('list' === type) {
+			return parseList(value).length - limit;
+		}
+		if ('number' === type) {
+			return parseFloat(value) - parseFloat(limit);
+		}
+		value = String(value);
+		limit = String(limit);
+		return value < limit ? -1 : (value > limit ? 1 : 0);
+	}
+
+	/**
+	 * Checks a value against the definition of an attribute.
+	 *
+	 * Empty values are only refused for required attributes.  Numbers, dates,
+	 * times and the number of items in lists are checked against min and
+	 * max, patterns must match the whole value, or each item of a list, and the
+	 * values of select and radio attributes must be one of their keys.
+	 *
+	 * @param {object} definition The definition of the attribute in the
+	 *        schema.
+	 * @param {*} value
+	 * @return {?string} The name of the rule which the value violates:
+	 *         "required", "number", "min", "max", "pattern" or "values".  Null
+	 *         if the value is valid.
+	 */
+	function validate(definition, value) {
+		if (isEmpty(definition, value)) {
+			return definition.required ? 'required' : null;
+		}
+		if ('number' === definition.type && (isNaN(parseFloat(value)) || !isFinite(value))) {
+			return 'number';
+		}
+		var isComparable = -1 !== $.inArray(definition.type, COMPARABLE);
+		var min = getLimit(definition, 'min');
+		var max = getLimit(definition, 'max');
+		if (isComparable && undefined !== min && compare(definition.type, value, min) < 0) {
+			return 'min';
+		}
+		if (isComparable && undefined !== max && compare(definition.type, value, max) > 0) {
+			return 'max';
+		}
+		if (definition.pattern) {
+			var pattern = new RegExp('^(?:' + definition.pattern + ')$');
+			var values = 'list' === definition.type ? parseList(value) : [value];
+			var i;
+			for (i = 0; i < values.length; i++) {
+				if (!pattern.test(values[i])) {
+					return 'pattern';
+				}
+			}
+		}
+		if (('select' === definition.type || 'radio' === definition.type) && definition.values) {
+			var found = false;
+			$.each(definition.values, function (i, option) {
+				found = String(option.key) === String(value);
+				return !found;
+			});
+			if (!found) {
+				return 'values';
+			}
+		}
+		return null;
+	}
+
+	return {
+		validate: validate,
+		getLimit: getLimit,
+		parseList: parseList
+	};
+});
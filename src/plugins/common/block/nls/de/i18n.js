@@ -1,3 +1,30 @@
 define({
-	"button.toggledragdrop.tooltip": "Drag & Drop umschalten"
+	"button.toggledragdrop.tooltip": "Drag & Drop umschalten",
+	"editor.error.required": "Bitte geben Sie einen Wert ein.",
+	"editor.error.number": "Bitte geben Sie eine Zahl ein.",
+	"editor.error.min": "Der Wert darf nicht kleiner als {min} sein.",
+	"editor.error.max": "Der Wert darf nicht größer als {max} sein.",
+	"editor.error.list.min": "Bitte geben Sie mindestens {min} Einträge ein.",
+	"editor.error.list.max": "Bitte geben Sie höchstens {max} Einträge ein.",
+	"editor.error.pattern": "Der Wert hat nicht das erforderliche Format.",
+	"editor.error.values": "Bitte wählen Sie eine der Optionen.",
+	"editor.list.add": "Hinzufügen",
+	"editor.list.remove": "Entfernen",
+	"block.title": "Block",
+	"block.announce.selected": "{title} ausgewählt.",
+	"block.announce.deselected": "{title} verlassen, der Cursor steht dahinter.",
+	"block.announce.none.before": "Vor {title} steht kein Block.",
+	"block.announce.none.after": "Hinter {title} steht kein Block.",
+	"block.announce.first": "{title} steht bereits ganz oben.",
+	"block.announce.last": "{title} steht bereits ganz unten.",
+	"block.announce.moved": "{title} an Position {position} von {count} verschoben.",
+	"block.announce.duplicated": "{title} dupliziert, die Kopie ist ausgewählt.",
+	"block.announce.deleted": "{title} gelöscht.",
+	"block.announce.kept": "{title} nicht gelöscht.",
+	"block.delete.confirm.title": "Block löschen",
+	"block.delete.confirm": "Wollen Sie {title} wirklich löschen?",
+	"block.refused.type": "Blöcke vom Typ {type} sind hier nicht erlaubt.",
+	"block.refused.max": "Hier sind höchstens {limit} Blöcke vom Typ {type} erlaubt.",
+	"block.refused.min": "Hier werden mindestens {limit} Blöcke vom Typ {type} benötigt.",
+	"block.refused.element": "Das Element <{element}> ist hier nicht erlaubt, nur sein Inhalt wurde übernommen."
 });
@@ -1,6 +1,33 @@
 define({
 	"root":  {
-		"button.toggledragdrop.tooltip": "Toggle Drag & Drop"
+		"button.toggledragdrop.tooltip": "Toggle Drag & Drop",
+		"editor.error.required": "Please enter a value.",
+		"editor.error.number": "Please enter a number.",
+		"editor.error.min": "The value must not be less than {min}.",
+		"editor.error.max": "The value must not be greater than {max}.",
+		"editor.error.list.min": "Please enter at least {min} items.",
+		"editor.error.list.max": "Please enter at most {max} items.",
+		"editor.error.pattern": "The value does not have the required format.",
+		"editor.error.values": "Please choose one of the options.",
+		"editor.list.add": "Add",
+		"editor.list.remove": "Remove",
+		"block.title": "Block",
+		"block.announce.selected": "{title} selected.",
+		"block.announce.deselected": "{title} left, the cursor is after it.",
+		"block.announce.none.before": "There is no block before {title}.",
+		"block.announce.none.after": "There is no block after {title}.",
+		"block.announce.first": "{title} is already at the top.",
+		"block.announce.last": "{title} is already at the bottom.",
+		"block.announce.moved": "{title} moved to position {position} of {count}.",
+		"block.announce.duplicated": "{title} duplicated, the copy is selected.",
+		"block.announce.deleted": "{title} deleted.",
+		"block.announce.kept": "{title} not deleted.",
+		"block.delete.confirm.title": "Delete block",
+		"block.delete.confirm": "Do you really want to delete {title}?",
+		"block.refused.type": "Blocks of the type {type} are not allowed here.",
+		"block.refused.max": "No more than {limit} blocks of the type {type} are allowed here.",
+		"block.refused.min": "At least {limit} blocks of the type {type} are needed here.",
+		"block.refused.element": "The element <{element}> is not allowed here, only its content was kept."
 	},
 		"ca": true,
 		"de": true,
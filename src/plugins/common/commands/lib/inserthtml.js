@@ -72,7 +72,10 @@ function (Aloha, jQuery, command, selection, dom, ContentHandlerManager, console
 			// just use all registerd content handler or specity Aloha.defaults.contentHandler.insertHtml manually?
 			//	Aloha.settings.contentHandler.insertHtml = Aloha.defaults.contentHandler.insertHtml;
 			//}
-			value = ContentHandlerManager.handleContent(value, { contenthandler: Aloha.settings.contentHandler.insertHtml});
+			value = ContentHandlerManager.handleContent(value, {
+				contenthandler: Aloha.settings.contentHandler.insertHtml,
+				command: 'insertHtml'
+			});
 
 			// allowed values are string or jQuery objects
 			// add value to a container div
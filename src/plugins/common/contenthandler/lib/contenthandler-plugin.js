@@ -12,20 +12,28 @@
  */
 define([
 	'jquery',
+	'aloha',
 	'aloha/plugin',
 	'aloha/contenthandlermanager',
 	'contenthandler/wordcontenthandler',
+	'contenthandler/googledocscontenthandler',
+	'contenthandler/libreofficecontenthandler',
 	'contenthandler/genericcontenthandler',
 	'contenthandler/sanitizecontenthandler',
-	'contenthandler/blockelementcontenthandler'
+	'contenthandler/blockelementcontenthandler',
+	'contenthandler/markdowncontenthandler'
 ], function (
 	$,
+	Aloha,
 	Plugin,
 	ContentHandlerManager,
 	WordContentHandler,
+	GoogleDocsContentHandler,
+	LibreOfficeContentHandler,
 	GenericContentHandler,
 	SanitizeContentHandler,
-	BlockelementContentHandler
+	BlockelementContentHandler,
+	MarkdownContentHandler
 ) {
 	'use strict';
 
@@ -33,11 +41,20 @@ define([
 	 * The default content handlers which will always be loaded with Aloha
 	 * when the contenthandler plugin is initialized.
 	 *
+	 * The markdown handler comes first, so that the HTML it creates from
+	 * pasted Markdown is cleaned by the other handlers like any other pasted
+	 * content.  Like the word handler, the handlers for content from Google
+	 * Docs and LibreOffice must come before the generic handler, which removes
+	 * the styles they read.
+	 *
 	 * @object<string, ContentHandler>
 	 * @const
 	 */
 	var DEFAULT_HANDLERS = {
+		markdown: MarkdownContentHandler,
 		word: WordContentHandler,
+		googledocs: GoogleDocsContentHandler,
+		libreoffice: LibreOfficeContentHandler,
 		generic: GenericContentHandler,
 		sanitize: SanitizeContentHandler,
 		blockelement: BlockelementContentHandler
@@ -46,7 +63,9 @@ define([
 	var ContentHandler = Plugin.create('contenthandler', {
 
 		/**
-		 * Will simply register the default content handlers.
+		 * Will register the default content handlers, and have the contents
+		 * of editables which are configured for Markdown serialized as
+		 * Markdown.
 		 *
 		 * @override
 		 */
@@ -58,6 +77,15 @@ define([
 							DEFAULT_HANDLERS[handler]);
 				}
 			}
+			// Because other plugins, like dom-to-xhtml, set their serializer
+			// during initialization too, it is wrapped once all are loaded
+			Aloha.bind('aloha-plugins-loaded', function () {
+				Aloha.Editable.setContentSerializer(
+					MarkdownContentHandler.createSerializer(
+						Aloha.Editable.getContentSerializer()
+					)
+				);
+			});
 		}
 	});
 
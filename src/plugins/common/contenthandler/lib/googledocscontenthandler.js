@@ -0,0 +1,122 @@
+/* googledocscontenthandler.js is part of the Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+define([
+	'jquery',
+	'aloha/contenthandlermanager',
+	'util/contenthandler'
+], function (
+	$,
+	Manager,
+	Utils
+) {
+	'use strict';
+
+	/**
+	 * Matches the element in which Google Docs wraps copied content.
+	 *
+	 * @type {string}
+	 * @const
+	 */
+	var GUID_SELECTOR = '[id^="docs-internal-guid"]';
+
+	/**
+	 * Checks whether the given content element originates from Google Docs.
+	 *
+	 * @param {jQuery.<HTMLElement>} $content
+	 * @return {boolean} True if the content was copied from Google Docs.
+	 */
+	function isGoogleDocsContent($content) {
+		return $content.find(GUID_SELECTOR).length > 0;
+	}
+
+	/**
+	 * Unwraps the element around the copied content, and removes the line
+	 * breaks which Google Docs places between its blocks.
+	 *
+	 * @param {jQuery.<HTMLElement>} $content
+	 */
+	function unwrapGuid($content) {
+		$content.find('meta').remove();
+		$content.find(GUID_SELECTOR).each(function () {
+			var $guid = $(this);
+			$guid.children('br').remove();
+			$guid.contents().unwrap();
+		});
+	}
+
+	/**
+	 * Google Docs wraps the contents of list items in paragraphs, and tables
+	 * in divs, which are removed.
+	 *
+	 * @param {jQuery.<HTMLElement>} $content
+	 */
+	function transformBlocks($content) {
+		Utils.nestStrayLists($content);
+		$content.find('li>p[role="presentation"]').each(function () {
+			$(this).contents().unwrap();
+		});
+		$content.find('div>table').each(function () {
+			var $div = $(this).parent();
+			if (1 === $div.children().length) {
+				$div.contents().unwrap();
+			}
+		});
+		$content.find('colgroup').remove();
+	}
+
+	/**
+	 * Google Docs formats text with the styles of spans, which are
+	 * transformed into formatting elements.
+	 *
+	 * @param {jQuery.<HTMLElement>} $content
+	 */
+	function transformSpans($content) {
+		$content.find('span').each(function () {
+			var $span = $(this);
+			Utils.transformStyledFormattings($span);
+			$span.contents().unwrap();
+		});
+	}
+
+	var GoogleDocsContentHandler = Manager.createHandler({
+
+		/**
+		 * Handle content pasted from Google Docs.
+		 *
+		 * Transforms the style based formatting of Google Docs into semantic
+		 * markup.
+		 *
+		 * @param {jQuery.<HTMLElement>|string} content
+		 * @return {string} Clean HTML
+		 */
+		handleContent: function (content) {
+			var $content = Utils.wrapContent(content);
+			if (!$content) {
+				return content;
+			}
+			if (isGoogleDocsContent($content)) {
+				this.transformGoogleDocsContent($content);
+			}
+			return $content.html();
+		},
+
+		/**
+		 * This is the main transformation method.
+		 *
+		 * @param {jQuery.<HTMLElement>} $content
+		 */
+		transformGoogleDocsContent: function ($content) {
+			unwrapGuid($content);
+			Utils.transformTitles($content);
+			transformBlocks($content);
+			transformSpans($content);
+		}
+	});
+
+	return GoogleDocsContentHandler;
+});
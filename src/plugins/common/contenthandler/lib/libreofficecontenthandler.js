@@ -0,0 +1,146 @@
+/* libreofficecontenthandler.js is part of the Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+define([
+	'jquery',
+	'aloha/contenthandlermanager',
+	'util/contenthandler'
+], function (
+	$,
+	Manager,
+	Utils
+) {
+	'use strict';
+
+	/**
+	 * Matches the generator of documents written by LibreOffice and
+	 * OpenOffice.
+	 *
+	 * @type {RegExp}
+	 * @const
+	 */
+	var GENERATOR = /LibreOffice|OpenOffice/i;
+
+	/**
+	 * Classes which LibreOffice adds to paragraphs and headings for western,
+	 * asian and complex text layout.
+	 *
+	 * @type {string}
+	 * @const
+	 */
+	var SCRIPT_CLASSES = 'western cjk ctl';
+
+	/**
+	 * Checks whether the given content element originates from LibreOffice
+	 * or OpenOffice.
+	 *
+	 * @param {jQuery.<HTMLElement>} $content
+	 * @return {boolean} True if the content was copied from LibreOffice.
+	 */
+	function isLibreOfficeContent($content) {
+		var isGenerated = false;
+		$content.find('meta[name="generator"]').each(function () {
+			isGenerated = isGenerated || GENERATOR.test($(this).attr('content'));
+		});
+		return isGenerated
+		    || $content.find('p.western,p.cjk,p.ctl,h1.western,h2.western,h3.western').length > 0;
+	}
+
+	/**
+	 * Removes the document head and bookmarks, and the classes which only
+	 * select the script of a text.
+	 *
+	 * @param {jQuery.<HTMLElement>} $content
+	 */
+	function clean($content) {
+		$content.find('meta,title,style').remove();
+		$content.find('a').each(function () {
+			var $anchor = $(this);
+			if (!$anchor.attr('href')) {
+				if ($anchor.contents().length) {
+					$anchor.contents().unwrap();
+				} else {
+					$anchor.remove();
+				}
+			}
+		});
+		$content.find('.western,.cjk,.ctl').each(function () {
+			var $elem = $(this).removeClass(SCRIPT_CLASSES);
+			if (!$elem.attr('class')) {
+				$elem.removeAttr('class');
+			}
+		});
+	}
+
+	/**
+	 * LibreOffice wraps the contents of list items and table cells in
+	 * paragraphs, and describes column widths with col elements, which are
+	 * removed.
+	 *
+	 * @param {jQuery.<HTMLElement>} $content
+	 */
+	function transformBlocks($content) {
+		// Because nested lists are siblings of the list items they belong
+		// to, paragraphs must be unwrapped before the lists are nested
+		$content.find('li>p:only-child,td>p:only-child,th>p:only-child').each(function () {
+			$(this).contents().unwrap();
+		});
+		Utils.nestStrayLists($content);
+		$content.find('col,colgroup').remove();
+	}
+
+	/**
+	 * LibreOffice formats text with font elements and the styles of spans,
+	 * which are transformed into formatting elements.
+	 *
+	 * @param {jQuery.<HTMLElement>} $content
+	 */
+	function transformFormattings($content) {
+		$content.find('font,span').each(function () {
+			var $elem = $(this);
+			Utils.transformStyledFormattings($elem);
+			$elem.contents().unwrap();
+		});
+	}
+
+	var LibreOfficeContentHandler = Manager.createHandler({
+
+		/**
+		 * Handle content pasted from LibreOffice or OpenOffice.
+		 *
+		 * Transforms the font elements and style based formatting of
+		 * LibreOffice into semantic markup.
+		 *
+		 * @param {jQuery.<HTMLElement>|string} content
+		 * @return {string} Clean HTML
+		 */
+		handleContent: function (content) {
+			var $content = Utils.wrapContent(content);
+			if (!$content) {
+				return content;
+			}
+			if (isLibreOfficeContent($content)) {
+				this.transformLibreOfficeContent($content);
+			}
+			return $content.html();
+		},
+
+		/**
+		 * This is the main transformation method.
+		 *
+		 * @param {jQuery.<HTMLElement>} $content
+		 */
+		transformLibreOfficeContent: function ($content) {
+			clean($content);
+			Utils.transformTitles($content);
+			transformBlocks($content);
+			transformFormattings($content);
+		}
+	});
+
+	return LibreOfficeContentHandler;
+});
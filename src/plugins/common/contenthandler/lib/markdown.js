@@ -0,0 +1,708 @@
+/* markdown.js is part of the Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * Converts between Markdown and HTML.
+ *
+ * The supported syntax is the part of CommonMark which has an equivalent in
+ * editable content: headings, paragraphs, hard line breaks, block quotes,
+ * lists, code blocks, thematic breaks, emphasis, code spans, links and
+ * images, as well as tables and strikethrough as defined by GitHub Flavored
+ * Markdown.  HTML inside of Markdown is not interpreted but kept as text.
+ */
+define(['jquery'], function ($) {
+	'use strict';
+
+	/**
+	 * Separates placeholders for already converted parts of a line from the
+	 * rest of the text.
+	 *
+	 * @const
+	 * @type {string}
+	 */
+	var MARK = '\u0000';
+
+	var ESCAPED = /\\([!"#$%&'()*+,\-.\/:;<=>?@\[\\\]\^_`{|}~])/g;
+
+	var FENCE = /^( {0,3})(`{3,}|~{3,})[ \t]*([^`\s]*)[^`]*$/;
+	var ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+	var SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+	var THEMATIC_BREAK = /^ {0,3}([\-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+	var BLOCKQUOTE = /^ {0,3}> ?/;
+	var LIST_ITEM = /^( {0,3})([\-*+]|(\d{1,9})[.)])([ \t]+|$)/;
+	var INDENTED_CODE = /^(?: {4}|\t)/;
+	var TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+
+	/**
+	 * Elements which are written as blocks of Markdown.
+	 *
+	 * @const
+	 * @type {object<string, boolean>}
+	 */
+	var BLOCK_ELEMENTS = {
+		ADDRESS: true, ARTICLE: true, ASIDE: true, BLOCKQUOTE: true,
+		DD: true, DIV: true, DL: true, DT: true, FIELDSET: true,
+		FIGCAPTION: true, FIGURE: true, FOOTER: true, FORM: true,
+		H1: true, H2: true, H3: true, H4: true, H5: true, H6: true,
+		HEADER: true, HR: true, LI: true, MAIN: true, NAV: true, OL: true,
+		P: true, PRE: true, SECTION: true, TABLE: true, UL: true
+	};
+
+	function repeat(str, count) {
+		return new Array(count + 1).join(str);
+	}
+
+	function escapeHtml(text) {
+		return text.replace(/&/g, '&amp;')
+		           .replace(/</g, '&lt;')
+		           .replace(/>/g, '&gt;')
+		           .replace(/"/g, '&quot;');
+	}
+
+	/**
+	 * Removes URLs which would execute script when followed.
+	 *
+	 * @param {string} url
+	 * @return {string}
+	 */
+	function safeUrl(url) {
+		return (/^\s*(javascript|vbscript|data):/i).test(url) ? '' : url;
+	}
+
+	/**
+	 * Converts the inline syntax of the given text to HTML.
+	 *
+	 * Parts which must not be converted any further, like code spans and
+	 * links, are replaced by placeholders which point into `store`.
+	 *
+	 * @param {string} text
+	 * @param {Array.<string>} store
+	 * @return {string}
+	 */
+	function inlineToHtml(text, store) {
+		function keep(html) {
+			store.push(html);
+			return MARK + (store.length - 1) + MARK;
+		}
+		text = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, function (match, ticks, code) {
+			code = code.replace(/\n/g, ' ');
+			if (/^ [\s\S]* $/.test(code) && /[^ ]/.test(code)) {
+				code = code.slice(1, -1);
+			}
+			return keep('<code>' + escapeHtml(code) + '</code>');
+		});
+		text = text.replace(/(?: {2,}|\\)\n/g, function () {
+			return keep('<br>');
+		});
+		text = text.replace(ESCAPED, function (match, chr) {
+			return keep(escapeHtml(chr));
+		});
+		text = text.replace(/<((?:https?|ftp):\/\/[^\s<>]+|mailto:[^\s<>]+)>/gi, function (match, url) {
+			return keep('<a href="' + escapeHtml(url) + '">' + escapeHtml(url) + '</a>');
+		});
+		text = text.replace(/!\[([^\]]*)\]\(\s*<?([^\s)>]*)>?(?:\s+"([^"]*)")?\s*\)/g, function (match, alt, src, title) {
+			return keep('<img src="' + escapeHtml(safeUrl(src)) + '" alt="' + escapeHtml(alt) + '"'
+				+ (title ? ' title="' + escapeHtml(title) + '"' : '') + '>');
+		});
+		text = text.replace(/\[([^\]]+)\]\(\s*<?([^\s)>]*)>?(?:\s+"([^"]*)")?\s*\)/g, function (match, label, href, title) {
+			return keep('<a href="' + escapeHtml(safeUrl(href)) + '"'
+				+ (title ? ' title="' + escapeHtml(title) + '"' : '') + '>'
+				+ inlineToHtml(label, store) + '</a>');
+		});
+		return escapeHtml(text)
+			.replace(/\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g, '<em><strong>$1</strong></em>')
+			.replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+			.replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+			.replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, '<em>$1</em>')
+			.replace(/(^|[^\w])_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+			.replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+	}
+
+	/**
+	 * Replaces the placeholders created by inlineToHtml().
+	 *
+	 * @param {string} html
+	 * @param {Array.<string>} store
+	 * @return {string}
+	 */
+	function restore(html, store) {
+		var placeholder = new RegExp(MARK + '(\\d+)' + MARK, 'g');
+		var replace = function (match, index) {
+			return store[index];
+		};
+		while (placeholder.test(html)) {
+			html = html.replace(placeholder, replace);
+		}
+		return html;
+	}
+
+	function inline(text) {
+		var store = [];
+		return restore(inlineToHtml(text, store), store);
+	}
+
+	/**
+	 * Splits a row of a table into the text of its cells.
+	 *
+	 * @param {string} line
+	 * @return {Array.<string>}
+	 */
+	function splitRow(line) {
+		var cells = [];
+		var cell = '';
+		var i;
+		line = $.trim(line).replace(/^\|/, '');
+		for (i = 0; i < line.length; i++) {
+			if ('\\' === line.charAt(i) && '|' === line.charAt(i + 1)) {
+				cell += '|';
+				i++;
+			} else if ('|' === line.charAt(i)) {
+				cells.push($.trim(cell));
+				cell = '';
+			} else {
+				cell += line.charAt(i);
+			}
+		}
+		if ($.trim(cell)) {
+			cells.push($.trim(cell));
+		}
+		return cells;
+	}
+
+	function alignmentOf(delimiter) {
+		var left = ':' === delimiter.charAt(0);
+		var right = ':' === delimiter.charAt(delimiter.length - 1);
+		return left && right ? 'center' : right ? 'right' : left ? 'left' : null;
+	}
+
+	function tableRow(cells, nodeName, alignments) {
+		var html = '<tr>';
+		var i;
+		for (i = 0; i < alignments.length; i++) {
+			html += '<' + nodeName
+			      + (alignments[i] ? ' style="text-align: ' + alignments[i] + '"' : '')
+			      + '>' + inline(cells[i] || '') + '</' + nodeName + '>';
+		}
+		return html + '</tr>';
+	}
+
+	function isTableStart(lines, i) {
+		return lines[i].indexOf('|') > -1
+		    && i + 1 < lines.length
+		    && TABLE_DELIMITER.test(lines[i + 1])
+		    && lines[i + 1].indexOf('-') > -1
+		    && splitRow(lines[i]).length === splitRow(lines[i + 1]).length;
+	}
+
+	function isBlank(line) {
+		return !/\S/.test(line);
+	}
+
+	/**
+	 * Removes up to the given number of columns of indentation from a line.
+	 */
+	function outdent(line, columns) {
+		var i = 0;
+		while (i < columns && ' ' === line.charAt(i)) {
+			i++;
+		}
+		if (i < columns && '\t' === line.charAt(i)) {
+			i++;
+		}
+		return line.slice(i);
+	}
+
+	/**
+	 * Checks whether the given line starts a block other than a paragraph,
+	 * and therefore ends a preceding paragraph.
+	 */
+	function interruptsParagraph(line) {
+		return FENCE.test(line)
+		    || ATX_HEADING.test(line)
+		    || THEMATIC_BREAK.test(line)
+		    || BLOCKQUOTE.test(line)
+		    || LIST_ITEM.test(line);
+	}
+
+	/**
+	 * Converts the lines of a list, starting with the item at `start`.
+	 *
+	 * @return {object} {html, end} where end is the index of the first line
+	 *                  after the list.
+	 */
+	function parseList(lines, start) {
+		var first = LIST_ITEM.exec(lines[start]);
+		var ordered = !!first[3];
+		var marker = ordered ? first[2].slice(-1) : first[2];
+		var items = [];
+		var loose = false;
+		var i = start;
+		var match, item, indent, pendingBlank;
+
+		while (i < lines.length) {
+			match = LIST_ITEM.exec(lines[i]);
+			if (!match || (ordered ? match[2].slice(-1) !== marker || !match[3] : match[2] !== marker)
+					|| THEMATIC_BREAK.test(lines[i])) {
+				break;
+			}
+			if (pendingBlank) {
+				loose = true;
+			}
+			indent = match[1].length + match[2].length
+			       + (match[4].length > 4 || !match[4].length ? 1 : match[4].length);
+			item = [lines[i].slice(match[0].length)];
+			pendingBlank = false;
+			i++;
+			while (i < lines.length) {
+				if (isBlank(lines[i])) {
+					pendingBlank = true;
+					item.push('');
+				} else if (/^ */.exec(lines[i])[0].length >= indent) {
+					if (pendingBlank && item.length > 1) {
+						loose = true;
+					}
+					pendingBlank = false;
+					item.push(outdent(lines[i], indent));
+				} else if (!pendingBlank && !interruptsParagraph(lines[i])) {
+					item.push(lines[i]);
+				} else {
+					break;
+				}
+				i++;
+			}
+			while (item.length && isBlank(item[item.length - 1])) {
+				item.pop();
+			}
+			items.push(item);
+		}
+
+		var html = ordered
+		         ? ('1' === String(parseInt(first[3], 10)) ? '<ol>' : '<ol start="' + parseInt(first[3], 10) + '">')
+		         : '<ul>';
+		$.each(items, function (index, lines) {
+			html += '<li>' + parseBlocks(lines, !loose) + '</li>';
+		});
+		return {
+			html: html + (ordered ? '</ol>' : '</ul>'),
+			end: i
+		};
+	}
+
+	/**
+	 * Converts lines of Markdown into HTML.
+	 *
+	 * @param {Array.<string>} lines
+	 * @param {boolean} tight
+	 *        Whether paragraphs are written without <p> elements, as in the
+	 *        items of tight lists.
+	 * @return {string}
+	 */
+	function parseBlocks(lines, tight) {
+		var html = '';
+		var paragraph = [];
+		var i = 0;
+		var line, match, level, fence, indent, code, quote, list, alignments;
+
+		function closeParagraph() {
+			if (paragraph.length) {
+				var text = inline(paragraph.join('\n').replace(/\s+$/, ''));
+				html += tight ? text : '<p>' + text + '</p>';
+				paragraph = [];
+			}
+		}
+
+		while (i < lines.length) {
+			line = lines[i];
+
+			if (isBlank(line)) {
+				closeParagraph();
+				i++;
+				continue;
+			}
+
+			if (paragraph.length && (match = SETEXT_UNDERLINE.exec(line))) {
+				level = '=' === match[1].charAt(0) ? 1 : 2;
+				html += '<h' + level + '>'
+				      + inline(paragraph.join('\n').replace(/\s+$/, ''))
+				      + '</h' + level + '>';
+				paragraph = [];
+				i++;
+				continue;
+			}
+
+			match = FENCE.exec(line);
+			if (match) {
+				closeParagraph();
+				indent = match[1].length;
+				fence = new RegExp('^ {0,3}' + match[2].charAt(0) + '{' + match[2].length + ',}[ \\t]*$');
+				code = [];
+				for (i++; i < lines.length && !fence.test(lines[i]); i++) {
+					code.push(outdent(lines[i], indent));
+				}
+				html += '<pre><code'
+				      + (match[3] ? ' class="language-' + escapeHtml(match[3]) + '"' : '')
+				      + '>' + escapeHtml(code.join('\n')) + '</code></pre>';
+				i++;
+				continue;
+			}
+
+			match = ATX_HEADING.exec(line);
+			if (match) {
+				closeParagraph();
+				level = match[1].length;
+				html += '<h' + level + '>' + inline(match[2] || '') + '</h' + level + '>';
+				i++;
+				continue;
+			}
+
+			if (THEMATIC_BREAK.test(line)) {
+				closeParagraph();
+				html += '<hr>';
+				i++;
+				continue;
+			}
+
+			if (BLOCKQUOTE.test(line)) {
+				closeParagraph();
+				quote = [];
+				while (i < lines.length && !isBlank(lines[i])) {
+					quote.push(lines[i].replace(BLOCKQUOTE, ''));
+					i++;
+				}
+				html += '<blockquote>' + parseBlocks(quote, false) + '</blockquote>';
+				continue;
+			}
+
+			if (!paragraph.length && isTableStart(lines, i)) {
+				// Because $.map() would drop columns without alignment
+				alignments = [];
+				$.each(splitRow(lines[i + 1]), function (index, delimiter) {
+					alignments.push(alignmentOf(delimiter));
+				});
+				html += '<table><thead>'
+				      + tableRow(splitRow(line), 'th', alignments)
+				      + '</thead><tbody>';
+				for (i += 2; i < lines.length && !isBlank(lines[i]) && lines[i].indexOf('|') > -1; i++) {
+					html += tableRow(splitRow(lines[i]), 'td', alignments);
+				}
+				html += '</tbody></table>';
+				continue;
+			}
+
+			match = LIST_ITEM.exec(line);
+			// Because only lists which start with 1 may interrupt a paragraph
+			if (match && (!paragraph.length || !match[3] || '1' === match[3])) {
+				closeParagraph();
+				list = parseList(lines, i);
+				html += list.html;
+				i = list.end;
+				continue;
+			}
+
+			if (!paragraph.length && INDENTED_CODE.test(line)) {
+				code = [];
+				while (i < lines.length && (isBlank(lines[i]) || INDENTED_CODE.test(lines[i]))) {
+					code.push(outdent(lines[i], 4));
+					i++;
+				}
+				while (isBlank(code[code.length - 1])) {
+					code.pop();
+				}
+				html += '<pre><code>' + escapeHtml(code.join('\n')) + '</code></pre>';
+				continue;
+			}
+
+			paragraph.push(line.replace(/^[ \t]+/, ''));
+			i++;
+		}
+
+		closeParagraph();
+		return html;
+	}
+
+	/**
+	 * Converts Markdown to HTML.
+	 *
+	 * @param {string} markdown
+	 * @return {string}
+	 */
+	function toHtml(markdown) {
+		return parseBlocks(markdown.replace(/\r\n?/g, '\n').split('\n'), false);
+	}
+
+	/**
+	 * Escapes characters in the given text which would otherwise be read as
+	 * Markdown syntax.
+	 *
+	 * @param {string} text
+	 * @return {string}
+	 */
+	function escapeMarkdown(text) {
+		return text.replace(/[\\`*_\[\]<~]/g, function (chr, offset) {
+			var before = text.charAt(offset - 1);
+			var after = text.charAt(offset + 1);
+			if ('_' === chr && /\w/.test(before) && /\w/.test(after)) {
+				return chr;
+			}
+			if ('~' === chr && '~' !== before && '~' !== after) {
+				return chr;
+			}
+			return '\\' + chr;
+		});
+	}
+
+	/**
+	 * Wraps Markdown in the given delimiter, moving surrounding whitespace
+	 * outside of it, as emphasis must not start or end with whitespace.
+	 */
+	function delimit(markdown, delimiter) {
+		var match = /^(\s*)([\s\S]*?)(\s*)$/.exec(markdown);
+		return match[2]
+		     ? match[1] + delimiter + match[2] + delimiter + match[3]
+		     : markdown;
+	}
+
+	function codeSpan(code) {
+		var longest = 0;
+		code.replace(/`+/g, function (ticks) {
+			longest = Math.max(longest, ticks.length);
+		});
+		var ticks = repeat('`', longest + 1);
+		var padding = /^`|`$/.test(code) ? ' ' : '';
+		return ticks + padding + code + padding + ticks;
+	}
+
+	function destination(url, title) {
+		return '(' + (/[\s()]/.test(url) ? '<' + url + '>' : url)
+		     + (title ? ' "' + title.replace(/"/g, '\\"') + '"' : '')
+		     + ')';
+	}
+
+	/**
+	 * Converts inline nodes to Markdown.
+	 *
+	 * @param {Array.<Node>} nodes
+	 * @return {string}
+	 */
+	function inlineOf(nodes) {
+		var markdown = '';
+		$.each(nodes, function (i, node) {
+			if (3 === node.nodeType) {
+				markdown += escapeMarkdown(node.data.replace(/[ \t\r\n]+/g, ' '));
+				return;
+			}
+			if (1 !== node.nodeType) {
+				return;
+			}
+			var contents = function () {
+				return inlineOf(node.childNodes);
+			};
+			switch (node.nodeName) {
+			case 'BR':
+				markdown += '\\\n';
+				break;
+			case 'B':
+			case 'STRONG':
+				markdown += delimit(contents(), '**');
+				break;
+			case 'I':
+			case 'EM':
+				markdown += delimit(contents(), '_');
+				break;
+			case 'DEL':
+			case 'S':
+			case 'STRIKE':
+				markdown += delimit(contents(), '~~');
+				break;
+			case 'CODE':
+				markdown += codeSpan($(node).text());
+				break;
+			case 'A':
+				markdown += node.getAttribute('href')
+				          ? '[' + contents() + ']' + destination(node.getAttribute('href'), node.getAttribute('title'))
+				          : contents();
+				break;
+			case 'IMG':
+				markdown += '![' + escapeMarkdown(node.getAttribute('alt') || '') + ']'
+				          + destination(node.getAttribute('src') || '', node.getAttribute('title'));
+				break;
+			default:
+				markdown += contents();
+			}
+		});
+		return markdown;
+	}
+
+	/**
+	 * Prefixes each line of the given Markdown.
+	 *
+	 * @param {string} markdown
+	 * @param {string} first Prefix of the first line.
+	 * @param {string} rest Prefix of the following lines.
+	 * @return {string}
+	 */
+	function prefixLines(markdown, first, rest) {
+		return $.map(markdown.split('\n'), function (line, i) {
+			return 0 === i ? first + line : (line ? rest + line : $.trim(rest));
+		}).join('\n');
+	}
+
+	function listOf(list) {
+		var ordered = 'OL' === list.nodeName;
+		var number = (ordered && parseInt(list.getAttribute('start'), 10)) || 1;
+		var items = $(list).children('li');
+		var loose = items.children('p').length > 0;
+		return $.map(items, function (item) {
+			var marker = ordered ? (number++) + '. ' : '- ';
+			var markdown = blocksOf(item.childNodes).join(loose ? '\n\n' : '\n');
+			return prefixLines(markdown, marker, repeat(' ', marker.length));
+		}).join(loose ? '\n\n' : '\n');
+	}
+
+	function tableOf(table) {
+		var rows = $.makeArray(table.rows);
+		var cells = [];
+		var complex = !rows.length;
+		$.each(rows, function (i, row) {
+			cells.push($.map(row.cells, function (cell) {
+				var blocks = blocksOf(cell.childNodes);
+				if (cell.colSpan > 1 || cell.rowSpan > 1 || blocks.length > 1) {
+					complex = true;
+				}
+				return (blocks[0] || '').replace(/\\\n/g, ' ').replace(/\|/g, '\\|');
+			}));
+			if (row.cells.length !== rows[0].cells.length) {
+				complex = true;
+			}
+		});
+		// Because Markdown tables can't merge cells, such tables are written
+		// as HTML
+		if (complex) {
+			return table.outerHTML;
+		}
+		var delimiters = $.map(rows[0].cells, function (cell) {
+			var align = cell.style.textAlign || cell.getAttribute('align');
+			return 'center' === align ? ':---:'
+			     : 'right' === align ? '---:'
+			     : 'left' === align ? ':---'
+			     : '---';
+		});
+		cells.splice(1, 0, delimiters);
+		return $.map(cells, function (row) {
+			return '| ' + row.join(' | ') + ' |';
+		}).join('\n');
+	}
+
+	function preOf(pre) {
+		var code = $(pre).text().replace(/\n$/, '');
+		var language = /(?:^|\s)language-(\S+)/.exec($(pre).children('code').attr('class') || '');
+		var longest = 2;
+		code.replace(/^`{3,}/gm, function (ticks) {
+			longest = Math.max(longest, ticks.length);
+		});
+		var fence = repeat('`', longest + 1);
+		return fence + (language ? language[1] : '') + '\n' + code + '\n' + fence;
+	}
+
+	/**
+	 * Converts a block element to Markdown.
+	 *
+	 * @param {HTMLElement} element
+	 * @return {string}
+	 */
+	function blockOf(element) {
+		var markdown;
+		switch (element.nodeName) {
+		case 'H1':
+		case 'H2':
+		case 'H3':
+		case 'H4':
+		case 'H5':
+		case 'H6':
+			markdown = $.trim(inlineOf(element.childNodes).replace(/\\\n/g, ' '));
+			return markdown && repeat('#', parseInt(element.nodeName.charAt(1), 10)) + ' ' + markdown;
+		case 'P':
+			return paragraphOf(element.childNodes);
+		case 'HR':
+			return '---';
+		case 'PRE':
+			return preOf(element);
+		case 'BLOCKQUOTE':
+			markdown = blocksOf(element.childNodes).join('\n\n');
+			return markdown && prefixLines(markdown, '> ', '> ');
+		case 'UL':
+		case 'OL':
+			return listOf(element);
+		case 'TABLE':
+			return tableOf(element);
+		default:
+			return blocksOf(element.childNodes).join('\n\n');
+		}
+	}
+
+	/**
+	 * Converts inline nodes into a paragraph of Markdown.
+	 *
+	 * @param {Array.<Node>} nodes
+	 * @return {string}
+	 */
+	function paragraphOf(nodes) {
+		var markdown = $.trim(inlineOf(nodes).replace(/ *\\\n */g, '\\\n'))
+			.replace(/^\\\n|\\\n$/g, '');
+		// Because text at the beginning of a line that looks like the start
+		// of a block must not be read as such
+		return markdown.replace(/^(#{1,6}(?=\s|$)|[>+\-](?=\s)|=+$)/gm, '\\$1')
+		               .replace(/^(\d+)([.)]\s)/gm, '$1\\$2');
+	}
+
+	/**
+	 * Converts a list of nodes into blocks of Markdown.  Consecutive inline
+	 * nodes form a paragraph.
+	 *
+	 * @param {Array.<Node>} nodes
+	 * @return {Array.<string>}
+	 */
+	function blocksOf(nodes) {
+		var blocks = [];
+		var run = [];
+		var flush = function () {
+			var markdown = paragraphOf(run);
+			if (markdown) {
+				blocks.push(markdown);
+			}
+			run = [];
+		};
+		$.each(nodes, function (i, node) {
+			if (1 === node.nodeType && BLOCK_ELEMENTS[node.nodeName]) {
+				flush();
+				var markdown = blockOf(node);
+				if (markdown) {
+					blocks.push(markdown);
+				}
+			} else {
+				run.push(node);
+			}
+		});
+		flush();
+		return blocks;
+	}
+
+	/**
+	 * Converts the contents of the given element to Markdown.
+	 *
+	 * @param {HTMLElement} element
+	 * @return {string}
+	 */
+	function toMarkdown(element) {
+		return blocksOf(element.childNodes).join('\n\n');
+	}
+
+	return {
+		toHtml: toHtml,
+		toMarkdown: toMarkdown
+	};
+});
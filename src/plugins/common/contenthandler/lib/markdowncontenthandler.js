@@ -0,0 +1,169 @@
+/* markdowncontenthandler.js is part of the Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * Converts pasted Markdown into HTML, and serializes the contents of
+ * editables which are configured for it as Markdown.
+ *
+ * Configured with Aloha.settings.contentHandler.handler.markdown:
+ *
+ *     convert   - true (default), false, or a selector of the editables in
+ *                 which pasted Markdown is converted
+ *     serialize - selector of the editables whose getContents() returns
+ *                 Markdown
+ */
+define([
+	'jquery',
+	'aloha',
+	'aloha/contenthandlermanager',
+	'aloha/content-rules',
+	'util/contenthandler',
+	'contenthandler/markdown'
+], function (
+	$,
+	Aloha,
+	Manager,
+	ContentRules,
+	Utils,
+	Markdown
+) {
+	'use strict';
+
+	/**
+	 * Syntax that is unlikely to appear in text which isn't Markdown.
+	 *
+	 * @const
+	 * @type {Array.<RegExp>}
+	 */
+	var MARKDOWN_SYNTAX = [
+		/^ {0,3}#{1,6}[ \t]+\S/m,
+		/^ {0,3}(```|~~~)/m,
+		/^ {0,3}>[ \t]?\S/m,
+		/^ {0,3}([\-*+]|\d{1,9}[.)])[ \t]+\S[^\n]*\n {0,3}([\-*+]|\d{1,9}[.)])[ \t]+\S/m,
+		/^[^\n]*\|[^\n]*\n {0,3}\|?[ \t]*:?-+:?[ \t]*\|/m,
+		/\*\*\S([^\n]*?\S)?\*\*/,
+		/(^|[^\w])_\S([^\n]*?\S)?_(?!\w)/,
+		/`[^`\n]+`/,
+		/!?\[[^\]\n]+\]\([^)\s]+\)/
+	];
+
+	function getSettings() {
+		var handler = Aloha.settings.contentHandler.handler;
+		return (handler && handler.markdown) || {};
+	}
+
+	/**
+	 * Checks whether a setting which is either a boolean or a selector of
+	 * editables applies to the given editable.
+	 *
+	 * @param {boolean|string|undefined} setting
+	 * @param {Aloha.Editable} editable
+	 * @param {boolean} defaultValue Used if the setting is undefined.
+	 * @return {boolean}
+	 */
+	function appliesTo(setting, editable, defaultValue) {
+		if (typeof setting === 'undefined') {
+			return defaultValue;
+		}
+		if (typeof setting === 'string') {
+			return !!editable && editable.obj.is(setting);
+		}
+		return !!setting;
+	}
+
+	/**
+	 * Checks whether the given text uses any Markdown syntax.
+	 *
+	 * @param {string} text
+	 * @return {boolean}
+	 */
+	function isMarkdown(text) {
+		var i;
+		for (i = 0; i < MARKDOWN_SYNTAX.length; i++) {
+			if (MARKDOWN_SYNTAX[i].test(text)) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	var MarkdownContentHandler = Manager.createHandler({
+
+		/**
+		 * Converts inserted content to HTML if it is plain text written in
+		 * Markdown.  Elements which are not allowed in the editable by its
+		 * content rules are removed from the result.
+		 *
+		 * @param {string} content
+		 * @param {object} options
+		 * @param {Aloha.Editable} editable
+		 * @return {string}
+		 */
+		handleContent: function (content, options, editable) {
+			if (typeof content !== 'string') {
+				return content;
+			}
+			if (options && options.command && 'insertHtml' !== options.command) {
+				return content;
+			}
+			var text = Utils.plainTextOf(content);
+			var html = null === text ? null : this.convert(text, editable);
+			return null === html ? content : html;
+		},
+
+		/**
+		 * Converts the given plain text to HTML if it is written in Markdown
+		 * and pasted Markdown is converted in the given editable.
+		 *
+		 * Other handlers which convert plain text use this first, so that
+		 * Markdown is converted the same way regardless of the order of the
+		 * handlers.
+		 *
+		 * @param {string} text
+		 * @param {Aloha.Editable} editable
+		 * @return {?string} The HTML, or null if the text isn't converted.
+		 */
+		convert: function (text, editable) {
+			if (!appliesTo(getSettings().convert, editable, true) || !isMarkdown(text)) {
+				return null;
+			}
+			var html = Markdown.toHtml(text);
+			return editable ? ContentRules.applyRules(html, editable.obj[0]) : html;
+		},
+
+		/**
+		 * Checks whether the contents of the given editable are serialized as
+		 * Markdown.
+		 *
+		 * @param {Aloha.Editable} editable
+		 * @return {boolean}
+		 */
+		isMarkdownEditable: function (editable) {
+			return appliesTo(getSettings().serialize, editable, false);
+		},
+
+		/**
+		 * Wraps the given content serializer, so that the contents of
+		 * editables which are configured for it are serialized as Markdown.
+		 *
+		 * @param {function(HTMLElement, Aloha.Editable):string} serializer
+		 * @return {function(HTMLElement, Aloha.Editable):string}
+		 */
+		createSerializer: function (serializer) {
+			var handler = this;
+			return function (element, editable) {
+				return handler.isMarkdownEditable(editable)
+				     ? Markdown.toMarkdown(element)
+				     : serializer(element, editable);
+			};
+		},
+
+		isMarkdown: isMarkdown
+	});
+
+	return MarkdownContentHandler;
+});
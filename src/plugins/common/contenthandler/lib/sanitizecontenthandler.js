@@ -30,13 +30,12 @@ define([
 	'aloha/contenthandlermanager',
 	'aloha/plugin',
 	'aloha/console',
+	'contenthandler/sanitizepolicy',
 	'vendor/sanitize'
 ],
-function ( Aloha, jQuery, ContentHandlerManager, Plugin, console ) {
+function ( Aloha, jQuery, ContentHandlerManager, Plugin, console, SanitizePolicy ) {
 	"use strict";
-	
-	var sanitize;
-	
+
 	// predefined set of sanitize options if no dynamic or custom config is used
 	if( !Aloha.defaults.sanitize ) {
 		Aloha.defaults.sanitize = {};
@@ -110,41 +109,94 @@ function ( Aloha, jQuery, ContentHandlerManager, Plugin, console ) {
 		}
 	};
 
-	function initSanitize (configAllows) {
-		var 
-			filter = [ 'restricted', 'basic', 'relaxed' ],
-			config = Aloha.defaults.supports; // @TODO: needs to be implemented into all plugins
+	/**
+	 * Resolved policies by name.
+	 *
+	 * @type {object<string, object>}
+	 */
+	var resolvedPolicies = {};
 
-		// @TODO move to Aloha.settings.contentHandler.sanitize.allows ?
-		if (Aloha.settings.contentHandler.allows) {
-			config = Aloha.settings.contentHandler.allows;
-		}
+	/**
+	 * What was removed from the content which was sanitized last.
+	 *
+	 * @type {Array.<object>}
+	 */
+	var lastReport = [];
+
+	/**
+	 * Gets the predefined policies together with the ones from the settings.
+	 *
+	 * @return {object<string, object>}
+	 */
+	function getPolicies() {
+		return jQuery.extend(
+			{},
+			Aloha.defaults.sanitize,
+			Aloha.settings.contentHandler && Aloha.settings.contentHandler.sanitizePolicies
+		);
+	}
 
-		// @TODO think about Aloha.settings.contentHandler.sanitize name/options
-		if (typeof Aloha.settings.contentHandler.sanitize === 'string' &&
-			jQuery.inArray(Aloha.settings.contentHandler.sanitize, filter) > -1) {
-			config = Aloha.defaults.sanitize[Aloha.settings.contentHandler.sanitize];
-		} else if (typeof Aloha.settings.contentHandler.sanitize === 'object') {
-			config = Aloha.settings.contentHandler.sanitize;
-		} else if (!config) {
-			// use relaxed filter by default
-			config = Aloha.defaults.sanitize.relaxed;
+	/**
+	 * Resolves a policy, and caches it if it was given by name.
+	 *
+	 * @param {string|object} policy
+	 * @return {?object}
+	 */
+	function resolvePolicy(policy) {
+		if (typeof policy !== 'string') {
+			return SanitizePolicy.resolve(policy, getPolicies());
+		}
+		if (!resolvedPolicies[policy]) {
+			resolvedPolicies[policy] = SanitizePolicy.resolve(policy, getPolicies());
 		}
+		return resolvedPolicies[policy];
+	}
 
-		if (configAllows) {
-			config = configAllows;
+	/**
+	 * Gets the policy which is configured for all editables.
+	 *
+	 * @return {string|object}
+	 */
+	function getDefaultPolicy() {
+		var settings = Aloha.settings.contentHandler || {};
+		if (settings.sanitize && (typeof settings.sanitize === 'string' || typeof settings.sanitize === 'object')) {
+			return settings.sanitize;
 		}
+		// @TODO move to Aloha.settings.contentHandler.sanitize.allows ?
+		return settings.allows || 'relaxed';
+	}
 
-		// add a filter to stop cleaning elements with contentEditable "false"
-		config.filters = [function (elem) {
-			return elem.contentEditable != "false";
-		}];
-		sanitize = new Sanitize(config, jQuery);
+	/**
+	 * Gets the policy for the given editable.  Editables which match one of
+	 * the selectors in the handler settings use the policy that is
+	 * configured for the last of them.
+	 *
+	 * Content is sanitized with the restricted policy if the configured one
+	 * can't be resolved, rather than not being sanitized at all.
+	 *
+	 * @param {Aloha.Editable} editable
+	 * @return {object} The resolved policy.
+	 */
+	function getPolicy(editable) {
+		var policy = getDefaultPolicy();
+		var settings = Aloha.settings.contentHandler;
+		if (settings && settings.handler && settings.handler.sanitize) {
+			jQuery.each(settings.handler.sanitize, function (selector, editablePolicy) {
+				if (editable.obj.is(selector)) {
+					policy = editablePolicy;
+				}
+			});
+		}
+		return resolvePolicy(policy) || resolvePolicy('restricted');
 	}
 
 	var SanitizeContentHandler = ContentHandlerManager.createHandler({
 		/**
 		 * Handle the content from eg. paste action and sanitize the html
+		 *
+		 * Triggers "aloha-content-sanitized" with a report of what was
+		 * removed, if anything was.
+		 *
 		 * @param content
 		 */
 		handleContent: function (content, options, editable)  {
@@ -152,35 +204,18 @@ function ( Aloha, jQuery, ContentHandlerManager, Plugin, console ) {
 				return content;
 			}
 
-			var sanitizeConfig;
-			var contentHandlerConfig;
+			var policy = getPolicy(editable);
+			var report = [];
+			var sanitize;
 			var $content;
 
-			if (Aloha.settings.contentHandler &&
-			    Aloha.settings.contentHandler.handler &&
-			    Aloha.settings.contentHandler.handler.sanitize) {
-				// individual sanitize config per editable -- should support merging of configs from other plugins ...
-				if (Aloha.settings.contentHandler.handler.sanitize) {
-					contentHandlerConfig = Aloha.settings.contentHandler.handler.sanitize;
-				}
-				var containerId = contentHandlerConfig['#' + editable.getId()];
-				var containerClassAttr = editable.obj.attr('class');
-
-				if (typeof containerId !== 'undefined') {
-					sanitizeConfig = contentHandlerConfig;
-				} else if (typeof containerClassAttr !== 'undefined') {
-					var containerClasses = containerClassAttr.split(' ');
-					for (var i = 0; i < containerClasses.length; i++) {
-						if (typeof contentHandlerConfig['.' + containerClasses[i]] !== 'undefined') {
-							sanitizeConfig = contentHandlerConfig['.' + containerClasses[i]];
-						}
-					}
-				}
-			}
-
-			if ( typeof sanitize === 'undefined' || typeof sanitizeConfig !== 'undefined') {
-				initSanitize(sanitizeConfig);
-			}
+			sanitize = new Sanitize(jQuery.extend(true, {}, policy, {
+				// stop cleaning elements with contentEditable "false"
+				filters: [function (elem) {
+					return elem.contentEditable != "false";
+				}],
+				transformers: [SanitizePolicy.createTransformer(policy, report)]
+			}), jQuery);
 
 			if (typeof content === 'string') {
 				content = jQuery('<div>' + content + '</div>').get(0);
@@ -192,7 +227,33 @@ function ( Aloha, jQuery, ContentHandlerManager, Plugin, console ) {
 			//Postprocessing
 			$content = jQuery('<div>').append(content);
 			sanitizeLinktags($content);
+
+			lastReport = report;
+			if (report.length) {
+				Aloha.trigger('aloha-content-sanitized', {
+					editable: editable,
+					command: options && options.command,
+					policy: policy.name,
+					report: report
+				});
+			}
+
 			return $content.html();
+		},
+
+		/**
+		 * Gets what was removed from the content which was sanitized last.
+		 *
+		 * Every entry of the report has a type, which is one of "element",
+		 * "attribute", "protocol" and "style", and the name of the element.
+		 * Entries for attributes and URLs with disallowed protocols also
+		 * have the attribute and its value, entries for CSS declarations
+		 * their property and value.
+		 *
+		 * @return {Array.<object>}
+		 */
+		getReport: function () {
+			return lastReport;
 		}
 	});
 
@@ -0,0 +1,311 @@
+/* sanitizepolicy.js is part of Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * Policies of the sanitize content handler.
+ *
+ * A policy is a configuration of the Sanitize library, which may extend other
+ * policies by name, and may additionally restrict the CSS properties of style
+ * attributes:
+ *
+ * {
+ *     extend: ['basic'],
+ *     elements: ['span'],
+ *     attributes: {span: ['style'], __ALL__: ['lang']},
+ *     protocols: {a: {href: ['http', 'https']}},
+ *     styles: {span: ['color', 'text-decoration']},
+ *     urlProtocols: ['http', 'https', '__relative__']
+ * }
+ *
+ * URL attributes, for which no protocols are configured, only allow the
+ * protocols in urlProtocols.
+ *
+ * While the Sanitize library cleans content, the policy reports everything
+ * which it removes.
+ */
+define([
+	'jquery',
+	'aloha/console',
+	'vendor/sanitize'
+], function (
+	$,
+	Console
+) {
+	'use strict';
+
+	/**
+	 * Attributes whose values are URLs.
+	 *
+	 * @type {Array.<string>}
+	 * @const
+	 */
+	var URL_ATTRIBUTES = ['href', 'src', 'cite', 'action', 'formaction',
+	                      'poster', 'background', 'longdesc', 'usemap'];
+
+	/**
+	 * Protocols which URL attributes allow unless a policy configures others.
+	 *
+	 * @type {Array.<string>}
+	 * @const
+	 */
+	var DEFAULT_URL_PROTOCOLS = ['ftp', 'http', 'https', 'mailto', '__relative__'];
+
+	/**
+	 * Matches the declarations of a style attribute, with their property and
+	 * value.
+	 *
+	 * @type {RegExp}
+	 * @const
+	 */
+	var DECLARATION = /([^:;\s]+)\s*:\s*((?:[^;"'(]|"[^"]*"|'[^']*'|\([^)]*\))+)/g;
+
+	/**
+	 * Matches CSS values which execute script in some browsers.
+	 *
+	 * @type {RegExp}
+	 * @const
+	 */
+	var SCRIPTED_CSS = /expression\s*\(|javascript\s*:|vbscript\s*:|-moz-binding|behavior\s*:/i;
+
+	function union(a, b) {
+		var result = (a || []).slice();
+		$.each(b || [], function (i, item) {
+			if (-1 === $.inArray(item, result)) {
+				result.push(item);
+			}
+		});
+		return result;
+	}
+
+	function mergeLists(target, source) {
+		$.each(source || {}, function (key, list) {
+			target[key] = union(target[key], list);
+		});
+		return target;
+	}
+
+	/**
+	 * Adds everything which the source policy allows to the target policy.
+	 *
+	 * @param {object} target
+	 * @param {object} source
+	 */
+	function merge(target, source) {
+		target.elements = union(target.elements, source.elements);
+		mergeLists(target.attributes, source.attributes);
+		$.each(source.protocols || {}, function (element, attributes) {
+			target.protocols[element] = mergeLists(target.protocols[element] || {}, attributes);
+		});
+		$.each(source.add_attributes || {}, function (element, attributes) {
+			target.add_attributes[element] = $.extend({}, target.add_attributes[element], attributes);
+		});
+		if (source.styles) {
+			target.styles = mergeLists(target.styles || {}, source.styles);
+		}
+		if ($.isArray(source.remove_contents) && $.isArray(target.remove_contents)) {
+			target.remove_contents = union(target.remove_contents, source.remove_contents);
+		} else if (source.remove_contents) {
+			target.remove_contents = true;
+		}
+		if (typeof source.allow_comments !== 'undefined') {
+			target.allow_comments = source.allow_comments;
+		}
+		if (source.urlProtocols) {
+			target.urlProtocols = source.urlProtocols.slice();
+		}
+	}
+
+	/**
+	 * Restricts URL attributes without configured protocols to the URL
+	 * protocols of the policy, so that no policy allows "javascript:" links
+	 * by omission.
+	 *
+	 * @param {object} policy
+	 */
+	function protectUrls(policy) {
+		var restrict = function (element, attribute) {
+			policy.protocols[element] = policy.protocols[element] || {};
+			if (!policy.protocols[element][attribute]) {
+				policy.protocols[element][attribute] = policy.urlProtocols.slice();
+			}
+		};
+		$.each(policy.attributes, function (element, attributes) {
+			$.each(attributes, function (i, attribute) {
+				if (-1 === $.inArray(attribute.toLowerCase(), URL_ATTRIBUTES)) {
+					return;
+				}
+				if ('__ALL__' === element) {
+					$.each(policy.elements, function (j, name) {
+						restrict(name, attribute);
+					});
+				} else {
+					restrict(element, attribute);
+				}
+			});
+		});
+	}
+
+	/**
+	 * Resolves a policy, and the policies which it extends, into a single
+	 * configuration for the Sanitize library.
+	 *
+	 * @param {string|object} policy The name of a policy, or a policy.
+	 * @param {object<string, object>} policies Policies by name.
+	 * @param {Array.<string>=} extending Names of the policies which are
+	 *                                    being resolved, to detect cycles.
+	 * @return {?object} Null if the policy, or one it extends, is unknown.
+	 */
+	function resolve(policy, policies, extending) {
+		var name = typeof policy === 'string' ? policy : null;
+		var definition = name ? policies[name] : policy;
+		var resolved = {
+			name: name,
+			elements: [],
+			attributes: {},
+			protocols: {},
+			add_attributes: {},
+			remove_contents: ['script', 'style'],
+			urlProtocols: DEFAULT_URL_PROTOCOLS.slice()
+		};
+		var complete = true;
+		extending = extending || [];
+		if (!definition || -1 !== $.inArray(name, extending)) {
+			Console.error(
+				'contenthandler/sanitize',
+				definition ? 'Sanitize policy "' + name + '" extends itself.'
+				           : 'Unknown sanitize policy "' + name + '".'
+			);
+			return null;
+		}
+		$.each([].concat(definition.extend || []), function (i, base) {
+			var baseResolved = resolve(base, policies, extending.concat([name]));
+			if (baseResolved) {
+				merge(resolved, baseResolved);
+			} else {
+				complete = false;
+			}
+		});
+		if (!complete) {
+			return null;
+		}
+		merge(resolved, definition);
+		protectUrls(resolved);
+		return resolved;
+	}
+
+	/**
+	 * Checks whether a policy allows the given value of an attribute.
+	 *
+	 * Protocols are checked like the Sanitize library checks them.
+	 *
+	 * @param {Array.<string>} protocols
+	 * @param {string} value
+	 * @return {boolean}
+	 */
+	function isAllowedUrl(protocols, value) {
+		var match = value.toLowerCase().match(Sanitize.REGEX_PROTOCOL);
+		return -1 !== $.inArray(match ? match[1] : Sanitize.RELATIVE, protocols);
+	}
+
+	function allowedAttributes(policy, element) {
+		return $.map(union(policy.attributes[element], policy.attributes.__ALL__), function (attribute) {
+			return attribute.toLowerCase();
+		});
+	}
+
+	/**
+	 * Removes CSS declarations which the policy doesn't allow from a style
+	 * attribute.  Declarations which may execute script are always removed.
+	 *
+	 * @param {object} policy
+	 * @param {string} element
+	 * @param {string} style
+	 * @param {Array.<object>} report
+	 * @return {?string} The allowed declarations, or null if all of them
+	 *                   are allowed.
+	 */
+	function cleanStyle(policy, element, style, report) {
+		var allowed = policy.styles
+		            ? union(policy.styles[element], policy.styles.__ALL__)
+		            : null;
+		var kept = [];
+		var removed = false;
+		var match;
+		var urls;
+		var url;
+		var isAllowed;
+		DECLARATION.lastIndex = 0;
+		while (null !== (match = DECLARATION.exec(style))) {
+			var property = match[1].toLowerCase();
+			var value = $.trim(match[2]);
+			isAllowed = (!allowed || -1 !== $.inArray(property, allowed))
+			         && !SCRIPTED_CSS.test(value);
+			urls = /url\(\s*['"]?([^'")]*)/gi;
+			while (isAllowed && null !== (url = urls.exec(value))) {
+				isAllowed = isAllowedUrl(policy.urlProtocols, $.trim(url[1]));
+			}
+			if (isAllowed) {
+				kept.push(property + ': ' + value);
+			} else {
+				removed = true;
+				report.push({
+					type: 'style',
+					element: element,
+					property: property,
+					value: value
+				});
+			}
+		}
+		return removed ? kept.join('; ') : null;
+	}
+
+	/**
+	 * Creates a transformer for the Sanitize library, which reports what is
+	 * removed from the content, and cleans style attributes.
+	 *
+	 * @param {object} policy A resolved policy.
+	 * @param {Array.<object>} report Receives an entry for every element,
+	 *                                attribute and CSS declaration which is
+	 *                                removed.
+	 * @return {function(object):null}
+	 */
+	function createTransformer(policy, report) {
+		return function (input) {
+			var node = input.node;
+			var element = input.node_name;
+			if (!input.allowed_elements[element] && -1 === $.inArray(node, input.whitelist_nodes)) {
+				report.push({type: 'element', element: element});
+				return null;
+			}
+			var allowed = allowedAttributes(policy, element);
+			$.each($.makeArray(node.attributes), function (i, attr) {
+				var attribute = attr.nodeName.toLowerCase();
+				var value = attr.nodeValue;
+				var protocols = policy.protocols[element] && policy.protocols[element][attribute];
+				var style;
+				if (-1 === $.inArray(attribute, allowed)) {
+					report.push({type: 'attribute', element: element, attribute: attribute, value: value});
+				} else if (protocols && !isAllowedUrl(protocols, value)) {
+					report.push({type: 'protocol', element: element, attribute: attribute, value: value});
+				} else if ('style' === attribute) {
+					style = cleanStyle(policy, element, value, report);
+					if (style) {
+						node.setAttribute('style', style);
+					} else if (null !== style) {
+						node.removeAttribute('style');
+					}
+				}
+			});
+			return null;
+		};
+	}
+
+	return {
+		resolve: resolve,
+		createTransformer: createTransformer
+	};
+});
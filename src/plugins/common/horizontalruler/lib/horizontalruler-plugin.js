@@ -30,12 +30,27 @@ define([
 
 	var configurations = {};
 
-	function insertHR() {
-		if (Aloha.activeEditable) {
-			var range = Aloha.Selection.getRangeObject();
-			Dom.insertIntoDOM($('<hr>'), range, Aloha.activeEditable.obj, true);
-			range.select();
+	/**
+	 * Inserts a horizontal rule into the active editable, if horizontal
+	 * rules are enabled in it.
+	 *
+	 * @param {RangeObject=} range Where to insert the horizontal rule.
+	 *                             Defaults to the current selection.
+	 * @return {?jQuery.<HTMLElement>} The horizontal rule, or null if none
+	 *                                 was inserted.
+	 */
+	function insertHR(range) {
+		var editable = Aloha.activeEditable;
+		if (!editable || !configurations[editable.getId()]) {
+			return null;
 		}
+		var $hr = $('<hr>');
+		range = range || Aloha.Selection.getRangeObject();
+		if (false === Dom.insertIntoDOM($hr, range, editable.obj, true)) {
+			return null;
+		}
+		range.select();
+		return $hr;
 	}
 
 	var button = Ui.adopt('insertHorizontalRule', Button, {
@@ -43,7 +58,9 @@ define([
 		iconOnly: true,
 		icon: 'aloha-icon-horizontalruler',
 		scope: 'Aloha.continuoustext',
-		click: insertHR
+		click: function () {
+			insertHR();
+		}
 	});
 
 	return Plugin.create('horizontalruler', {
@@ -54,6 +71,15 @@ define([
 
 		config: ['hr'],
 
+		/**
+		 * Inserts a horizontal rule into the active editable.
+		 *
+		 * @param {RangeObject=} range Defaults to the current selection.
+		 * @return {?jQuery.<HTMLElement>} The horizontal rule, or null if
+		 *                                 the editable doesn't allow them.
+		 */
+		insertHr: insertHR,
+
 		init: function () {
 			var plugin = this;
 
@@ -1223,6 +1223,34 @@ define([
 			}
 		},
 
+		/**
+		 * Creates a link with the title, target and class which are
+		 * configured for its href, like they are set when a link is edited.
+		 *
+		 * Used to create links which are not inserted through the link
+		 * field, e.g. for URLs in pasted text.
+		 *
+		 * @param {string} href
+		 * @param {string} text
+		 * @return {jQuery.<HTMLElement>} The new link.
+		 */
+		createLink: function (href, text) {
+			var $link = jQuery('<a>').attr('href', href).text(text);
+			var matches = function (regex) {
+				return !regex || null !== href.match(new RegExp(regex));
+			};
+			if (this.title && matches(this.titleregex)) {
+				$link.attr('title', this.title);
+			}
+			if (this.target && matches(this.targetregex)) {
+				$link.attr('target', this.target);
+			}
+			if (null != this.cssclassregex && this.cssclass && matches(this.cssclassregex)) {
+				$link.addClass(this.cssclass);
+			}
+			return $link;
+		},
+
 		/**
 		 * Updates the link object depending on the src field
 		 */
@@ -0,0 +1,277 @@
+/* image-upload.js is part of Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * Uploads images which are embedded into pasted content as data URIs or
+ * blob references, and replaces them with the URLs of the uploaded files.
+ *
+ * Since the content handlers do not allow such sources, the images are
+ * taken out of the pasted content before it is handled, and are replaced by
+ * placeholders which refer to them.  The placeholders are part of the
+ * contents of the editable until the uploads, which are done by the
+ * repository of the draganddropfiles plugin, have finished.
+ */
+define([
+	'jquery',
+	'aloha/core',
+	'aloha/ephemera',
+	'aloha/console'
+], function (
+	$,
+	Aloha,
+	Ephemera,
+	Console
+) {
+	'use strict';
+
+	/**
+	 * Matches images which are embedded into the content.
+	 *
+	 * @type {string}
+	 * @const
+	 */
+	var EMBEDDED_IMAGES = 'img[src^="data:image/"],img[src^="blob:"]';
+
+	/**
+	 * Class of the placeholders of images which are being uploaded.
+	 *
+	 * @type {string}
+	 * @const
+	 */
+	var UPLOADING_CLASS = 'aloha-image-uploading';
+
+	/**
+	 * Prefix of the sources of placeholders, which is followed by a number.
+	 * The sources are relative URLs, which every content handler allows.
+	 *
+	 * @type {string}
+	 * @const
+	 */
+	var PLACEHOLDER = '#aloha-pasted-image-';
+
+	/**
+	 * Sources of the images which were taken out of pasted content, by the
+	 * sources of their placeholders.
+	 *
+	 * @type {object<string, string>}
+	 */
+	var extracted = {};
+
+	/**
+	 * Images which are being uploaded, by the id of their upload file.
+	 *
+	 * @type {object<string, object>}
+	 */
+	var uploads = {};
+
+	/**
+	 * Used to give every pasted image a unique file name.
+	 *
+	 * @type {number}
+	 */
+	var counter = 0;
+
+	/**
+	 * Finds the embedded images in the given element which are not yet being
+	 * uploaded.
+	 *
+	 * @param {jQuery.<HTMLElement>} $element
+	 * @return {jQuery.<HTMLElement>}
+	 */
+	function find($element) {
+		return $element.find(EMBEDDED_IMAGES).not('.' + UPLOADING_CLASS);
+	}
+
+	/**
+	 * Gets the draganddropfiles plugin, whose uploader uploads the images.
+	 *
+	 * @return {?Plugin}
+	 */
+	function getPlugin() {
+		if (!Aloha.isPluginLoaded('draganddropfiles')) {
+			Console.warn(
+				'Common.Paste',
+				'Uploading pasted images requires the plugin "extra/draganddropfiles".'
+			);
+			return null;
+		}
+		return Aloha.require('draganddropfiles/draganddropfiles-plugin');
+	}
+
+	/**
+	 * Replaces the embedded images in pasted content with placeholders,
+	 * which are uploaded by upload() once the content has been inserted.
+	 * Nothing is replaced if the images can not be uploaded.
+	 *
+	 * @param {jQuery.<HTMLElement>} $content A container with the content.
+	 * @return {number} The number of images which were replaced.
+	 */
+	function extract($content) {
+		var $images = find($content);
+		if (!$images.length || !getPlugin()) {
+			return 0;
+		}
+		$images.each(function () {
+			var src = PLACEHOLDER + (++counter);
+			extracted[src] = this.getAttribute('src');
+			this.setAttribute('src', src);
+		});
+		return $images.length;
+	}
+
+	/**
+	 * Reads the source of an image as data URI.
+	 *
+	 * @param {string} src A data URI or a blob reference.
+	 * @param {function(?string)} callback Receives the data URI, or null if
+	 *                                     the source could not be read.
+	 */
+	function readAsDataUrl(src, callback) {
+		if (0 === src.indexOf('data:')) {
+			callback(src);
+			return;
+		}
+		var xhr = new XMLHttpRequest();
+		xhr.open('GET', src, true);
+		xhr.responseType = 'blob';
+		xhr.onload = function () {
+			var reader = new FileReader();
+			reader.onloadend = function () {
+				callback(reader.result || null);
+			};
+			reader.readAsDataURL(xhr.response);
+		};
+		xhr.onerror = function () {
+			callback(null);
+		};
+		xhr.send();
+	}
+
+	/**
+	 * Makes the file which the upload repository expects from an image.
+	 * Like a dropped file, it is a File (or a Blob in browsers which can not
+	 * construct files), which carries the data URI and the properties the
+	 * repository reads besides.
+	 *
+	 * @param {string} dataUrl
+	 * @return {Blob}
+	 */
+	function fileOf(dataUrl) {
+		var comma = dataUrl.indexOf(',');
+		var type = dataUrl.substring(5, dataUrl.search(/[;,]/));
+		var data = dataUrl.substring(comma + 1);
+		var name = 'pasted-image-' + (new Date()).getTime() + '-' + (++counter)
+		         + '.' + (type.split('/')[1] || 'png').replace('jpeg', 'jpg').replace(/\+.*/, '');
+		var parts, binary, bytes, i, file;
+		if (/;base64$/.test(dataUrl.substring(0, comma))) {
+			binary = window.atob(data);
+			bytes = new Uint8Array(binary.length);
+			for (i = 0; i < binary.length; i++) {
+				bytes[i] = binary.charCodeAt(i);
+			}
+			parts = [bytes];
+		} else {
+			parts = [decodeURIComponent(data)];
+		}
+		try {
+			file = new window.File(parts, name, {type: type});
+		} catch (e) {
+			file = new window.Blob(parts, {type: type});
+			file.name = name;
+		}
+		file.fileName = name;
+		file.fileSize = file.size;
+		file.data = dataUrl;
+		return file;
+	}
+
+	/**
+	 * Replaces the source of the placeholder of an uploaded image with the
+	 * new location of the image, or removes it if the upload failed.
+	 *
+	 * @param {object} file The upload file of the repository.
+	 * @param {boolean} success
+	 */
+	function finish(file, success) {
+		var upload = uploads[file.id];
+		if (!upload || upload.file !== file) {
+			return;
+		}
+		delete uploads[file.id];
+		var $img = upload.$img;
+		var editable = Aloha.getEditableHost($img);
+		if (success) {
+			$img.attr('src', file.src).removeClass(UPLOADING_CLASS + ' aloha-ephemera');
+			if (!$img.attr('class')) {
+				$img.removeAttr('class');
+			}
+		} else {
+			Console.error('Common.Paste', 'Upload of pasted image ' + file.name + ' failed.');
+			$img.remove();
+		}
+		if (editable) {
+			editable.smartContentChange({type: 'block-change', plugin: 'paste'});
+		}
+	}
+
+	/**
+	 * Uploads the images whose placeholders extract() put into the given
+	 * element.  The placeholders are marked as being uploaded in the
+	 * meantime, and are left out of the contents of the editable, so that
+	 * their temporary source is not saved.
+	 *
+	 * @param {jQuery.<HTMLElement>} $element
+	 * @param {object} config Overrides the upload configuration of the
+	 *                        draganddropfiles plugin.
+	 */
+	function upload($element, config) {
+		var $images = $element.find('img[src^="' + PLACEHOLDER + '"]').filter(function () {
+			return extracted.hasOwnProperty(this.getAttribute('src'));
+		});
+		var plugin = $images.length ? getPlugin() : null;
+		if (!plugin || !plugin.uploader) {
+			return;
+		}
+		var uploadConfig = $.extend(true, {}, plugin.settings.upload.config, config);
+		$images.each(function () {
+			var $img = $(this);
+			var src = extracted[$img.attr('src')];
+			delete extracted[$img.attr('src')];
+			$img.addClass(UPLOADING_CLASS);
+			Ephemera.markElement($img);
+			readAsDataUrl(src, function (dataUrl) {
+				if (!dataUrl) {
+					Console.error('Common.Paste', 'Pasted image ' + src + ' could not be read.');
+					$img.remove();
+					return;
+				}
+				var file = plugin.uploader.addFileUpload(fileOf(dataUrl));
+				uploads[file.id] = {file: file, $img: $img};
+				plugin.uploader.startFileUpload(file.id, $.extend(true, {}, uploadConfig));
+			});
+		});
+	}
+
+	Ephemera.classes(UPLOADING_CLASS);
+
+	Aloha.bind('aloha-upload-success', function ($event, file) {
+		finish(file, true);
+	});
+
+	$.each(['aloha-upload-failure', 'aloha-upload-error', 'aloha-upload-abort'], function (i, event) {
+		Aloha.bind(event, function ($event, file) {
+			finish(file, false);
+		});
+	});
+
+	return {
+		find: find,
+		extract: extract,
+		upload: upload,
+		fileOf: fileOf
+	};
+});
@@ -39,7 +39,9 @@ define([
 	'aloha/console',
 	'aloha/copypaste',
 	'aloha/contenthandlermanager',
-	'util/browser'
+	'util/browser',
+	'paste/spreadsheet',
+	'paste/image-upload'
 ], function (
 	$,
 	Aloha,
@@ -49,7 +51,9 @@ define([
 	Console,
 	CopyPaste,
 	ContentHandlerManager,
-	Browser
+	Browser,
+	Spreadsheet,
+	ImageUpload
 ) {
 	'use strict';
 
@@ -114,6 +118,24 @@ define([
 		y: 0
 	};
 
+	/**
+	 * Whether cells copied from spreadsheets are pasted into the cells of
+	 * tables.  Configured with Aloha.settings.plugins.paste.tables.
+	 *
+	 * @type {boolean}
+	 */
+	var pasteTables = true;
+
+	/**
+	 * Whether images which are embedded into pasted content are uploaded,
+	 * or the upload configuration which overrides the one of the
+	 * draganddropfiles plugin.  Configured with
+	 * Aloha.settings.plugins.paste.imageUpload.
+	 *
+	 * @type {boolean|object}
+	 */
+	var imageUpload = false;
+
 	/**
 	 * Set the selection to the given range and focus on the editable in which
 	 * the selection is in (if any).
@@ -252,6 +274,64 @@ define([
 		return Browser.ie && doc.documentMode >= 9;
 	}
 
+	/**
+	 * Finds the cell of an active table in which the given range starts.
+	 *
+	 * @param {WrappedRange} range
+	 * @return {?object} An object with the table and the cell, or null if
+	 *                   the range isn't inside a table which is being edited.
+	 */
+	function tableCellAt(range) {
+		if (!Aloha.isPluginLoaded('table')) {
+			return null;
+		}
+		var $cell = $(range.startContainer).closest('td,th');
+		if (0 === $cell.length) {
+			return null;
+		}
+		var TablePlugin = Aloha.require('table/table-plugin');
+		var table = TablePlugin.getTableFromRegistry($cell.closest('table')[0]);
+		return (table && table.isActive) ? {table: table, cell: $cell[0]} : null;
+	}
+
+	/**
+	 * Passes pasted content through the content handlers of the paste phase,
+	 * which only apply to content that the user pasted, as opposed to HTML
+	 * that is inserted otherwise.
+	 *
+	 * @param {string} content
+	 * @param {Aloha.Editable} editable
+	 * @return {string}
+	 */
+	function handlePastedContent(content, editable) {
+		return ContentHandlerManager.handleContent(content, {
+			contenthandler: Aloha.settings.contentHandler.paste,
+			command: 'paste'
+		}, editable);
+	}
+
+	/**
+	 * Passes the contents of cells which were copied from a table through
+	 * the content handlers for pasted and for inserted HTML.
+	 *
+	 * @param {object} cells As returned by Spreadsheet.parse().
+	 * @param {Aloha.Editable} editable
+	 * @return {Array.<Array.<string>>} The HTML contents of the cells.
+	 */
+	function cleanCells(cells, editable) {
+		if (!cells.fromTable) {
+			return cells.rows;
+		}
+		return $.map(cells.rows, function (row) {
+			return [$.map(row, function (html) {
+				return html && ContentHandlerManager.handleContent(handlePastedContent(html, editable), {
+					contenthandler: Aloha.settings.contentHandler.insertHtml,
+					command: 'insertHtml'
+				}, editable);
+			})];
+		});
+	}
+
 	/**
 	 * Gets the pasted content and inserts them into the current active
 	 * editable.
@@ -271,29 +351,52 @@ define([
 			return;
 		}
 
+		var editable = CopyPaste.getEditableAt(range);
+
+		// Because the content handlers would remove the images which are
+		// embedded into the content, they are replaced by placeholders.
+		var images = (imageUpload && editable) ? ImageUpload.extract($clipboard) : 0;
+
 		var content = $clipboard.html();
-		var handler = ContentHandlerManager.get('formatless');
+		var cells = pasteTables ? Spreadsheet.parse(content) : null;
+		var target = cells && tableCellAt(range);
 
-		content = handler ? handler.handleContent(content) : content;
+		if (target) {
+			restoreSelection(range);
+			target.table.pasteCells(target.cell, cleanCells(cells, editable));
+		} else {
+			if (cells && !cells.fromTable) {
+				content = Spreadsheet.toHtml(cells.rows);
+			} else {
+				var handler = ContentHandlerManager.get('formatless');
+				content = handler ? handler.handleContent(content, {command: 'paste'}, editable) : content;
+			}
 
-		// Because IE inserts an insidious nbsp into the content during pasting
-		// that needs to be removed.  Leaving it would otherwise result in an
-		// empty paragraph being created right before the pasted content when
-		// the pasted content is a paragraph.
-		if (IS_IE && /^&nbsp;/.test(content)) {
-			content = content.substring(6);
-		}
+			content = handlePastedContent(content, editable);
 
-		restoreSelection(range);
-		prepRangeForPaste(range);
+			// Because IE inserts an insidious nbsp into the content during pasting
+			// that needs to be removed.  Leaving it would otherwise result in an
+			// empty paragraph being created right before the pasted content when
+			// the pasted content is a paragraph.
+			if (IS_IE && /^&nbsp;/.test(content)) {
+				content = content.substring(6);
+			}
 
-		if (Aloha.queryCommandSupported('insertHTML')) {
-			Aloha.execCommand('insertHTML', false, content);
-		} else {
-			Console.error(
-				'Common.Paste',
-				'Command "insertHTML" not available. Enable the plugin "common/commands".'
-			);
+			restoreSelection(range);
+			prepRangeForPaste(range);
+
+			if (Aloha.queryCommandSupported('insertHTML')) {
+				Aloha.execCommand('insertHTML', false, content);
+			} else {
+				Console.error(
+					'Common.Paste',
+					'Command "insertHTML" not available. Enable the plugin "common/commands".'
+				);
+			}
+		}
+
+		if (images) {
+			ImageUpload.upload(editable.obj, imageUpload);
 		}
 
 		$clipboard.contents().remove();
@@ -394,6 +497,13 @@ define([
 		settings: {},
 
 		init: function () {
+			if (false === this.settings.tables) {
+				pasteTables = false;
+			}
+			if (this.settings.imageUpload) {
+				imageUpload = this.settings.imageUpload;
+			}
+
 			$('body').append($CLIPBOARD);
 
 			Aloha.bind('aloha-editable-created', function ($event, editable) {
@@ -0,0 +1,215 @@
+/* spreadsheet.js is part of Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * Reads cells which were copied from spreadsheet applications.
+ *
+ * Spreadsheets put copied cells on the clipboard both as an HTML table and
+ * as tab separated text.  Depending on the browser and application, either
+ * of them is pasted.
+ */
+define([
+	'jquery',
+	'util/contenthandler'
+], function (
+	$,
+	ContentHandlerUtils
+) {
+	'use strict';
+
+	/**
+	 * Elements which spreadsheet applications put around a copied table.
+	 *
+	 * @type {string}
+	 * @const
+	 */
+	var IGNORED_ELEMENTS = 'meta,title,style,col,colgroup';
+
+	/**
+	 * Escapes text for use as HTML, keeping its line breaks.
+	 *
+	 * @param {string} text
+	 * @return {string}
+	 */
+	function escapeText(text) {
+		return $('<div>').text(text).html().replace(/\n/g, '<br>');
+	}
+
+	/**
+	 * Splits tab separated text into records of fields.
+	 *
+	 * Fields which contain tabs, line breaks or quotes are quoted, with
+	 * quotes inside of them doubled, as spreadsheets write them.
+	 *
+	 * @param {string} text
+	 * @return {Array.<Array.<string>>}
+	 */
+	function parseTsv(text) {
+		var records = [];
+		var record = [];
+		var field = '';
+		var quoted = false;
+		var chr;
+		var i;
+		text = text.replace(/\r\n?/g, '\n');
+		for (i = 0; i < text.length; i++) {
+			chr = text.charAt(i);
+			if (quoted) {
+				if ('"' !== chr) {
+					field += chr;
+				} else if ('"' === text.charAt(i + 1)) {
+					field += chr;
+					i++;
+				} else {
+					quoted = false;
+				}
+			} else if ('"' === chr && '' === field) {
+				quoted = true;
+			} else if ('\t' === chr) {
+				record.push(field);
+				field = '';
+			} else if ('\n' === chr) {
+				record.push(field);
+				records.push(record);
+				record = [];
+				field = '';
+			} else {
+				field += chr;
+			}
+		}
+		if (field || record.length) {
+			record.push(field);
+			records.push(record);
+		}
+		return records;
+	}
+
+	/**
+	 * Reads the contents of the cells of a table into a grid.  Cells which
+	 * span several rows or columns occupy their first position, and leave the
+	 * others empty.
+	 *
+	 * @param {HTMLTableElement} table
+	 * @return {Array.<Array.<string>>}
+	 */
+	function readTable(table) {
+		var grid = [];
+		var width = 0;
+		$.each(table.rows, function (ri, row) {
+			var ci = 0;
+			grid[ri] = grid[ri] || [];
+			$.each(row.cells, function (i, cell) {
+				var rowspan = Math.max(1, cell.rowSpan);
+				var colspan = Math.max(1, cell.colSpan);
+				var y;
+				var x;
+				while (typeof grid[ri][ci] !== 'undefined') {
+					ci++;
+				}
+				for (y = 0; y < rowspan; y++) {
+					grid[ri + y] = grid[ri + y] || [];
+					for (x = 0; x < colspan; x++) {
+						grid[ri + y][ci + x] = (y || x) ? '' : $.trim(cell.innerHTML);
+					}
+				}
+				ci += colspan;
+			});
+		});
+		grid.length = table.rows.length;
+		$.each(grid, function (ri, row) {
+			width = Math.max(width, row.length);
+		});
+		$.each(grid, function (ri, row) {
+			var ci;
+			for (ci = 0; ci < width; ci++) {
+				row[ci] = row[ci] || '';
+			}
+		});
+		return grid;
+	}
+
+	/**
+	 * Finds the table in pasted content, if the content consists of nothing
+	 * but a single table.
+	 *
+	 * @param {jQuery.<HTMLElement>} $content
+	 * @return {?HTMLTableElement}
+	 */
+	function tableOf($content) {
+		var $tables = $content.find('table');
+		if (1 !== $tables.length || 0 === $tables[0].rows.length) {
+			return null;
+		}
+		var $rest = $content.clone();
+		$rest.find('table,' + IGNORED_ELEMENTS).remove();
+		return $.trim($rest.text()) ? null : $tables[0];
+	}
+
+	/**
+	 * Reads pasted content as cells, if it is either a single table or tab
+	 * separated text whose lines all have the same number of fields.
+	 *
+	 * @param {string} content The pasted HTML.
+	 * @return {?object} Null if the content isn't tabular, otherwise an
+	 *                   object with the properties
+	 *                   rows      - the HTML contents of the cells, row by row
+	 *                   fromTable - whether the content was a table, rather
+	 *                               than text
+	 */
+	function parse(content) {
+		var $content = $('<div>' + content + '</div>');
+		var table = tableOf($content);
+		if (table) {
+			return {
+				rows: readTable(table),
+				fromTable: true
+			};
+		}
+		var text = ContentHandlerUtils.plainTextOf(content);
+		if (null === text || -1 === text.indexOf('\t')) {
+			return null;
+		}
+		var records = parseTsv(text);
+		while (records.length && 1 === records[records.length - 1].length
+				&& '' === records[records.length - 1][0]) {
+			records.pop();
+		}
+		var width = records.length ? records[0].length : 0;
+		var i;
+		for (i = 0; i < records.length; i++) {
+			if (records[i].length !== width) {
+				return null;
+			}
+		}
+		return width < 2 ? null : {
+			rows: $.map(records, function (record) {
+				return [$.map(record, escapeText)];
+			}),
+			fromTable: false
+		};
+	}
+
+	/**
+	 * Renders rows of cells as a table.
+	 *
+	 * @param {Array.<Array.<string>>} rows The HTML contents of the cells.
+	 * @return {string}
+	 */
+	function toHtml(rows) {
+		return '<table><tbody>' + $.map(rows, function (row) {
+			return '<tr>' + $.map(row, function (html) {
+				return '<td>' + (html || '&nbsp;') + '</td>';
+			}).join('') + '</tr>';
+		}).join('') + '</tbody></table>';
+	}
+
+	return {
+		parse: parse,
+		parseTsv: parseTsv,
+		toHtml: toHtml
+	};
+});
@@ -1,9 +1,11 @@
 define([
+	'aloha',
 	'jquery',
 	'aloha/copypaste',
 	'util/browser',
 	'aloha/console'
 ], function (
+	Aloha,
 	$,
 	CopyPaste,
 	Browser,
@@ -37,6 +39,42 @@ define([
 		return cells[0];
 	}
 
+	/**
+	 * Sets the rowspan or colspan of the given cell.  The attribute is
+	 * removed if the cell spans only a single row or column.
+	 *
+	 * @param cell
+	 *        the DOM node for a table cell (td/th)
+	 * @param {string} name
+	 *        either 'rowSpan' or 'colSpan'
+	 * @param {number} span
+	 */
+	function setSpan(cell, name, span) {
+		if (span > 1) {
+			$(cell).attr(name, span);
+		} else {
+			// Note that attribute case (colSpan instead of colspan) matters on IE7.
+			$(cell).removeAttr(name);
+		}
+	}
+
+	/**
+	 * Sorts the given indexes in descending order and removes duplicates.
+	 *
+	 * @param {Array.<number>} indexes
+	 * @return {Array.<number>}
+	 */
+	function uniqueDescending(indexes) {
+		var sorted = $.map(indexes, function (index) {
+			return parseInt(index, 10);
+		}).sort(function (a, b) {
+			return b - a;
+		});
+		return $.grep(sorted, function (index, i) {
+			return 0 === i || index !== sorted[i - 1];
+		});
+	}
+
 	var Utils = {
 		/**
 		 * Creates markup for the jQuery constructor to create a copy of
@@ -166,6 +204,11 @@ define([
 					}
 				}
 			});
+			// rows which contain no cells and are not spanned by any
+			// other cell are still part of the grid
+			for (var ri = 0; ri < rows.length; ri++) {
+				grid[ri] = grid[ri] || [];
+			}
 			return grid;
 		},
 		/**
@@ -236,19 +279,306 @@ define([
 			var colIdx = $cell.index();
 			var grid = Utils.makeGrid($rows);
 			var gridColumn = Utils.cellIndexToGridColumn($rows, rowIdx, colIdx);
-			for (var i = 0; i < rowspan; i++) {
+			for (var i = 0; i < rowspan && rowIdx + i < $rows.length; i++) {
 				for (var j = (0 === i ? 1 : 0); j < colspan; j++) {
-					var leftCell = Utils.leftDomCell(grid, rowIdx + i, gridColumn);
-					if (null == leftCell) {
-						$rows.eq(rowIdx + i).prepend(createCell());
-					} else {
-						$( leftCell ).after(createCell());
+					Utils.insertCellAt($rows, grid, rowIdx + i, gridColumn + j, createCell());
+				}
+			}
+			setSpan(cell, 'colSpan', 1);
+			setSpan(cell, 'rowSpan', 1);
+		},
+		/**
+		 * Inserts a cell into a row of the table so that it occupies the
+		 * given grid column.  The grid column must not be covered by
+		 * any other cell.
+		 *
+		 * @param rows
+		 *        the rows of the table as an array or jQuery object
+		 * @param grid
+		 *        the grid of the table (see makeGrid())
+		 * @param ri
+		 *        the index of the row to insert the cell into
+		 * @param gridCi
+		 *        the grid column the cell will occupy
+		 * @param cell
+		 *        the table cell (td/th) to insert
+		 */
+		'insertCellAt': function (rows, grid, ri, gridCi, cell) {
+			var row = grid[ri] || [];
+			for (var x = gridCi; x < row.length; x++) {
+				if (row[x] && Utils.containsDomCell(row[x])) {
+					$(row[x].cell).before(cell);
+					return;
+				}
+			}
+			$(rows[ri]).append(cell);
+		},
+		/**
+		 * Makes the given table rectangular.  Rowspans that reach beyond
+		 * the last row are reduced, and rows that are shorter than the
+		 * widest row are padded with new cells.
+		 *
+		 * Every operation which changes the structure of a table
+		 * expects a rectangular table.
+		 *
+		 * @param rows
+		 *        the rows of the table as an array or jQuery object
+		 * @param createCell
+		 *        invoked with the row index and grid column of each
+		 *        missing cell, must return a table cell (td/th)
+		 * @return the grid of the rectangular table (see makeGrid())
+		 */
+		'normalizeGrid': function (rows, createCell) {
+			var grid = Utils.makeGrid(rows);
+			var width = 0;
+			var padded = false;
+			var ri, gridCi;
+
+			if (grid.length > rows.length) {
+				Utils.walkGrid(grid, function (cellInfo, x, y) {
+					if (cellInfo && Utils.containsDomCell(cellInfo)
+							&& y + cellInfo.rowspan > rows.length) {
+						setSpan(cellInfo.cell, 'rowSpan', rows.length - y);
+					}
+				});
+				grid = Utils.makeGrid(rows);
+			}
+
+			for (ri = 0; ri < grid.length; ri++) {
+				width = Math.max(width, grid[ri].length);
+			}
+			for (ri = 0; ri < grid.length; ri++) {
+				for (gridCi = 0; gridCi < width; gridCi++) {
+					if (!grid[ri][gridCi]) {
+						Utils.insertCellAt(rows, grid, ri, gridCi, createCell(ri, gridCi));
+						padded = true;
 					}
 				}
 			}
-			// Note that attribute case (colSpan instead of colspan) matters on IE7.
-			$cell.removeAttr('colSpan');
-			$cell.removeAttr('rowSpan');
+
+			return padded ? Utils.makeGrid(rows) : grid;
+		},
+		/**
+		 * Inserts a row into a rectangular table.  Cells that span
+		 * across the position of the new row are extended by one row,
+		 * all other grid columns receive a new cell.
+		 *
+		 * @param rows
+		 *        the rows of the table as an array or jQuery object
+		 * @param index
+		 *        the index the new row will have
+		 * @param row
+		 *        the new, empty, row (tr)
+		 * @param createCell
+		 *        invoked with the row index and grid column of each
+		 *        cell the new row needs, must return a table cell (td/th)
+		 */
+		'insertGridRow': function (rows, index, row, createCell) {
+			var grid = Utils.makeGrid(rows);
+			var width = grid.length ? grid[0].length : 0;
+			var gridCi = 0;
+			var cellInfo;
+
+			while (gridCi < width) {
+				cellInfo = index < grid.length ? grid[index][gridCi] : null;
+				if (cellInfo && cellInfo.spannedY > 0) {
+					setSpan(cellInfo.cell, 'rowSpan', cellInfo.rowspan + 1);
+					gridCi += cellInfo.colspan;
+				} else {
+					$(row).append(createCell(index, gridCi));
+					gridCi += 1;
+				}
+			}
+
+			if (index < rows.length) {
+				$(rows[index]).before(row);
+			} else {
+				$(rows[rows.length - 1]).after(row);
+			}
+		},
+		/**
+		 * Removes rows from a rectangular table.  Cells that span across
+		 * a removed row are shortened by one row, cells that start in a
+		 * removed row and span further down are moved into the next row,
+		 * so that their contents are preserved.
+		 *
+		 * @param rows
+		 *        the rows of the table as an array
+		 * @param indexes
+		 *        the indexes of the rows to remove
+		 * @return the remaining rows
+		 */
+		'removeGridRows': function (rows, indexes) {
+			rows = $.makeArray(rows);
+			$.each(uniqueDescending(indexes), function (unused, ri) {
+				var grid = Utils.makeGrid(rows);
+				$.each(grid[ri] || [], function (gridCi, cellInfo) {
+					if (!cellInfo || 0 !== cellInfo.spannedX || 1 === cellInfo.rowspan) {
+						return;
+					}
+					setSpan(cellInfo.cell, 'rowSpan', cellInfo.rowspan - 1);
+					if (0 === cellInfo.spannedY && rows[ri + 1]) {
+						Utils.insertCellAt(rows, grid, ri + 1, gridCi, cellInfo.cell);
+					}
+				});
+				$(rows[ri]).remove();
+				rows.splice(ri, 1);
+			});
+			return rows;
+		},
+		/**
+		 * Inserts a column into a rectangular table.  Cells that span
+		 * across the position of the new column are extended by one
+		 * column, all other rows receive a new cell.
+		 *
+		 * @param rows
+		 *        the rows of the table as an array or jQuery object
+		 * @param index
+		 *        the grid column the new column will occupy
+		 * @param createCell
+		 *        invoked with the row index and grid column of each
+		 *        cell the new column needs, must return a table cell (td/th)
+		 */
+		'insertGridColumn': function (rows, index, createCell) {
+			var grid = Utils.makeGrid(rows);
+			for (var ri = 0; ri < grid.length; ri++) {
+				var cellInfo = grid[ri][index];
+				if (cellInfo && cellInfo.spannedX > 0) {
+					if (0 === cellInfo.spannedY) {
+						setSpan(cellInfo.cell, 'colSpan', cellInfo.colspan + 1);
+					}
+				} else {
+					Utils.insertCellAt(rows, grid, ri, index, createCell(ri, index));
+				}
+			}
+		},
+		/**
+		 * Removes columns from a rectangular table.  Cells that span
+		 * across a removed column are shortened by one column, all
+		 * other cells in the removed columns are removed.
+		 *
+		 * @param rows
+		 *        the rows of the table as an array or jQuery object
+		 * @param indexes
+		 *        the grid columns to remove
+		 */
+		'removeGridColumns': function (rows, indexes) {
+			$.each(uniqueDescending(indexes), function (unused, gridCi) {
+				var grid = Utils.makeGrid(rows);
+				for (var ri = 0; ri < grid.length; ri++) {
+					var cellInfo = grid[ri][gridCi];
+					if (cellInfo && 0 === cellInfo.spannedY) {
+						if (1 < cellInfo.colspan) {
+							setSpan(cellInfo.cell, 'colSpan', cellInfo.colspan - 1);
+						} else {
+							$(cellInfo.cell).remove();
+						}
+					}
+				}
+			});
+		},
+		/**
+		 * Determines the smallest rectangle which contains all
+		 * grid-cells for which the given function returns true.
+		 *
+		 * @param grid
+		 *        the grid of the table (see makeGrid())
+		 * @param isSelected
+		 *        invoked with each grid-cell
+		 * @return a rectangle with the properties top, right, bottom,
+		 *         left (see walkGridInsideRect()), or null if no
+		 *         grid-cell is selected
+		 */
+		'boundingGridRect': function (grid, isSelected) {
+			var rect = null;
+			Utils.walkGrid(grid, function (cellInfo, x, y) {
+				if (!cellInfo || !isSelected(cellInfo)) {
+					return;
+				}
+				if (!rect) {
+					rect = {'top': y, 'right': x + 1, 'bottom': y + 1, 'left': x};
+				} else {
+					rect.top    = Math.min(rect.top, y);
+					rect.right  = Math.max(rect.right, x + 1);
+					rect.bottom = Math.max(rect.bottom, y + 1);
+					rect.left   = Math.min(rect.left, x);
+				}
+			});
+			return rect;
+		},
+		/**
+		 * Enlarges the given rectangle until it doesn't cut through any
+		 * cell, so that every cell is either entirely inside or entirely
+		 * outside of the rectangle.
+		 *
+		 * @param grid
+		 *        the grid of the table (see makeGrid())
+		 * @param rect
+		 *        a rectangle (see walkGridInsideRect())
+		 * @return the enlarged rectangle
+		 */
+		'expandGridRect': function (grid, rect) {
+			var expanded = {
+				'top'   : rect.top,
+				'right' : rect.right,
+				'bottom': rect.bottom,
+				'left'  : rect.left
+			};
+			var changed = true;
+			var extend = function (cellInfo, x, y) {
+				var top = y - cellInfo.spannedY;
+				var left = x - cellInfo.spannedX;
+				if (top < expanded.top) {
+					expanded.top = top;
+					changed = true;
+				}
+				if (left < expanded.left) {
+					expanded.left = left;
+					changed = true;
+				}
+				if (top + cellInfo.rowspan > expanded.bottom) {
+					expanded.bottom = top + cellInfo.rowspan;
+					changed = true;
+				}
+				if (left + cellInfo.colspan > expanded.right) {
+					expanded.right = left + cellInfo.colspan;
+					changed = true;
+				}
+			};
+			while (changed) {
+				changed = false;
+				Utils.walkGridInsideRect(grid, expanded, extend);
+			}
+			return expanded;
+		},
+		/**
+		 * Merges all cells inside the given rectangle into its upper-left
+		 * cell.  The rectangle is enlarged first, so that no cell is
+		 * merged only partially.
+		 *
+		 * @param rows
+		 *        the rows of a rectangular table as an array or jQuery object
+		 * @param rect
+		 *        a rectangle (see walkGridInsideRect())
+		 * @param mergeContents
+		 *        invoked with the merged cell and each other cell in the
+		 *        rectangle, in reading order, before the other cell is
+		 *        removed
+		 * @return the merged cell
+		 */
+		'mergeGridCells': function (rows, rect, mergeContents) {
+			var grid = Utils.makeGrid(rows);
+			rect = Utils.expandGridRect(grid, rect);
+			var merged = grid[rect.top][rect.left].cell;
+			Utils.walkGridInsideRect(grid, rect, function (cellInfo) {
+				if (Utils.containsDomCell(cellInfo) && cellInfo.cell !== merged) {
+					mergeContents(merged, cellInfo.cell);
+					$(cellInfo.cell).remove();
+				}
+			});
+			setSpan(merged, 'rowSpan', rect.bottom - rect.top);
+			setSpan(merged, 'colSpan', rect.right - rect.left);
+			return merged;
 		},
 		/**
 		 * @param cell
@@ -587,6 +917,32 @@ define([
 					CopyPaste.selectAllOf(element);
 				}
 			}
+		},
+
+		/**
+		 * Wraps a table operation so that all changes it makes to the active
+		 * editable are recorded as a single step by the undo plugin.
+		 *
+		 * @param {string} name
+		 *        the name of the operation in the undo history
+		 * @param {function} fn
+		 *        the operation
+		 * @return {function}
+		 *        the wrapped operation
+		 */
+		'undoable': function (name, fn) {
+			return function () {
+				var that = this;
+				var args = arguments;
+				var operation = function () {
+					return fn.apply(that, args);
+				};
+				var editable = Aloha.activeEditable;
+				if (!editable || !Aloha.isPluginLoaded('undo')) {
+					return operation();
+				}
+				return Aloha.require('undo/undo-plugin').transaction(editable, name, operation);
+			};
 		}
 
 	};
@@ -363,6 +363,11 @@ define([
 		return true;
 	}
 
+	/**
+	 * @see isHeaderRow
+	 */
+	TablePlugin.isHeaderRow = isHeaderRow;
+
 	/**
 	 * Returns true if the element has the aloha-ephemeral class
 	 * @param {HTMLElement} element
@@ -1022,6 +1027,36 @@ define([
 			}
 		});
 
+		/**
+		 * Sorts the rows of the active table by the first selected column.
+		 */
+		var sortBySelectedColumn = function (descending) {
+			if (that.activeTable) {
+				var columns = that.activeTable.selection.selectedColumnIdxs;
+				if (columns.length) {
+					that.activeTable.sortRows(Math.min.apply(Math, columns), descending);
+				}
+			}
+		};
+
+		this._sortascendingButton = Ui.adopt("sortColumnAscending", Button, {
+			tooltip: i18n.t("button.sortascending.tooltip"),
+			text: i18n.t("button.sortascending.text"),
+			scope: this.name + '.column',
+			click: function() {
+				sortBySelectedColumn(false);
+			}
+		});
+
+		this._sortdescendingButton = Ui.adopt("sortColumnDescending", Button, {
+			tooltip: i18n.t("button.sortdescending.tooltip"),
+			text: i18n.t("button.sortdescending.text"),
+			scope: this.name + '.column',
+			click: function() {
+				sortBySelectedColumn(true);
+			}
+		});
+
 		// generate formatting buttons
 		this.columnMSItems = [];
 		jQuery.each(this.columnConfig, function (j, itemConf) {
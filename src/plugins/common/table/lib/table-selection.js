@@ -112,8 +112,9 @@ define([
 			}
 			this.selectedColumnIdxs.push( columnsToSelect[j] );
 			for (var i = 0; i < grid.length; i++) {
+				// cells which span into the column are selected as well
 				var cellInfo = grid[i][columnsToSelect[j]];
-				if ( Utils.containsDomCell(cellInfo) ) {
+				if ( cellInfo && -1 === $.inArray(cellInfo.cell, this.selectedCells) ) {
 					$(cellInfo.cell).addClass(this.table.get('classCellSelected'));
 					this.selectedCells.push( cellInfo.cell );
 				}
@@ -132,7 +133,8 @@ define([
 		this.unselectCells();
 
 		var rows = this.table.getRows();
-		
+		var grid = Utils.makeGrid(rows);
+
  	    rowsToSelect.sort( function ( a, b ) { return a - b; } );
 		for (var i = 0; i < rowsToSelect.length; i++) {
 			if ( rows[ rowsToSelect[i] ] ) {
@@ -144,10 +146,14 @@ define([
 	        	}
 				this.selectedRowIdxs.push( rowsToSelect[i] );
 				// to not select first cell, which is a control cell
-			    for ( var j = 1; j < rows[ rowsToSelect[i] ].cells.length; j++ ) {  
-					this.selectedCells.push( rows[ rowsToSelect[i] ].cells[j] );
-					// TODO make proper cell selection method
-					$( rows[ rowsToSelect[i] ].cells[j] ).addClass( this.table.get('classCellSelected') );
+				// cells which span into the row are selected as well
+			    for ( var j = 1; j < grid[ rowsToSelect[i] ].length; j++ ) {
+					var cellInfo = grid[ rowsToSelect[i] ][j];
+					if ( cellInfo && -1 === $.inArray(cellInfo.cell, this.selectedCells) ) {
+						this.selectedCells.push( cellInfo.cell );
+						// TODO make proper cell selection method
+						$( cellInfo.cell ).addClass( this.table.get('classCellSelected') );
+					}
 			    }
 			}
 		}
@@ -263,133 +269,123 @@ define([
 
 
 	/**
-	 * Given a contour creates a object representing a rectangle.
-	 * This function only gives a useful return value if the given
-	 * contour rectangular.
+	 * Determines the rectangle that will be merged for the given selected
+	 * cells: the smallest rectangle that contains all of them and doesn't
+	 * cut through any other cell.
 	 *
-	 * @param {object} contour
-	 *        a rectangular contour
+	 * @param {array} grid
+	 *        a two-dimensional array representing a grid see Utils.makeGrid
+	 * @param {Array.<HTMLElement>} selectedCells
 	 * @return {object}
-	 *        an object with the properties top, right, bottom, left, 
-	 *        representing the rectangular contour.
+	 *        a rectangle see Utils.walkGridInsideRect, or null if none of
+	 *        the selected cells is in the grid.
 	 */
-	function getRectFromContour( contour ) {
-		return {
-			'top'   : contour.top[0],
-			'right' : contour.right[0] + 1,
-			'bottom': contour.bottom[0] + 1,
-			'left'  : contour.left[0]
-		};
+	function getMergeRect(grid, selectedCells) {
+		var rect = Utils.boundingGridRect( grid, function ( cellInfo ) {
+			return -1 !== $.inArray( cellInfo.cell, selectedCells );
+		});
+		return rect && Utils.expandGridRect( grid, rect );
 	}
 
 	/**
-	 * Given a grid and contour, determines whether the contour is
-	 * rectangular, and each cell in the rectangle is selected.
+	 * Checks whether every cell inside the given rectangle is selected.
 	 *
 	 * @param {array} grid
 	 *        a two-dimensional array representing a grid see Utils.makeGrid
-	 * @param {object} contour
-	 *        an object reprensenting a contour see Utils.makeContour
-	 * @param {function} isSelected
-	 *        a function that determines whether a cell in the given grid
-	 *        is selected for merging.
+	 * @param {object} rect
+	 *        a rectangle see Utils.walkGridInsideRect
+	 * @param {Array.<HTMLElement>} selectedCells
 	 * @return {boolean}
-	 *        true if all cells inside the contour are selected and can
-	 *        be merged.
 	 */
-	function isMergeable(grid, contour, isSelected) {
-		var mergeable = true;
-		if (   -1 !== Utils.indexOfAnyBut( contour.top   , contour.top[0]    )
-			|| -1 !== Utils.indexOfAnyBut( contour.right , contour.right[0]  )
-			|| -1 !== Utils.indexOfAnyBut( contour.bottom, contour.bottom[0] )
-			|| -1 !== Utils.indexOfAnyBut( contour.left  , contour.left[0]   ) ) {
-			// the outside of the selected area is jagged (not a rectangle)
-			mergeable = false;
-		} else {
-			// the outside of the selected area is a rectangle, but we
-			// must also ensore that there are no holes in the selection
-			var rect = getRectFromContour( contour )
-			Utils.walkGridInsideRect( grid, rect, function ( cellInfo ) {
-				if ( ! isSelected( cellInfo ) ) {
-					mergeable = false;
-					return false;
-				}
-			});
-		}
-		return mergeable;
+	function isEntirelySelected(grid, rect, selectedCells) {
+		var selected = true;
+		Utils.walkGridInsideRect( grid, rect, function ( cellInfo ) {
+			if ( !cellInfo || -1 === $.inArray( cellInfo.cell, selectedCells ) ) {
+				selected = false;
+				return false;
+			}
+		});
+		return selected;
 	}
 
 	/**
-	 * This method merges all selected cells
+	 * Merges the cells inside the given rectangle into one, which is then
+	 * selected.
 	 *
-	 * @return void
+	 * @param {TableSelection} selection
+	 * @param {Array.<HTMLTableRowElement>} rows
+	 * @param {object} rect
+	 *        a rectangle see Utils.walkGridInsideRect
 	 */
-	TableSelection.prototype.mergeCells = function(){
-
-		var selectedCells = this.selectedCells;
-		if ( 0 === selectedCells.length ) {
-			return;
-		}
-
-		var isSelected = function ( cellInfo ) {
-			return -1 != $.inArray( cellInfo.cell, selectedCells );
-		};
-
-		var grid = Utils.makeGrid( this.table.getRows() );
-		var contour = Utils.makeContour( grid, isSelected );
-
-		if ( ! isMergeable( grid, contour, isSelected ) ) {
-			Dialog.alert({
-				title : i18n.t('Table'),
-				text : i18n.t('table.mergeCells.notRectangular')
-			});
-			return;
-		}
-
-		var selectedRect = getRectFromContour( contour );
-		var $firstCell = $( grid[ selectedRect.top ][ selectedRect.left ].cell );
-		var $firstContainer = $( TableCell.getContainer( $firstCell.get( 0 ) ) );
-
-		Utils.walkGridInsideRect( grid, selectedRect, function ( cellInfo, x, y ) {
-			if (   x - cellInfo.spannedX === selectedRect.left
-				&& y - cellInfo.spannedY === selectedRect.top ) {
-				return;
-			}
-			var cell = cellInfo.cell;
-			var contents = $( TableCell.getContainer( cell ) ).contents();
+	var mergeRect = Utils.undoable('mergecells', function ( selection, rows, rect ) {
+		var mergedCell = Utils.mergeGridCells( rows, rect, function ( cell, other ) {
+			var $container = $( TableCell.getContainer( cell ) );
+			var contents = $( TableCell.getContainer( other ) ).contents();
 			// only append the delimiting space if there is some non-whitespace
 			for ( var i = 0; i < contents.length; i++ ) {
 				if(isMergeableContent(contents[i])){
-					$firstContainer.append( " " );
-					$firstContainer.append( contents );
+					$container.append( " " );
+					$container.append( contents );
 					break;
 				}
-//
-//				if (   "string" !== typeof contents[i]
-//					|| "" !== $.trim( contents[i].data ) ) {
-//					$firstContainer.append( " " );
-//					$firstContainer.append( contents );
-//					break;
-//				}
 			}
-			$( cell ).remove();
 		});
 
-		$firstCell.attr({ 'rowspan': selectedRect.bottom - selectedRect.top,
-						  'colspan': selectedRect.right  - selectedRect.left });
+		$( selection.selectedCells ).removeClass( selection.table.get('classCellSelected') );
+		$( mergedCell ).addClass( selection.table.get('classCellSelected') );
 
 		//select the merged cell
-		this.selectedCells = [ $firstCell.get( 0 ) ];
+		selection.selectedCells = [ mergedCell ];
 
 		//reset flags
-		this.cellSelectionMode = false; 
-		this.baseCellPosition = null;
-		this.lastSelectionRange = null; 
-		this.selectionType = 'cell';
+		selection.cellSelectionMode = false; 
+		selection.baseCellPosition = null;
+		selection.lastSelectionRange = null; 
+		selection.selectionType = 'cell';
 
 		Aloha.trigger( 'aloha-table-selection-changed' );
 
 		Aloha.activeEditable.smartContentChange({type: 'block-change', plugin: 'table-plugin'});
+	});
+
+	/**
+	 * This method merges all selected cells.  If the selected cells don't
+	 * form a rectangle, the user is asked whether to merge the smallest
+	 * rectangle containing them instead.
+	 *
+	 * @return void
+	 */
+	TableSelection.prototype.mergeCells = function(){
+
+		var selection = this;
+		var selectedCells = this.selectedCells;
+		if ( 0 === selectedCells.length ) {
+			return;
+		}
+
+		var rows = this.table.normalizeRows();
+		var grid = Utils.makeGrid( rows );
+		var selectedRect = getMergeRect( grid, selectedCells );
+		if ( ! selectedRect ) {
+			return;
+		}
+
+		if ( isEntirelySelected( grid, selectedRect, selectedCells ) ) {
+			mergeRect( this, rows, selectedRect );
+			return;
+		}
+
+		var editable = Aloha.activeEditable;
+		Dialog.confirm({
+			title : i18n.t('Table'),
+			text : i18n.t('table.mergeCells.expand'),
+			yes : function () {
+				if ( editable && Aloha.activeEditable !== editable ) {
+					editable.activate();
+				}
+				mergeRect( selection, selection.table.normalizeRows(), selectedRect );
+			}
+		});
 	};
 
 	/**
@@ -397,12 +393,13 @@ define([
 	 *
 	 * @return void
 	 */
-	TableSelection.prototype.splitCells = function(){
+	TableSelection.prototype.splitCells = Utils.undoable('splitcells', function(){
 		var selection = this;
 
 		// split the selected cells or currently active cell
 		var cells_to_split = this.selectedCells;
 		if (cells_to_split.length > 0) {
+			this.table.normalizeRows();
 
 			$(cells_to_split).each(function(){
 				var cell = this;
@@ -421,13 +418,13 @@ define([
 			Aloha.trigger( 'aloha-table-selection-changed' );
 			Aloha.activeEditable.smartContentChange({type: 'block-change', plugin: 'table-plugin'});
 		}
-	};
+	});
 
 	/**
 	 * This method checks if the current selection of cells is merge able
 	 *
 	 * @return {boolean}
-	 *        true if more than one cell is selected.
+	 *        true if merging the selection would merge more than one cell.
 	 */
 	TableSelection.prototype.cellsAreMergeable = function() {
 		var selectedCells = this.selectedCells;
@@ -436,18 +433,21 @@ define([
 			return false;
 		}
 
-		var isSelected = function ( cellInfo ) {
-			return -1 != $.inArray( cellInfo.cell, selectedCells );
-		};
-
 		var grid = Utils.makeGrid( this.table.getRows() );
-		var contour = Utils.makeContour( grid, isSelected );
-
-		if ( ! isMergeable( grid, contour, isSelected ) ) {
+		var rect = getMergeRect( grid, selectedCells );
+		if ( ! rect ) {
 			return false;
-		} else {
-			return true;
 		}
+
+		var firstCell = grid[ rect.top ][ rect.left ].cell;
+		var mergeable = false;
+		Utils.walkGridInsideRect( grid, rect, function ( cellInfo ) {
+			if ( cellInfo.cell !== firstCell ) {
+				mergeable = true;
+				return false;
+			}
+		});
+		return mergeable;
 	};
 
 	/**
@@ -0,0 +1,234 @@
+/* table-sort.js is part of the Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * Sorts the rows of a table by the contents of one of its columns.
+ *
+ * Rows which are connected by cells that span multiple rows are moved
+ * together.  Fixed rows, like header rows, keep their position and divide the
+ * table into sections which are sorted separately.
+ */
+define([
+	'jquery',
+	'table/table-plugin-utils'
+], function (
+	$,
+	Utils
+) {
+	'use strict';
+
+	var MONTHS = /jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec/i;
+
+	/**
+	 * Parses numbers like "1234", "-1.5", "1,234.5", "1,5", "15 %" or
+	 * "$ 20".
+	 *
+	 * @param {string} text
+	 * @return {?number} The number, or null if the text is not a number.
+	 */
+	function parseNumber(text) {
+		var value = text.replace(/[\s\u00a0\u202f]/g, '')
+		                .replace(/^[$€£¥]|[$€£¥%]$/g, '');
+		if (/^[\-+]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(value)) {
+			value = value.replace(/,/g, '');
+		} else if (/^[\-+]?\d*,\d+$/.test(value)) {
+			value = value.replace(',', '.');
+		}
+		return /^[\-+]?(\d+\.?\d*|\.\d+)$/.test(value) ? parseFloat(value) : null;
+	}
+
+	/**
+	 * Parses dates like "2013-12-24", "24.12.2013", "12/24/2013" or
+	 * "Dec 24, 2013".
+	 *
+	 * @param {string} text
+	 * @return {?number} The time of the date, or null if the text is not a
+	 *                   date.
+	 */
+	function parseDate(text) {
+		var match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(text);
+		if (match) {
+			return Date.UTC(match[1], match[2] - 1, match[3]);
+		}
+		match = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/.exec(text);
+		if (match) {
+			return Date.UTC(match[3], match[2] - 1, match[1]);
+		}
+		match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text);
+		if (match) {
+			return Date.UTC(match[3], match[1] - 1, match[2]);
+		}
+		// Because Date.parse() accepts almost anything in some browsers,
+		// only dates with the name of a month are passed to it.
+		if (!MONTHS.test(text)) {
+			return null;
+		}
+		var time = Date.parse(text);
+		return isNaN(time) ? null : time;
+	}
+
+	var parsers = {
+		number: parseNumber,
+		date: parseDate,
+		text: function (text) {
+			return text.toLowerCase();
+		}
+	};
+
+	/**
+	 * Determines how the given values are compared: as numbers if all of them
+	 * are numbers, as dates if all of them are dates, and as text otherwise.
+	 * Empty values are ignored.
+	 *
+	 * @param {Array.<string>} values
+	 * @return {string} 'number', 'date' or 'text'
+	 */
+	function detectType(values) {
+		var types = ['number', 'date'];
+		var i, j;
+		for (i = 0; i < types.length; i++) {
+			for (j = 0; j < values.length; j++) {
+				if (values[j] && null === parsers[types[i]](values[j])) {
+					break;
+				}
+			}
+			if (j === values.length) {
+				return types[i];
+			}
+		}
+		return 'text';
+	}
+
+	/**
+	 * Divides the given rows into blocks of rows which must stay together,
+	 * because a cell in one of them spans into the next.
+	 *
+	 * @param {Array.<Array.<object>>} grid
+	 * @return {Array.<object>} Blocks of the form {first, last}.
+	 */
+	function blocksOf(grid) {
+		var blocks = [];
+		var ri = 0;
+		var last, r;
+		var extend = function (x, cellInfo) {
+			if (cellInfo && Utils.containsDomCell(cellInfo)) {
+				last = Math.max(last, r + cellInfo.rowspan - 1);
+			}
+		};
+		while (ri < grid.length) {
+			last = ri;
+			for (r = ri; r <= last && r < grid.length; r++) {
+				$.each(grid[r], extend);
+			}
+			last = Math.min(last, grid.length - 1);
+			blocks.push({first: ri, last: last});
+			ri = last + 1;
+		}
+		return blocks;
+	}
+
+	/**
+	 * Sorts the rows of a table by the contents of the given grid column.
+	 *
+	 * @param {Array.<HTMLElement>} rows
+	 *        The rows of a rectangular table.
+	 * @param {number} gridCi
+	 *        The grid column to sort by (see Utils.makeGrid()).
+	 * @param {object} options
+	 *        descending - whether to sort in descending order
+	 *        type       - 'number', 'date', 'text' or 'auto' (default), which
+	 *                     detects the type from the values of the column
+	 *        isFixed    - invoked with each row, returns true for rows which
+	 *                     must not be moved, like header rows
+	 *        textOf     - invoked with a cell, returns the text it is sorted
+	 *                     by; defaults to the text content of the cell
+	 * @return {string} The type by which the rows were compared.
+	 */
+	function sortRows(rows, gridCi, options) {
+		var grid = Utils.makeGrid(rows);
+		var isFixed = options.isFixed || function () {
+			return false;
+		};
+		var textOf = options.textOf || function (cell) {
+			return $(cell).text();
+		};
+		var sections = [];
+		var section = null;
+		var values = [];
+
+		$.each(blocksOf(grid), function (i, block) {
+			var r, fixed = false;
+			for (r = block.first; r <= block.last; r++) {
+				fixed = fixed || isFixed(rows[r]);
+			}
+			// because rows can't be moved between table sections (thead,
+			// tbody, tfoot), a new section starts in each of them
+			if (fixed || (section && rows[block.first].parentNode
+					!== rows[section[0].first].parentNode)) {
+				section = null;
+			}
+			if (fixed) {
+				return;
+			}
+			var cellInfo = grid[block.first][gridCi];
+			block.value = cellInfo ? $.trim(textOf(cellInfo.cell)) : '';
+			block.index = i;
+			values.push(block.value);
+			if (!section) {
+				section = [];
+				sections.push(section);
+			}
+			section.push(block);
+		});
+
+		var type = (!options.type || 'auto' === options.type)
+		         ? detectType(values)
+		         : options.type;
+		var parse = parsers[type];
+		var direction = options.descending ? -1 : 1;
+
+		$.each(sections, function (i, blocks) {
+			var last = rows[blocks[blocks.length - 1].last];
+			var parent = last.parentNode;
+			var anchor = last.nextSibling;
+			$.each(blocks, function (j, block) {
+				block.key = block.value ? parse(block.value) : null;
+			});
+			blocks.sort(function (a, b) {
+				// empty values, and values which are not of the compared
+				// type, are sorted to the end in both directions
+				if (null === a.key || null === b.key) {
+					if (null === a.key && null === b.key) {
+						return a.index - b.index;
+					}
+					return null === a.key ? 1 : -1;
+				}
+				if (a.key === b.key) {
+					return a.index - b.index;
+				}
+				if ('text' === type && a.key.localeCompare) {
+					return direction * a.key.localeCompare(b.key) || a.index - b.index;
+				}
+				return direction * (a.key < b.key ? -1 : 1);
+			});
+			$.each(blocks, function (j, block) {
+				for (var r = block.first; r <= block.last; r++) {
+					parent.insertBefore(rows[r], anchor);
+				}
+			});
+		});
+
+		return type;
+	}
+
+	return {
+		parseNumber: parseNumber,
+		parseDate: parseDate,
+		detectType: detectType,
+		sortRows: sortRows
+	};
+});
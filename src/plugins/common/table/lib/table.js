@@ -21,6 +21,7 @@ define([
 	'table/table-cell',
 	'table/table-selection',
 	'table/table-plugin-utils',
+	'table/table-sort',
 	'aloha/ephemera',
 	'util/html',
 	'util/dom',
@@ -34,6 +35,7 @@ define([
 	TableCell,
 	TableSelection,
 	Utils,
+	TableSort,
 	Ephemera,
 	Html,
 	Dom,
@@ -1152,28 +1154,38 @@ define([
 	 *
 	 * @return void
 	 */
-	Table.prototype.deleteRows = function() {
+	Table.prototype.deleteRows = Utils.undoable('deleterows', function() {
 		var
 			rowIDs = [],
 			rowsToDelete = {},
-			table = this;
+			i;
 
 		// if a selection was made, delete the selected cells
 		if (0 === this.selection.selectedCells.length) {
 			return;
 		}
 
-		for (var i = 0; i < this.selection.selectedCells.length; i++) {
-			rowsToDelete[this.selection.selectedCells[i].parentNode.rowIndex] = true;
+		if (this.selection.selectedRowIdxs.length) {
+			for (i = 0; i < this.selection.selectedRowIdxs.length; i++) {
+				rowsToDelete[this.selection.selectedRowIdxs[i]] = true;
+			}
+		} else {
+			// a selected cell that spans multiple rows selects all of them
+			for (i = 0; i < this.selection.selectedCells.length; i++) {
+				var cell = this.selection.selectedCells[i];
+				for (var j = 0; j < Utils.rowspan(cell); j++) {
+					rowsToDelete[cell.parentNode.rowIndex + j] = true;
+				}
+			}
 		}
 
 	    for (var rowId in rowsToDelete) {
-	       rowIDs.push(rowId);
+	       rowIDs.push(parseInt(rowId, 10));
 	    }
 
 		// if all rows should be deleted, set a flag to remove the WHOLE table
 		var deleteTable = false;
-		if (rowIDs.length == this.numRows) {
+		if (rowIDs.length >= this.numRows) {
 			deleteTable = true;
 		}
 
@@ -1197,42 +1209,17 @@ define([
 				focusRowId --;
 			}
 
-			// get all rows
-			var rows = this.getRows();
-
-			//splits all cells on the rows to be deleted
-			jQuery.each( rowIDs, function ( unused, rowId ) {
-				var row = rows[ rowId ];
-				for (var i = 0; i < row.cells.length; i++) {
-					Utils.splitCell( row.cells[i], function () {
-						return table.newActiveCell().obj;
-					});
-				}
-			});
-
-			//decreases rowspans of cells that span the row to be deleted
-			//and removes the row
-			var grid = Utils.makeGrid( rows );
-			jQuery.each( rowIDs, function ( unused, rowId ) {
-				var row = grid[ rowId ];
-				for ( var j = 0; j < row.length; ) {
-					var cellInfo = row[ j ];
-					var rowspan = Utils.rowspan( cellInfo.cell );
-					if ( 1 < rowspan ) {
-						jQuery( cellInfo.cell ).attr( 'rowspan', rowspan - 1);
-					}
-					j += cellInfo.colspan;
-				}
-				jQuery( rows[ rowId ] ).remove();
-			});
+			var rows = this.normalizeRows();
+			rows = Utils.removeGridRows(rows, rowIDs);
 
 			// reduce the attribute storing the number of rows in the table
 			this.numRows -= rowIDs.length;
 
 			// IE needs a timeout to work properly
 			window.setTimeout( function() {
-				var lastCell = jQuery( rows[1].cells[ focusRowId +1 ] );
-				lastCell.focus();
+				if (rows[focusRowId]) {
+					jQuery( rows[focusRowId].cells[1] ).focus();
+				}
 			}, 5);
 
 			// finally unselect the marked cells
@@ -1240,7 +1227,7 @@ define([
 		}
 
 		Aloha.activeEditable.smartContentChange({type: 'block-change', plugin: 'table-plugin'});
-	};
+	});
 
 	/**
 	 * Deletes the selected columns. If no columns are selected, delete the column, where the
@@ -1249,18 +1236,12 @@ define([
 	 *
 	 * @return void
 	 */
-	Table.prototype.deleteColumns = function() {
+	Table.prototype.deleteColumns = Utils.undoable('deletecolumns', function() {
 		var
-			colIDs = [],
-			cellToDelete = [],
-			// get all rows to iterate
-		    rows = this.getRows(),
 			that = this,
-			changeColspan = [],
-			cells,
-			cellInfo;
+		    rows = this.normalizeRows(),
+			grid = Utils.makeGrid(rows);
 
-		var grid = Utils.makeGrid(rows);
 		var selectColWidth = 1; //width of the select-row column
 		var selectedColumnIdxs = this.selection.selectedColumnIdxs;
 		// if at least on whole table column was selected using cell selection
@@ -1284,9 +1265,13 @@ define([
 			}
 		}
 
+		if (!selectedColumnIdxs || 0 === selectedColumnIdxs.length) {
+			return;
+		}
+
 		// if all columns should be deleted, remove the WHOLE table
 		// delete the whole table
-		if ( selectedColumnIdxs.length == grid[0].length - selectColWidth ) {
+		if ( selectedColumnIdxs.length >= grid[0].length - selectColWidth ) {
 
 			Dialog.confirm({
 				title : i18n.t('Table'),
@@ -1298,43 +1283,10 @@ define([
 
 		} else {
 
-			colIDs.sort(function(a,b) {return a - b;} );
-
-			//TODO there is a bug that that occurs if a column is
-			//selected and deleted, and then a column with a greater
-			//x-index is selected and deleted.
+			Utils.removeGridColumns(rows, selectedColumnIdxs);
 
-			//sorted so we delete from right to left to minimize interfernce of deleted rows
-
-			var gridColumns = selectedColumnIdxs.sort(function(a,b){ return b - a; });
-			for (var i = 0; i < gridColumns.length; i++) {
-				var gridColumn = gridColumns[i];
-				for (var j = 0; j < rows.length; j++) {
-					cellInfo = grid[j][gridColumn];
-					if ( ! cellInfo ) {
-						//TODO this case occurred because of a bug somewhere which should be fixed
-						continue;
-					}
-					if ( 0 === cellInfo.spannedX ) {
-						if (1 < cellInfo.colspan) {
-							var nCell = this.newActiveCell().obj;
-							jQuery( cellInfo.cell ).after(nCell);
-							nCell.attr('rowspan', cellInfo.rowspan);
-							nCell.attr('colspan', cellInfo.colspan - 1);
-						}
-						jQuery( cellInfo.cell ).remove();
-					} else {
-						jQuery( cellInfo.cell ).attr('colspan', cellInfo.colspan - 1);
-					}
-					//ensures that always 0 === cellInfo.spannedY
-					j += cellInfo.rowspan - 1;
-				}
-				//rebuild the grid to reflect the table structure change
-				grid = Utils.makeGrid(rows);
-			}
-
-			// reduce the attribute storing the number of rows in the table
-			this.numCols -= colIDs.length;
+			// reduce the attribute storing the number of columns in the table
+			this.numCols -= selectedColumnIdxs.length;
 
 			// IE needs a timeout to work properly
 			window.setTimeout( function() {
@@ -1346,14 +1298,14 @@ define([
 		}
 
 		Aloha.activeEditable.smartContentChange({type: 'block-change', plugin: 'table-plugin'});
-	};
+	});
 
 	/**
 	 * Deletes the table from the dom and remove it from the tableRegistry.
 	 *
 	 * @return void
 	 */
-	Table.prototype.deleteTable = function() {
+	Table.prototype.deleteTable = Utils.undoable('deletetable', function() {
 
 		var deleteIndex = -1;
 		for (var i = 0; i < this.tablePlugin.TableRegistry.length; i++){
@@ -1392,7 +1344,7 @@ define([
 			newRange.correctRange();
 			newRange.select();
 		}
-	};
+	});
 
 	/**
 	 * @param {string} position
@@ -1450,58 +1402,23 @@ define([
 	 *        the index at which the new row shall be inserted
 	 * @return <HTMLElemenet> last row inserted
 	 */
-	Table.prototype.addRow = function(newRowIndex) {
-		var rowsToInsert = 1;
-		var $insertionRow;
-		var classSelectionColumn = this.get('classSelectionColumn');
-
-		var $rows = this.obj.children().children('tr');
-		for (var j = 0; j < rowsToInsert; j++) {
-			$insertionRow = jQuery('<tr>');
-
-			$insertionRow.addClass(this.tablePlugin.defaultRowClass);
-
-			// create the first column, the "select row" column
-			var $selectionColumn = jQuery('<td>');
-			$selectionColumn.addClass(classSelectionColumn);
-			this.attachRowSelectionEventsToCell($selectionColumn);
-			$insertionRow.append($selectionColumn);
-
-			var grid = Utils.makeGrid($rows);
-			var selectColOffset = 1;
-			if ( newRowIndex >= grid.length ) {
-				for (var i = selectColOffset; i < grid[0].length; i++) {
-					$insertionRow.append(this.newActiveCell().obj);
-				}
-			} else {
-				var newRow = grid[newRowIndex];
-				for (var i = selectColOffset, len = newRow.length; i < len; ) {
-					var cellInfo = newRow[i];
-					if (Utils.containsDomCell(cellInfo)) {
-						var colspan = cellInfo.colspan;
-						while (colspan--) {
-							$insertionRow.append(this.newActiveCell().obj);
-						}
-					} else {
-						jQuery( cellInfo.cell ).attr('rowspan', cellInfo.rowspan + 1);
-					}
-					i += cellInfo.colspan;
-				}
-			}
+	Table.prototype.addRow = Utils.undoable('addrow', function(newRowIndex) {
+		var that = this;
+		var rows = this.normalizeRows();
+		var $insertionRow = jQuery('<tr>');
 
-			if ( newRowIndex >= $rows.length ) {
-				$rows.eq( $rows.length - 1 ).after( $insertionRow );
-			} else {
-				$rows.eq( newRowIndex ).before( $insertionRow );
-			}
-		}
+		$insertionRow.addClass(this.tablePlugin.defaultRowClass);
+
+		Utils.insertGridRow(rows, newRowIndex, $insertionRow[0], function (ri, gridCi) {
+			return that.newGridCell(ri, gridCi);
+		});
 
-		this.numRows += rowsToInsert;
+		this.numRows += 1;
 
 		Aloha.activeEditable.smartContentChange({type: 'block-change', plugin: 'table-plugin'});
 
 		return $insertionRow[0];
-	};
+	});
 
 	/**
 	 * Wrapper method to add columns on the right side
@@ -1535,17 +1452,16 @@ define([
 	 *            columns should be inserted
 	 * @return void
 	 */
-	Table.prototype.addColumns = function( position ) {
+	Table.prototype.addColumns = Utils.undoable('addcolumns', function( position ) {
 		var
 			that = this,
-			emptyCell = jQuery( '<td>' ),
-		    rows = this.getRows(),
-			cell,
-			currentColIdx,
-			columnsToSelect = [],
-			selectedColumnIdxs = this.selection.selectedColumnIdxs;
+		    rows,
+			insertionIdx,
+			selectedColumnIdxs = this.selection.selectedColumnIdxs,
+			numColumns = selectedColumnIdxs.length,
+			i;
 
-		if ( 0 === selectedColumnIdxs.length ) {
+		if ( 0 === numColumns ) {
 			return;
 		}
 
@@ -1561,49 +1477,114 @@ define([
 		}
 
 		if ( 'left' === position ) {
-			currentColIdx = selectedColumnIdxs[ 0 ];
-			// inserting a row before the selected column indicies moves
-			// all selected columns one to the right
-			for ( var i = 0; i < this.selection.selectedColumnIdxs.length; i++ ) {
-				this.selection.selectedColumnIdxs[ i ] += 1;
+			insertionIdx = selectedColumnIdxs[ 0 ];
+			// inserting columns before the selected column indicies moves
+			// all selected columns to the right
+			for ( i = 0; i < selectedColumnIdxs.length; i++ ) {
+				selectedColumnIdxs[ i ] += numColumns;
 			}
 		} else {//"right" == position
-			currentColIdx = selectedColumnIdxs[ selectedColumnIdxs.length - 1 ];
+			insertionIdx = selectedColumnIdxs[ numColumns - 1 ] + 1;
 		}
 
-		var grid = Utils.makeGrid( rows );
+		rows = this.normalizeRows();
 
-		for ( var i = 0; i < rows.length; i++ ) {
-			// prepare the cell to be inserted
-			cell = emptyCell.clone();
-			cell.html( '\u00a0' );
-
-			// on first row correct the position of the selected columns
-			if ( i === 0 ) {
-				// this is the first row, so make a column-selection cell
-				this.attachColumnSelectEventsToCell( cell );
-			} else {
-				// activate the cell for this table
-				cellObj = this.newActiveCell( cell.get(0) );
-				cell = cellObj.obj;
+		for ( i = 0; i < numColumns; i++ ) {
+			Utils.insertGridColumn( rows, insertionIdx, function ( ri, gridCi ) {
+				return that.newGridCell( ri, gridCi );
+			});
+		}
+
+		this.numCols += numColumns;
+
+		Aloha.activeEditable.smartContentChange({type: 'block-change', plugin: 'table-plugin'});
+	});
+
+	/**
+	 * Sorts the rows of the table by the contents of the given column. The
+	 * type of the column's values (numbers, dates or text) is detected
+	 * automatically. Header rows are not moved.
+	 *
+	 * @param {number} gridCi
+	 *            the grid column to sort by
+	 * @param {boolean} descending
+	 *            whether to sort in descending order
+	 * @return void
+	 */
+	Table.prototype.sortRows = Utils.undoable('sortrows', function ( gridCi, descending ) {
+		var that = this;
+
+		TableSort.sortRows( this.normalizeRows(), gridCi, {
+			descending: descending,
+			isFixed: function ( row ) {
+				return jQuery( row ).hasClass( 'aloha-ephemera' )
+				    || that.tablePlugin.isHeaderRow( row );
 			}
+		});
 
-			var leftCell = Utils.leftDomCell( grid, i, currentColIdx );
-			if ( null === leftCell ) {
-				jQuery( rows[i] ).prepend( cell );
-			} else {
-				if ( 'left' === position && Utils.containsDomCell( grid[ i ][ currentColIdx ] ) ) {
-					jQuery( leftCell ).before( cell );
-				} else {//right
-					jQuery( leftCell ).after( cell );
+		Aloha.activeEditable.smartContentChange({type: 'block-change', plugin: 'table-plugin'});
+	});
+
+	/**
+	 * Writes rows of values into the cells of the table, starting at the
+	 * given cell and extending to the right and downwards. Rows and columns
+	 * are added to the table if the values don't fit into it. Positions
+	 * which are covered by a merged cell, but are not its first position,
+	 * are skipped.
+	 *
+	 * @param {HTMLElement} cell
+	 *            the cell which receives the first value
+	 * @param {Array.<Array.<string>>} values
+	 *            the HTML contents of the cells, row by row
+	 * @return void
+	 */
+	Table.prototype.pasteCells = Utils.undoable('pastecells', function ( cell, values ) {
+		var grid = Utils.makeGrid( this.normalizeRows() ),
+		    selectedColumnIdxs = this.selection.selectedColumnIdxs,
+		    width = 0,
+		    startRi = -1,
+		    startCi = -1,
+		    ri,
+		    gridCi;
+
+		for ( ri = 0; ri < grid.length && -1 === startRi; ri++ ) {
+			for ( gridCi = 0; gridCi < grid[ ri ].length; gridCi++ ) {
+				if ( grid[ ri ][ gridCi ].cell === cell ) {
+					startRi = ri - grid[ ri ][ gridCi ].spannedY;
+					startCi = gridCi - grid[ ri ][ gridCi ].spannedX;
+					break;
 				}
 			}
+		}
+		if ( -1 === startRi ) {
+			return;
+		}
 
-			this.numCols++;
+		jQuery.each( values, function ( i, row ) {
+			width = Math.max( width, row.length );
+		});
+
+		for ( ri = grid.length; ri < startRi + values.length; ri++ ) {
+			this.addRow( ri );
+		}
+		for ( gridCi = grid[ 0 ].length; gridCi < startCi + width; gridCi++ ) {
+			this.selection.selectedColumnIdxs = [ gridCi - 1 ];
+			this.addColumns( 'right' );
 		}
+		this.selection.selectedColumnIdxs = selectedColumnIdxs;
+
+		grid = Utils.makeGrid( this.getRows() );
+		jQuery.each( values, function ( i, row ) {
+			jQuery.each( row, function ( j, html ) {
+				var cellInfo = grid[ startRi + i ][ startCi + j ];
+				if ( cellInfo && Utils.containsDomCell( cellInfo ) ) {
+					jQuery( TableCell.getContainer( cellInfo.cell ) ).html( html || '\u00a0' );
+				}
+			});
+		});
 
 		Aloha.activeEditable.smartContentChange({type: 'block-change', plugin: 'table-plugin'});
-	};
+	});
 
 	/**
 	 * Helper method to set the focus-attribute of the table to true
@@ -2224,6 +2205,50 @@ define([
 		return cell;
 	};
 
+	/**
+	 * Creates a cell for the given position in the grid of the table.  While
+	 * the table is active, its first row and column are the selection row
+	 * and column, which receive selection cells instead of editable ones.
+	 *
+	 * @param {number} ri the row index of the cell
+	 * @param {number} gridCi the grid column of the cell
+	 * @return {jQuery} the new cell
+	 */
+	Table.prototype.newGridCell = function (ri, gridCi) {
+		var cell;
+		if (!this.isActive) {
+			return jQuery('<td>').html('\u00a0');
+		}
+		if (0 === ri) {
+			cell = jQuery('<td>').html('\u00a0');
+			this.attachColumnSelectEventsToCell(cell);
+			return cell;
+		}
+		if (0 === gridCi) {
+			cell = jQuery('<td>').html('\u00a0');
+			cell.addClass(this.get('classSelectionColumn'));
+			cell.css('width', this.get('selectionArea') + 'px');
+			this.attachRowSelectionEventsToCell(cell);
+			return cell;
+		}
+		return this.newActiveCell().obj;
+	};
+
+	/**
+	 * Pads the table with cells until it is rectangular, which all
+	 * operations that change the structure of the table rely on.
+	 *
+	 * @return {Array.<HTMLElement>} the rows of the table
+	 */
+	Table.prototype.normalizeRows = function () {
+		var that = this;
+		var rows = this.getRows();
+		Utils.normalizeGrid(rows, function (ri, gridCi) {
+			return that.newGridCell(ri, gridCi);
+		});
+		return rows;
+	};
+
 	/**
 	 * @param {Boolean} filterSelectionRow filter selection row
 	 * @return the rows of the table as an array of DOM nodes
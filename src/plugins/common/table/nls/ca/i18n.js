@@ -22,7 +22,7 @@ define({
 	"button.splitcells.tooltip": "Separa les cel·les",
 	"table.label.target": "Resum",
 	"table.sidebar.title": "Taula",
-	"table.mergeCells.notRectangular": "Només es pot fusionar una selecció rectangular",
+	"table.mergeCells.expand": "La selecció no és rectangular. Voleu fusionar totes les cel·les del rectangle més petit que la conté?",
 	"table.addColumns.nonConsecutive": "Seleccioneu una sola columna o un rang de columnes consecutives",
 	"table.createTable.nestedTablesNoSupported": "Les taules imbricades no són compatibles"
 });
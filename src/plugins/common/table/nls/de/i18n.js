@@ -23,8 +23,12 @@ define({
 	"button.splitcells.tooltip": "Zellen teilen",
 	"table.label.target": "Zusammenfassung",
 	"table.sidebar.title": "Tabelle",
-	"table.mergeCells.notRectangular": "Es kann nur eine rechteckige Auswahl verknüpft werden",
+	"table.mergeCells.expand": "Die Auswahl ist nicht rechteckig. Alle Zellen des kleinsten Rechtecks um die Auswahl verknüpfen?",
 	"table.addColumns.nonConsecutive": "Bitte einzelne oder aufeinanderfolgende Reihen auswählen",
 	"table.createTable.nestedTablesNoSupported": "Verschachtelte Tabellen werden nicht unterstützt",
+	"button.sortascending.text": "A-Z",
+	"button.sortascending.tooltip": "Zeilen aufsteigend nach dieser Spalte sortieren",
+	"button.sortdescending.text": "Z-A",
+	"button.sortdescending.tooltip": "Zeilen absteigend nach dieser Spalte sortieren",
 	"button.deltable.tooltip": "Tabelle löschen"
 });
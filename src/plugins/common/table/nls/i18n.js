@@ -24,9 +24,13 @@ define({
 		"button.splitcells.tooltip": "Split Cells",
 		"table.label.target": "Summary",
 		"table.sidebar.title": "Table",
-		"table.mergeCells.notRectangular": "Only a rectangular selection can be merged",
+		"table.mergeCells.expand": "The selection is not rectangular. Merge all cells of the smallest rectangle around it?",
 		"table.addColumns.nonConsecutive": "Please select a single column or a consecutive range of columns",
 		"table.createTable.nestedTablesNoSupported": "Sorry, nested tables are not supported",
+		"button.sortascending.text": "A-Z",
+		"button.sortascending.tooltip": "Sort rows by this column in ascending order",
+		"button.sortdescending.text": "Z-A",
+		"button.sortdescending.tooltip": "Sort rows by this column in descending order",
 		"button.deltable.tooltip": "Delete table"
 	},
 		"ca": true,
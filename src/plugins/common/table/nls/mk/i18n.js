@@ -22,7 +22,7 @@ define({
 	"button.splitcells.tooltip": "Раздели ги ќелиите",
 	"table.label.target": "Резиме",
 	"table.sidebar.title": "Табела",
-	"table.mergeCells.notRectangular": "Само правоаголна селекција може да биде споена",
+	"table.mergeCells.expand": "Селекцијата не е правоаголна. Да се спојат сите ќелии од најмалиот правоаголник што ја содржи?",
 	"table.addColumns.nonConsecutive": "Ве молиме одбележете една колумна или редоследен опсег на колумни",
 	"table.createTable.nestedTablesNoSupported": "Извините, табела во табела не е поддржано"
 });
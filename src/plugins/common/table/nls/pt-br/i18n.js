@@ -22,7 +22,7 @@ define({
 	"button.splitcells.tooltip": "Dividir células",
 	"table.label.target": "Sumário",
 	"table.sidebar.title": "Tabela",
-	"table.mergeCells.notRectangular": "Apenas uma seleção retangular podem ser fundidas",
+	"table.mergeCells.expand": "A seleção não é retangular. Mesclar todas as células do menor retângulo que a contém?",
 	"table.addColumns.nonConsecutive": "Por favor selecione uma única coluna ou um intervalo consecutivo de colunas",
 	"table.createTable.nestedTablesNoSupported": "Desculpe, tabelas aninhadas não são suportadas"
 });
@@ -22,7 +22,7 @@ define({
 	"button.splitcells.tooltip": "Разбить ячейки",
 	"table.label.target": "Резюме",
 	"table.sidebar.title": "Таблица",
-	"table.mergeCells.notRectangular": "Только прямоугольное выделение может быть объединено",
+	"table.mergeCells.expand": "Выделение не прямоугольное. Объединить все ячейки наименьшего прямоугольника, содержащего его?",
 	"table.addColumns.nonConsecutive": "Пожалуйста, выберите одну колонку или диапазон колонок подряд",
 	"table.createTable.nestedTablesNoSupported": "Извините, вложенные таблицы не поддерживаются"
 });
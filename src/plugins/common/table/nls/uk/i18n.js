@@ -22,7 +22,7 @@ define({
 	"button.splitcells.tooltip": "Роз\'єднати комірки",
 	"table.label.target": "Резюме",
 	"table.sidebar.title": "Таблиця",
-	"table.mergeCells.notRectangular": "Об\'єднаним може бути тільки прямокутне виділення",
+	"table.mergeCells.expand": "Виділення не прямокутне. Об\'єднати всі клітинки найменшого прямокутника, що його містить?",
 	"table.addColumns.nonConsecutive": "Будь-ласка виділіть один стовпчик чи послідовний набір стовпчиків",
 	"table.createTable.nestedTablesNoSupported": "Вибачте, вставка таблиць не підтримується"
 });
@@ -22,7 +22,7 @@ define({
 	"button.splitcells.tooltip": "拆分单元格",
 	"table.label.target": "摘要",
 	"table.sidebar.title": "表格",
-	"table.mergeCells.notRectangular": "只有一个矩形选区可以合并",
+	"table.mergeCells.expand": "所选区域不是矩形。是否合并包含它的最小矩形中的所有单元格？",
 	"table.addColumns.nonConsecutive": "请选择单个列或连续的列",
 	"table.createTable.nestedTablesNoSupported": "抱歉，不支持嵌套表格"
 });
@@ -17,6 +17,11 @@ define(['jquery', 'util/arrays', 'util/maps', 'util/trees'], function ($, Arrays
 						'orderedListFormatSelector', 'unorderedListFormatSelector', 'definitionListFormatSelector', '\n', 'indentList', 'outdentList', 'colorPicker'
 					], [
 						'formatBlock'
+					], [
+						'toggleTrackChanges', 'acceptChange', 'rejectChange', '\n',
+						'acceptAllChanges', 'rejectAllChanges'
+					], [
+						'findReplace'
 					]
 				]
 			},
@@ -84,7 +89,7 @@ define(['jquery', 'util/arrays', 'util/maps', 'util/trees'], function ($, Arrays
 				components: [
 					[ "addcolumnleft", "addcolumnright", "deletecolumns",
 					  "columnheader", "mergecellsColumn", "splitcellsColumn",
-					  "formatColumn" ]
+					  "formatColumn", "sortColumnAscending", "sortColumnDescending" ]
 				]
 			},
 			{
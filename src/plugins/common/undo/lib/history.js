@@ -0,0 +1,215 @@
+/* history.js is part of the Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * The undo history of a single editable.
+ *
+ * Wraps an Undo.Stack and adds a limit to the number of remembered
+ * commands as well as named marks for positions in the history.
+ */
+define([
+	'jquery',
+	'util/class',
+	'undo/vendor/undo'
+], function (
+	$,
+	Class
+) {
+	'use strict';
+
+	var Undo = window.Undo;
+
+	/**
+	 * @class History
+	 */
+	var History = Class.extend({
+
+		/**
+		 * @param {number} limit Maximum number of commands to remember. Older
+		 *                       commands are dropped. 0 means no limit.
+		 * @constructor
+		 */
+		_constructor: function (limit) {
+			var history = this;
+			this.limit = limit;
+			this.marks = {};
+			this.stack = new Undo.Stack();
+			this.stack.changed = function () {
+				history.changed();
+			};
+		},
+
+		/**
+		 * Called whenever the history changed. Override.
+		 */
+		changed: function () {},
+
+		/**
+		 * Pushes an already executed command onto the history. Commands
+		 * which had been undone are discarded.
+		 *
+		 * @param {Undo.Command} command
+		 */
+		execute: function (command) {
+			var marks = this.marks;
+			var position = this.stack.stackPosition;
+			$.each(marks, function (name, mark) {
+				if (mark > position) {
+					delete marks[name];
+				}
+			});
+			command.time = new Date();
+			this.stack.execute(command);
+			this._enforceLimit();
+		},
+
+		undo: function () {
+			if (this.stack.canUndo()) {
+				this.stack.undo();
+			}
+		},
+
+		redo: function () {
+			if (this.stack.canRedo()) {
+				this.stack.redo();
+			}
+		},
+
+		canUndo: function () {
+			return this.stack.canUndo();
+		},
+
+		canRedo: function () {
+			return this.stack.canRedo();
+		},
+
+		/**
+		 * Gets the most recent command, if it may still be extended: it must
+		 * not have been undone and no mark may have been set after it.
+		 *
+		 * @return {Undo.Command|null}
+		 */
+		last: function () {
+			var position = this.stack.stackPosition;
+			if (position < 0 || position !== this.stack.commands.length - 1) {
+				return null;
+			}
+			var marked = false;
+			$.each(this.marks, function (name, mark) {
+				if (mark === position) {
+					marked = true;
+				}
+			});
+			return marked ? null : this.stack.commands[position];
+		},
+
+		/**
+		 * Forgets all commands and marks.
+		 */
+		clear: function () {
+			this.stack.commands = [];
+			this.stack.stackPosition = -1;
+			this.stack.savePosition = -1;
+			this.marks = {};
+			this.changed();
+		},
+
+		/**
+		 * Remembers the current position in the history under the given
+		 * name.
+		 *
+		 * @param {string} name
+		 */
+		mark: function (name) {
+			this.marks[name] = this.stack.stackPosition;
+		},
+
+		/**
+		 * @param {string} name
+		 * @return {boolean} True if the given mark exists and can still be
+		 *                   returned to.
+		 */
+		hasMark: function (name) {
+			return this.marks.hasOwnProperty(name);
+		},
+
+		/**
+		 * @param {string} name
+		 * @return {boolean} True if the history is not at the given mark.
+		 */
+		isModifiedSince: function (name) {
+			return !this.hasMark(name) || this.marks[name] !== this.stack.stackPosition;
+		},
+
+		/**
+		 * Undoes or redoes commands until the given mark is reached.
+		 *
+		 * @param {string} name
+		 * @return {boolean} False if the mark does not exist.
+		 */
+		revertTo: function (name) {
+			if (!this.hasMark(name)) {
+				return false;
+			}
+			var mark = this.marks[name];
+			while (this.stack.stackPosition > mark) {
+				this.stack.undo();
+			}
+			while (this.stack.stackPosition < mark) {
+				this.stack.redo();
+			}
+			return true;
+		},
+
+		/**
+		 * Describes the commands in the history.
+		 *
+		 * @return {Array.<object>} One entry for each command with its name,
+		 *                          the time it was recorded, whether it has
+		 *                          been undone, and the names of the marks
+		 *                          which point to the position after it.
+		 */
+		entries: function () {
+			var marks = this.marks;
+			var position = this.stack.stackPosition;
+			return $.map(this.stack.commands, function (command, index) {
+				var names = [];
+				$.each(marks, function (name, mark) {
+					if (mark === index) {
+						names.push(name);
+					}
+				});
+				return {
+					name: command.name,
+					time: command.time,
+					undone: index > position,
+					marks: names
+				};
+			});
+		},
+
+		_enforceLimit: function () {
+			var excess = this.stack.commands.length - this.limit;
+			if (!this.limit || excess <= 0) {
+				return;
+			}
+			var marks = this.marks;
+			this.stack.commands.splice(0, excess);
+			this.stack.stackPosition -= excess;
+			this.stack.savePosition -= excess;
+			$.each(marks, function (name, mark) {
+				if (mark - excess < -1) {
+					delete marks[name];
+				} else {
+					marks[name] = mark - excess;
+				}
+			});
+		}
+	});
+
+	return History;
+});
@@ -0,0 +1,573 @@
+/* mutation-recorder.js is part of the Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * Records the DOM mutations that happen inside an element as a list of
+ * operations which can later be reverted and replayed.
+ *
+ * Operations reference the DOM nodes they touched, so reverting them
+ * restores the very same nodes (and with them any references held by the
+ * selection, blocks or tables) instead of re-parsing an HTML string.
+ *
+ * An operation is one of:
+ *
+ * {type: 'childList', target, added, removed, previousSibling, nextSibling}
+ * {type: 'characterData', target, oldValue, newValue}
+ * {type: 'attributes', target, name, oldValue, newValue}
+ *
+ * Mutations of ephemeral markup (see aloha/ephemera) are not recorded,
+ * because that markup is not part of the contents: the selection classes,
+ * highlights, handles and markers which plugins add would otherwise come
+ * back with every undo and redo.
+ */
+define([
+	'jquery',
+	'aloha/ephemera',
+	'util/class',
+	'util/strings'
+], function (
+	$,
+	Ephemera,
+	Class,
+	Strings
+) {
+	'use strict';
+
+	var Observer = window.MutationObserver || window.WebKitMutationObserver;
+
+	var OBSERVER_OPTIONS = {
+		childList: true,
+		characterData: true,
+		characterDataOldValue: true,
+		attributes: true,
+		attributeOldValue: true,
+		subtree: true
+	};
+
+	/**
+	 * Classes of elements which are removed from the contents together with
+	 * everything in them.
+	 *
+	 * @type {Array.<string>}
+	 * @const
+	 */
+	var REMOVED_CLASSES = ['aloha-ephemera', 'aloha-cleanme'];
+
+	/**
+	 * Classes of elements which are removed from the contents while their
+	 * children are kept.
+	 *
+	 * @type {Array.<string>}
+	 * @const
+	 */
+	var WRAPPER_CLASSES = [
+		'aloha-ephemera-wrapper',
+		'aloha-ephemera-filler',
+		'aloha-ephemera-empty-wrapper'
+	];
+
+	function toArray(nodes) {
+		return Array.prototype.slice.call(nodes);
+	}
+
+	function hasAnyClass(node, classes) {
+		if (1 !== node.nodeType || 'string' !== typeof node.className) {
+			return false;
+		}
+		var names = Strings.words(node.className);
+		var i;
+		for (i = 0; i < classes.length; i++) {
+			if (-1 !== $.inArray(classes[i], names)) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * Whether the given node is, or is inside of, an element which is
+	 * removed from the contents.
+	 *
+	 * @param {Node} node
+	 * @param {HTMLElement} root The observed element.
+	 * @return {boolean}
+	 */
+	function isInsideEphemera(node, root) {
+		while (node && node !== root) {
+			if (hasAnyClass(node, REMOVED_CLASSES)) {
+				return true;
+			}
+			node = node.parentNode;
+		}
+		return false;
+	}
+
+	/**
+	 * Splits a class attribute into the classes which are part of the
+	 * contents and the ephemeral ones.
+	 *
+	 * @param {?string} value
+	 * @return {object} {persistent, ephemeral}
+	 */
+	function splitClasses(value) {
+		var classMap = Ephemera.ephemera().classMap;
+		var split = {persistent: [], ephemeral: []};
+		$.each(Strings.words(value || ''), function (i, cls) {
+			split[classMap[cls] ? 'ephemeral' : 'persistent'].push(cls);
+		});
+		return split;
+	}
+
+	/**
+	 * Whether the given attribute of the given element is ephemeral.
+	 *
+	 * @param {HTMLElement} element
+	 * @param {string} name
+	 * @return {boolean}
+	 */
+	function isAttrEphemeral(element, name) {
+		var emap = Ephemera.ephemera();
+		var marked = element.getAttribute('data-aloha-ephemera-attr');
+		return 'data-aloha-ephemera-attr' === name
+		    || -1 !== $.inArray(name, Strings.words(marked || ''))
+		    || Ephemera.isAttrEphemeral(element, name, emap.attrMap, emap.attrRxs);
+	}
+
+	/**
+	 * Gets the value of an attribute right after the change of the given
+	 * mutation record, which is where the next record for the same
+	 * attribute starts, or the current value.
+	 *
+	 * @param {Array.<MutationRecord>} records
+	 * @param {number} index
+	 * @return {?string}
+	 */
+	function attrValueAfter(records, index) {
+		var record = records[index];
+		var i;
+		for (i = index + 1; i < records.length; i++) {
+			if ('attributes' === records[i].type
+					&& records[i].target === record.target
+					&& records[i].attributeName === record.attributeName) {
+				return records[i].oldValue;
+			}
+		}
+		return record.target.getAttribute(record.attributeName);
+	}
+
+	/**
+	 * Whether the given attribute mutation only touched what is not part of
+	 * the contents: the attributes of the observed element itself,
+	 * ephemeral attributes and ephemeral classes.
+	 *
+	 * @param {Array.<MutationRecord>} records
+	 * @param {number} index
+	 * @param {HTMLElement} root The observed element.
+	 * @return {boolean}
+	 */
+	function isEphemeralAttrChange(records, index, root) {
+		var record = records[index];
+		if (record.target === root || isAttrEphemeral(record.target, record.attributeName)) {
+			return true;
+		}
+		if ('class' !== record.attributeName) {
+			return false;
+		}
+		return splitClasses(record.oldValue).persistent.join(' ')
+		   === splitClasses(attrValueAfter(records, index)).persistent.join(' ');
+	}
+
+	/**
+	 * Converts a MutationRecord into an operation.
+	 *
+	 * @param {MutationRecord} record
+	 * @return {object}
+	 */
+	function toOperation(record) {
+		if ('childList' === record.type) {
+			return {
+				type: 'childList',
+				target: record.target,
+				added: toArray(record.addedNodes),
+				removed: toArray(record.removedNodes),
+				previousSibling: record.previousSibling,
+				nextSibling: record.nextSibling
+			};
+		}
+		return {
+			type: record.type,
+			target: record.target,
+			name: record.attributeName,
+			oldValue: record.oldValue,
+			newValue: null
+		};
+	}
+
+	function readValue(op) {
+		return 'characterData' === op.type
+		     ? op.target.data
+		     : op.target.getAttribute(op.name);
+	}
+
+	function writeValue(op, value) {
+		if ('characterData' === op.type) {
+			op.target.data = value;
+		} else if (null === value) {
+			op.target.removeAttribute(op.name);
+		} else {
+			op.target.setAttribute(op.name, value);
+		}
+	}
+
+	/**
+	 * Mutation records only carry the value before a change. Walks the
+	 * given operations backwards to determine the value after each change.
+	 *
+	 * @param {Array.<object>} ops
+	 */
+	function completeValues(ops) {
+		var values = [];
+		var i, j, op, entry;
+		for (i = ops.length - 1; i >= 0; i--) {
+			op = ops[i];
+			if ('childList' === op.type) {
+				continue;
+			}
+			entry = null;
+			for (j = 0; j < values.length; j++) {
+				if (values[j].target === op.target && values[j].name === op.name) {
+					entry = values[j];
+					break;
+				}
+			}
+			if (!entry) {
+				entry = {target: op.target, name: op.name, value: readValue(op)};
+				values.push(entry);
+			}
+			op.newValue = entry.value;
+			entry.value = op.oldValue;
+		}
+	}
+
+	/**
+	 * Whether the given node is detached and may therefore be inserted.
+	 * Nodes extracted by ranges end up in document fragments.
+	 *
+	 * @param {Node} node
+	 * @return {boolean}
+	 */
+	function isDetached(node) {
+		return !node.parentNode || 11 === node.parentNode.nodeType;
+	}
+
+	/**
+	 * Replaces the nodes `remove' with the nodes `insert' between the
+	 * siblings recorded in the given childList operation.
+	 *
+	 * @param {object} op
+	 * @param {Array.<Node>} remove
+	 * @param {Array.<Node>} insert
+	 * @return {boolean} False if the DOM is not in the state expected by the
+	 *                   operation, in which case nothing is changed.
+	 */
+	function swapNodes(op, remove, insert) {
+		var parent = op.target;
+		var i;
+		for (i = 0; i < remove.length; i++) {
+			if (remove[i].parentNode !== parent) {
+				return false;
+			}
+		}
+		if (op.nextSibling && op.nextSibling.parentNode !== parent) {
+			return false;
+		}
+		if (op.previousSibling && op.previousSibling.parentNode !== parent) {
+			return false;
+		}
+		for (i = 0; i < insert.length; i++) {
+			if ($.inArray(insert[i], remove) === -1 && !isDetached(insert[i])) {
+				return false;
+			}
+		}
+		for (i = 0; i < remove.length; i++) {
+			parent.removeChild(remove[i]);
+		}
+		var ref = op.nextSibling || (op.previousSibling
+			? op.previousSibling.nextSibling
+			: parent.firstChild);
+		for (i = 0; i < insert.length; i++) {
+			parent.insertBefore(insert[i], ref);
+		}
+		return true;
+	}
+
+	/**
+	 * Reverts (backwards) or replays (forwards) a single operation.
+	 *
+	 * @param {object} op
+	 * @param {boolean} backwards
+	 * @return {boolean} False if the operation could not be applied.
+	 */
+	function step(op, backwards) {
+		if ('childList' === op.type) {
+			return backwards
+			     ? swapNodes(op, op.added, op.removed)
+			     : swapNodes(op, op.removed, op.added);
+		}
+		var expected = backwards ? op.newValue : op.oldValue;
+		var value = backwards ? op.oldValue : op.newValue;
+		if ('attributes' === op.type && 'class' === op.name) {
+			return stepClasses(op, expected, value);
+		}
+		if (readValue(op) !== expected) {
+			return false;
+		}
+		writeValue(op, value);
+		return true;
+	}
+
+	/**
+	 * Changes a class attribute from one recorded value to another. Since
+	 * changes of ephemeral classes are not recorded, only the classes which
+	 * are part of the contents are compared and written, and the ephemeral
+	 * classes the element currently has are left alone.
+	 *
+	 * @param {object} op
+	 * @param {?string} expected
+	 * @param {?string} value
+	 * @return {boolean}
+	 */
+	function stepClasses(op, expected, value) {
+		var current = splitClasses(readValue(op));
+		if (current.persistent.join(' ') !== splitClasses(expected).persistent.join(' ')) {
+			return false;
+		}
+		if (null === value && !current.ephemeral.length) {
+			writeValue(op, null);
+		} else {
+			writeValue(op, splitClasses(value).persistent.concat(current.ephemeral).join(' '));
+		}
+		return true;
+	}
+
+	/**
+	 * Applies the given operations in one direction. Either all operations
+	 * are applied or, if the DOM has diverged from what was recorded, none
+	 * of them are.
+	 *
+	 * @param {Array.<object>} ops
+	 * @param {boolean} backwards
+	 * @return {boolean} True if all operations have been applied.
+	 */
+	function run(ops, backwards) {
+		var done = [];
+		var i, op;
+		for (i = 0; i < ops.length; i++) {
+			op = ops[backwards ? ops.length - 1 - i : i];
+			if (!step(op, backwards)) {
+				while (done.length) {
+					step(done.pop(), !backwards);
+				}
+				return false;
+			}
+			done.push(op);
+		}
+		return true;
+	}
+
+	/**
+	 * Reverts the given operations, restoring the DOM to the state before
+	 * the first of them.
+	 *
+	 * @param {Array.<object>} ops
+	 * @return {boolean} False if the DOM did not match the recorded state.
+	 */
+	function revert(ops) {
+		return run(ops, true);
+	}
+
+	/**
+	 * Replays previously reverted operations.
+	 *
+	 * @param {Array.<object>} ops
+	 * @return {boolean} False if the DOM did not match the recorded state.
+	 */
+	function replay(ops) {
+		return run(ops, false);
+	}
+
+	/**
+	 * Collects all nodes that are touched by the given operations.
+	 *
+	 * @param {Array.<object>} ops
+	 * @return {Array.<Node>}
+	 */
+	function affectedNodes(ops) {
+		var nodes = [];
+		var i;
+		for (i = 0; i < ops.length; i++) {
+			nodes.push(ops[i].target);
+			if ('childList' === ops[i].type) {
+				nodes = nodes.concat(ops[i].added, ops[i].removed);
+			}
+		}
+		return nodes;
+	}
+
+	/**
+	 * Observes an element and accumulates its mutations as operations.
+	 *
+	 * @class MutationRecorder
+	 */
+	var MutationRecorder = Class.extend({
+
+		/**
+		 * @param {HTMLElement} element Root of the observed subtree.
+		 * @constructor
+		 */
+		_constructor: function (element) {
+			var recorder = this;
+			this.element = element;
+			this.operations = [];
+			this.diverged = false;
+			this.recording = false;
+			this.observer = Observer ? new Observer(function (records) {
+				recorder._collect(records);
+			}) : null;
+		},
+
+		/**
+		 * Starts observing the element.
+		 */
+		start: function () {
+			if (this.observer && !this.recording) {
+				this.observer.observe(this.element, OBSERVER_OPTIONS);
+				this.recording = true;
+			}
+		},
+
+		/**
+		 * Stops observing the element. Operations recorded so far are kept.
+		 */
+		stop: function () {
+			if (this.recording) {
+				this.flush();
+				this.observer.disconnect();
+				this.recording = false;
+			}
+		},
+
+		/**
+		 * Synchronously collects mutations that have not been delivered to
+		 * the observer callback yet.
+		 */
+		flush: function () {
+			if (this.recording) {
+				this._collect(this.observer.takeRecords());
+			}
+		},
+
+		/**
+		 * @return {boolean} True if mutations have been recorded since the
+		 *                   last call to take() or discard().
+		 */
+		hasOperations: function () {
+			this.flush();
+			return this.operations.length > 0;
+		},
+
+		/**
+		 * Returns the recorded operations and starts a new recording.
+		 *
+		 * If ephemeral wrappers were added or removed in the meantime, no
+		 * operations are returned, because the recorded operations would
+		 * move the contents in and out of wrappers which the recording
+		 * does not know about. The change must then be restored from
+		 * snapshots of the contents.
+		 *
+		 * @return {Array.<object>}
+		 */
+		take: function () {
+			this.flush();
+			var ops = this.diverged ? [] : this.operations;
+			this.operations = [];
+			this.diverged = false;
+			completeValues(ops);
+			return ops;
+		},
+
+		/**
+		 * Throws away all recorded operations.
+		 */
+		discard: function () {
+			this.flush();
+			this.operations = [];
+			this.diverged = false;
+		},
+
+		/**
+		 * Executes the given function without recording the mutations it
+		 * makes.
+		 *
+		 * @param {function} fn
+		 * @return {*} The return value of fn.
+		 */
+		ignore: function (fn) {
+			this.flush();
+			try {
+				return fn();
+			} finally {
+				if (this.recording) {
+					this.observer.takeRecords();
+				}
+			}
+		},
+
+		/**
+		 * Converts mutation records into operations, leaving out the
+		 * mutations of ephemeral markup.
+		 *
+		 * @param {Array.<MutationRecord>} records
+		 */
+		_collect: function (records) {
+			var i, record, nodes;
+			for (i = 0; i < records.length; i++) {
+				record = records[i];
+				if (isInsideEphemera(record.target, this.element)) {
+					continue;
+				}
+				if ('attributes' === record.type) {
+					if (isEphemeralAttrChange(records, i, this.element)) {
+						continue;
+					}
+				} else if ('childList' === record.type) {
+					nodes = toArray(record.addedNodes).concat(toArray(record.removedNodes));
+					if (nodes.length && $.grep(nodes, function (node) {
+						return !hasAnyClass(node, REMOVED_CLASSES);
+					}).length === 0) {
+						continue;
+					}
+					if ($.grep(nodes, function (node) {
+						return hasAnyClass(node, WRAPPER_CLASSES);
+					}).length) {
+						this.diverged = true;
+						continue;
+					}
+				}
+				this.operations.push(toOperation(record));
+			}
+		}
+	});
+
+	return {
+		MutationRecorder: MutationRecorder,
+		isSupported: !!Observer,
+		revert: revert,
+		replay: replay,
+		affectedNodes: affectedNodes
+	};
+});
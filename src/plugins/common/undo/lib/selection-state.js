@@ -0,0 +1,151 @@
+/* selection-state.js is part of the Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * Captures the selection inside an editable so that it can be restored
+ * after an undo or redo.
+ *
+ * The boundary points are remembered both as DOM positions and as
+ * character offsets into the editable's text. The DOM positions are exact
+ * but only valid as long as the nodes are still in the editable; the
+ * character offsets survive a complete replacement of the editable's
+ * contents.
+ */
+define([
+	'aloha',
+	'jquery',
+	'aloha/copypaste',
+	'util/dom2'
+], function (
+	Aloha,
+	$,
+	CopyPaste,
+	Dom
+) {
+	'use strict';
+
+	var GENTICS = window.GENTICS;
+
+	function contains(root, node) {
+		return root === node || $.contains(root, node);
+	}
+
+	/**
+	 * Counts the characters in the given element that precede the given
+	 * boundary point.
+	 *
+	 * @param {HTMLElement} root
+	 * @param {Node} container
+	 * @param {number} offset
+	 * @return {number}
+	 */
+	function textOffset(root, container, offset) {
+		var range = Aloha.createRange();
+		range.setStart(root, 0);
+		range.setEnd(container, offset);
+		return range.toString().length;
+	}
+
+	/**
+	 * Finds the boundary point in the given element that is preceded by the
+	 * given number of characters.
+	 *
+	 * @param {HTMLElement} root
+	 * @param {number} offset
+	 * @return {object} Object with a node and an offset property.
+	 */
+	function boundaryAtTextOffset(root, offset) {
+		var remaining = offset;
+		var last = null;
+		var node = root.firstChild;
+		while (node && contains(root, node)) {
+			if (Dom.isTextNode(node)) {
+				if (node.length >= remaining) {
+					return {node: node, offset: remaining};
+				}
+				remaining -= node.length;
+				last = node;
+			}
+			node = Dom.forward(node);
+		}
+		return last
+		     ? {node: last, offset: last.length}
+		     : {node: root, offset: root.childNodes.length};
+	}
+
+	/**
+	 * Captures the current selection if it lies within the given editable.
+	 *
+	 * @param {Aloha.Editable} editable
+	 * @return {object|null} Selection state or null if the selection is
+	 *                       not inside the editable.
+	 */
+	function capture(editable) {
+		var range = CopyPaste.getRange();
+		var root = editable.obj[0];
+		if (!range
+				|| !contains(root, range.startContainer)
+				|| !contains(root, range.endContainer)) {
+			return null;
+		}
+		return {
+			startContainer: range.startContainer,
+			startOffset: range.startOffset,
+			endContainer: range.endContainer,
+			endOffset: range.endOffset,
+			start: textOffset(root, range.startContainer, range.startOffset),
+			end: textOffset(root, range.endContainer, range.endOffset)
+		};
+	}
+
+	function isValidBoundary(root, container, offset) {
+		return contains(root, container) && offset <= Dom.nodeLength(container);
+	}
+
+	/**
+	 * Restores a previously captured selection in the given editable.
+	 *
+	 * @param {Aloha.Editable} editable
+	 * @param {object} state As returned by capture().
+	 * @param {boolean} useOffsets Whether to ignore the remembered DOM
+	 *                             positions, because the editable's contents
+	 *                             have been replaced.
+	 */
+	function restore(editable, state, useOffsets) {
+		if (!state) {
+			return;
+		}
+		var root = editable.obj[0];
+		var range;
+		if (!useOffsets
+				&& isValidBoundary(root, state.startContainer, state.startOffset)
+				&& isValidBoundary(root, state.endContainer, state.endOffset)) {
+			range = new GENTICS.Utils.RangeObject({
+				startContainer: state.startContainer,
+				startOffset: state.startOffset,
+				endContainer: state.endContainer,
+				endOffset: state.endOffset
+			});
+		} else {
+			var start = boundaryAtTextOffset(root, state.start);
+			var end = boundaryAtTextOffset(root, state.end);
+			range = new GENTICS.Utils.RangeObject({
+				startContainer: start.node,
+				startOffset: start.offset,
+				endContainer: end.node,
+				endOffset: end.offset
+			});
+		}
+		range.select();
+		Aloha.Selection.updateSelection();
+	}
+
+	return {
+		capture: capture,
+		restore: restore
+	};
+});
@@ -24,22 +24,362 @@
  * provided you include this license notice and a URL through which
  * recipients can access the Corresponding Source.
  */
-define(
-['aloha', 'jquery', 'aloha/plugin', 'undo/vendor/undo', 'undo/vendor/diff_match_patch_uncompressed'],
-function (Aloha, jQuery, Plugin) {
+define([
+	'aloha',
+	'jquery',
+	'aloha/plugin',
+	'undo/mutation-recorder',
+	'undo/selection-state',
+	'undo/history',
+	'undo/vendor/undo'
+], function (
+	Aloha,
+	jQuery,
+	Plugin,
+	MutationRecorder,
+	SelectionState,
+	History
+) {
 	"use strict";
-	var
-		dmp = new diff_match_patch,
-		resetFlag = false;
 
-	function reversePatch(patch) {
-		var reversed = dmp.patch_deepCopy(patch);
-		for (var i = 0; i < reversed.length; i++) {
-			for (var j = 0; j < reversed[i].diffs.length; j++) {
-				reversed[i].diffs[j][0] = -(reversed[i].diffs[j][0]);
+	var Undo = window.Undo;
+
+	/**
+	 * True while an undo or redo is restoring an editable. Changes made in
+	 * that time must not be recorded as new commands.
+	 *
+	 * @type {boolean}
+	 */
+	var resetFlag = false;
+
+	/**
+	 * Default maximum number of commands remembered for each editable.
+	 *
+	 * @type {number}
+	 * @const
+	 */
+	var DEFAULT_HISTORY_LENGTH = 100;
+
+	/**
+	 * Recording state of each editable, indexed by editable id.
+	 *
+	 * @type {object<string, object>}
+	 */
+	var states = {};
+
+	/**
+	 * Maximum number of commands remembered for each editable.
+	 *
+	 * @type {number}
+	 */
+	var historyLength = DEFAULT_HISTORY_LENGTH;
+
+	/**
+	 * How consecutive typing is grouped into undo steps. One of 'word',
+	 * 'sentence' or 'none'.
+	 *
+	 * @type {string}
+	 */
+	var coalesce = 'word';
+
+	/**
+	 * Kinds of changes which are merged with the preceding change of the
+	 * same kind, as long as the caret did not move in between.
+	 *
+	 * @type {object<string, boolean>}
+	 * @const
+	 */
+	var COALESCABLE = {
+		'typing': true,
+		'delete': true,
+		'forwarddelete': true
+	};
+
+	/**
+	 * Matches typed text that ends a sentence.
+	 *
+	 * @type {RegExp}
+	 * @const
+	 */
+	var SENTENCE_END = /[.!?]["')\]]*\s+$/;
+
+	/**
+	 * Notifies listeners about a change of the given editable's history.
+	 *
+	 * @param {Aloha.Editable} editable
+	 * @param {History} history
+	 */
+	function triggerStackChanged(editable, history) {
+		Aloha.trigger('aloha-undo-stack-changed', {
+			editable: editable,
+			canUndo: history.canUndo(),
+			canRedo: history.canRedo()
+		});
+	}
+
+	/**
+	 * Gets the recording state of the given editable. Each state consists of
+	 * the editable's history, the recorder which collects the DOM operations
+	 * of the editable, the selection as it was before the pending (not yet
+	 * committed) operations were made, the kind of the pending operations,
+	 * the characters typed into the current undo step, whether the last
+	 * command may still be extended, and the open transaction, if any.
+	 *
+	 * @param {Aloha.Editable} editable
+	 * @return {object}
+	 */
+	function getState(editable) {
+		var id = editable.getId();
+		if (!states[id]) {
+			var history = new History(historyLength);
+			history.changed = function () {
+				triggerStackChanged(editable, history);
+			};
+			states[id] = {
+				history: history,
+				recorder: new MutationRecorder.MutationRecorder(editable.obj[0]),
+				selection: null,
+				kind: null,
+				typed: '',
+				open: false,
+				transaction: null,
+				commands: 0
+			};
+		}
+		return states[id];
+	}
+
+	/**
+	 * Remembers the current selection as the selection before the next
+	 * change, unless a change is already pending.
+	 *
+	 * @param {Aloha.Editable} editable
+	 */
+	function trackSelection(editable) {
+		var state = getState(editable);
+		if (!state.transaction && !state.recorder.hasOperations()) {
+			state.selection = SelectionState.capture(editable);
+		}
+	}
+
+	/**
+	 * Checks whether typing the given character after the given text starts
+	 * a new undo step.
+	 *
+	 * @param {string} typed Characters typed into the current step.
+	 * @param {string} chr The character about to be typed.
+	 * @return {boolean}
+	 */
+	function isBoundary(typed, chr) {
+		if (/\s/.test(chr)) {
+			return false;
+		}
+		return 'sentence' === coalesce
+		     ? SENTENCE_END.test(typed)
+		     : /\s$/.test(typed);
+	}
+
+	/**
+	 * Checks whether a change that started at the given selection continues
+	 * a change that ended at the other given selection.
+	 *
+	 * @param {object} after Selection after the previous change.
+	 * @param {object} before Selection before the next change.
+	 * @return {boolean}
+	 */
+	function isContinuation(after, before) {
+		return !!after && !!before
+		    && before.start === before.end
+		    && after.start === before.start
+		    && after.end === before.end;
+	}
+
+	/**
+	 * Checks whether any of the given nodes is, contains or is contained in
+	 * a table.
+	 *
+	 * Tables are wrapped in ephemeral markup by the table plugin while they
+	 * are active, and the table plugin keeps its own model of each table.
+	 * Neither can be restored reliably on the DOM level.
+	 *
+	 * @param {Array.<Node>} nodes
+	 * @return {boolean}
+	 */
+	function affectsTables(nodes) {
+		var i, $node;
+		for (i = 0; i < nodes.length; i++) {
+			$node = jQuery(1 === nodes[i].nodeType ? nodes[i] : nodes[i].parentNode);
+			if ($node.closest('table').length || $node.find('table').length) {
+				return true;
 			}
 		}
-		return reversed;
+		return false;
+	}
+
+	/**
+	 * Re-initializes the blocks of the given editable after its contents
+	 * have been restored. Blocks which were destroyed are created again,
+	 * blocks whose element has been replaced are connected to the new
+	 * element.
+	 *
+	 * @param {Aloha.Editable} editable
+	 */
+	function reinitializeBlocks(editable) {
+		if (!Aloha.isPluginLoaded('block')) {
+			return;
+		}
+		var BlockManager = Aloha.require('block/blockmanager');
+		editable.obj.find('.aloha-block').each(function () {
+			var block = BlockManager.getBlock(this);
+			if (!block) {
+				BlockManager._blockify(this, {});
+			} else if (block.$element[0] !== this) {
+				block._connectThisBlockToDomElement(this);
+			}
+		});
+	}
+
+	/**
+	 * Replaces the contents of the given editable. Used when the recorded
+	 * operations can not be applied.
+	 *
+	 * @param {Aloha.Editable} editable
+	 * @param {string} contents
+	 */
+	function resetContents(editable, contents) {
+		var reactivate = null;
+		if (Aloha.getActiveEditable() === editable) {
+			Aloha.deactivateEditable();
+			reactivate = editable;
+		}
+
+		editable.obj.html(contents);
+
+		if (null !== reactivate) {
+			reactivate.activate();
+		}
+	}
+
+	/**
+	 * A single undoable change in an editable.
+	 *
+	 * The change is primarily restored by reverting or replaying the DOM
+	 * operations that were recorded for it. If the editable's DOM has
+	 * diverged from the recorded state in the meantime (eg. because its
+	 * contents were replaced while it was not active), or the change
+	 * involves tables, the contents are restored from the snapshots instead.
+	 */
+	var EditCommand = Undo.Command.extend({
+		/**
+		 * @param {string} name What caused the change (the trigger type of
+		 *                      the smart content change event, the command
+		 *                      or the transaction name).
+		 * @param {Aloha.Editable} editable
+		 * @param {Array.<object>} operations Recorded DOM operations.
+		 * @param {string} before Contents before the change.
+		 * @param {string} after Contents after the change.
+		 * @param {object} selectionBefore Selection before the change.
+		 * @param {object} selectionAfter Selection after the change.
+		 */
+		constructor: function (name, editable, operations, before, after, selectionBefore, selectionAfter) {
+			this.name = name;
+			this.editable = editable;
+			this.operations = operations;
+			this.before = before;
+			this.after = after;
+			this.selectionBefore = selectionBefore;
+			this.selectionAfter = selectionAfter;
+		},
+		execute: function () {
+			//command object is created after execution.
+		},
+		/**
+		 * Extends this command by a change that directly followed it.
+		 *
+		 * @param {Array.<object>} operations
+		 * @param {string} after Contents after the change.
+		 * @param {object} selectionAfter Selection after the change.
+		 */
+		amend: function (operations, after, selectionAfter) {
+			// Without operations for both changes, only the snapshots can
+			// restore the combined change.
+			this.operations = (this.operations.length && operations.length)
+			                ? this.operations.concat(operations)
+			                : [];
+			this.after = after;
+			this.selectionAfter = selectionAfter;
+			this.time = new Date();
+		},
+		undo: function () {
+			this.restore(true);
+		},
+		redo: function () {
+			this.restore(false);
+		},
+		restore: function (backwards) {
+			var editable = this.editable;
+			var operations = this.operations;
+			var restored = false;
+
+			//we have to trigger a smartContentChange event
+			//after doing an undo or redo, but we mustn't
+			//push new commands on the stack, because there
+			//are no new commands, just the old commands on
+			//the stack that are undone or redone.
+			resetFlag = true;
+
+			if (operations.length && !affectsTables(MutationRecorder.affectedNodes(operations))) {
+				restored = getState(editable).recorder.ignore(function () {
+					return backwards
+					     ? MutationRecorder.revert(operations)
+					     : MutationRecorder.replay(operations);
+				});
+			}
+			if (!restored) {
+				resetContents(editable, backwards ? this.before : this.after);
+			}
+
+			reinitializeBlocks(editable);
+
+			//TODO: this is a call to an internal
+			//function. There should be an API to generate
+			//new smartContentChangeEvents.
+			editable.smartContentChange({type : 'blur'});
+
+			resetFlag = false;
+
+			if (Aloha.getActiveEditable() === editable) {
+				SelectionState.restore(
+					editable,
+					backwards ? this.selectionBefore : this.selectionAfter,
+					!restored
+				);
+				getState(editable).selection = SelectionState.capture(editable);
+			}
+		}
+	});
+
+	/**
+	 * Gets the editable an API call refers to.
+	 *
+	 * @param {Aloha.Editable=} editable
+	 * @return {Aloha.Editable|null} The given editable or, if none was
+	 *                               given, the active editable.
+	 */
+	function resolve(editable) {
+		return editable || Aloha.getActiveEditable();
+	}
+
+	/**
+	 * Commits pending changes of the given editable, so that they become
+	 * part of its history before the history is used.
+	 *
+	 * @param {Aloha.Editable} editable
+	 */
+	function commitPending(editable) {
+		if (editable.isActive) {
+			editable.smartContentChange({type : 'blur'});
+		}
 	}
 
 	/**
@@ -50,74 +390,99 @@ function (Aloha, jQuery, Plugin) {
 		 * Initialize the plugin and set initialize flag on true
 		 */
 		init: function () {
-			this.stack = new Undo.Stack();
 			var that = this;
-			var EditCommand = Undo.Command.extend({
-					constructor: function (editable, patch) {
-						this.editable = editable;
-						this.patch = patch;
-					},
-					execute: function () {
-						//command object is created after execution.
-					},
-					undo: function () {
-						this.phase(reversePatch(this.patch));
-					},
-					redo: function () {
-						this.phase(this.patch);
-					},
-					phase: function (patch) {
-						var contents = this.editable.getContents(),
-							applied = dmp.patch_apply(patch, contents),
-							newValue = applied[0],
-							didNotApply = applied[1];
-						//if (didNotApply.length) {
-						//	//error
-						//}
-						this.reset(newValue);
-					},
-					reset: function (val) {
-						//we have to trigger a smartContentChange event
-						//after doing an undo or redo, but we mustn't
-						//push new commands on the stack, because there
-						//are no new commands, just the old commands on
-						//the stack that are undone or redone.
-						resetFlag = true;
-
-						var reactivate = null;
-						if (Aloha.getActiveEditable() === this.editable) {
-							Aloha.deactivateEditable();
-							reactivate = this.editable;
-						}
-
-						this.editable.obj.html(val);
-
-						if (null !== reactivate) {
-							reactivate.activate();
-						}
-
-						//TODO: this is a call to an internal
-						//function. There should be an API to generate
-						//new smartContentChangeEvents.
-						this.editable.smartContentChange({type : 'blur'});
 
-						resetFlag = false;
-					}
-				});
-
-			this.stack.changed = function () {
-				// update UI
-			};
+			if (typeof this.settings.historyLength === 'number') {
+				historyLength = this.settings.historyLength;
+			}
+			if (this.settings.coalesce) {
+				coalesce = this.settings.coalesce;
+			}
 
 			Aloha.bind('aloha-editable-created', function (e, editable) {
 				editable.obj.bind('keydown', 'ctrl+z shift+ctrl+z', function (event) {
 					event.preventDefault();
 					if (event.shiftKey) {
-						that.redo();
+						that.redo(editable);
 					} else {
-						that.undo();
+						that.undo(editable);
 					}
 				});
+				editable.obj.bind('keydown', function () {
+					trackSelection(editable);
+				});
+				editable.obj.bind('keypress', function (event) {
+					that._typing(editable, event);
+				});
+			});
+
+			Aloha.bind('aloha-editable-destroyed', function (e, editable) {
+				var state = states[editable.getId()];
+				if (state) {
+					state.recorder.stop();
+					delete states[editable.getId()];
+				}
+			});
+
+			Aloha.bind('aloha-editable-activated', function (e, data) {
+				var editable = data.editable;
+				// Other plugins decorate the contents of an editable when it
+				// is activated (table wrappers, block padding...). Recording
+				// starts after that, as these are not changes by the user.
+				window.setTimeout(function () {
+					if (editable.isActive) {
+						getState(editable).recorder.start();
+						trackSelection(editable);
+					}
+				}, 0);
+				// Because undo and redo now refer to this editable's history.
+				triggerStackChanged(editable, getState(editable).history);
+			});
+
+			// Bound before the deactivation handlers of other plugins, which
+			// remove their decorations again.
+			Aloha.bind('aloha-editable-deactivated', function (e, data) {
+				getState(data.editable).recorder.stop();
+			});
+
+			Aloha.bind('aloha-selection-changed', function () {
+				var editable = Aloha.getActiveEditable();
+				if (editable && !resetFlag) {
+					trackSelection(editable);
+				}
+			});
+
+			// Everything a command changes becomes a single step.
+			Aloha.bind('aloha-command-will-execute', function (e, data) {
+				var editable = Aloha.getActiveEditable();
+				if (!editable || resetFlag) {
+					return;
+				}
+				var state = getState(editable);
+				state.commands++;
+				that.beginTransaction(editable, data.commandId.toLowerCase());
+				// Commands which are prevented or fail never signal their
+				// execution. Their transactions are closed here instead.
+				if (1 === state.commands) {
+					window.setTimeout(function () {
+						while (state.commands > 0) {
+							state.commands--;
+							that.endTransaction(editable);
+						}
+					}, 0);
+				}
+			});
+
+			Aloha.bind('aloha-command-executed', function () {
+				var editable = Aloha.getActiveEditable();
+				if (!editable) {
+					return;
+				}
+				var state = getState(editable);
+				if (state.commands > 0) {
+					state.commands--;
+					that.endTransaction(editable);
+				}
 			});
 
 			Aloha.bind('aloha-smart-content-changed', function (jevent, aevent) {
@@ -127,18 +492,175 @@ function (Aloha, jQuery, Plugin) {
 				// resetFlag===true, otherwise the snapshot grows stale.
 				var oldValue = aevent.getSnapshotContent();
 
-				if (resetFlag) {
+				// Changes made during a transaction are committed when it
+				// ends.
+				if (resetFlag || getState(aevent.editable).transaction) {
 					return;
 				}
-				var newValue = aevent.editable.getContents(),
-					patch = dmp.patch_make(oldValue, newValue);
-				// only push an EditCommand if something actually changed.
-				if (0 !== patch.length) {
-					that.stack.execute(new EditCommand(aevent.editable, patch));
-				}
+				that.commit(aevent.editable, oldValue, aevent.triggerType);
 			});
 		},
 
+		/**
+		 * Handles a keypress in the given editable. Typed characters are
+		 * collected into the pending change, which is committed before the
+		 * first character of the next word (or sentence) is typed.
+		 *
+		 * @param {Aloha.Editable} editable
+		 * @param {jQuery.Event} event
+		 */
+		_typing: function (editable, event) {
+			if ('none' === coalesce || resetFlag || event.which < 32
+					|| event.ctrlKey || event.metaKey || event.altKey) {
+				return;
+			}
+			var state = getState(editable);
+			if (state.transaction) {
+				return;
+			}
+			var chr = String.fromCharCode(event.which);
+			if ('typing' !== state.kind && state.recorder.hasOperations()) {
+				this.flush(editable);
+			}
+			if (isBoundary(state.typed, chr)) {
+				this.flush(editable);
+				state.open = false;
+				state.typed = '';
+			}
+			state.kind = 'typing';
+			state.typed += chr;
+		},
+
+		/**
+		 * Commits the pending changes of the given editable right away.
+		 *
+		 * @param {Aloha.Editable} editable
+		 */
+		flush: function (editable) {
+			this.commit(editable, editable.getSnapshotContent(), 'change');
+		},
+
+		/**
+		 * Pushes the operations that have been recorded for the given
+		 * editable since the last commit onto its history.
+		 *
+		 * If the change continues the previous change of the same kind
+		 * (typing or deleting), the previous change is extended instead.
+		 *
+		 * @param {Aloha.Editable} editable
+		 * @param {string} oldValue Contents of the editable at the last
+		 *                          commit.
+		 * @param {string} name What caused the change. Typing takes
+		 *                      precedence.
+		 */
+		commit: function (editable, oldValue, name) {
+			var state = getState(editable);
+			var kind = state.kind || name;
+			var operations = state.recorder.take();
+			var newValue = editable.getContents();
+			var selection = SelectionState.capture(editable) || state.selection;
+			var last;
+			// only push an EditCommand if something actually changed.
+			if (oldValue !== newValue) {
+				last = state.history.last();
+				if ('none' !== coalesce
+						&& state.open
+						&& COALESCABLE[kind]
+						&& last
+						&& last.name === kind
+						&& isContinuation(last.selectionAfter, state.selection)) {
+					last.amend(operations, newValue, selection);
+				} else {
+					state.history.execute(new EditCommand(
+						kind,
+						editable,
+						operations,
+						oldValue,
+						newValue,
+						state.selection,
+						selection
+					));
+				}
+				state.open = !!COALESCABLE[kind];
+				if ('typing' !== kind) {
+					state.typed = '';
+				}
+			}
+			state.kind = null;
+			state.selection = selection;
+		},
+
+		/**
+		 * Starts a transaction in the given editable. All changes until the
+		 * matching call to endTransaction() become a single undo step.
+		 * Transactions may be nested, in which case the outermost one
+		 * determines the step.
+		 *
+		 * @param {Aloha.Editable=} editable Defaults to the active editable.
+		 * @param {string=} name Name of the step in the history.
+		 * @api
+		 */
+		beginTransaction: function (editable, name) {
+			editable = resolve(editable);
+			if (!editable) {
+				return;
+			}
+			var state = getState(editable);
+			if (state.transaction) {
+				state.transaction.depth++;
+				return;
+			}
+			this.flush(editable);
+			state.transaction = {
+				name: name || 'transaction',
+				depth: 1,
+				before: editable.getContents()
+			};
+		},
+
+		/**
+		 * Ends a transaction started with beginTransaction() and, if it is
+		 * the outermost one, commits its changes as a single undo step.
+		 *
+		 * @param {Aloha.Editable=} editable Defaults to the active editable.
+		 * @api
+		 */
+		endTransaction: function (editable) {
+			editable = resolve(editable);
+			if (!editable) {
+				return;
+			}
+			var state = getState(editable);
+			var transaction = state.transaction;
+			if (!transaction || --transaction.depth > 0) {
+				return;
+			}
+			state.transaction = null;
+			// Because the snapshot must match the contents after the
+			// transaction.
+			editable.getSnapshotContent();
+			this.commit(editable, transaction.before, transaction.name);
+		},
+
+		/**
+		 * Calls the given function in a transaction, so that all changes it
+		 * makes become a single undo step.  The transaction is ended also
+		 * if the function throws.
+		 *
+		 * @param {Aloha.Editable=} editable Defaults to the active editable.
+		 * @param {string} name Name of the step in the history.
+		 * @param {function():*} fn
+		 * @return {*} The return value of fn.
+		 * @api
+		 */
+		transaction: function (editable, name, fn) {
+			this.beginTransaction(editable, name);
+			try {
+				return fn();
+			} finally {
+				this.endTransaction(editable);
+			}
+		},
 
 		/**
 		 * toString method
@@ -147,23 +669,127 @@ function (Aloha, jQuery, Plugin) {
 		toString: function () {
 			return 'undo';
 		},
-		undo: function () {
-			if (null !== Aloha.getActiveEditable()) {
-				Aloha.getActiveEditable().smartContentChange({type : 'blur'});
-			}
-			if (this.stack.canUndo()) {
-				this.stack.undo();
+
+		/**
+		 * Undoes the last change of the given editable.
+		 *
+		 * @param {Aloha.Editable=} editable Defaults to the active editable.
+		 * @api
+		 */
+		undo: function (editable) {
+			editable = resolve(editable);
+			if (editable) {
+				commitPending(editable);
+				getState(editable).history.undo();
 			}
 		},
-		redo: function () {
-			if (null !== Aloha.getActiveEditable()) {
-				Aloha.getActiveEditable().smartContentChange({type : 'blur'});
+
+		/**
+		 * Redoes the last undone change of the given editable.
+		 *
+		 * @param {Aloha.Editable=} editable Defaults to the active editable.
+		 * @api
+		 */
+		redo: function (editable) {
+			editable = resolve(editable);
+			if (editable) {
+				commitPending(editable);
+				getState(editable).history.redo();
 			}
-			if (this.stack.canRedo()) {
-				this.stack.redo();
+		},
+
+		/**
+		 * @param {Aloha.Editable=} editable Defaults to the active editable.
+		 * @return {boolean} True if the given editable has a change that can
+		 *                   be undone.
+		 * @api
+		 */
+		canUndo: function (editable) {
+			editable = resolve(editable);
+			return !!editable && getState(editable).history.canUndo();
+		},
+
+		/**
+		 * @param {Aloha.Editable=} editable Defaults to the active editable.
+		 * @return {boolean} True if the given editable has an undone change
+		 *                   that can be redone.
+		 * @api
+		 */
+		canRedo: function (editable) {
+			editable = resolve(editable);
+			return !!editable && getState(editable).history.canRedo();
+		},
+
+		/**
+		 * Describes the history of the given editable.
+		 *
+		 * @param {Aloha.Editable=} editable Defaults to the active editable.
+		 * @return {Array.<object>} One entry for each change, oldest first,
+		 *                          with the properties `name' (what caused
+		 *                          the change), `time', `undone' and
+		 *                          `marks' (names of the marks set right
+		 *                          after the change).
+		 * @api
+		 */
+		getHistory: function (editable) {
+			editable = resolve(editable);
+			return editable ? getState(editable).history.entries() : [];
+		},
+
+		/**
+		 * Forgets the history of the given editable, eg. after its contents
+		 * have been saved and loaded again.
+		 *
+		 * @param {Aloha.Editable=} editable Defaults to the active editable.
+		 * @api
+		 */
+		clear: function (editable) {
+			editable = resolve(editable);
+			if (editable) {
+				var state = getState(editable);
+				commitPending(editable);
+				state.recorder.discard();
+				state.history.clear();
 			}
 		},
-		stack: undefined // Defined in init above
 
+		/**
+		 * Marks the current state of the given editable with a name, eg. to
+		 * remember the last saved state.
+		 *
+		 * @param {Aloha.Editable} editable
+		 * @param {string} name
+		 * @api
+		 */
+		mark: function (editable, name) {
+			commitPending(editable);
+			getState(editable).history.mark(name);
+		},
+
+		/**
+		 * @param {Aloha.Editable} editable
+		 * @param {string} name
+		 * @return {boolean} True if the given editable has been changed since
+		 *                   the given mark was set, or if the mark is unknown.
+		 * @api
+		 */
+		isModifiedSince: function (editable, name) {
+			var state = getState(editable);
+			return state.recorder.hasOperations() || state.history.isModifiedSince(name);
+		},
+
+		/**
+		 * Undoes or redoes changes of the given editable until the state of
+		 * the given mark is reached.
+		 *
+		 * @param {Aloha.Editable} editable
+		 * @param {string} name
+		 * @return {boolean} False if there is no such mark (any more).
+		 * @api
+		 */
+		revertToMark: function (editable, name) {
+			commitPending(editable);
+			return getState(editable).history.revertTo(name);
+		}
 	});
 });
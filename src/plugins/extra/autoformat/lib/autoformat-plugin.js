@@ -0,0 +1,324 @@
+/* autoformat-plugin.js is part of the Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * Formats Markdown-like patterns while they are typed: "## " becomes a
+ * heading, "* " and "1. " lists, "> " a block quote, "**bold**" and
+ * "*italic*" formatted text, and "---" a horizontal rule.
+ *
+ * Every conversion is a single step in the undo history, so that undoing it
+ * restores the typed pattern.
+ */
+define([
+	'jquery',
+	'aloha',
+	'aloha/plugin',
+	'aloha/content-rules',
+	'util/dom',
+	'autoformat/patterns'
+], function (
+	$,
+	Aloha,
+	Plugin,
+	ContentRules,
+	Dom,
+	Patterns
+) {
+	'use strict';
+
+	/**
+	 * Elements with which the engine applies formatting commands.
+	 *
+	 * @type {object<string, string>}
+	 * @const
+	 */
+	var FORMATTING_ELEMENTS = {
+		'bold': 'b,strong',
+		'italic': 'i,em'
+	};
+
+	/**
+	 * Runs the given function so that the undo plugin records all its
+	 * changes as a single step.
+	 *
+	 * @param {Aloha.Editable} editable
+	 * @param {function} fn
+	 * @return {*} The return value of fn.
+	 */
+	function undoable(editable, fn) {
+		if (!Aloha.isPluginLoaded('undo')) {
+			return fn();
+		}
+		return Aloha.require('undo/undo-plugin').transaction(editable, 'autoformat', fn);
+	}
+
+	/**
+	 * Gets the position of the caret, if it is collapsed in a text node.
+	 *
+	 * @return {?object} The text node and the offset in it.
+	 */
+	function getCaret() {
+		var selection = Aloha.getSelection();
+		if (!selection.getRangeCount()) {
+			return null;
+		}
+		var range = selection.getRangeAt(0);
+		if (!range.collapsed || 3 !== range.startContainer.nodeType) {
+			return null;
+		}
+		return {node: range.startContainer, offset: range.startOffset};
+	}
+
+	/**
+	 * Gets the paragraph in which patterns are typed.  Paragraphs inside of
+	 * blocks are left alone.
+	 *
+	 * @param {Node} node
+	 * @param {Aloha.Editable} editable
+	 * @return {?HTMLElement}
+	 */
+	function getParagraph(node, editable) {
+		var $node = $(node);
+		if ($node.closest('.aloha-block', editable.obj).length) {
+			return null;
+		}
+		return $node.closest('p', editable.obj)[0] || null;
+	}
+
+	/**
+	 * Gets the text of the given element up to the caret.
+	 *
+	 * @param {HTMLElement} element
+	 * @param {object} caret
+	 * @return {string}
+	 */
+	function getTextBefore(element, caret) {
+		var range = document.createRange();
+		range.setStart(element, 0);
+		range.setEnd(caret.node, caret.offset);
+		return range.toString();
+	}
+
+	/**
+	 * Gets the names of the patterns which are enabled in the given
+	 * editable.
+	 *
+	 * @param {Plugin} plugin
+	 * @param {Aloha.Editable} editable
+	 * @return {Array.<string>}
+	 */
+	function getEnabledPatterns(plugin, editable) {
+		var config = plugin.getEditableConfig(editable.obj);
+		return $.isArray(config) ? config : Patterns.NAMES;
+	}
+
+	/**
+	 * Turns a paragraph into the element of a block pattern, after removing
+	 * the pattern.
+	 *
+	 * @param {Aloha.Editable} editable
+	 * @param {HTMLElement} paragraph
+	 * @param {object} caret
+	 * @param {object} match
+	 * @param {number} length The length of the pattern.
+	 * @return {boolean} Whether the paragraph was formatted.
+	 */
+	function formatParagraph(editable, paragraph, caret, match, length) {
+		var isList = 'ul' === match.nodeName || 'ol' === match.nodeName;
+		if (isList ? !Aloha.isPluginLoaded('list')
+		           : !ContentRules.isAllowed(editable.obj[0], match.nodeName)) {
+			return false;
+		}
+		undoable(editable, function () {
+			caret.node.deleteData(caret.offset - length, length);
+			if (caret.node.data) {
+				Aloha.Selection.setCaret(caret.node, caret.offset - length);
+			} else {
+				$(caret.node).remove();
+				if (!$(paragraph).text()) {
+					$(paragraph).append('<br>');
+				}
+				Aloha.Selection.setCaret(paragraph, 0);
+			}
+			if (isList) {
+				Aloha.require('list/list-plugin').transformList(match.nodeName);
+			} else {
+				Aloha.Selection.changeMarkupOnSelection($('<' + match.nodeName + '>'));
+			}
+			editable.smartContentChange({type: 'block-change', plugin: 'autoformat'});
+		});
+		return true;
+	}
+
+	/**
+	 * Formats the text between the markers of an inline pattern with the
+	 * pattern's command, removes the markers and types the space which
+	 * completed the pattern after the formatted text.
+	 *
+	 * @param {Aloha.Editable} editable
+	 * @param {object} caret
+	 * @param {object} match
+	 */
+	function formatText(editable, caret, match) {
+		undoable(editable, function () {
+			var node = caret.node;
+			var length = match.marker.length;
+			node.deleteData(caret.offset - length, length);
+			node.deleteData(match.start, length);
+			var range = new GENTICS.Utils.RangeObject({
+				startContainer: node,
+				startOffset: match.start,
+				endContainer: node,
+				endOffset: match.start + match.text.length
+			});
+			range.select();
+			Aloha.Selection.updateSelection();
+			Aloha.execCommand(match.command, false);
+
+			var selection = Aloha.getSelection();
+			var end = selection.getRangeCount() ? selection.getRangeAt(0).endContainer : node;
+			var formatted = $(end).closest(FORMATTING_ELEMENTS[match.command], editable.obj)[0];
+			var before = formatted || node;
+			var next = formatted ? formatted.nextSibling : null;
+			var space;
+			if (!formatted) {
+				node.insertData(match.start + match.text.length, ' ');
+				Aloha.Selection.setCaret(node, match.start + match.text.length + 1);
+			} else if (next && 3 === next.nodeType && /^\S/.test(next.data)) {
+				next.insertData(0, ' ');
+				Aloha.Selection.setCaret(next, 1);
+			} else {
+				// Because a normal space at the end of a line, or before
+				// another space, would be invisible
+				space = document.createTextNode('\u00a0');
+				$(before).after(space);
+				Aloha.Selection.setCaret(space, 1);
+			}
+			editable.smartContentChange({type: 'block-change', plugin: 'autoformat'});
+		});
+	}
+
+	/**
+	 * Replaces a paragraph with a horizontal rule, and puts the caret into
+	 * the paragraph after it.
+	 *
+	 * @param {Aloha.Editable} editable
+	 * @param {HTMLElement} paragraph
+	 * @return {boolean} Whether the horizontal rule was inserted.
+	 */
+	function insertHorizontalRule(editable, paragraph) {
+		if (!Aloha.isPluginLoaded('horizontalruler')) {
+			return false;
+		}
+		var HorizontalRuler = Aloha.require('horizontalruler/horizontalruler-plugin');
+		return undoable(editable, function () {
+			var parent = paragraph.parentNode;
+			var offset = Dom.getIndexInParent(paragraph) + 1;
+			var $hr = HorizontalRuler.insertHr(new GENTICS.Utils.RangeObject({
+				startContainer: parent,
+				startOffset: offset,
+				endContainer: parent,
+				endOffset: offset
+			}));
+			if (!$hr) {
+				return false;
+			}
+			$(paragraph).remove();
+			var $next = $hr.next();
+			if (!$next.is('p,h1,h2,h3,h4,h5,h6,pre,blockquote')) {
+				$next = $('<p><br></p>').insertAfter($hr);
+			}
+			Aloha.Selection.setCaret($next[0], 0);
+			editable.smartContentChange({type: 'block-change', plugin: 'autoformat'});
+			return true;
+		});
+	}
+
+	/**
+	 * Converts the pattern which a space completes.
+	 *
+	 * @param {Plugin} plugin
+	 * @param {jQuery.Event} event
+	 * @return {boolean} False if a pattern was converted, so that the space
+	 *                   is not typed.
+	 */
+	function processSpace(plugin, event) {
+		var editable = Aloha.activeEditable;
+		if (!editable || event.ctrlKey || event.metaKey || event.altKey) {
+			return true;
+		}
+		var caret = getCaret();
+		var paragraph = caret && getParagraph(caret.node, editable);
+		if (!paragraph) {
+			return true;
+		}
+		var enabled = getEnabledPatterns(plugin, editable);
+		var text = getTextBefore(paragraph, caret);
+		var match = Patterns.matchBlock(text, enabled);
+		if (match
+				&& caret.node.data.substring(caret.offset - text.length, caret.offset) === text
+				&& formatParagraph(editable, paragraph, caret, match, text.length)) {
+			return false;
+		}
+		match = Patterns.matchInline(caret.node.data.substring(0, caret.offset), enabled);
+		if (match) {
+			formatText(editable, caret, match);
+			return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Converts the pattern which pressing enter completes.
+	 *
+	 * @param {Plugin} plugin
+	 * @param {jQuery.Event} event
+	 * @return {boolean} False if a pattern was converted, so that no new
+	 *                   paragraph is inserted.
+	 */
+	function processEnter(plugin, event) {
+		var editable = Aloha.activeEditable;
+		if (!editable || event.shiftKey || event.ctrlKey || event.metaKey || event.altKey) {
+			return true;
+		}
+		var caret = getCaret();
+		var paragraph = caret && getParagraph(caret.node, editable);
+		if (!paragraph) {
+			return true;
+		}
+		var text = $(paragraph).text();
+		var match = Patterns.matchLine(text, getEnabledPatterns(plugin, editable));
+		if (match
+				&& $.trim(getTextBefore(paragraph, caret)) === $.trim(text)
+				&& insertHorizontalRule(editable, paragraph)) {
+			return false;
+		}
+		return true;
+	}
+
+	return Plugin.create('autoformat', {
+
+		/**
+		 * The patterns which are converted.  All of them by default.
+		 *
+		 * Configurable per editable.
+		 *
+		 * @type {Array.<string>}
+		 */
+		config: Patterns.NAMES,
+
+		init: function () {
+			var plugin = this;
+			Aloha.Markup.addKeyHandler(32, function (event) {
+				return processSpace(plugin, event);
+			});
+			Aloha.Markup.addKeyHandler(13, function (event) {
+				return processEnter(plugin, event);
+			});
+		}
+	});
+});
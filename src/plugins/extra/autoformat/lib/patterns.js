@@ -0,0 +1,204 @@
+/* patterns.js is part of Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * The Markdown-like patterns which the autoformat plugin recognizes in typed
+ * text.
+ *
+ * Block patterns are typed at the start of a paragraph and are completed by
+ * a space, except for horizontal rules, which fill a paragraph of their own
+ * and are completed by pressing enter.  Inline patterns are completed by the
+ * space after them.
+ */
+define(['jquery'], function ($) {
+	'use strict';
+
+	/**
+	 * Patterns which are typed at the start of a paragraph.
+	 *
+	 * @type {object<string, object>}
+	 * @const
+	 */
+	var BLOCK_PATTERNS = {
+		heading: {
+			regex: /^(#{1,6})$/,
+			nodeName: function (match) {
+				return 'h' + match[1].length;
+			}
+		},
+		bulletlist: {
+			regex: /^[*\-+]$/,
+			nodeName: 'ul'
+		},
+		numberedlist: {
+			regex: /^1[.)]$/,
+			nodeName: 'ol'
+		},
+		blockquote: {
+			regex: /^>$/,
+			nodeName: 'blockquote'
+		}
+	};
+
+	/**
+	 * Patterns which fill a paragraph of their own.
+	 *
+	 * @type {object<string, object>}
+	 * @const
+	 */
+	var LINE_PATTERNS = {
+		hr: {
+			regex: /^(?:-{3,}|\*{3,}|_{3,})$/,
+			nodeName: 'hr'
+		}
+	};
+
+	/**
+	 * Builds the regular expression which matches text between the given
+	 * markers at the end of a string.  The text must neither start nor end
+	 * with white space nor contain the marker character, and the opening
+	 * marker must not follow a letter or digit, so that snake_case words and
+	 * multiplications are left alone.
+	 *
+	 * @param {string} marker
+	 * @return {RegExp}
+	 */
+	function markedText(marker) {
+		var chr = '\\' + marker.charAt(0);
+		var escaped = marker.replace(/(.)/g, '\\$1');
+		return new RegExp(
+			'(^|[^\\w' + chr + '])' + escaped
+			+ '([^\\s' + chr + '](?:[^' + chr + ']*[^\\s' + chr + '])?)'
+			+ escaped + '$'
+		);
+	}
+
+	/**
+	 * Patterns which format text within a paragraph.
+	 *
+	 * @type {object<string, object>}
+	 * @const
+	 */
+	var INLINE_PATTERNS = {
+		bold: {
+			markers: ['**', '__'],
+			regexes: [markedText('**'), markedText('__')],
+			command: 'bold'
+		},
+		italic: {
+			markers: ['*', '_'],
+			regexes: [markedText('*'), markedText('_')],
+			command: 'italic'
+		}
+	};
+
+	/**
+	 * Names of all patterns.
+	 *
+	 * @type {Array.<string>}
+	 * @const
+	 */
+	var NAMES = $.map([BLOCK_PATTERNS, LINE_PATTERNS, INLINE_PATTERNS], function (patterns) {
+		return $.map(patterns, function (pattern, name) {
+			return name;
+		});
+	});
+
+	function find(patterns, text, enabled) {
+		var found = null;
+		$.each(patterns, function (name, pattern) {
+			if (-1 === $.inArray(name, enabled)) {
+				return;
+			}
+			var match = pattern.regex.exec(text);
+			if (match) {
+				found = {name: name, match: match, pattern: pattern};
+				return false;
+			}
+		});
+		return found;
+	}
+
+	/**
+	 * Finds the block pattern which the given text of a paragraph consists
+	 * of.
+	 *
+	 * @param {string} text The text from the start of the paragraph up to
+	 *                      the caret.
+	 * @param {Array.<string>} enabled Names of the enabled patterns.
+	 * @return {?object} The name of the pattern, and the name of the element
+	 *                   into which the paragraph is to be turned.
+	 */
+	function matchBlock(text, enabled) {
+		var found = find(BLOCK_PATTERNS, text, enabled);
+		if (!found) {
+			return null;
+		}
+		return {
+			name: found.name,
+			nodeName: $.isFunction(found.pattern.nodeName)
+			        ? found.pattern.nodeName(found.match)
+			        : found.pattern.nodeName
+		};
+	}
+
+	/**
+	 * Finds the pattern which fills a paragraph of its own.
+	 *
+	 * @param {string} text The whole text of the paragraph.
+	 * @param {Array.<string>} enabled Names of the enabled patterns.
+	 * @return {?object} The name of the pattern and the name of the element
+	 *                   which is to replace the paragraph.
+	 */
+	function matchLine(text, enabled) {
+		var found = find(LINE_PATTERNS, $.trim(text), enabled);
+		return found ? {name: found.name, nodeName: found.pattern.nodeName} : null;
+	}
+
+	/**
+	 * Finds the inline pattern at the end of the given text.
+	 *
+	 * @param {string} text The text up to the caret.
+	 * @param {Array.<string>} enabled Names of the enabled patterns.
+	 * @return {?object} An object with the properties
+	 *                   name    - the name of the pattern
+	 *                   command - the command which applies the formatting
+	 *                   start   - the offset of the opening marker
+	 *                   marker  - the marker
+	 *                   text    - the text between the markers
+	 */
+	function matchInline(text, enabled) {
+		var found = null;
+		$.each(INLINE_PATTERNS, function (name, pattern) {
+			if (-1 === $.inArray(name, enabled)) {
+				return;
+			}
+			$.each(pattern.regexes, function (i, regex) {
+				var match = regex.exec(text);
+				if (match) {
+					found = {
+						name: name,
+						command: pattern.command,
+						start: match.index + match[1].length,
+						marker: pattern.markers[i],
+						text: match[2]
+					};
+					return false;
+				}
+			});
+			return !found;
+		});
+		return found;
+	}
+
+	return {
+		NAMES: NAMES,
+		matchBlock: matchBlock,
+		matchLine: matchLine,
+		matchInline: matchInline
+	};
+});
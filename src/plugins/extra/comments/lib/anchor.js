@@ -0,0 +1,173 @@
+/* anchor.js is part of the Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * Describes the position of commented text independently of its markup,
+ * so that a comment can be anchored again after the content has been
+ * saved without its comment wrappers and loaded again.
+ *
+ * An anchor is an object of the form {start, end, text}: the character
+ * offsets of the commented text in the text of the editable, and the text
+ * itself.
+ */
+define([
+	'jquery'
+], function (
+	$
+) {
+	'use strict';
+
+	var GENTICS = window.GENTICS;
+
+	/**
+	 * Collects the text nodes in the given element in document order.
+	 *
+	 * @param {HTMLElement} root
+	 * @return {Array.<object>} Objects with the text node and the offset of
+	 *                          its first character in the text of the root.
+	 */
+	function textNodes(root) {
+		var nodes = [];
+		var offset = 0;
+		(function collect(node) {
+			var child;
+			for (child = node.firstChild; child; child = child.nextSibling) {
+				if (3 === child.nodeType) {
+					nodes.push({node: child, offset: offset});
+					offset += child.length;
+				} else if (1 === child.nodeType) {
+					collect(child);
+				}
+			}
+		}(root));
+		return nodes;
+	}
+
+	function textOf(nodes) {
+		return $.map(nodes, function (entry) {
+			return entry.node.data;
+		}).join('');
+	}
+
+	/**
+	 * Describes the position of the text in the given elements.
+	 *
+	 * @param {jQuery} $elements Comment wrappers.
+	 * @param {HTMLElement} root The editable's element.
+	 * @return {object|null} The anchor, or null if the elements contain no
+	 *                       text inside the root.
+	 */
+	function describe($elements, root) {
+		var nodes = textNodes(root);
+		var start = -1;
+		var end = -1;
+		$.each(nodes, function (i, entry) {
+			var inside = $elements.filter(function () {
+				return $.contains(this, entry.node);
+			}).length > 0;
+			if (inside) {
+				if (-1 === start) {
+					start = entry.offset;
+				}
+				end = entry.offset + entry.node.length;
+			}
+		});
+		if (-1 === start) {
+			return null;
+		}
+		return {
+			start: start,
+			end: end,
+			text: textOf(nodes).substring(start, end)
+		};
+	}
+
+	/**
+	 * Finds the occurrence of the given text that is closest to the given
+	 * offset.
+	 *
+	 * @param {string} haystack
+	 * @param {string} needle
+	 * @param {number} near
+	 * @return {number} -1 if the text does not occur at all.
+	 */
+	function closestOccurrence(haystack, needle, near) {
+		var best = -1;
+		var index = haystack.indexOf(needle);
+		while (-1 !== index) {
+			if (-1 === best || Math.abs(index - near) < Math.abs(best - near)) {
+				best = index;
+			}
+			index = haystack.indexOf(needle, index + 1);
+		}
+		return best;
+	}
+
+	/**
+	 * Finds the boundary point before (or, at the end, after) the
+	 * character at the given offset.
+	 *
+	 * @param {Array.<object>} nodes As returned by textNodes().
+	 * @param {number} offset
+	 * @param {boolean} isEnd Whether the boundary ends a range, in which
+	 *                        case it is placed at the end of the preceding
+	 *                        text node rather than at the start of the
+	 *                        following one.
+	 * @return {object} Object with a container and an offset property.
+	 */
+	function boundary(nodes, offset, isEnd) {
+		var i, entry;
+		for (i = 0; i < nodes.length; i++) {
+			entry = nodes[i];
+			if (isEnd ? offset <= entry.offset + entry.node.length
+			          : offset < entry.offset + entry.node.length) {
+				return {container: entry.node, offset: offset - entry.offset};
+			}
+		}
+		entry = nodes[nodes.length - 1];
+		return {container: entry.node, offset: entry.node.length};
+	}
+
+	/**
+	 * Locates the text described by the given anchor in the given element.
+	 * If the text is no longer at the remembered offsets, its occurrence
+	 * closest to them is used.
+	 *
+	 * @param {object} anchor
+	 * @param {HTMLElement} root The editable's element.
+	 * @return {GENTICS.Utils.RangeObject|null} Range around the text, or
+	 *                                          null if the text can not be
+	 *                                          found.
+	 */
+	function locate(anchor, root) {
+		var nodes = textNodes(root);
+		var text = textOf(nodes);
+		var start = anchor.start;
+		if (!anchor.text) {
+			return null;
+		}
+		if (text.substring(start, anchor.end) !== anchor.text) {
+			start = closestOccurrence(text, anchor.text, anchor.start);
+			if (-1 === start) {
+				return null;
+			}
+		}
+		var from = boundary(nodes, start, false);
+		var to = boundary(nodes, start + anchor.text.length, true);
+		return new GENTICS.Utils.RangeObject({
+			startContainer: from.container,
+			startOffset: from.offset,
+			endContainer: to.container,
+			endOffset: to.offset
+		});
+	}
+
+	return {
+		describe: describe,
+		locate: locate
+	};
+});
@@ -0,0 +1,190 @@
+/* comment-storage.js is part of the Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * Storages keep the comment threads of a document between page loads.
+ *
+ * A storage implements load(), save() and remove(). Threads are passed in
+ * their serialized form (see the comments plugin documentation). All
+ * methods report their result through a callback which receives an error
+ * (or null) as its first argument.
+ */
+define([
+	'jquery',
+	'util/class'
+], function (
+	$,
+	Class
+) {
+	'use strict';
+
+	/**
+	 * Abstract storage. Implement it for your own backend.
+	 *
+	 * @class CommentStorage
+	 */
+	var CommentStorage = Class.extend({
+
+		/**
+		 * Loads all threads of a document.
+		 *
+		 * @param {string} documentId
+		 * @param {function(?Error, Array.<object>)} callback
+		 */
+		load: function (documentId, callback) {
+			callback(null, []);
+		},
+
+		/**
+		 * Creates or updates a thread.
+		 *
+		 * @param {string} documentId
+		 * @param {object} thread
+		 * @param {function(?Error)} callback
+		 */
+		save: function (documentId, thread, callback) {
+			callback(null);
+		},
+
+		/**
+		 * Removes a thread.
+		 *
+		 * @param {string} documentId
+		 * @param {string} threadId
+		 * @param {function(?Error)} callback
+		 */
+		remove: function (documentId, threadId, callback) {
+			callback(null);
+		}
+	});
+
+	/**
+	 * Keeps threads in memory, ie. until the page is left. Useful for
+	 * testing, and as the base of storages which keep all threads of a
+	 * document in one place.
+	 *
+	 * @class MemoryCommentStorage
+	 */
+	var MemoryCommentStorage = CommentStorage.extend({
+
+		_constructor: function () {
+			this.documents = {};
+		},
+
+		/**
+		 * @param {string} documentId
+		 * @return {object<string, object>} The document's threads by id.
+		 */
+		_read: function (documentId) {
+			return this.documents[documentId] || {};
+		},
+
+		/**
+		 * @param {string} documentId
+		 * @param {object<string, object>} threads
+		 */
+		_write: function (documentId, threads) {
+			this.documents[documentId] = threads;
+		},
+
+		load: function (documentId, callback) {
+			var threads;
+			try {
+				threads = this._read(documentId);
+			} catch (error) {
+				callback(error, []);
+				return;
+			}
+			callback(null, $.map(threads, function (thread) {
+				return thread;
+			}));
+		},
+
+		save: function (documentId, thread, callback) {
+			try {
+				var threads = this._read(documentId);
+				threads[thread.id] = thread;
+				this._write(documentId, threads);
+			} catch (error) {
+				callback(error);
+				return;
+			}
+			callback(null);
+		},
+
+		remove: function (documentId, threadId, callback) {
+			try {
+				var threads = this._read(documentId);
+				delete threads[threadId];
+				this._write(documentId, threads);
+			} catch (error) {
+				callback(error);
+				return;
+			}
+			callback(null);
+		}
+	});
+
+	/**
+	 * Whether the browser's local storage can be used. Accessing it throws
+	 * when it is disabled.
+	 *
+	 * @return {boolean}
+	 */
+	function hasLocalStorage() {
+		try {
+			return !!window.localStorage;
+		} catch (error) {
+			return false;
+		}
+	}
+
+	/**
+	 * Keeps threads in the browser's local storage, under one key per
+	 * document. Falls back to memory if local storage is not available.
+	 *
+	 * @class LocalCommentStorage
+	 */
+	var LocalCommentStorage = MemoryCommentStorage.extend({
+
+		/**
+		 * @param {string=} prefix Prefix of the local storage keys.
+		 *                         Defaults to 'aloha-comments'.
+		 * @constructor
+		 */
+		_constructor: function (prefix) {
+			this._super();
+			this.prefix = prefix || 'aloha-comments';
+			this.persistent = hasLocalStorage();
+		},
+
+		_read: function (documentId) {
+			if (!this.persistent) {
+				return this._super(documentId);
+			}
+			var json = window.localStorage.getItem(this.prefix + ':' + documentId);
+			return json ? JSON.parse(json) : {};
+		},
+
+		_write: function (documentId, threads) {
+			if (!this.persistent) {
+				this._super(documentId, threads);
+				return;
+			}
+			window.localStorage.setItem(
+				this.prefix + ':' + documentId,
+				JSON.stringify(threads)
+			);
+		}
+	});
+
+	return {
+		CommentStorage: CommentStorage,
+		MemoryCommentStorage: MemoryCommentStorage,
+		LocalCommentStorage: LocalCommentStorage
+	};
+});
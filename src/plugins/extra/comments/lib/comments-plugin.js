@@ -27,9 +27,10 @@
 // TODO: SHIFT + ENTER => submit comment  |
 
 define(
-['aloha', 'aloha/plugin', 'jquery', 'aloha/floatingmenu', 'i18n!format/nls/i18n', 'i18n!aloha/nls/i18n', 'aloha/console',
- 		'css!format/css/format.css'],
-function(Aloha, Plugin, jQuery, FloatingMenu, i18n, i18nCore) {
+['aloha', 'aloha/plugin', 'jquery', 'aloha/floatingmenu', 'i18n!comments/nls/i18n', 'i18n!aloha/nls/i18n',
+ 		'comments/anchor', 'comments/comment-storage', 'comments/rest-comment-storage', 'aloha/console',
+ 		'aloha/ephemera', 'css!format/css/format.css'],
+function(Aloha, Plugin, jQuery, FloatingMenu, i18n, i18nCore, Anchor, Storage, RestCommentStorage, Console, Ephemera) {
 	"use strict";
 
 	
@@ -53,7 +54,6 @@ function(Aloha, Plugin, jQuery, FloatingMenu, i18n, i18nCore) {
 	
 	var dom_util = GENTICS.Utils.Dom,
 		clss = 'aloha-comments',
-		uid = +(new Date),
 		add_box = $(
 			'<div class="' + clss + '-addbox">' +
 				'<div class="' + clss + '-content">' +
@@ -89,6 +89,99 @@ function(Aloha, Plugin, jQuery, FloatingMenu, i18n, i18nCore) {
 		current_comment,
 		comments_hash = {};
 	
+	/**
+	 * Version of the serialization format of threads.
+	 */
+	var FORMAT_VERSION = 1;
+	
+	/**
+	 * How long an editable must not have changed before the anchors of its
+	 * threads are saved, in milliseconds.
+	 */
+	var SAVE_DELAY = 2000;
+	
+	function unwrap(element) {
+		var $element = $(element);
+		$element.replaceWith($element.contents());
+	}
+	
+	/**
+	 * Calls fn for the given comment and all its replies.
+	 */
+	function eachComment(comment, fn) {
+		fn(comment);
+		$.each(comment.kids, function () {
+			eachComment(this, fn);
+		});
+	}
+	
+	/**
+	 * Gets the comment that starts the thread of the given comment.
+	 */
+	function threadOf(comment) {
+		while (comment.mom && comments_hash[comment.mom]) {
+			comment = comments_hash[comment.mom];
+		}
+		return comment;
+	}
+	
+	/**
+	 * Whether the given thread passes the given filter.
+	 *
+	 * @param {object} thread
+	 * @param {object} filter {status: 'open'|'resolved'|'all', author}
+	 */
+	function matchesFilter(thread, filter) {
+		var status = filter.status || 'all',
+			author = (filter.author || '').toLowerCase(),
+			byAuthor = !author;
+		
+		if (('open' === status && thread.resolved)
+				|| ('resolved' === status && !thread.resolved)) {
+			return false;
+		}
+		
+		eachComment(thread, function (comment) {
+			if (comment.email && comment.email.toLowerCase().indexOf(author) !== -1) {
+				byAuthor = true;
+			}
+		});
+		
+		return byAuthor;
+	}
+	
+	function serializeComment(comment) {
+		return {
+			id		  : comment.id,
+			author	  : comment.email,
+			text	  : comment.comment,
+			timestamp : comment.timestamp,
+			replies	  : $.map(comment.kids, serializeComment)
+		};
+	}
+	
+	function deserializeComment(data, mom) {
+		var comment = {
+			id		  : data.id,
+			timestamp : data.timestamp,
+			email	  : data.author,
+			comment	  : data.text,
+			mom		  : mom ? mom.id : null,
+			kids	  : [],
+			color	  : mom ? mom.color : data.color,
+			elements  : $(),
+			commonAncestor: $()
+		};
+		
+		comments_hash[comment.id] = comment;
+		
+		$.each(data.replies || [], function () {
+			comment.kids.push(deserializeComment(this, comment));
+		});
+		
+		return comment;
+	}
+	
 	//Aloha.Comments = Plugin.create('format', {
 	return Plugin.create('format', {
 		
@@ -104,6 +197,15 @@ function(Aloha, Plugin, jQuery, FloatingMenu, i18n, i18nCore) {
 		isRevealing	: false,
 		bar			: null,
 		isBarOpen	: false,
+		storage		: null,
+		documentId	: null,
+		// serialized threads as last saved, by id
+		saved		: {},
+		// which threads are listed in the sidebar
+		filter		: {status: 'open', author: ''},
+		// editables whose threads are to be saved, by id
+		unsaved		: {},
+		saveTimeout	: null,
 		
 		_constructor: function () {
 			this._super('comments');
@@ -113,6 +215,11 @@ function(Aloha, Plugin, jQuery, FloatingMenu, i18n, i18nCore) {
 			var that = this,
 				ul = add_box.find('.' + clss + '-colors');
 			
+			Ephemera.classes(
+				clss + '-grayed', clss + '-ancestor',
+				clss + '-active', clss + '-hover'
+			);
+			
 			$('body').append(add_box)
 				.mousedown(function () {
 					that.bodyClicked.apply(that, arguments);
@@ -139,6 +246,422 @@ function(Aloha, Plugin, jQuery, FloatingMenu, i18n, i18nCore) {
 			this.preloadImages();
 			this.initBtns();
 			this.createBar();
+			
+			this.documentId = this.settings.documentId || window.location.pathname;
+			this.storage = this.createStorage(this.settings.storage);
+			this.load();
+			
+			Aloha.bind('aloha-editable-created', function (event, editable) {
+				that.anchorThreads(editable);
+			});
+			
+			// Because editing moves the commented text, which changes the
+			// anchors of the threads in the edited editable.
+			Aloha.bind('aloha-smart-content-changed', function (event, data) {
+				if (data && data.editable) {
+					that.scheduleSave(data.editable, 'blur' === data.triggerType);
+				}
+			});
+		},
+		
+		/**
+		 * Creates the storage configured with the `storage' setting. It may
+		 * be a storage instance, or an object with a `type' property:
+		 * 'local' (default), 'memory' or 'rest' (which requires a `url').
+		 */
+		createStorage: function (config) {
+			if (config && typeof config.load === 'function') {
+				return config;
+			}
+			
+			config = config || {};
+			
+			switch (config.type) {
+			case 'rest':
+				return new RestCommentStorage(config.url, config.headers);
+			case 'memory':
+				return new Storage.MemoryCommentStorage();
+			default:
+				return new Storage.LocalCommentStorage(config.prefix);
+			}
+		},
+		
+		/**
+		 * Loads the threads of the document from the storage and anchors
+		 * them in their editables.
+		 */
+		load: function () {
+			var that = this;
+			
+			this.storage.load(this.documentId, function (error, threads) {
+				if (error) {
+					Console.error('comments', 'Could not load comments: ' + error.message);
+					return;
+				}
+				
+				$.each(threads, function () {
+					that.restoreThread(this);
+				});
+				
+				$.each(Aloha.editables, function () {
+					that.anchorThreads(this);
+				});
+			});
+		},
+		
+		/**
+		 * Registers a thread from its serialized form.
+		 */
+		restoreThread: function (data) {
+			var comment = deserializeComment(data, null);
+			
+			comment.editable = data.editable;
+			comment.anchor = data.anchor;
+			comment.resolved = !!data.resolved;
+			comment.assignee = data.assignee || null;
+			
+			this.comments[comment.id] = comment;
+			this.saved[comment.id] = JSON.stringify(this.serializeThread(comment));
+			
+			return comment;
+		},
+		
+		/**
+		 * Wraps the commented text of all threads that belong to the given
+		 * editable and are not anchored yet.
+		 */
+		anchorThreads: function (editable) {
+			var that = this;
+			
+			$.each(this.comments, function (id, comment) {
+				if (comment.editable === editable.getId()
+						&& comment.anchor
+						&& 0 === comment.elements.length) {
+					that.anchorThread(comment, editable);
+				}
+			});
+		},
+		
+		anchorThread: function (comment, editable) {
+			var elements = editable.obj.find('.' + comment.id),
+				range;
+			
+			if (0 === elements.length) {
+				range = Anchor.locate(comment.anchor, editable.obj[0]);
+				if (!range) {
+					Console.warn('comments', 'Could not find the text of comment ' + comment.id);
+					return;
+				}
+				dom_util.addMarkup(range, $('<span class="' + clss + '-wrapper aloha-ephemera-wrapper ' + comment.id + '">'));
+				elements = editable.obj.find('.' + comment.id);
+			}
+			
+			eachComment(comment, function (c) {
+				c.elements = elements;
+				c.commonAncestor = editable.obj;
+			});
+			
+			this.bindAnchor(comment);
+		},
+		
+		bindAnchor: function (comment) {
+			var that = this;
+			
+			comment.elements.click(function () {
+				that.commentClicked(comment);
+			}).hover(
+				function () {that.hover(comment, true);},
+				function () {that.hover(comment, false);}
+			);
+		},
+		
+		/**
+		 * Serializes a thread:
+		 * {version, id, editable, anchor, color, author, text, timestamp,
+		 *  replies: [{id, author, text, timestamp, replies}]}
+		 */
+		serializeThread: function (comment) {
+			var editable = Aloha.getEditableHost(comment.elements.first()),
+				anchor = editable
+					? Anchor.describe(comment.elements, editable.obj[0])
+					: null;
+			
+			return $.extend(serializeComment(comment), {
+				version	 : FORMAT_VERSION,
+				editable : editable ? editable.getId() : comment.editable,
+				// threads whose text can not be found keep their last anchor
+				anchor	 : anchor || comment.anchor || null,
+				color	 : comment.color,
+				resolved : !!comment.resolved,
+				assignee : comment.assignee || null
+			});
+		},
+		
+		/**
+		 * Saves the given thread, if it changed since it was last saved.
+		 */
+		saveThread: function (comment) {
+			var that = this,
+				data,
+				json;
+			
+			// comments that have not been submitted yet
+			if (!comment.comment) {
+				return;
+			}
+			
+			data = this.serializeThread(comment);
+			json = JSON.stringify(data);
+			
+			if (this.saved[comment.id] === json) {
+				return;
+			}
+			
+			this.saved[comment.id] = json;
+			comment.editable = data.editable;
+			comment.anchor = data.anchor;
+			
+			this.storage.save(this.documentId, data, function (error) {
+				if (error) {
+					Console.error('comments', 'Could not save comment ' + comment.id + ': ' + error.message);
+					delete that.saved[comment.id];
+				}
+			});
+		},
+		
+		saveAll: function () {
+			var that = this;
+			
+			$.each(this.comments, function (id, comment) {
+				that.saveThread(comment);
+			});
+		},
+		
+		/**
+		 * Saves the threads anchored in the given editable.
+		 */
+		saveEditable: function (editable) {
+			var that = this;
+			
+			$.each(this.comments, function (id, comment) {
+				if (comment.elements.length
+						&& Aloha.getEditableHost(comment.elements.first()) === editable) {
+					that.saveThread(comment);
+				}
+			});
+		},
+		
+		/**
+		 * Saves the threads of the given editable once it has not changed
+		 * for a while, or right away.
+		 */
+		scheduleSave: function (editable, immediately) {
+			var that = this;
+			
+			this.unsaved[editable.getId()] = editable;
+			window.clearTimeout(this.saveTimeout);
+			
+			if (immediately) {
+				this.saveChanged();
+			} else {
+				this.saveTimeout = window.setTimeout(function () {
+					that.saveChanged();
+				}, SAVE_DELAY);
+			}
+		},
+		
+		/**
+		 * Saves the threads of the editables which changed since their
+		 * threads were last saved.
+		 */
+		saveChanged: function () {
+			var that = this,
+				editables = this.unsaved;
+			
+			window.clearTimeout(this.saveTimeout);
+			this.saveTimeout = null;
+			this.unsaved = {};
+			
+			$.each(editables, function (id, editable) {
+				that.saveEditable(editable);
+			});
+		},
+		
+		/**
+		 * Gets the threads that pass the given filter, including resolved
+		 * ones if asked for.
+		 *
+		 * @param {object=} filter {status: 'open'|'resolved'|'all', author}.
+		 *                         Defaults to all threads.
+		 * @return {Array.<object>}
+		 */
+		getThreads: function (filter) {
+			var threads = [];
+			
+			filter = filter || {};
+			
+			$.each(this.comments, function (id, thread) {
+				if (thread.comment && matchesFilter(thread, filter)) {
+					threads.push(thread);
+				}
+			});
+			
+			return threads;
+		},
+		
+		/**
+		 * Sets which threads are listed in the sidebar.
+		 *
+		 * @param {object} filter {status: 'open'|'resolved'|'all', author}
+		 */
+		setFilter: function (filter) {
+			$.extend(this.filter, filter);
+			this.refreshBar();
+		},
+		
+		/**
+		 * Marks a thread as resolved. Its text is no longer highlighted, but
+		 * the thread can still be listed.
+		 */
+		resolve: function (id) {
+			var thread = this.comments[id];
+			
+			if (!thread || thread.resolved) {
+				return;
+			}
+			
+			thread.resolved = true;
+			
+			if (current_comment && threadOf(current_comment) === thread) {
+				this.removeHighlight();
+			}
+			
+			thread.elements
+				.removeClass(clss + '-active ' + clss + '-hover')
+				.css('background-color', '');
+			
+			this.changed(thread, 'aloha-comment-resolved');
+		},
+		
+		reopen: function (id) {
+			var thread = this.comments[id];
+			
+			if (!thread || !thread.resolved) {
+				return;
+			}
+			
+			thread.resolved = false;
+			this.changed(thread, 'aloha-comment-reopened');
+		},
+		
+		/**
+		 * @param {string} id
+		 * @param {string} assignee Whom the thread is assigned to, or null.
+		 */
+		assign: function (id, assignee) {
+			var thread = this.comments[id];
+			
+			if (!thread) {
+				return;
+			}
+			
+			thread.assignee = assignee || null;
+			this.changed(thread, 'aloha-comment-assigned');
+		},
+		
+		/**
+		 * Deletes a thread, or a reply together with its replies.
+		 */
+		remove: function (id) {
+			var comment = comments_hash[id],
+				thread;
+			
+			if (!comment) {
+				return;
+			}
+			
+			thread = threadOf(comment);
+			
+			eachComment(comment, function (c) {
+				delete comments_hash[c.id];
+			});
+			
+			if (comment === thread) {
+				comment.elements.each(function () {
+					unwrap(this);
+				});
+				delete this.comments[id];
+				delete this.saved[id];
+				this.storage.remove(this.documentId, id, function (error) {
+					if (error) {
+						Console.error('comments', 'Could not delete comment ' + id + ': ' + error.message);
+					}
+				});
+			} else {
+				var mom = comments_hash[comment.mom];
+				mom.kids = $.grep(mom.kids, function (kid) {
+					return kid !== comment;
+				});
+				this.saveThread(thread);
+			}
+			
+			if (current_comment === comment) {
+				this.removeHighlight();
+			}
+			
+			Aloha.trigger('aloha-comment-deleted', {
+				id: id,
+				thread: thread.id
+			});
+			
+			this.refreshBar();
+		},
+		
+		/**
+		 * Saves a changed thread and notifies about the change.
+		 */
+		changed: function (thread, eventName) {
+			this.saveThread(thread);
+			
+			Aloha.trigger(eventName, {
+				id: thread.id,
+				thread: this.serializeThread(thread)
+			});
+			
+			this.refreshBar();
+		},
+		
+		/**
+		 * Comment wrappers and highlighting are not part of the content.
+		 * Threads are anchored again by their text when the content is
+		 * loaded.
+		 */
+		makeClean: function (obj) {
+			obj.find('.' + clss + '-wrapper, .' + clss + '-cleanme').each(function () {
+				unwrap(this);
+			});
+			
+			obj.find(
+				'.' + clss + '-grayed,'	  +
+				'.' + clss + '-ancestor,' +
+				'.' + clss + '-active,'	  +
+				'.' + clss + '-hover'
+			).each(function () {
+				var $element = $(this)
+					.removeClass(
+						clss + '-grayed ' + clss + '-ancestor ' +
+						clss + '-active ' + clss + '-hover'
+					)
+					.css({'opacity': '', 'background-color': ''});
+				
+				if (!$element.attr('class')) {
+					$element.removeAttr('class');
+				}
+				
+				if (!$element.attr('style')) {
+					$element.removeAttr('style');
+				}
+			});
 		},
 		
 		initBtns: function () {
@@ -174,9 +697,19 @@ function(Aloha, Plugin, jQuery, FloatingMenu, i18n, i18nCore) {
 		},
 		
 		cancelAdd: function () {
-			//console.log(current_comment);
+			var comment = current_comment;
+			
 			this.closeModal();
 			this.removeHighlight();
+			
+			// the comment has never been submitted, so its wrappers go too
+			if (typeof comment == 'object' && !comment.comment) {
+				comment.elements.each(function () {
+					unwrap(this);
+				});
+				delete this.comments[comment.id];
+				delete comments_hash[comment.id];
+			}
 		},
 		
 		createBar: function () {
@@ -191,6 +724,14 @@ function(Aloha, Plugin, jQuery, FloatingMenu, i18n, i18nCore) {
 							'<h2>'									+
 								'Comments:'							+
 							'</h2>'									+
+							'<div class="' + clss + '-bar-filter">' +
+								'<select>'							+
+									'<option value="open">' + i18n.t('filter.open') + '</option>' +
+									'<option value="resolved">' + i18n.t('filter.resolved') + '</option>' +
+									'<option value="all">' + i18n.t('filter.all') + '</option>' +
+								'</select>'							+
+								'<input placeholder="' + i18n.t('filter.author') + '" />' +
+							'</div>'								+
 							'<ul></ul>'								+
 							'<div class="' + clss + '-bar-bottom">' +
 							'</div>'								+
@@ -206,6 +747,17 @@ function(Aloha, Plugin, jQuery, FloatingMenu, i18n, i18nCore) {
 				that.setBarScrolling();
 			});
 			
+			this.bar.find('.' + clss + '-bar-filter select')
+				.val(this.filter.status)
+				.change(function () {
+					that.setFilter({status: $(this).val()});
+				});
+			
+			this.bar.find('.' + clss + '-bar-filter input')
+				.keyup(function () {
+					that.setFilter({author: $(this).val()});
+				});
+			
 			this.bar.find('.' + clss + '-bar-toggle')
 				.click(function () {
 					if (that.isBarOpen) {
@@ -246,9 +798,9 @@ function(Aloha, Plugin, jQuery, FloatingMenu, i18n, i18nCore) {
 		addComment: function () {
 			var that = this,
 				range = Aloha.Selection.getRangeObject(),
-				id = clss + '-' + (++uid),
-				classes = [clss + '-wrapper', id],
-				wrapper = $('<div class="' + classes.join(' ') + '">');
+				id = clss + '-' + GENTICS.Utils.guid(),
+				classes = [clss + '-wrapper', 'aloha-ephemera-wrapper', id],
+				wrapper = $('<span class="' + classes.join(' ') + '">');
 			
 			dom_util.addMarkup(range, wrapper);
 			
@@ -271,7 +823,9 @@ function(Aloha, Plugin, jQuery, FloatingMenu, i18n, i18nCore) {
 				kids	  : [],
 				color	  : this.colors['Golden Yellow'],
 				elements  : $('.' + id),
-				commonAncestor: $(range.getCommonAncestorContainer())
+				commonAncestor: $(range.getCommonAncestorContainer()),
+				editable  : Aloha.activeEditable ? Aloha.activeEditable.getId() : null,
+				anchor	  : null
 			};
 			
 			comments_hash[id] = this.comments[id];
@@ -281,12 +835,7 @@ function(Aloha, Plugin, jQuery, FloatingMenu, i18n, i18nCore) {
 			
 			$('.aloha-floatingmenu').hide();
 			
-			comment.elements.click(function () {
-				that.commentClicked(comment);
-			}).hover(
-				function () {that.hover(comment, true);},
-				function () {that.hover(comment, false);}
-			);
+			this.bindAnchor(comment);
 		},
 		
 		// Toogle marking of commented text on and off
@@ -296,7 +845,7 @@ function(Aloha, Plugin, jQuery, FloatingMenu, i18n, i18nCore) {
 					.removeClass(clss + '-active')
 					.css('background-color', '');
 			} else {
-				$.each(this.comments, function (id, comment) {
+				$.each(this.getThreads({status: 'open'}), function (i, comment) {
 					comment.elements
 						.addClass(clss + '-active')
 						.css('background-color', comment.color);
@@ -382,6 +931,10 @@ function(Aloha, Plugin, jQuery, FloatingMenu, i18n, i18nCore) {
 		},
 		
 		highlight: function (comment) {
+			if (threadOf(comment).resolved) {
+				return;
+			}
+			
 			comment.elements
 				.css('background-color', comment.color)
 				.addClass(clss + '-active')
@@ -444,7 +997,7 @@ function(Aloha, Plugin, jQuery, FloatingMenu, i18n, i18nCore) {
 		
 		hover: function (comment, onenter) {
 			var el = comment.elements;
-			if (!el.hasClass(clss + '-active')) {
+			if (!el.hasClass(clss + '-active') && !threadOf(comment).resolved) {
 				if (onenter) {
 					el.addClass(clss + '-hover')
 						.css('background-color', comment.color);
@@ -475,7 +1028,7 @@ function(Aloha, Plugin, jQuery, FloatingMenu, i18n, i18nCore) {
 				this.highlight(comment);
 				this.printThread(ul, comment);
 			} else {
-				$.each(this.comments, function () {
+				$.each(this.getThreads(this.filter), function () {
 					that.printThread(ul, this);
 				});
 			}
@@ -484,6 +1037,27 @@ function(Aloha, Plugin, jQuery, FloatingMenu, i18n, i18nCore) {
 			this.setBarScrolling();
 		},
 		
+		/**
+		 * Lists the threads that pass the filter again, if the sidebar is
+		 * open.
+		 */
+		refreshBar: function () {
+			var that = this,
+				ul;
+			
+			if (!this.isBarOpen) {
+				return;
+			}
+			
+			ul = this.bar.find('ul:first').html('');
+			
+			$.each(this.getThreads(this.filter), function () {
+				that.printThread(ul, this);
+			});
+			
+			this.setBarScrolling();
+		},
+		
 		setBarScrolling: function () {
 			var bottom = this.bar.find('.' + clss + '-bar-bottom').position();
 			
@@ -527,6 +1101,11 @@ function(Aloha, Plugin, jQuery, FloatingMenu, i18n, i18nCore) {
 					'</li>'
 				);
 			
+			if (!comment.mom) {
+				li.toggleClass(clss + '-bar-resolved', !!comment.resolved);
+				li.find('.' + clss + '-bar-comment').append(this.threadTools(comment));
+			}
+			
 			el.append(li);
 			
 			$.each(comment.kids, function () {
@@ -536,6 +1115,46 @@ function(Aloha, Plugin, jQuery, FloatingMenu, i18n, i18nCore) {
 			});
 		},
 		
+		// Create resolve, assign and delete controls of a thread
+		threadTools: function (thread) {
+			var that = this,
+				tools = $(
+					'<div class="' + clss + '-bar-tools">' +
+						'<input class="' + clss + '-bar-assignee" placeholder="' + i18n.t('thread.assignee') + '" />' +
+						'<button class="' + clss + '-bar-resolve"></button>' +
+						'<button class="' + clss + '-bar-delete">' + i18n.t('button.delete') + '</button>' +
+					'</div>'
+				);
+			
+			// so that clicks on the tools do not open the reply tools
+			tools.click(function (event) {
+				event.stopPropagation();
+			});
+			
+			tools.find('input')
+				.val(thread.assignee || '')
+				.change(function () {
+					that.assign(thread.id, $.trim($(this).val()));
+				});
+			
+			tools.find('.' + clss + '-bar-resolve')
+				.text(i18n.t(thread.resolved ? 'button.reopen' : 'button.resolve'))
+				.click(function () {
+					if (thread.resolved) {
+						that.reopen(thread.id);
+					} else {
+						that.resolve(thread.id);
+					}
+				});
+			
+			tools.find('.' + clss + '-bar-delete')
+				.click(function () {
+					that.remove(thread.id);
+				});
+			
+			return tools;
+		},
+		
 		// Create reply textarea
 		insertReplyTools: function (li) {
 			var that = this,
@@ -575,7 +1194,7 @@ function(Aloha, Plugin, jQuery, FloatingMenu, i18n, i18nCore) {
 				mom	 = comments_hash[mom_id];
 			
 			if (typeof mom == 'object') {
-				var id	  = clss + '-' + (++uid),
+				var id	  = clss + '-' + GENTICS.Utils.guid(),
 					email = reply_tool.find('input').val().trim(),
 					text  = reply_tool.find('textarea')
 								.val().trim()
@@ -595,6 +1214,13 @@ function(Aloha, Plugin, jQuery, FloatingMenu, i18n, i18nCore) {
 				
 				comments_hash[id] = mom.kids[index - 1];
 				
+				this.saveThread(threadOf(mom));
+				
+				Aloha.trigger('aloha-comment-added', {
+					id: id,
+					thread: this.serializeThread(threadOf(mom))
+				});
+				
 				reply_tool.animate(
 					{height: 0}, 250, 'easeOutExpo',
 					function () {
@@ -658,6 +1284,12 @@ function(Aloha, Plugin, jQuery, FloatingMenu, i18n, i18nCore) {
 		insertComment: function (comment) {
 			comments_hash[comment.id] =
 				this.comments[comment.id] = comment;
+			this.saveThread(comment);
+			
+			Aloha.trigger('aloha-comment-added', {
+				id: comment.id,
+				thread: this.serializeThread(comment)
+			});
 		},
 		
 		bodyClicked: function (event) {
@@ -0,0 +1,106 @@
+/* rest-comment-storage.js is part of the Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * Keeps comment threads on a server with a simple REST interface:
+ *
+ * GET    <url>?document=<documentId>           responds with an array of threads
+ * PUT    <url>/<threadId>?document=<documentId> stores the thread in the request body
+ * DELETE <url>/<threadId>?document=<documentId> removes the thread
+ *
+ * Threads are sent and received as JSON.
+ */
+define([
+	'jquery',
+	'comments/comment-storage'
+], function (
+	$,
+	Storage
+) {
+	'use strict';
+
+	/**
+	 * Converts a failed request into an error.
+	 *
+	 * @param {jqXHR} xhr
+	 * @param {string} status
+	 * @return {Error}
+	 */
+	function toError(xhr, status) {
+		var error = new Error('Comment storage request failed: '
+				+ (xhr.status || status));
+		error.status = xhr.status;
+		return error;
+	}
+
+	/**
+	 * @class RestCommentStorage
+	 */
+	var RestCommentStorage = Storage.CommentStorage.extend({
+
+		/**
+		 * @param {string} url URL of the comments resource.
+		 * @param {object=} headers Additional request headers, eg. for
+		 *                          authentication.
+		 * @constructor
+		 */
+		_constructor: function (url, headers) {
+			this.url = url.replace(/\/$/, '');
+			this.headers = headers || {};
+		},
+
+		_request: function (method, path, documentId, data, callback) {
+			$.ajax({
+				type: method,
+				url: this.url + path + '?document=' + encodeURIComponent(documentId),
+				headers: this.headers,
+				// Because servers may respond to changes with an empty body.
+				dataType: 'GET' === method ? 'json' : 'text',
+				contentType: 'application/json',
+				data: data ? JSON.stringify(data) : undefined,
+				success: function (response) {
+					callback(null, response);
+				},
+				error: function (xhr, status) {
+					callback(toError(xhr, status));
+				}
+			});
+		},
+
+		load: function (documentId, callback) {
+			this._request('GET', '', documentId, null, function (error, threads) {
+				callback(error, error ? [] : (threads || []));
+			});
+		},
+
+		save: function (documentId, thread, callback) {
+			this._request(
+				'PUT',
+				'/' + encodeURIComponent(thread.id),
+				documentId,
+				thread,
+				function (error) {
+					callback(error);
+				}
+			);
+		},
+
+		remove: function (documentId, threadId, callback) {
+			this._request(
+				'DELETE',
+				'/' + encodeURIComponent(threadId),
+				documentId,
+				null,
+				function (error) {
+					callback(error);
+				}
+			);
+		}
+	});
+
+	return RestCommentStorage;
+});
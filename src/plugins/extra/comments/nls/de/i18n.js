@@ -0,0 +1,10 @@
+define({
+	"filter.open": "Offen",
+	"filter.resolved": "Erledigt",
+	"filter.all": "Alle",
+	"filter.author": "Autor",
+	"thread.assignee": "Zuweisen an",
+	"button.resolve": "Erledigen",
+	"button.reopen": "Wieder öffnen",
+	"button.delete": "Löschen"
+});
@@ -0,0 +1,13 @@
+define({
+	"root":  {
+		"filter.open": "Open",
+		"filter.resolved": "Resolved",
+		"filter.all": "All",
+		"filter.author": "Author",
+		"thread.assignee": "Assign to",
+		"button.resolve": "Resolve",
+		"button.reopen": "Reopen",
+		"button.delete": "Delete"
+	},
+		"de": true
+});
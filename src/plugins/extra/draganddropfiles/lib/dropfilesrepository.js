@@ -199,7 +199,9 @@ function($, repository, i18nCore){
 		 */
 		UploadFile: Aloha.RepositoryDocument.extend({
 			_constructor: function(properties) {
-				var xhr = this.xhr,
+				// each file needs its own request, since several files may
+				// be uploaded at the same time
+				var xhr = this.xhr = new XMLHttpRequest(),
 				that = this;
 				this._super(properties);
 				xhr.upload['onprogress'] = function(rpe) {
@@ -207,26 +209,22 @@ function($, repository, i18nCore){
 					that.total = rpe.total;
 					that.ulProgress = rpe.loaded / rpe.total;
 					Aloha.trigger('aloha-upload-progress',that);
-					xhr.onload = function(load) {
-						try {
-							that.src = that.upload_config.callback(xhr.responseText);
-							Aloha.trigger('aloha-upload-success',that);
-						} catch(e) {
-							Aloha.trigger('aloha-upload-failure', that);
-						}
-//						if (that.delegateUploadEvent(xhr.responseText)) {
-	//
-//						} else {
-					};
-					xhr.onabort = function() {
-						Aloha.trigger('aloha-upload-abort', that);
-					};
-					xhr.onerror = function(e) {
-						Aloha.trigger('aloha-upload-error', that);
-					};
-				}
+				};
+				xhr.onload = function(load) {
+					try {
+						that.src = that.upload_config.callback(xhr.responseText);
+						Aloha.trigger('aloha-upload-success',that);
+					} catch(e) {
+						Aloha.trigger('aloha-upload-failure', that);
+					}
+				};
+				xhr.onabort = function() {
+					Aloha.trigger('aloha-upload-abort', that);
+				};
+				xhr.onerror = function(e) {
+					Aloha.trigger('aloha-upload-error', that);
+				};
 			},
-			xhr: new XMLHttpRequest(),
 			contentTypeHeader: 'text/plain; charset=x-user-defined-binary',
 			/**
 			 * Process upload of a file
@@ -0,0 +1,587 @@
+/* findreplace-plugin.js is part of the Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * Finds and replaces text in the active editable or in all editables.
+ *
+ * All matches are highlighted (see findreplace/search), and stepping through
+ * them selects them one after the other.  Replacing a match, or all of them,
+ * is a single step in the undo history of each editable.
+ */
+define([
+	'jquery',
+	'aloha',
+	'aloha/plugin',
+	'ui/ui',
+	'ui/button',
+	'findreplace/search',
+	'util/strings',
+	'i18n!findreplace/nls/i18n',
+	'css!findreplace/css/findreplace.css'
+], function (
+	$,
+	Aloha,
+	Plugin,
+	Ui,
+	Button,
+	Search,
+	Strings,
+	i18n
+) {
+	'use strict';
+
+	/**
+	 * The current search.
+	 *
+	 * @type {object}
+	 */
+	var search = {
+		regex: null,
+		options: {},
+		matches: [],
+		current: -1
+	};
+
+	/**
+	 * The editable which was active last.
+	 *
+	 * @type {?Aloha.Editable}
+	 */
+	var lastEditable = null;
+
+	/**
+	 * Whether content is being replaced, so that its changes don't discard
+	 * the search.
+	 *
+	 * @type {boolean}
+	 */
+	var replacing = false;
+
+	/**
+	 * The sidebar panel.
+	 *
+	 * @type {?object}
+	 */
+	var panel = null;
+
+	/**
+	 * Runs the given function so that the undo plugin records all its
+	 * changes to the given editable as a single step.
+	 *
+	 * @param {Aloha.Editable} editable
+	 * @param {function} fn
+	 */
+	function undoable(editable, fn) {
+		if (!editable || !Aloha.isPluginLoaded('undo')) {
+			fn();
+			return;
+		}
+		Aloha.require('undo/undo-plugin').transaction(editable, 'replace', fn);
+	}
+
+	function editableOf(root) {
+		return $.grep(Aloha.editables, function (editable) {
+			return editable.obj[0] === root;
+		})[0] || null;
+	}
+
+	/**
+	 * Gets the elements which are searched, in document order.
+	 *
+	 * @param {string} scope "all" for all editables, otherwise the active
+	 *                       editable.
+	 * @return {Array.<HTMLElement>}
+	 */
+	function getRoots(scope) {
+		var editables = 'all' === scope
+		              ? Aloha.editables
+		              : [Aloha.activeEditable || lastEditable];
+		var roots = $.map(editables, function (editable) {
+			return (editable && !editable.isDisabled()
+					&& $.contains(document.documentElement, editable.obj[0]))
+			     ? editable.obj[0]
+			     : null;
+		});
+		return roots.sort(function (a, b) {
+			return (a.compareDocumentPosition(b) & 4) ? -1 : 1;
+		});
+	}
+
+	/**
+	 * Gets the selection, so that it can be restored after the highlights
+	 * have been removed.
+	 *
+	 * @return {Array.<object>} The start and end of the selection.
+	 */
+	function saveSelection() {
+		var selection = Aloha.getSelection();
+		if (!selection.getRangeCount()) {
+			return [];
+		}
+		var range = selection.getRangeAt(0);
+		return [
+			{node: range.startContainer, offset: range.startOffset},
+			{node: range.endContainer, offset: range.endOffset}
+		];
+	}
+
+	function restoreSelection(positions) {
+		if (!positions.length || !$.contains(document.documentElement, positions[0].node)) {
+			return;
+		}
+		var range = new GENTICS.Utils.RangeObject({
+			startContainer: positions[0].node,
+			startOffset: positions[0].offset,
+			endContainer: positions[1].node,
+			endOffset: positions[1].offset
+		});
+		range.select();
+		Aloha.Selection.updateSelection();
+	}
+
+	/**
+	 * Translates a message, and fills in its placeholders like "{count}".
+	 *
+	 * @param {string} key
+	 * @param {object<string, *>} values
+	 * @return {string}
+	 */
+	function translate(key, values) {
+		return Strings.format(i18n.t(key), values);
+	}
+
+	/**
+	 * Shows the number of matches, and which of them is selected, in the
+	 * panel.
+	 *
+	 * @param {string=} message Shown instead.
+	 */
+	function renderStatus(message) {
+		if (!panel) {
+			return;
+		}
+		var status;
+		if (message) {
+			status = message;
+		} else if (!search.regex) {
+			status = '';
+		} else if (!search.matches.length) {
+			status = i18n.t('status.none');
+		} else if (-1 === search.current) {
+			status = translate('status.count', {count: search.matches.length});
+		} else {
+			status = translate('status.current', {
+				current: search.current + 1,
+				count: search.matches.length
+			});
+		}
+		panel.content.find('.aloha-findreplace-status').text(status);
+	}
+
+	/**
+	 * Removes all highlights, and forgets the matches.
+	 */
+	function clear() {
+		var positions = saveSelection();
+		var roots = [];
+		$.each(search.matches, function (i, match) {
+			if (-1 === $.inArray(match.root, roots)) {
+				roots.push(match.root);
+			}
+		});
+		$.each(roots, function (i, root) {
+			Search.unhighlight(root, positions);
+		});
+		search.matches = [];
+		search.current = -1;
+		restoreSelection(positions);
+	}
+
+	/**
+	 * Checks whether the matches still refer to the content, which has
+	 * been replaced for example by undoing a change.
+	 *
+	 * @return {boolean}
+	 */
+	function isStale() {
+		return 0 < $.grep(search.matches, function (match) {
+			return !$.contains(match.root, match.segments[0].node);
+		}).length;
+	}
+
+	/**
+	 * Searches and highlights the current query again.
+	 */
+	function refresh() {
+		clear();
+		if (search.regex) {
+			$.each(getRoots(search.options.scope), function (i, root) {
+				search.matches = search.matches.concat(Search.find(root, search.regex));
+			});
+			Search.highlight(search.matches);
+		}
+		renderStatus();
+	}
+
+	/**
+	 * Selects the match with the given index.
+	 *
+	 * @param {number} index
+	 */
+	function select(index) {
+		var match = search.matches[index];
+		if (!match) {
+			return;
+		}
+		search.current = index;
+		var editable = editableOf(match.root);
+		if (editable && editable !== Aloha.activeEditable) {
+			editable.activate();
+		}
+		var first = match.segments[0];
+		var last = match.segments[match.segments.length - 1];
+		var range = new GENTICS.Utils.RangeObject({
+			startContainer: first.node,
+			startOffset: first.start,
+			endContainer: last.node,
+			endOffset: last.end
+		});
+		range.select();
+		Aloha.Selection.updateSelection();
+		Search.markCurrent(match);
+		if (first.node.parentNode.scrollIntoView) {
+			first.node.parentNode.scrollIntoView(false);
+		}
+		renderStatus();
+	}
+
+	/**
+	 * Selects the next or the previous match, and starts over at the end.
+	 *
+	 * @param {number} direction 1 or -1.
+	 * @return {?object} The selected match.
+	 */
+	function step(direction) {
+		if (isStale() || (search.regex && !search.matches.length)) {
+			refresh();
+		}
+		var count = search.matches.length;
+		if (!count) {
+			return null;
+		}
+		var index = -1 === search.current
+		          ? (direction > 0 ? 0 : count - 1)
+		          : (search.current + direction + count) % count;
+		select(index);
+		return search.matches[index];
+	}
+
+	/**
+	 * Finds the index of the first match at or after the given offset in
+	 * the text of the given element.
+	 *
+	 * @param {HTMLElement} root
+	 * @param {number} offset
+	 * @return {number}
+	 */
+	function indexAfter(root, offset) {
+		var roots = getRoots(search.options.scope);
+		var position = $.inArray(root, roots);
+		var i;
+		var match;
+		for (i = 0; i < search.matches.length; i++) {
+			match = search.matches[i];
+			if (match.root === root ? match.start >= offset
+			                        : $.inArray(match.root, roots) > position) {
+				return i;
+			}
+		}
+		return search.matches.length ? 0 : -1;
+	}
+
+	function replacementFor(match, replacement) {
+		return search.options.regex
+		     ? Search.expandReplacement(replacement, match)
+		     : replacement;
+	}
+
+	/**
+	 * Replaces matches while their changes are expected.
+	 *
+	 * @param {Aloha.Editable} editable
+	 * @param {function} fn Replaces the matches.
+	 */
+	function replaceIn(editable, fn) {
+		replacing = true;
+		try {
+			undoable(editable, function () {
+				fn();
+				if (editable) {
+					editable.smartContentChange({type: 'block-change', plugin: 'findreplace'});
+				}
+			});
+		} finally {
+			replacing = false;
+		}
+	}
+
+	/**
+	 * Starts a search, and highlights all matches.
+	 *
+	 * @param {string} query
+	 * @param {object=} options An object with the properties
+	 *        caseSensitive - whether case matters
+	 *        wholeWord     - whether only whole words are found
+	 *        regex         - whether the query is a regular expression
+	 *        scope         - "all" to search all editables instead of the
+	 *                        active one
+	 * @return {number} The number of matches, or -1 if the query is no valid
+	 *                  regular expression.
+	 */
+	function find(query, options) {
+		options = options || {};
+		clear();
+		search.options = options;
+		try {
+			search.regex = Search.createRegExp(query, options);
+		} catch (error) {
+			search.regex = null;
+			renderStatus(i18n.t('status.invalid'));
+			return -1;
+		}
+		refresh();
+		return search.matches.length;
+	}
+
+	/**
+	 * Replaces the selected match, and selects the next one.  If no match is
+	 * selected, the next one is selected instead.
+	 *
+	 * @param {string} replacement
+	 * @return {boolean} Whether a match was replaced.
+	 */
+	function replace(replacement) {
+		if (isStale()) {
+			refresh();
+		}
+		var match = search.matches[search.current];
+		if (!match) {
+			step(1);
+			return false;
+		}
+		var text = replacementFor(match, replacement);
+		replaceIn(editableOf(match.root), function () {
+			Search.replace(match, text);
+		});
+		refresh();
+		var index = indexAfter(match.root, match.start + text.length);
+		if (-1 !== index) {
+			select(index);
+		}
+		return true;
+	}
+
+	/**
+	 * Replaces all matches.
+	 *
+	 * @param {string} replacement
+	 * @return {number} The number of replaced matches.
+	 */
+	function replaceAll(replacement) {
+		if (isStale() || !search.matches.length) {
+			refresh();
+		}
+		var matches = search.matches;
+		var roots = [];
+		$.each(matches, function (i, match) {
+			if (-1 === $.inArray(match.root, roots)) {
+				roots.push(match.root);
+			}
+		});
+		$.each(roots, function (i, root) {
+			replaceIn(editableOf(root), function () {
+				$.each(matches, function (j, match) {
+					if (match.root === root) {
+						Search.replace(match, replacementFor(match, replacement));
+					}
+				});
+			});
+		});
+		clear();
+		renderStatus(translate('status.replaced', {count: matches.length}));
+		return matches.length;
+	}
+
+	/**
+	 * Reads the search options from the panel.
+	 *
+	 * @param {jQuery.<HTMLElement>} $content
+	 * @return {object}
+	 */
+	function readOptions($content) {
+		return {
+			caseSensitive : $content.find('[name=caseSensitive]').is(':checked'),
+			wholeWord     : $content.find('[name=wholeWord]').is(':checked'),
+			regex         : $content.find('[name=regex]').is(':checked'),
+			scope         : $content.find('[name=scope]').val()
+		};
+	}
+
+	/**
+	 * Creates the contents of the panel.
+	 *
+	 * @return {jQuery.<HTMLElement>}
+	 */
+	function createPanelContent() {
+		var $content = $(
+			'<div class="aloha-findreplace">'
+			+ '<input type="text" name="query">'
+			+ '<input type="text" name="replacement">'
+			+ '<label><input type="checkbox" name="caseSensitive"> <span></span></label>'
+			+ '<label><input type="checkbox" name="wholeWord"> <span></span></label>'
+			+ '<label><input type="checkbox" name="regex"> <span></span></label>'
+			+ '<select name="scope"><option value="editable"></option><option value="all"></option></select>'
+			+ '<div class="aloha-findreplace-buttons">'
+			+ '<button name="previous"></button><button name="next"></button>'
+			+ '<button name="replace"></button><button name="replaceAll"></button>'
+			+ '</div>'
+			+ '<div class="aloha-findreplace-status"></div>'
+			+ '</div>'
+		);
+		$content.find('[name=query]').attr('placeholder', i18n.t('field.query'));
+		$content.find('[name=replacement]').attr('placeholder', i18n.t('field.replacement'));
+		$.each(['caseSensitive', 'wholeWord', 'regex'], function (i, name) {
+			$content.find('[name=' + name + ']').next().text(i18n.t('option.' + name));
+		});
+		$content.find('option[value=editable]').text(i18n.t('scope.editable'));
+		$content.find('option[value=all]').text(i18n.t('scope.all'));
+		$.each(['previous', 'next', 'replace', 'replaceAll'], function (i, name) {
+			$content.find('button[name=' + name + ']').text(i18n.t('button.' + name));
+		});
+
+		var $query = $content.find('[name=query]');
+		var $replacement = $content.find('[name=replacement]');
+		var findQuery = function () {
+			find($query.val(), readOptions($content));
+		};
+		$query.on('input', findQuery);
+		$content.find('input:checkbox, select').on('change', findQuery);
+		$query.on('keydown', function (event) {
+			if (13 === event.keyCode) {
+				step(event.shiftKey ? -1 : 1);
+				return false;
+			}
+		});
+		$content.find('button[name=previous]').click(function () {
+			step(-1);
+		});
+		$content.find('button[name=next]').click(function () {
+			step(1);
+		});
+		$content.find('button[name=replace]').click(function () {
+			replace($replacement.val());
+		});
+		$content.find('button[name=replaceAll]').click(function () {
+			replaceAll($replacement.val());
+		});
+		return $content;
+	}
+
+	/**
+	 * Opens the panel, with the selected text as the query.
+	 */
+	function openPanel() {
+		if (!panel) {
+			return;
+		}
+		var selection = Aloha.getSelection();
+		var text = selection.getRangeCount() ? selection.getRangeAt(0).toString() : '';
+		var $query = panel.content.find('[name=query]');
+		Aloha.Sidebar.right.open();
+		panel.expand();
+		if (text && -1 === text.indexOf('\n')) {
+			$query.val(text);
+			find(text, readOptions(panel.content));
+		}
+		$query.focus();
+	}
+
+	var FindReplace = Plugin.create('findreplace', {
+
+		/**
+		 * Whether the panel is added to the sidebar.
+		 *
+		 * @type {boolean}
+		 */
+		sidebar: true,
+
+		init: function () {
+			var plugin = this;
+			if (false === plugin.settings.sidebar) {
+				plugin.sidebar = false;
+			}
+
+			Aloha.bind('aloha-editable-activated', function ($event, data) {
+				lastEditable = data.editable;
+			});
+			Aloha.bind('aloha-editable-destroyed', function ($event, editable) {
+				if (lastEditable === editable) {
+					lastEditable = null;
+				}
+			});
+			// Because the highlights would get in the way of typing, and the
+			// matches would be outdated
+			Aloha.bind('aloha-smart-content-changed', function () {
+				if (!replacing && search.matches.length) {
+					clear();
+					renderStatus();
+				}
+			});
+
+			if (plugin.sidebar) {
+				Aloha.bind('aloha-plugins-loaded', function () {
+					if (!Aloha.Sidebar || !Aloha.Sidebar.right) {
+						return;
+					}
+					panel = Aloha.Sidebar.right.addPanel({
+						id       : 'aloha-findreplace-sidebar-panel',
+						title    : i18n.t('panel.title'),
+						content  : createPanelContent(),
+						expanded : false,
+						activeOn : true
+					});
+				});
+				Ui.adopt('findReplace', Button, {
+					tooltip : i18n.t('button.findReplace.tooltip'),
+					text    : i18n.t('button.findReplace.text'),
+					scope   : 'Aloha.continuoustext',
+					click   : openPanel
+				});
+			}
+		}
+	});
+
+	FindReplace.find = find;
+	FindReplace.next = function () {
+		return step(1);
+	};
+	FindReplace.previous = function () {
+		return step(-1);
+	};
+	FindReplace.replace = replace;
+	FindReplace.replaceAll = replaceAll;
+	FindReplace.getMatches = function () {
+		return search.matches.slice();
+	};
+	FindReplace.clear = function () {
+		clear();
+		search.regex = null;
+		renderStatus();
+	};
+
+	return FindReplace;
+});
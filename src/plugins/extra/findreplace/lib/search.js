@@ -0,0 +1,377 @@
+/* search.js is part of Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * Finds text in the DOM, highlights it and replaces it.
+ *
+ * Text is searched across inline elements, so that "bold text" is found in
+ * "<b>bold</b> text", but not across block elements and line breaks.  A match
+ * consists of segments, which are the parts of the match in each text node.
+ *
+ * Highlights are ephemeral wrappers around the segments, which are pruned
+ * from the contents of editables.
+ */
+define([
+	'jquery',
+	'aloha/ephemera',
+	'util/html'
+], function (
+	$,
+	Ephemera,
+	Html
+) {
+	'use strict';
+
+	/**
+	 * The class of highlighted matches.
+	 *
+	 * @type {string}
+	 * @const
+	 */
+	var MATCH_CLASS = 'aloha-findreplace-match';
+
+	/**
+	 * The class of the highlighted match which is selected.
+	 *
+	 * @type {string}
+	 * @const
+	 */
+	var CURRENT_CLASS = 'aloha-findreplace-current';
+
+	/**
+	 * Separates the text of blocks, so that no match spans two of them.
+	 *
+	 * @type {string}
+	 * @const
+	 */
+	var SEPARATOR = '\n';
+
+	Ephemera.classes(MATCH_CLASS, CURRENT_CLASS);
+
+	/**
+	 * Creates the regular expression which finds the query.
+	 *
+	 * @param {string} query
+	 * @param {object=} options An object with the properties
+	 *        caseSensitive - whether case matters
+	 *        wholeWord     - whether only whole words are found
+	 *        regex         - whether the query is a regular expression
+	 * @return {?RegExp} Null if the query is empty.
+	 * @throws {SyntaxError} If the query is no valid regular expression.
+	 */
+	function createRegExp(query, options) {
+		options = options || {};
+		if (!query) {
+			return null;
+		}
+		var source = options.regex ? query : query.replace(/[\-\[\]\/{}()*+?.\\\^$|]/g, '\\$&');
+		// Because a word boundary next to a character which is no word
+		// character requires a word character on the other side
+		if (options.wholeWord) {
+			source = (options.regex || /^\w/.test(query) ? '\\b' : '')
+			       + '(?:' + source + ')'
+			       + (options.regex || /\w$/.test(query) ? '\\b' : '');
+		}
+		return new RegExp(source, options.caseSensitive ? 'g' : 'gi');
+	}
+
+	/**
+	 * Checks whether the text of the given element is left out of searches.
+	 *
+	 * @param {HTMLElement} element
+	 * @param {HTMLElement} root
+	 * @return {boolean}
+	 */
+	function isSkipped(element, root) {
+		var $element = $(element);
+		return 'SCRIPT' === element.nodeName
+		    || 'STYLE' === element.nodeName
+		    || 'false' === $element.attr('contenteditable')
+		    || $element.hasClass('aloha-ephemera')
+		    || (element !== root && $element.hasClass('aloha-editable'));
+	}
+
+	/**
+	 * Collects the text of an element, and the position of every text node
+	 * in it.
+	 *
+	 * @param {HTMLElement} root
+	 * @return {object} The text, and its text nodes with their offsets.
+	 */
+	function collectText(root) {
+		var text = '';
+		var nodes = [];
+		var separate = function () {
+			if (text && SEPARATOR !== text.charAt(text.length - 1)) {
+				text += SEPARATOR;
+			}
+		};
+		var walk = function (node) {
+			var child;
+			if (3 === node.nodeType) {
+				nodes.push({node: node, start: text.length});
+				text += node.data;
+				return;
+			}
+			if (1 !== node.nodeType || isSkipped(node, root)) {
+				if (1 === node.nodeType) {
+					separate();
+				}
+				return;
+			}
+			var isBlock = 'BR' === node.nodeName || Html.isBlock(node);
+			if (isBlock) {
+				separate();
+			}
+			for (child = node.firstChild; child; child = child.nextSibling) {
+				walk(child);
+			}
+			if (isBlock) {
+				separate();
+			}
+		};
+		walk(root);
+		return {text: text, nodes: nodes};
+	}
+
+	/**
+	 * Finds the segments of the text between the given offsets.
+	 *
+	 * @param {Array.<object>} nodes
+	 * @param {number} start
+	 * @param {number} end
+	 * @return {Array.<object>}
+	 */
+	function segmentsBetween(nodes, start, end) {
+		var segments = [];
+		$.each(nodes, function (i, entry) {
+			var nodeEnd = entry.start + entry.node.length;
+			if (nodeEnd <= start || entry.start >= end) {
+				return;
+			}
+			segments.push({
+				node: entry.node,
+				start: Math.max(start, entry.start) - entry.start,
+				end: Math.min(end, nodeEnd) - entry.start
+			});
+		});
+		return segments;
+	}
+
+	/**
+	 * Finds all matches of a regular expression in the text of an element.
+	 *
+	 * @param {HTMLElement} root
+	 * @param {RegExp} regex A global regular expression.
+	 * @return {Array.<object>} Matches with the properties
+	 *         root     - the element
+	 *         start    - the offset of the match in the text of the element
+	 *         end      - the offset after the match
+	 *         text     - the matched text
+	 *         groups   - the result of the regular expression
+	 *         segments - the text nodes of the match, and the offsets of
+	 *                    the match in them
+	 */
+	function find(root, regex) {
+		var collected = collectText(root);
+		var matches = [];
+		var match;
+		regex.lastIndex = 0;
+		while (null !== (match = regex.exec(collected.text))) {
+			if (!match[0]) {
+				// Because an empty match would be found again and again
+				regex.lastIndex++;
+				continue;
+			}
+			if (-1 !== match[0].indexOf(SEPARATOR)) {
+				continue;
+			}
+			matches.push({
+				root: root,
+				start: match.index,
+				end: match.index + match[0].length,
+				text: match[0],
+				groups: match,
+				segments: segmentsBetween(collected.nodes, match.index, match.index + match[0].length)
+			});
+		}
+		return matches;
+	}
+
+	/**
+	 * Expands "$&", "$1" to "$99" and "$$" in the replacement of a regular
+	 * expression match.
+	 *
+	 * @param {string} replacement
+	 * @param {object} match
+	 * @return {string}
+	 */
+	function expandReplacement(replacement, match) {
+		return replacement.replace(/\$(\$|&|\d{1,2})/g, function (placeholder, name) {
+			if ('$' === name) {
+				return '$';
+			}
+			if ('&' === name) {
+				return match.text;
+			}
+			var group = parseInt(name, 10);
+			if (group < match.groups.length) {
+				return match.groups[group] || '';
+			}
+			return placeholder;
+		});
+	}
+
+	/**
+	 * Removes a node, and the inline elements around it which become empty.
+	 *
+	 * @param {Node} node
+	 * @param {HTMLElement} root
+	 */
+	function removeEmpty(node, root) {
+		var parent;
+		while (node !== root && !Html.isBlock(node)
+				&& (3 === node.nodeType ? !node.length : !node.firstChild)) {
+			parent = node.parentNode;
+			parent.removeChild(node);
+			node = parent;
+		}
+	}
+
+	/**
+	 * Replaces a match with the given text.
+	 *
+	 * The replacement takes the place of the first segment, so that it keeps
+	 * the formatting of the start of the match.  The other segments are
+	 * removed.
+	 *
+	 * @param {object} match
+	 * @param {string} replacement
+	 * @return {object} The text node and offset after the replacement.
+	 */
+	function replace(match, replacement) {
+		var first = match.segments[0];
+		var i;
+		var segment;
+		for (i = match.segments.length - 1; i > 0; i--) {
+			segment = match.segments[i];
+			segment.node.deleteData(segment.start, segment.end - segment.start);
+			removeEmpty(segment.node, match.root);
+		}
+		first.node.replaceData(first.start, first.end - first.start, replacement);
+		return {node: first.node, offset: first.start + replacement.length};
+	}
+
+	/**
+	 * Wraps the segments of the given matches into highlights.
+	 *
+	 * The segments are updated to refer to the text nodes inside of the
+	 * highlights.
+	 *
+	 * @param {Array.<object>} matches
+	 */
+	function highlight(matches) {
+		var segments = [];
+		$.each(matches, function (i, match) {
+			segments = segments.concat(match.segments);
+		});
+		// Because splitting a text node leaves the offsets before the split
+		// intact, the segments are highlighted from the last to the first
+		var i;
+		var segment;
+		var node;
+		for (i = segments.length - 1; i >= 0; i--) {
+			segment = segments[i];
+			node = segment.node;
+			if (segment.end < node.length) {
+				node.splitText(segment.end);
+			}
+			if (segment.start > 0) {
+				node = node.splitText(segment.start);
+			}
+			$(node).wrap('<span class="' + MATCH_CLASS + ' aloha-ephemera-wrapper"></span>');
+			segment.node = node;
+			segment.end -= segment.start;
+			segment.start = 0;
+		}
+	}
+
+	/**
+	 * Marks the highlights of the given match as the selected one.
+	 *
+	 * @param {?object} match
+	 */
+	function markCurrent(match) {
+		$('.' + CURRENT_CLASS).removeClass(CURRENT_CLASS);
+		if (match) {
+			$.each(match.segments, function (i, segment) {
+				$(segment.node.parentNode).filter('.' + MATCH_CLASS).addClass(CURRENT_CLASS);
+			});
+		}
+	}
+
+	/**
+	 * Merges a text node into the text node before it.
+	 *
+	 * @param {Text} node
+	 * @param {Array.<object>} positions Positions which are moved along.
+	 * @return {Text} The node which remains.
+	 */
+	function mergeWithPrevious(node, positions) {
+		var previous = node.previousSibling;
+		if (!previous || 3 !== previous.nodeType) {
+			return node;
+		}
+		var length = previous.length;
+		previous.appendData(node.data);
+		$.each(positions, function (i, position) {
+			if (position.node === node) {
+				position.node = previous;
+				position.offset += length;
+			}
+		});
+		node.parentNode.removeChild(node);
+		return previous;
+	}
+
+	/**
+	 * Removes the highlights in an element, and merges the text which they
+	 * split.
+	 *
+	 * @param {HTMLElement} root
+	 * @param {Array.<object>=} positions Positions, with a node and an
+	 *        offset, which are updated to refer to the merged text.
+	 */
+	function unhighlight(root, positions) {
+		positions = positions || [];
+		$(root).find('.' + MATCH_CLASS).each(function () {
+			var wrapper = this;
+			var children = $.makeArray(wrapper.childNodes);
+			$.each(children, function (i, child) {
+				wrapper.parentNode.insertBefore(child, wrapper);
+			});
+			var next = wrapper.nextSibling;
+			wrapper.parentNode.removeChild(wrapper);
+			if (next && 3 === next.nodeType) {
+				mergeWithPrevious(next, positions);
+			}
+			if (children.length && 3 === children[0].nodeType) {
+				mergeWithPrevious(children[0], positions);
+			}
+		});
+	}
+
+	return {
+		createRegExp: createRegExp,
+		find: find,
+		expandReplacement: expandReplacement,
+		replace: replace,
+		highlight: highlight,
+		markCurrent: markCurrent,
+		unhighlight: unhighlight
+	};
+});
@@ -0,0 +1,21 @@
+define({
+	"panel.title": "Suchen und Ersetzen",
+	"field.query": "Suchen",
+	"field.replacement": "Ersetzen durch",
+	"option.caseSensitive": "Groß-/Kleinschreibung beachten",
+	"option.wholeWord": "Nur ganze Wörter",
+	"option.regex": "Regulärer Ausdruck",
+	"scope.editable": "In diesem Bereich",
+	"scope.all": "In allen Bereichen",
+	"button.previous": "Zurück",
+	"button.next": "Weiter",
+	"button.replace": "Ersetzen",
+	"button.replaceAll": "Alle ersetzen",
+	"button.findReplace.text": "Suchen",
+	"button.findReplace.tooltip": "Text suchen und ersetzen",
+	"status.none": "Keine Treffer",
+	"status.count": "{count} Treffer",
+	"status.current": "{current} von {count}",
+	"status.replaced": "{count} ersetzt",
+	"status.invalid": "Ungültiger regulärer Ausdruck"
+});
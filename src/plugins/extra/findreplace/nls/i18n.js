@@ -0,0 +1,24 @@
+define({
+	"root":  {
+		"panel.title": "Find and replace",
+		"field.query": "Find",
+		"field.replacement": "Replace with",
+		"option.caseSensitive": "Match case",
+		"option.wholeWord": "Whole words",
+		"option.regex": "Regular expression",
+		"scope.editable": "In this editable",
+		"scope.all": "In all editables",
+		"button.previous": "Previous",
+		"button.next": "Next",
+		"button.replace": "Replace",
+		"button.replaceAll": "Replace all",
+		"button.findReplace.text": "Find",
+		"button.findReplace.tooltip": "Find and replace text",
+		"status.none": "No matches",
+		"status.count": "{count} matches",
+		"status.current": "{current} of {count}",
+		"status.replaced": "{count} replaced",
+		"status.invalid": "Invalid regular expression"
+	},
+		"de": true
+});
@@ -27,11 +27,15 @@
 define([
 	'aloha',
 	'jquery',
-	'aloha/contenthandlermanager'
+	'aloha/contenthandlermanager',
+	'util/contenthandler',
+	'formatlesspaste/plaintext'
 ], function (
 	Aloha,
 	$,
-	ContentHandlerManager
+	ContentHandlerManager,
+	ContentHandlerUtils,
+	PlainText
 ) {
 	'use strict';
 
@@ -53,6 +57,21 @@ define([
 		});
 	}
 
+	/**
+	 * Creates links for URLs in pasted plain text, with the attributes which
+	 * the link plugin is configured to give them.
+	 *
+	 * @param {string} href
+	 * @param {string} text
+	 * @return {jQuery.<HTMLElement>}
+	 */
+	function createLink(href, text) {
+		if (Aloha.isPluginLoaded('link')) {
+			return Aloha.require('link/link-plugin').createLink(href, text);
+		}
+		return $('<a>').attr('href', href).text(text);
+	}
+
 	/**
 	 * Register the formatless paste handler.
 	 *
@@ -67,16 +86,47 @@ define([
 		 */
 		enabled: false,
 
+		/**
+		 * Whether or not pasted plain text is converted into paragraphs,
+		 * lists, links and preformatted text.
+		 *
+		 * @type {boolean}
+		 */
+		convertPlainText: true,
+
 		/**
 		 * Handles the copying and pasting. Removes all content that have been
 		 * configured to be striooed away.
 		 *
+		 * Plain text is given the structure which its layout suggests
+		 * instead, since it has no formatting to remove.  Plain text which
+		 * is written in Markdown is converted by the markdown content
+		 * handler however, if it is registered.  Text is only converted
+		 * for the paste and insertHtml commands.
+		 *
 		 * @param {string|jQuery.<HTMLElement>} content The content to
 		 *                                              transform.
+		 * @param {object=} options
+		 * @param {Aloha.Editable=} editable
 		 * @return {string} Transformed markup.
 		 */
-		handleContent: function (content) {
+		handleContent: function (content, options, editable) {
 			var $content;
+			var text;
+			var markdown;
+			var html;
+
+			// Because only text which the user pastes or inserts has a layout
+			// worth converting
+			if (typeof content === 'string' && this.convertPlainText && options
+					&& ('insertHtml' === options.command || 'paste' === options.command)) {
+				text = ContentHandlerUtils.plainTextOf(content);
+				if (null !== text) {
+					markdown = ContentHandlerManager.get('markdown');
+					html = markdown ? markdown.convert(text, editable) : null;
+					return null === html ? PlainText.toHtml(text, createLink) : html;
+				}
+			}
 
 			if (typeof content === 'string') {
 				$content = $('<div>' + content + '</div>');
@@ -76,6 +76,9 @@ define([
 		if (typeof config.button !== 'undefined') {
 			parsed.button = normalizeToBoolean(config.button);
 		}
+		if (typeof config.convertPlainText !== 'undefined') {
+			parsed.convertPlainText = normalizeToBoolean(config.convertPlainText);
+		}
 		return parsed;
 	}
 
@@ -86,6 +89,7 @@ define([
 	function registerFormatlessPasteHandler(plugin, config) {
 		ContentHandlerManager.register('formatless', FormatlessPasteHandler);
 		FormatlessPasteHandler.strippedElements = config.strippedElements || Html.TEXT_LEVEL_SEMANTIC_ELEMENTS;
+		FormatlessPasteHandler.convertPlainText = plugin.convertPlainText;
 
 		plugin._toggleFormatlessPasteButton =
 			Ui.adopt('toggleFormatlessPaste', ToggleButton, {
@@ -159,6 +163,16 @@ define([
 		 */
 		button: true,
 
+		/**
+		 * Whether or not pasted plain text is converted into paragraphs,
+		 * lists, links and preformatted text.
+		 *
+		 * Configurable.
+		 *
+		 * @type {boolean}
+		 */
+		convertPlainText: true,
+
 		/**
 		 * Initializes formatless copying and pasting.
 		 * Parses configuration.
@@ -188,6 +202,9 @@ define([
 				}
 
 				FormatlessPasteHandler.strippedElements = config.strippedElements || Html.TEXT_LEVEL_SEMANTIC_ELEMENTS;
+				FormatlessPasteHandler.convertPlainText = typeof config.convertPlainText === 'boolean'
+				                                       ? config.convertPlainText
+				                                       : plugin.convertPlainText;
 
 				pasteButton.show(false !== config.button);
 			});
@@ -0,0 +1,318 @@
+/* plaintext.js is part of Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * Gives pasted plain text the structure which its layout suggests:
+ *
+ * - blocks of text which are separated by blank lines become paragraphs
+ * - lines which start with "- ", "* " or "1. " become lists
+ * - indented blocks which look like source code become preformatted text
+ * - URLs and e-mail addresses become links
+ */
+define(['jquery'], function ($) {
+	'use strict';
+
+	/**
+	 * Matches a list item, with its indentation, its marker, the number of
+	 * an ordered list item and its text.
+	 *
+	 * @type {RegExp}
+	 * @const
+	 */
+	var LIST_ITEM = /^([ \t]*)([\-*+\u2022]|(\d{1,9})[.)])[ \t]+(\S.*)$/;
+
+	/**
+	 * Matches URLs and e-mail addresses in text.
+	 *
+	 * @type {RegExp}
+	 * @const
+	 */
+	var LINKABLE = /(\b(?:https?:\/\/|www\.)[^\s<>"]+)|([\w.+\-]+@[A-Za-z0-9\-]+(?:\.[A-Za-z0-9\-]+)+)/g;
+
+	/**
+	 * Matches lines which are typical for source code.
+	 *
+	 * @type {RegExp}
+	 * @const
+	 */
+	var CODE_LINE = /[;{}]\s*$|^\s*[})\]]|^\s*(\/\/|\/\*|#include\b|import\s|def\s|function\b|var\s|let\s|const\s|return\b|if\s*\(|for\s*\(|while\s*\(|class\s)/;
+
+	function isBlank(line) {
+		return !/\S/.test(line);
+	}
+
+	function indentationOf(line) {
+		return (/^[ \t]*/).exec(line)[0].replace(/\t/g, '    ').length;
+	}
+
+	/**
+	 * Checks whether a block of lines looks like source code.
+	 *
+	 * Blocks in which every line is indented by a tab or four spaces are
+	 * code, like in Markdown.  So are blocks with indented lines of which at
+	 * least half look like code.
+	 *
+	 * @param {Array.<string>} lines
+	 * @return {boolean}
+	 */
+	function isCode(lines) {
+		var indented = 0;
+		var blockIndented = 0;
+		var codeLike = 0;
+		var i;
+		for (i = 0; i < lines.length; i++) {
+			if (indentationOf(lines[i]) > 0) {
+				indented++;
+			}
+			if (indentationOf(lines[i]) >= 4) {
+				blockIndented++;
+			}
+			if (CODE_LINE.test(lines[i]) && !LIST_ITEM.test(lines[i])) {
+				codeLike++;
+			}
+		}
+		return blockIndented === lines.length
+		    || (lines.length > 1 && indented > 0 && codeLike * 2 >= lines.length);
+	}
+
+	/**
+	 * Removes the indentation which all given lines share.
+	 *
+	 * @param {Array.<string>} lines
+	 * @return {Array.<string>}
+	 */
+	function outdent(lines) {
+		var common = null;
+		$.each(lines, function (i, line) {
+			if (!isBlank(line)) {
+				var indentation = (/^[ \t]*/).exec(line)[0];
+				while (null !== common && 0 !== indentation.indexOf(common)) {
+					common = common.substring(0, common.length - 1);
+				}
+				if (null === common) {
+					common = indentation;
+				}
+			}
+		});
+		return $.map(lines, function (line) {
+			return line.substring((common || '').length);
+		});
+	}
+
+	/**
+	 * Appends text to an element, with its URLs and e-mail addresses turned
+	 * into links.
+	 *
+	 * @param {jQuery.<HTMLElement>} $element
+	 * @param {string} text
+	 * @param {function(string, string):jQuery} createLink
+	 */
+	function appendText($element, text, createLink) {
+		var offset = 0;
+		var match;
+		var href;
+		var linkText;
+		LINKABLE.lastIndex = 0;
+		while (null !== (match = LINKABLE.exec(text))) {
+			linkText = match[0];
+			if (match[1]) {
+				// Because punctuation after a URL rather belongs to the
+				// sentence around it
+				linkText = linkText.replace(/[.,;:!?'"]+$/, '');
+				if (/\)$/.test(linkText) && -1 === linkText.indexOf('(')) {
+					linkText = linkText.substring(0, linkText.length - 1);
+				}
+				href = /^www\./i.test(linkText) ? 'http://' + linkText : linkText;
+			} else {
+				href = 'mailto:' + linkText;
+			}
+			$element.append(document.createTextNode(text.substring(offset, match.index)));
+			$element.append(createLink(href, linkText));
+			offset = match.index + linkText.length;
+			LINKABLE.lastIndex = offset;
+		}
+		$element.append(document.createTextNode(text.substring(offset)));
+	}
+
+	/**
+	 * Appends lines to an element, separated by line breaks.
+	 *
+	 * @param {jQuery.<HTMLElement>} $element
+	 * @param {Array.<string>} lines
+	 * @param {function(string, string):jQuery} createLink
+	 */
+	function appendLines($element, lines, createLink) {
+		$.each(lines, function (i, line) {
+			if (i > 0) {
+				$element.append('<br>');
+			}
+			appendText($element, $.trim(line), createLink);
+		});
+	}
+
+	/**
+	 * Counts the list items at the start of the given lines, which continue
+	 * for as long as lines are list items or indented continuations of them.
+	 *
+	 * @param {Array.<string>} lines
+	 * @param {number} start
+	 * @return {object} The number of lines and of list items.
+	 */
+	function measureList(lines, start) {
+		var match = LIST_ITEM.exec(lines[start]);
+		var indentation = match ? indentationOf(lines[start]) : 0;
+		var items = 0;
+		var i;
+		for (i = start; i < lines.length; i++) {
+			if (LIST_ITEM.test(lines[i]) && indentationOf(lines[i]) >= indentation) {
+				items++;
+			} else if (!match || indentationOf(lines[i]) <= indentation) {
+				break;
+			}
+		}
+		return {lines: i - start, items: items};
+	}
+
+	/**
+	 * Builds nested lists from lines of list items.
+	 *
+	 * @param {Array.<string>} lines
+	 * @param {function(string, string):jQuery} createLink
+	 * @return {jQuery.<HTMLElement>} The lists, which follow each other if
+	 *                                ordered and unordered items alternate.
+	 */
+	function createLists(lines, createLink) {
+		var $container = $('<div>');
+		var levels = [];
+		$.each(lines, function (i, line) {
+			var match = LIST_ITEM.exec(line);
+			var top = levels[levels.length - 1];
+			if (!match) {
+				top.$item.append('<br>');
+				appendText(top.$item, $.trim(line), createLink);
+				return;
+			}
+			var indentation = indentationOf(line);
+			var nodeName = match[3] ? 'ol' : 'ul';
+			while (levels.length > 1 && top.indentation > indentation) {
+				levels.pop();
+				top = levels[levels.length - 1];
+			}
+			if (!top || top.indentation < indentation || top.nodeName !== nodeName) {
+				if (top && top.indentation >= indentation) {
+					levels.pop();
+				}
+				top = {indentation: indentation, nodeName: nodeName, $list: $('<' + nodeName + '>')};
+				if (match[3] && '1' !== match[3]) {
+					top.$list.attr('start', parseInt(match[3], 10));
+				}
+				top.$list.appendTo(levels.length ? levels[levels.length - 1].$item : $container);
+				levels.push(top);
+			}
+			top.$item = $('<li>').appendTo(top.$list);
+			appendText(top.$item, match[4], createLink);
+		});
+		return $container.children();
+	}
+
+	/**
+	 * Splits text into blocks which are separated by blank lines.
+	 *
+	 * @param {string} text
+	 * @return {Array.<Array.<string>>}
+	 */
+	function splitBlocks(text) {
+		var blocks = [];
+		var block = [];
+		$.each(text.replace(/\r\n?/g, '\n').split('\n'), function (i, line) {
+			if (isBlank(line)) {
+				if (block.length) {
+					blocks.push(block);
+					block = [];
+				}
+			} else {
+				block.push(line.replace(/\s+$/, ''));
+			}
+		});
+		if (block.length) {
+			blocks.push(block);
+		}
+		return blocks;
+	}
+
+	/**
+	 * Converts plain text into HTML.
+	 *
+	 * Text which forms a single paragraph is returned as inline content, so
+	 * that it can be pasted into the middle of a paragraph.
+	 *
+	 * @param {string} text
+	 * @param {function(string, string):jQuery=} createLink Creates a link
+	 *        from an URL and its text.
+	 * @return {string}
+	 */
+	function toHtml(text, createLink) {
+		var $content = $('<div>');
+		var code = null;
+		createLink = createLink || function (href, linkText) {
+			return $('<a>').attr('href', href).text(linkText);
+		};
+		// Because text without line breaks may be pasted into the middle of
+		// a sentence, where its surrounding white space matters
+		if (-1 === text.replace(/\s+$/, '').indexOf('\n') && !isCode([text])) {
+			appendText($content, text.replace(/\n/g, ''), createLink);
+			return $content.html();
+		}
+		$.each(splitBlocks(text), function (i, block) {
+			var isIndented = 0 === $.grep(block, function (line) {
+				return 0 === indentationOf(line);
+			}).length;
+			// Because blank lines inside of code separate it into blocks
+			if (code && (isIndented || isCode(block))) {
+				code.lines = code.lines.concat([''], block);
+				code.$pre.text(outdent(code.lines).join('\n'));
+				return;
+			}
+			if (isCode(block)) {
+				code = {lines: block, $pre: $('<pre>').appendTo($content)};
+				code.$pre.text(outdent(block).join('\n'));
+				return;
+			}
+			code = null;
+			var paragraph = [];
+			var flush = function () {
+				if (paragraph.length) {
+					appendLines($('<p>').appendTo($content), paragraph, createLink);
+					paragraph = [];
+				}
+			};
+			var j = 0;
+			var list;
+			while (j < block.length) {
+				list = measureList(block, j);
+				if (list.items > 1) {
+					flush();
+					$content.append(createLists(block.slice(j, j + list.lines), createLink));
+					j += list.lines;
+				} else {
+					paragraph.push(block[j]);
+					j++;
+				}
+			}
+			flush();
+		});
+		var $blocks = $content.children();
+		if (1 === $blocks.length && $blocks.is('p')) {
+			return $blocks.html();
+		}
+		return $content.html();
+	}
+
+	return {
+		toHtml: toHtml
+	};
+});
@@ -0,0 +1,662 @@
+/* changes.js is part of the Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * Records insertions, deletions and formatting as suggested changes
+ * instead of applying them, and accepts or rejects such changes.
+ *
+ * Inserted text is wrapped in an `ins' element, deleted text in a `del'
+ * element; formatting elements which were added are marked. All of them
+ * carry the class `aloha-change' and the attributes
+ *
+ * data-change-id     identifies the change; a change may span several
+ *                    elements
+ * data-change-type   'insert', 'delete' or 'format'
+ * data-change-author who made the change
+ * data-change-time   when the change was made (ISO 8601)
+ *
+ * Positions are given as objects with a container and an offset
+ * property, like range boundaries.
+ */
+define([
+	'jquery'
+], function (
+	$
+) {
+	'use strict';
+
+	var CLASS = 'aloha-change';
+
+	var ATTRIBUTES = [
+		'data-change-id',
+		'data-change-type',
+		'data-change-author',
+		'data-change-time'
+	];
+
+	/**
+	 * Elements which are deleted as a whole, like a character.
+	 */
+	var ATOMIC = /^(BR|IMG)$/;
+
+	/**
+	 * Elements whose boundaries a deletion does not cross.
+	 */
+	var BLOCK = /^(ADDRESS|ARTICLE|ASIDE|BLOCKQUOTE|CAPTION|DD|DIV|DL|DT|FIGCAPTION|FIGURE|FOOTER|H[1-6]|HEADER|LI|OL|P|PRE|SECTION|TABLE|TBODY|TD|TH|THEAD|TR|UL)$/;
+
+	var counter = 0;
+
+	/**
+	 * Generates a new change id.
+	 *
+	 * @return {string}
+	 */
+	function newId() {
+		return 'change-' + (+new Date()).toString(36) + '-' + (++counter);
+	}
+
+	function isChange(node, type) {
+		return 1 === node.nodeType
+		    && $(node).hasClass(CLASS)
+		    && (!type || node.getAttribute('data-change-type') === type);
+	}
+
+	function isOwn(node, info) {
+		return node.getAttribute('data-change-author') === info.author;
+	}
+
+	/**
+	 * Finds the outermost change of the given type that contains the given
+	 * node.
+	 *
+	 * @param {Node} node
+	 * @param {HTMLElement} root
+	 * @param {string} type
+	 * @return {HTMLElement|null}
+	 */
+	function changeOf(node, root, type) {
+		var found = null;
+		while (node && node !== root) {
+			if (isChange(node, type)) {
+				found = node;
+			}
+			node = node.parentNode;
+		}
+		return found;
+	}
+
+	function indexOf(node) {
+		var index = 0;
+		while (node.previousSibling) {
+			node = node.previousSibling;
+			index++;
+		}
+		return index;
+	}
+
+	function before(node) {
+		return {container: node.parentNode, offset: indexOf(node)};
+	}
+
+	function after(node) {
+		return {container: node.parentNode, offset: indexOf(node) + 1};
+	}
+
+	/**
+	 * Creates an element which marks a change.
+	 *
+	 * @param {Document} doc
+	 * @param {string} nodeName
+	 * @param {string} type
+	 * @param {object} info {id, author, time}
+	 * @return {HTMLElement}
+	 */
+	function createMarker(doc, nodeName, type, info) {
+		var marker = doc.createElement(nodeName);
+		mark(marker, type, info);
+		return marker;
+	}
+
+	function mark(element, type, info) {
+		$(element).addClass(CLASS);
+		element.setAttribute('data-change-id', info.id || newId());
+		element.setAttribute('data-change-type', type);
+		element.setAttribute('data-change-author', info.author);
+		element.setAttribute('data-change-time', info.time);
+	}
+
+	function unmark(element) {
+		var $element = $(element).removeClass(CLASS);
+		if (!$element.attr('class')) {
+			$element.removeAttr('class');
+		}
+		$.each(ATTRIBUTES, function (i, name) {
+			element.removeAttribute(name);
+		});
+	}
+
+	function unwrap(element) {
+		var parent = element.parentNode;
+		while (element.firstChild) {
+			parent.insertBefore(element.firstChild, element);
+		}
+		parent.removeChild(element);
+	}
+
+	function firstLeaf(node) {
+		while (node.firstChild) {
+			node = node.firstChild;
+		}
+		return node;
+	}
+
+	function lastLeaf(node) {
+		while (node.lastChild) {
+			node = node.lastChild;
+		}
+		return node;
+	}
+
+	function nextLeaf(node, limit) {
+		while (node && node !== limit) {
+			if (node.nextSibling) {
+				return firstLeaf(node.nextSibling);
+			}
+			node = node.parentNode;
+		}
+		return null;
+	}
+
+	function previousLeaf(node, limit) {
+		while (node && node !== limit) {
+			if (node.previousSibling) {
+				return lastLeaf(node.previousSibling);
+			}
+			node = node.parentNode;
+		}
+		return null;
+	}
+
+	/**
+	 * Whether the given leaf is content that can be deleted.
+	 */
+	function isContent(leaf) {
+		return (3 === leaf.nodeType && leaf.length > 0)
+		    || (1 === leaf.nodeType && ATOMIC.test(leaf.nodeName));
+	}
+
+	/**
+	 * Gets the first leaf at or after the given position.
+	 *
+	 * @param {object} position
+	 * @param {HTMLElement} root
+	 * @return {Node|null} Null at the end of the root.
+	 */
+	function leafAt(position, root) {
+		var container = position.container;
+		if (3 === container.nodeType) {
+			return 0 === position.offset ? container : nextLeaf(container, root);
+		}
+		if (position.offset < container.childNodes.length) {
+			return firstLeaf(container.childNodes[position.offset]);
+		}
+		return nextLeaf(container, root);
+	}
+
+	/**
+	 * Gets the nearest block element that contains the given node, or the
+	 * root.
+	 */
+	function blockOf(node, root) {
+		while (node !== root && !(1 === node.nodeType && BLOCK.test(node.nodeName))) {
+			node = node.parentNode;
+		}
+		return node;
+	}
+
+	/**
+	 * Inserts a node at the given position, splitting text nodes.
+	 */
+	function insertAt(position, node) {
+		var container = position.container;
+		if (3 === container.nodeType) {
+			if (0 === position.offset) {
+				container.parentNode.insertBefore(node, container);
+			} else if (position.offset === container.length) {
+				container.parentNode.insertBefore(node, container.nextSibling);
+			} else {
+				container.parentNode.insertBefore(node, container.splitText(position.offset));
+			}
+		} else {
+			container.insertBefore(node, container.childNodes[position.offset] || null);
+		}
+	}
+
+	/**
+	 * Gets the node right before the given position, if any.
+	 */
+	function nodeBefore(position) {
+		var container = position.container;
+		if (3 === container.nodeType) {
+			return 0 === position.offset ? container.previousSibling : null;
+		}
+		return container.childNodes[position.offset - 1] || null;
+	}
+
+	/**
+	 * Suggests the insertion of the given text at the given position.
+	 * Text typed by the same author next to or inside an own insertion
+	 * extends that insertion.
+	 *
+	 * @param {HTMLElement} root
+	 * @param {object} position
+	 * @param {string} text
+	 * @param {object} info {author, time}
+	 * @return {object} The position after the inserted text.
+	 */
+	function insertText(root, position, text, info) {
+		var doc = root.ownerDocument;
+		var deleted = changeOf(position.container, root, 'delete');
+		if (deleted) {
+			// Because text can not be inserted into a deletion.
+			position = after(deleted);
+		}
+		var ins = changeOf(position.container, root, 'insert');
+		if (ins && isOwn(ins, info)) {
+			if (3 === position.container.nodeType) {
+				position.container.insertData(position.offset, text);
+				return {
+					container: position.container,
+					offset: position.offset + text.length
+				};
+			}
+			var node = doc.createTextNode(text);
+			insertAt(position, node);
+			return {container: node, offset: text.length};
+		}
+		var previous = nodeBefore(position);
+		if (previous && isChange(previous, 'insert') && isOwn(previous, info)) {
+			var last = previous.lastChild;
+			if (!last || 3 !== last.nodeType) {
+				last = previous.appendChild(doc.createTextNode(''));
+			}
+			last.appendData(text);
+			return {container: last, offset: last.length};
+		}
+		ins = createMarker(doc, 'ins', 'insert', info);
+		ins.appendChild(doc.createTextNode(text));
+		insertAt(position, ins);
+		return {container: ins.firstChild, offset: text.length};
+	}
+
+	/**
+	 * Splits the text nodes at the boundaries of the given range, so that
+	 * it only contains whole leaves.
+	 *
+	 * @param {object} range
+	 * @return {object} Positions of the start and end of the range.
+	 */
+	function splitBoundaries(range) {
+		var start = {container: range.startContainer, offset: range.startOffset};
+		var end = {container: range.endContainer, offset: range.endOffset};
+		if (3 === end.container.nodeType
+				&& end.offset > 0 && end.offset < end.container.length) {
+			end.container.splitText(end.offset);
+		}
+		if (3 === start.container.nodeType
+				&& start.offset > 0 && start.offset < start.container.length) {
+			var rest = start.container.splitText(start.offset);
+			if (end.container === start.container) {
+				end = {container: rest, offset: end.offset - start.offset};
+			}
+			start = {container: rest, offset: 0};
+		}
+		return {start: start, end: end};
+	}
+
+	/**
+	 * Adds the given leaf to a deletion, extending an adjacent deletion by
+	 * the same author if there is one.
+	 */
+	function markDeleted(leaf, root, info) {
+		var prev = leaf.previousSibling;
+		var next = leaf.nextSibling;
+		var del;
+		if (prev && isChange(prev, 'delete') && isOwn(prev, info)) {
+			del = prev;
+			del.appendChild(leaf);
+			if (next && isChange(next, 'delete') && isOwn(next, info)) {
+				while (next.firstChild) {
+					del.appendChild(next.firstChild);
+				}
+				next.parentNode.removeChild(next);
+			}
+		} else if (next && isChange(next, 'delete') && isOwn(next, info)) {
+			del = next;
+			del.insertBefore(leaf, del.firstChild);
+		} else {
+			del = createMarker(root.ownerDocument, 'del', 'delete', info);
+			leaf.parentNode.insertBefore(del, leaf);
+			del.appendChild(leaf);
+		}
+		return del;
+	}
+
+	function isEmpty(element) {
+		return !$.trim($(element).text()) && !$(element).find('br,img').length;
+	}
+
+	/**
+	 * Suggests the deletion of the content in the given range. Content in
+	 * insertions by the same author is removed right away, content which
+	 * is already deleted is left alone.
+	 *
+	 * @param {HTMLElement} root
+	 * @param {object} range Object with range boundary properties.
+	 * @param {object} info {author, time}
+	 * @param {boolean} backwards Whether to return the position before
+	 *                            rather than after the deleted content.
+	 * @return {object} Position for the caret.
+	 */
+	function deleteRange(root, range, info, backwards) {
+		var bounds = splitBoundaries(range);
+		var stop = leafAt(bounds.end, root);
+		var leaf = leafAt(bounds.start, root);
+		var leaves = [];
+		while (leaf && leaf !== stop) {
+			if (isContent(leaf) && !changeOf(leaf, root, 'delete')) {
+				leaves.push(leaf);
+			}
+			leaf = nextLeaf(leaf, root);
+		}
+
+		if (!info.id) {
+			info = $.extend({id: newId()}, info);
+		}
+
+		var caret = backwards ? bounds.start : bounds.end;
+		var emptied = [];
+		var i, ins, del, position;
+		for (i = 0; i < leaves.length; i++) {
+			leaf = leaves[i];
+			ins = changeOf(leaf, root, 'insert');
+			if (ins && isOwn(ins, info)) {
+				position = before(leaf);
+				leaf.parentNode.removeChild(leaf);
+				if ($.inArray(ins, emptied) === -1) {
+					emptied.push(ins);
+				}
+			} else {
+				del = markDeleted(leaf, root, info);
+				position = backwards ? before(del) : after(del);
+			}
+			if ((backwards && 0 === i) || (!backwards && i === leaves.length - 1)) {
+				caret = position;
+			}
+		}
+
+		for (i = 0; i < emptied.length; i++) {
+			ins = emptied[i];
+			if (ins.parentNode && isEmpty(ins)) {
+				if ($.contains(ins, caret.container) || ins === caret.container) {
+					caret = before(ins);
+				}
+				ins.parentNode.removeChild(ins);
+			}
+		}
+
+		return caret;
+	}
+
+	/**
+	 * Suggests the deletion of the character (or image or line break)
+	 * before the given position. Deletions do not cross block boundaries.
+	 *
+	 * @param {HTMLElement} root
+	 * @param {object} position
+	 * @param {object} info {author, time}
+	 * @return {object|null} Position for the caret, or null if there is
+	 *                       nothing to delete.
+	 */
+	function deleteBackward(root, position, info) {
+		var block = blockOf(position.container, root);
+		var container = position.container;
+		var leaf;
+		if (3 === container.nodeType && position.offset > 0
+				&& !changeOf(container, root, 'delete')) {
+			return deleteRange(root, {
+				startContainer: container,
+				startOffset: position.offset - 1,
+				endContainer: container,
+				endOffset: position.offset
+			}, info, true);
+		}
+		if (3 !== container.nodeType && position.offset > 0) {
+			leaf = lastLeaf(container.childNodes[position.offset - 1]);
+		} else {
+			leaf = previousLeaf(container, block);
+		}
+		while (leaf && (!isContent(leaf) || changeOf(leaf, root, 'delete'))) {
+			if (1 === leaf.nodeType && BLOCK.test(leaf.nodeName)) {
+				return null;
+			}
+			leaf = previousLeaf(leaf, block);
+		}
+		if (!leaf) {
+			return null;
+		}
+		return deleteRange(root, 3 === leaf.nodeType ? {
+			startContainer: leaf,
+			startOffset: leaf.length - 1,
+			endContainer: leaf,
+			endOffset: leaf.length
+		} : {
+			startContainer: leaf.parentNode,
+			startOffset: indexOf(leaf),
+			endContainer: leaf.parentNode,
+			endOffset: indexOf(leaf) + 1
+		}, info, true);
+	}
+
+	/**
+	 * Suggests the deletion of the character (or image or line break)
+	 * after the given position.
+	 *
+	 * @see deleteBackward
+	 */
+	function deleteForward(root, position, info) {
+		var block = blockOf(position.container, root);
+		var container = position.container;
+		var leaf;
+		if (3 === container.nodeType && position.offset < container.length
+				&& !changeOf(container, root, 'delete')) {
+			return deleteRange(root, {
+				startContainer: container,
+				startOffset: position.offset,
+				endContainer: container,
+				endOffset: position.offset + 1
+			}, info, false);
+		}
+		if (3 !== container.nodeType && position.offset < container.childNodes.length) {
+			leaf = firstLeaf(container.childNodes[position.offset]);
+		} else {
+			leaf = nextLeaf(container, block);
+		}
+		while (leaf && (!isContent(leaf) || changeOf(leaf, root, 'delete'))) {
+			if (1 === leaf.nodeType && BLOCK.test(leaf.nodeName)) {
+				return null;
+			}
+			leaf = nextLeaf(leaf, block);
+		}
+		if (!leaf) {
+			return null;
+		}
+		return deleteRange(root, 3 === leaf.nodeType ? {
+			startContainer: leaf,
+			startOffset: 0,
+			endContainer: leaf,
+			endOffset: 1
+		} : {
+			startContainer: leaf.parentNode,
+			startOffset: indexOf(leaf),
+			endContainer: leaf.parentNode,
+			endOffset: indexOf(leaf) + 1
+		}, info, false);
+	}
+
+	/**
+	 * Marks elements which were added by formatting as a change.
+	 *
+	 * @param {Array.<HTMLElement>} elements
+	 * @param {object} info {author, time}
+	 * @return {string} The id of the change.
+	 */
+	function markFormatting(elements, info) {
+		var id = info.id || newId();
+		$.each(elements, function (i, element) {
+			mark(element, 'format', $.extend({}, info, {id: id}));
+		});
+		return id;
+	}
+
+	/**
+	 * Applies a change: inserted text stays, deleted text goes and added
+	 * formatting stays.
+	 */
+	function acceptElement(element) {
+		switch (element.getAttribute('data-change-type')) {
+		case 'insert':
+			unwrap(element);
+			break;
+		case 'delete':
+			element.parentNode.removeChild(element);
+			break;
+		default:
+			unmark(element);
+		}
+	}
+
+	/**
+	 * Reverts a change: inserted text goes, deleted text stays and added
+	 * formatting is removed.
+	 */
+	function rejectElement(element) {
+		switch (element.getAttribute('data-change-type')) {
+		case 'insert':
+			element.parentNode.removeChild(element);
+			break;
+		default:
+			unwrap(element);
+		}
+	}
+
+	function elementsOf(root, id) {
+		var $elements = $(root).find('.' + CLASS);
+		return id
+		     ? $elements.filter(function () {
+		           return this.getAttribute('data-change-id') === id;
+		       }).get()
+		     : $elements.get();
+	}
+
+	function resolve(root, id, fn) {
+		var elements = elementsOf(root, id);
+		var i;
+		for (i = 0; i < elements.length; i++) {
+			if ($.contains(root, elements[i])) {
+				fn(elements[i]);
+			}
+		}
+		root.normalize();
+		return elements.length > 0;
+	}
+
+	/**
+	 * @param {HTMLElement} root
+	 * @param {string} id
+	 * @return {boolean} False if there is no such change.
+	 */
+	function accept(root, id) {
+		return resolve(root, id, acceptElement);
+	}
+
+	/**
+	 * @param {HTMLElement} root
+	 * @param {string} id
+	 * @return {boolean} False if there is no such change.
+	 */
+	function reject(root, id) {
+		return resolve(root, id, rejectElement);
+	}
+
+	function acceptAll(root) {
+		resolve(root, null, acceptElement);
+	}
+
+	function rejectAll(root) {
+		resolve(root, null, rejectElement);
+	}
+
+	/**
+	 * Lists the changes in the given element in document order.
+	 *
+	 * @param {HTMLElement} root
+	 * @return {Array.<object>} Objects with the id, type, author, time and
+	 *                          text of each change.
+	 */
+	function list(root) {
+		var changes = [];
+		var byId = {};
+		$.each(elementsOf(root, null), function (i, element) {
+			var id = element.getAttribute('data-change-id');
+			if (!byId[id]) {
+				byId[id] = {
+					id: id,
+					type: element.getAttribute('data-change-type'),
+					author: element.getAttribute('data-change-author'),
+					time: element.getAttribute('data-change-time'),
+					text: ''
+				};
+				changes.push(byId[id]);
+			}
+			byId[id].text += $(element).text();
+		});
+		return changes;
+	}
+
+	/**
+	 * Finds the change at the given node.
+	 *
+	 * @param {Node} node
+	 * @param {HTMLElement} root
+	 * @return {string|null} The id of the innermost change.
+	 */
+	function changeAt(node, root) {
+		while (node && node !== root) {
+			if (isChange(node)) {
+				return node.getAttribute('data-change-id');
+			}
+			node = node.parentNode;
+		}
+		return null;
+	}
+
+	return {
+		CLASS: CLASS,
+		insertText: insertText,
+		deleteRange: deleteRange,
+		deleteBackward: deleteBackward,
+		deleteForward: deleteForward,
+		markFormatting: markFormatting,
+		accept: accept,
+		reject: reject,
+		acceptAll: acceptAll,
+		rejectAll: rejectAll,
+		list: list,
+		changeAt: changeAt
+	};
+});
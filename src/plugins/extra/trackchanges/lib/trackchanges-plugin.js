@@ -0,0 +1,564 @@
+/* trackchanges-plugin.js is part of the Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * Suggestion mode: while it is on, typing, deleting and formatting in an
+ * editable are recorded as changes (see trackchanges/changes) which can be
+ * accepted or rejected later.
+ */
+define([
+	'jquery',
+	'aloha',
+	'aloha/plugin',
+	'aloha/engine',
+	'aloha/copypaste',
+	'aloha/contenthandlermanager',
+	'ui/ui',
+	'ui/button',
+	'ui/toggleButton',
+	'trackchanges/changes',
+	'i18n!trackchanges/nls/i18n',
+	'css!trackchanges/css/trackchanges.css'
+], function (
+	$,
+	Aloha,
+	Plugin,
+	Engine,
+	CopyPaste,
+	ContentHandlerManager,
+	Ui,
+	Button,
+	ToggleButton,
+	Changes,
+	i18n
+) {
+	'use strict';
+
+	/**
+	 * Formatting commands which are tracked, and the elements with which
+	 * the engine applies them.
+	 */
+	var FORMATTING = {
+		'bold'          : ['B', 'STRONG'],
+		'italic'        : ['I', 'EM'],
+		'underline'     : ['U'],
+		'strikethrough' : ['S', 'STRIKE'],
+		'subscript'     : ['SUB'],
+		'superscript'   : ['SUP']
+	};
+
+	/**
+	 * Whether suggestion mode is on, by editable id.
+	 *
+	 * @type {object<string, boolean>}
+	 */
+	var suggesting = {};
+
+	/**
+	 * The annotated content of each editable, as it was passed to the
+	 * content handler when the editable's contents were last serialized.
+	 *
+	 * @type {object<string, string>}
+	 */
+	var annotated = {};
+
+	/**
+	 * Formatting elements which existed before a tracked formatting command
+	 * was executed.
+	 *
+	 * @type {object|null}
+	 */
+	var pendingFormat = null;
+
+	/**
+	 * Formats the given date as ISO 8601 in UTC.
+	 *
+	 * @param {Date} date
+	 * @return {string}
+	 */
+	function isoDate(date) {
+		function pad(number) {
+			return (number < 10 ? '0' : '') + number;
+		}
+		return date.getUTCFullYear()
+		     + '-' + pad(date.getUTCMonth() + 1)
+		     + '-' + pad(date.getUTCDate())
+		     + 'T' + pad(date.getUTCHours())
+		     + ':' + pad(date.getUTCMinutes())
+		     + ':' + pad(date.getUTCSeconds())
+		     + 'Z';
+	}
+
+	/**
+	 * Applies a view to annotated content.
+	 *
+	 * @param {HTMLElement} root
+	 * @param {string} view 'annotated', 'accepted' or 'original'.
+	 */
+	function applyView(root, view) {
+		if ('accepted' === view) {
+			Changes.acceptAll(root);
+		} else if ('original' === view) {
+			Changes.rejectAll(root);
+		}
+	}
+
+	/**
+	 * Gets the collapsed or expanded range of the selection in the given
+	 * editable.
+	 *
+	 * @param {Aloha.Editable} editable
+	 * @return {Range|null}
+	 */
+	function rangeIn(editable) {
+		var range = CopyPaste.getRange();
+		if (!range) {
+			return null;
+		}
+		var $host = CopyPaste.getEditableAt(range);
+		return ($host && $host[0] === editable.obj[0]) ? range : null;
+	}
+
+	function select(position) {
+		CopyPaste.setSelectionAt({
+			startContainer: position.container,
+			startOffset: position.offset,
+			endContainer: position.container,
+			endOffset: position.offset
+		});
+	}
+
+	/**
+	 * Signals that a command was executed, although its default action was
+	 * prevented, so that others (like the undo plugin) close the step they
+	 * opened when the command was about to be executed.
+	 *
+	 * @param {string} commandId
+	 */
+	function executed(commandId) {
+		Aloha.trigger('aloha-command-executed', commandId);
+	}
+
+	/**
+	 * Collects the formatting elements of the given command in the given
+	 * editable.
+	 *
+	 * @param {Aloha.Editable} editable
+	 * @param {string} command
+	 * @return {Array.<HTMLElement>}
+	 */
+	function formattingElements(editable, command) {
+		return editable.obj.find(FORMATTING[command].join(',')).get();
+	}
+
+	var TrackChangesPlugin = Plugin.create('trackchanges', {
+
+		/**
+		 * The name under which changes are recorded.
+		 *
+		 * Configurable.
+		 *
+		 * @type {string}
+		 */
+		author: 'anonymous',
+
+		/**
+		 * Whether editables start in suggestion mode.
+		 *
+		 * Configurable.
+		 *
+		 * @type {boolean}
+		 */
+		suggest: false,
+
+		/**
+		 * Which version the trackchanges content handler returns from
+		 * getContents(): 'annotated', 'accepted' or 'original'.
+		 *
+		 * Configurable.
+		 *
+		 * @type {string}
+		 */
+		view: 'annotated',
+
+		init: function () {
+			var plugin = this;
+			$.each(['author', 'suggest', 'view'], function (i, name) {
+				if (typeof plugin.settings[name] !== 'undefined') {
+					plugin[name] = plugin.settings[name];
+				}
+			});
+
+			ContentHandlerManager.register(
+				'trackchanges',
+				ContentHandlerManager.createHandler({
+					handleContent: function (content, options, editable) {
+						if (editable && editable.getId) {
+							annotated[editable.getId()] = content;
+						}
+						if ('annotated' === plugin.view) {
+							return content;
+						}
+						var $content = $('<div>' + content + '</div>');
+						applyView($content[0], plugin.view);
+						return $content.html();
+					}
+				})
+			);
+
+			Engine.commands.acceptallchanges = {
+				action: function () {
+					if (Aloha.activeEditable) {
+						plugin.acceptAll(Aloha.activeEditable);
+					}
+				}
+			};
+			Engine.commands.rejectallchanges = {
+				action: function () {
+					if (Aloha.activeEditable) {
+						plugin.rejectAll(Aloha.activeEditable);
+					}
+				}
+			};
+
+			plugin.createButtons();
+
+			Aloha.bind('aloha-editable-created', function ($event, editable) {
+				editable.obj.keypress(function (event) {
+					plugin._keypress(editable, event);
+				});
+			});
+
+			Aloha.bind('aloha-editable-destroyed', function ($event, editable) {
+				delete suggesting[editable.getId()];
+				delete annotated[editable.getId()];
+			});
+
+			Aloha.bind('aloha-editable-activated', function ($event, data) {
+				plugin._toggleButton.setState(plugin.isSuggesting(data.editable));
+			});
+
+			Aloha.bind('aloha-command-will-execute', function ($event, data) {
+				plugin._willExecute(data);
+			});
+
+			Aloha.bind('aloha-command-executed', function ($event, commandId) {
+				plugin._executed(commandId);
+			});
+		},
+
+		createButtons: function () {
+			var plugin = this;
+			plugin._toggleButton = Ui.adopt('toggleTrackChanges', ToggleButton, {
+				tooltip : i18n.t('button.suggest.tooltip'),
+				text    : i18n.t('button.suggest.text'),
+				scope   : 'Aloha.continuoustext',
+				click   : function () {
+					if (Aloha.activeEditable) {
+						plugin.setSuggesting(
+							Aloha.activeEditable,
+							!plugin.isSuggesting(Aloha.activeEditable)
+						);
+					}
+				}
+			});
+			Ui.adopt('acceptChange', Button, {
+				tooltip : i18n.t('button.accept.tooltip'),
+				text    : i18n.t('button.accept.text'),
+				scope   : 'Aloha.continuoustext',
+				click   : function () {
+					plugin._resolveAtSelection(true);
+				}
+			});
+			Ui.adopt('rejectChange', Button, {
+				tooltip : i18n.t('button.reject.tooltip'),
+				text    : i18n.t('button.reject.text'),
+				scope   : 'Aloha.continuoustext',
+				click   : function () {
+					plugin._resolveAtSelection(false);
+				}
+			});
+			Ui.adopt('acceptAllChanges', Button, {
+				tooltip : i18n.t('button.acceptall.tooltip'),
+				text    : i18n.t('button.acceptall.text'),
+				scope   : 'Aloha.continuoustext',
+				click   : function () {
+					Aloha.execCommand('acceptAllChanges');
+				}
+			});
+			Ui.adopt('rejectAllChanges', Button, {
+				tooltip : i18n.t('button.rejectall.tooltip'),
+				text    : i18n.t('button.rejectall.text'),
+				scope   : 'Aloha.continuoustext',
+				click   : function () {
+					Aloha.execCommand('rejectAllChanges');
+				}
+			});
+		},
+
+		/**
+		 * @param {Aloha.Editable} editable
+		 * @return {boolean} Whether changes in the editable are recorded as
+		 *                   suggestions.
+		 */
+		isSuggesting: function (editable) {
+			var id = editable.getId();
+			return suggesting.hasOwnProperty(id) ? suggesting[id] : !!this.suggest;
+		},
+
+		/**
+		 * Turns suggestion mode in the given editable on or off.
+		 *
+		 * @param {Aloha.Editable} editable
+		 * @param {boolean} on
+		 */
+		setSuggesting: function (editable, on) {
+			suggesting[editable.getId()] = !!on;
+			if (editable === Aloha.activeEditable) {
+				this._toggleButton.setState(!!on);
+			}
+			Aloha.trigger('aloha-trackchanges-mode-changed', {
+				editable: editable,
+				suggesting: !!on
+			});
+		},
+
+		/**
+		 * Information recorded with each new change.
+		 *
+		 * @return {object}
+		 */
+		info: function () {
+			return {
+				author: this.author,
+				time: isoDate(new Date())
+			};
+		},
+
+		/**
+		 * Lists the changes in the given editable.
+		 *
+		 * @param {Aloha.Editable} editable
+		 * @return {Array.<object>} Objects with id, type ('insert', 'delete'
+		 *                          or 'format'), author, time and text.
+		 */
+		getChanges: function (editable) {
+			return Changes.list(editable.obj[0]);
+		},
+
+		/**
+		 * Accepts the change with the given id.
+		 *
+		 * @param {Aloha.Editable} editable
+		 * @param {string} id
+		 * @return {boolean} False if there is no such change.
+		 */
+		accept: function (editable, id) {
+			return this._resolve(editable, id, Changes.accept, 'accepted');
+		},
+
+		/**
+		 * Rejects the change with the given id.
+		 *
+		 * @param {Aloha.Editable} editable
+		 * @param {string} id
+		 * @return {boolean} False if there is no such change.
+		 */
+		reject: function (editable, id) {
+			return this._resolve(editable, id, Changes.reject, 'rejected');
+		},
+
+		acceptAll: function (editable) {
+			var plugin = this;
+			$.each(plugin.getChanges(editable), function (i, change) {
+				plugin.accept(editable, change.id);
+			});
+		},
+
+		rejectAll: function (editable) {
+			var plugin = this;
+			$.each(plugin.getChanges(editable), function (i, change) {
+				plugin.reject(editable, change.id);
+			});
+		},
+
+		/**
+		 * Sets which version getContents() returns.
+		 *
+		 * @param {string} view 'annotated', 'accepted' or 'original'.
+		 */
+		setView: function (view) {
+			this.view = view;
+			// Because getContents() caches the contents as long as the
+			// editables don't change
+			$.each(Aloha.editables, function (i, editable) {
+				editable.clearContentsCache();
+			});
+		},
+
+		/**
+		 * Serializes the contents of the given editable in the given view,
+		 * regardless of the view which is configured for getContents().
+		 *
+		 * @param {Aloha.Editable} editable
+		 * @param {string} view 'annotated', 'accepted' or 'original'.
+		 * @return {string}
+		 */
+		getContents: function (editable, view) {
+			var handlers = (Aloha.settings.contentHandler
+					&& Aloha.settings.contentHandler.getContents) || [];
+			var index = $.inArray('trackchanges', handlers);
+			if (-1 === index) {
+				var $contents = $('<div>').append(editable.getContents(true));
+				applyView($contents[0], view);
+				return Aloha.Editable.getContentSerializer()($contents[0]);
+			}
+
+			// Because this runs the content handlers, which record the
+			// annotated content, unless the contents are unchanged.
+			editable.getContents();
+
+			var $root = $('<div>' + annotated[editable.getId()] + '</div>');
+			applyView($root[0], view);
+			var html = ContentHandlerManager.handleContent($root.html(), {
+				contenthandler: handlers.slice(index + 1),
+				command: 'getContents'
+			}, editable);
+			return Aloha.Editable.getContentSerializer()($('<div>' + html + '</div>')[0]);
+		},
+
+		_resolve: function (editable, id, fn, event) {
+			var change = null;
+			$.each(this.getChanges(editable), function (i, candidate) {
+				if (candidate.id === id) {
+					change = candidate;
+				}
+			});
+			if (!change || !fn(editable.obj[0], id)) {
+				return false;
+			}
+			editable.smartContentChange({type: 'block-change'});
+			Aloha.trigger('aloha-trackchanges-change-' + event, {
+				editable: editable,
+				change: change
+			});
+			return true;
+		},
+
+		_resolveAtSelection: function (accept) {
+			var editable = Aloha.activeEditable;
+			var range = editable && rangeIn(editable);
+			if (!range) {
+				return;
+			}
+			var id = Changes.changeAt(range.startContainer, editable.obj[0]);
+			if (id) {
+				if (accept) {
+					this.accept(editable, id);
+				} else {
+					this.reject(editable, id);
+				}
+			}
+		},
+
+		_keypress: function (editable, event) {
+			if (event.isDefaultPrevented() || !this.isSuggesting(editable)) {
+				return;
+			}
+			if (event.altKey || event.ctrlKey || event.metaKey || event.which < 32) {
+				return;
+			}
+			var range = rangeIn(editable);
+			if (!range) {
+				return;
+			}
+			event.preventDefault();
+			var root = editable.obj[0];
+			var info = this.info();
+			var position = range.collapsed
+			             ? {container: range.startContainer, offset: range.startOffset}
+			             : Changes.deleteRange(root, range, info, false);
+			select(Changes.insertText(
+				root,
+				position,
+				String.fromCharCode(event.which),
+				info
+			));
+		},
+
+		_willExecute: function (data) {
+			var editable = Aloha.activeEditable;
+			var command = data.commandId.toLowerCase();
+			if (data.preventDefault || !editable || !this.isSuggesting(editable)) {
+				return;
+			}
+			if (FORMATTING[command]) {
+				pendingFormat = {
+					editable: editable,
+					command: command,
+					elements: formattingElements(editable, command)
+				};
+				return;
+			}
+			if ('delete' !== command && 'forwarddelete' !== command
+					&& 'inserttext' !== command) {
+				return;
+			}
+			var range = rangeIn(editable);
+			if (!range) {
+				return;
+			}
+			var root = editable.obj[0];
+			var info = this.info();
+			var start = {container: range.startContainer, offset: range.startOffset};
+			var position;
+			if (!range.collapsed) {
+				position = Changes.deleteRange(root, range, info, 'delete' === command);
+			} else if ('delete' === command) {
+				position = Changes.deleteBackward(root, start, info);
+			} else if ('forwarddelete' === command) {
+				position = Changes.deleteForward(root, start, info);
+			} else {
+				position = start;
+			}
+			if ('inserttext' === command) {
+				position = Changes.insertText(root, position, data.value || '', info);
+			}
+
+			// Because merging or splitting blocks is not recorded, deleting
+			// at the boundary of a block does nothing.
+			data.preventDefault = true;
+			if (position) {
+				select(position);
+			}
+			executed(data.commandId);
+		},
+
+		_executed: function (commandId) {
+			var pending = pendingFormat;
+			if (!pending || pending.command !== commandId.toLowerCase()) {
+				return;
+			}
+			pendingFormat = null;
+			if (!Aloha.queryCommandState(pending.command)) {
+				// Because removing formatting is not recorded.
+				return;
+			}
+			var added = $.grep(
+				formattingElements(pending.editable, pending.command),
+				function (element) {
+					return -1 === $.inArray(element, pending.elements);
+				}
+			);
+			if (added.length) {
+				Changes.markFormatting(added, this.info());
+			}
+		}
+	});
+
+	return TrackChangesPlugin;
+});
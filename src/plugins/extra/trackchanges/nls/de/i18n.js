@@ -0,0 +1,12 @@
+define({
+	"button.suggest.text": "Vorschlagen",
+	"button.suggest.tooltip": "Änderungen vorschlagen statt direkt zu bearbeiten",
+	"button.accept.text": "Annehmen",
+	"button.accept.tooltip": "Änderung an der Cursorposition annehmen",
+	"button.reject.text": "Ablehnen",
+	"button.reject.tooltip": "Änderung an der Cursorposition ablehnen",
+	"button.acceptall.text": "Alle annehmen",
+	"button.acceptall.tooltip": "Alle Änderungen annehmen",
+	"button.rejectall.text": "Alle ablehnen",
+	"button.rejectall.tooltip": "Alle Änderungen ablehnen"
+});
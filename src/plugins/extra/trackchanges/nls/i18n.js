@@ -0,0 +1,15 @@
+define({
+	"root":  {
+		"button.suggest.text": "Suggest",
+		"button.suggest.tooltip": "Suggest changes instead of editing directly",
+		"button.accept.text": "Accept",
+		"button.accept.tooltip": "Accept the change at the cursor",
+		"button.reject.text": "Reject",
+		"button.reject.tooltip": "Reject the change at the cursor",
+		"button.acceptall.text": "Accept all",
+		"button.acceptall.tooltip": "Accept all changes",
+		"button.rejectall.text": "Reject all",
+		"button.rejectall.tooltip": "Reject all changes"
+	},
+		"de": true
+});
@@ -0,0 +1,217 @@
+/* substitutions.js is part of Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * The typographic substitutions of the typography plugin.
+ *
+ * A substitution replaces a typed character, and possibly some of the text
+ * before it, with typographically correct characters: curly quotes, dashes,
+ * an ellipsis, symbols and the non-breaking spaces of French punctuation.
+ */
+define(['jquery'], function ($) {
+	'use strict';
+
+	var NBSP = '\u00a0';
+
+	/**
+	 * Opening and closing double quotes, followed by opening and closing
+	 * single quotes, by language.
+	 *
+	 * @type {object<string, string>}
+	 * @const
+	 */
+	var QUOTES = {
+		'cs': '\u201e\u201c\u201a\u2018',
+		'da': '\u00bb\u00ab\u203a\u2039',
+		'de': '\u201e\u201c\u201a\u2018',
+		'de-ch': '\u00ab\u00bb\u2039\u203a',
+		'en': '\u201c\u201d\u2018\u2019',
+		'es': '\u00ab\u00bb\u201c\u201d',
+		'fr': '\u00ab\u00bb\u2039\u203a',
+		'it': '\u00ab\u00bb\u201c\u201d',
+		'nl': '\u201c\u201d\u2018\u2019',
+		'pl': '\u201e\u201d\u00ab\u00bb',
+		'pt': '\u00ab\u00bb\u201c\u201d',
+		'ru': '\u00ab\u00bb\u201e\u201c',
+		'sv': '\u201d\u201d\u2019\u2019'
+	};
+
+	/**
+	 * Languages which put non-breaking spaces inside of quotes and before
+	 * two-part punctuation.
+	 *
+	 * @type {Array.<string>}
+	 * @const
+	 */
+	var SPACED_PUNCTUATION = ['fr'];
+
+	/**
+	 * Names of all substitutions.
+	 *
+	 * @type {Array.<string>}
+	 * @const
+	 */
+	var NAMES = ['quotes', 'dashes', 'ellipsis', 'symbols', 'frenchspacing'];
+
+	/**
+	 * Matches text after which a quote opens rather than closes.
+	 *
+	 * @type {RegExp}
+	 * @const
+	 */
+	var OPENING_CONTEXT = /(?:^|[\s(\[{\/\-\u2013\u2014"'\u201c\u201e\u2018\u201a\u00ab\u2039])$/;
+
+	/**
+	 * Symbols which are typed as letters in parentheses.
+	 *
+	 * @type {object<string, string>}
+	 * @const
+	 */
+	var SYMBOLS = {
+		'(c)': '\u00a9'
+	};
+
+	/**
+	 * Finds the setting for a language tag, trying the full tag before its
+	 * primary language.
+	 *
+	 * @param {object<string, *>} table
+	 * @param {string} lang
+	 * @return {*}
+	 */
+	function forLanguage(table, lang) {
+		lang = (lang || '').toLowerCase();
+		return table[lang] || table[lang.split('-')[0]];
+	}
+
+	function isSpaced(lang) {
+		return -1 !== $.inArray((lang || '').toLowerCase().split('-')[0], SPACED_PUNCTUATION);
+	}
+
+	function quote(before, character, lang, quotes) {
+		var chars = forLanguage(quotes, lang) || quotes.en;
+		var offset = '"' === character ? 0 : 2;
+		var open = chars.charAt(offset);
+		var close = chars.charAt(offset + 1);
+		var spaced = isSpaced(lang) && '"' === character;
+		var isOpen = before.lastIndexOf(open) > before.lastIndexOf(close);
+		// Because the space before a closing quote is typed where the
+		// language spaces it
+		if (OPENING_CONTEXT.test(before) && !(spaced && isOpen && / $/.test(before))) {
+			return {remove: 0, text: spaced ? open + NBSP : open};
+		}
+		// Because a single quote which closes no quotation is an apostrophe
+		if ('\'' === character && !isOpen) {
+			return {remove: 0, text: '\u2019'};
+		}
+		if (spaced) {
+			return / $/.test(before)
+			     ? {remove: 1, text: NBSP + close}
+			     : {remove: 0, text: (/\u00a0$/.test(before) ? '' : NBSP) + close};
+		}
+		return {remove: 0, text: close};
+	}
+
+	function dash(before, character) {
+		if ('-' === character) {
+			return null;
+		}
+		if (/\s$/.test(character) && /(?:^|\s)--$/.test(before)) {
+			return {remove: 2, text: '\u2013' + character};
+		}
+		if (!/\s$/.test(character) && /[^\s\-]--$/.test(before)) {
+			return {remove: 2, text: '\u2014' + character};
+		}
+		return null;
+	}
+
+	function ellipsis(before, character) {
+		if ('.' === character && /(?:^|[^.])\.\.$/.test(before)) {
+			return {remove: 2, text: '\u2026'};
+		}
+		return null;
+	}
+
+	function symbol(before, character) {
+		var found = null;
+		$.each(SYMBOLS, function (typed, replacement) {
+			var start = before.length - typed.length + 1;
+			if (character === typed.charAt(typed.length - 1)
+					&& start >= 0
+					&& (before.substring(start) + character).toLowerCase() === typed) {
+				found = {remove: typed.length - 1, text: replacement};
+				return false;
+			}
+		});
+		return found;
+	}
+
+	function frenchSpacing(before, character, lang) {
+		if (!isSpaced(lang) || -1 === ';:!?'.indexOf(character)) {
+			return null;
+		}
+		if (/ $/.test(before)) {
+			return {remove: 1, text: NBSP + character};
+		}
+		// Because a colon without a space before it more likely belongs to a
+		// URL or a time than to a sentence
+		if (':' !== character && /[^\s;:!?]$/.test(before)) {
+			return {remove: 0, text: NBSP + character};
+		}
+		return null;
+	}
+
+	/**
+	 * Substitutions by name.
+	 *
+	 * @type {object<string, function>}
+	 * @const
+	 */
+	var SUBSTITUTIONS = {
+		'quotes': function (before, character, lang, quotes) {
+			return ('"' === character || '\'' === character)
+			     ? quote(before, character, lang, quotes)
+			     : null;
+		},
+		'dashes': dash,
+		'ellipsis': ellipsis,
+		'symbols': symbol,
+		'frenchspacing': frenchSpacing
+	};
+
+	/**
+	 * Finds the substitution for a typed character.
+	 *
+	 * @param {string} before The text before the caret.
+	 * @param {string} character The typed character.
+	 * @param {object=} options An object with the properties
+	 *        lang    - the language of the text
+	 *        enabled - names of the enabled substitutions; all by default
+	 *        quotes  - quotes by language, which complement the default
+	 *                  ones
+	 * @return {?object} The number of characters before the caret which are
+	 *                   to be removed, and the text which is to be inserted
+	 *                   instead of them and the typed character.
+	 */
+	function substitute(before, character, options) {
+		options = options || {};
+		var quotes = $.extend({}, QUOTES, options.quotes);
+		var found = null;
+		$.each(options.enabled || NAMES, function (i, name) {
+			if (SUBSTITUTIONS[name]) {
+				found = SUBSTITUTIONS[name](before, character, options.lang, quotes);
+			}
+			return !found;
+		});
+		return found;
+	}
+
+	return {
+		NAMES: NAMES,
+		substitute: substitute
+	};
+});
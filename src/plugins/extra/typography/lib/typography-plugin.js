@@ -0,0 +1,197 @@
+/* typography-plugin.js is part of the Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * Replaces typed characters with typographically correct ones: straight
+ * quotes with the curly quotes of the language of the editable, "--" with
+ * dashes, "..." with an ellipsis and "(c)" with a copyright sign, and adds
+ * the non-breaking spaces of French punctuation.
+ *
+ * Pressing backspace right after a substitution restores what was typed,
+ * like in word processors.  Text in pre and code elements is left alone.
+ */
+define([
+	'jquery',
+	'aloha',
+	'aloha/plugin',
+	'typography/substitutions'
+], function (
+	$,
+	Aloha,
+	Plugin,
+	Substitutions
+) {
+	'use strict';
+
+	/**
+	 * Elements whose text is left as it is typed.
+	 *
+	 * @type {string}
+	 * @const
+	 */
+	var VERBATIM = 'pre,code,kbd,samp,.aloha-block';
+
+	/**
+	 * The substitution which was done last, while backspace can still undo
+	 * it.
+	 *
+	 * @type {?object}
+	 */
+	var lastSubstitution = null;
+
+	/**
+	 * Gets the text of the block around the given position, up to the
+	 * position.
+	 *
+	 * @param {Node} container
+	 * @param {number} offset
+	 * @param {Aloha.Editable} editable
+	 * @return {string}
+	 */
+	function getTextBefore(container, offset, editable) {
+		var block = $(container).closest('p,li,td,th,dt,dd,h1,h2,h3,h4,h5,h6,blockquote,div', editable.obj)[0]
+		         || editable.obj[0];
+		var range = document.createRange();
+		range.setStart(block, 0);
+		range.setEnd(container, offset);
+		return range.toString();
+	}
+
+	/**
+	 * Gets the language of the text at the given node.
+	 *
+	 * @param {Node} node
+	 * @param {Plugin} plugin
+	 * @return {string}
+	 */
+	function getLanguage(node, plugin) {
+		return $(node).closest('[lang]').attr('lang') || plugin.settings.lang || 'en';
+	}
+
+	/**
+	 * Gets the names of the substitutions which are enabled in the given
+	 * editable.
+	 *
+	 * @param {Plugin} plugin
+	 * @param {Aloha.Editable} editable
+	 * @return {Array.<string>}
+	 */
+	function getEnabledSubstitutions(plugin, editable) {
+		var config = plugin.getEditableConfig(editable.obj);
+		return $.isArray(config) ? config : Substitutions.NAMES;
+	}
+
+	/**
+	 * Replaces a typed character with its substitution, right after it has
+	 * been inserted.
+	 *
+	 * The character is left to be inserted by the browser (or by whoever
+	 * else handles the keypress), so that everyone who listens to
+	 * keypresses still sees it.
+	 *
+	 * @param {Plugin} plugin
+	 * @param {jQuery.Event} event The keypress event of the character.
+	 */
+	function processKeyPress(plugin, event) {
+		var editable = Aloha.activeEditable;
+		lastSubstitution = null;
+		if (!editable || ((event.ctrlKey || event.metaKey) && !event.altKey)) {
+			return;
+		}
+		var selection = Aloha.getSelection();
+		if (!selection.getRangeCount()) {
+			return;
+		}
+		var range = selection.getRangeAt(0);
+		var node = range.startContainer;
+		var offset = range.startOffset;
+		var character = String.fromCharCode(event.which);
+		// Because the keypress may have been prevented, or the character
+		// inserted elsewhere.
+		if (!range.collapsed
+				|| 3 !== node.nodeType
+				|| offset < 1
+				|| node.data.charAt(offset - 1) !== character
+				|| !$.contains(editable.obj[0], node)
+				|| $(node).closest(VERBATIM, editable.obj).length) {
+			return;
+		}
+		var substitution = Substitutions.substitute(
+			getTextBefore(node, offset - 1, editable),
+			character,
+			{
+				lang: getLanguage(node, plugin),
+				enabled: getEnabledSubstitutions(plugin, editable),
+				quotes: plugin.settings.quotes
+			}
+		);
+		if (!substitution || substitution.remove > offset - 1) {
+			return;
+		}
+		var start = offset - 1 - substitution.remove;
+		var typed = node.data.substring(start, offset);
+		node.replaceData(start, substitution.remove + 1, substitution.text);
+		Aloha.Selection.setCaret(node, start + substitution.text.length);
+		lastSubstitution = {
+			node: node,
+			start: start,
+			text: substitution.text,
+			typed: typed
+		};
+	}
+
+	/**
+	 * Restores what was typed, when backspace is pressed right after a
+	 * substitution.
+	 *
+	 * @param {jQuery.Event} event
+	 * @return {boolean} False if a substitution has been undone.
+	 */
+	function processBackspace(event) {
+		var substitution = lastSubstitution;
+		lastSubstitution = null;
+		if (!substitution || event.shiftKey || event.ctrlKey || event.metaKey || event.altKey) {
+			return true;
+		}
+		var selection = Aloha.getSelection();
+		var range = selection.getRangeCount() && selection.getRangeAt(0);
+		var end = substitution.start + substitution.text.length;
+		if (!range
+				|| !range.collapsed
+				|| range.startContainer !== substitution.node
+				|| range.startOffset !== end
+				|| substitution.node.data.substring(substitution.start, end) !== substitution.text) {
+			return true;
+		}
+		substitution.node.replaceData(substitution.start, substitution.text.length, substitution.typed);
+		Aloha.Selection.setCaret(substitution.node, substitution.start + substitution.typed.length);
+		return false;
+	}
+
+	return Plugin.create('typography', {
+
+		/**
+		 * The substitutions which are done.  All of them by default.
+		 *
+		 * Configurable per editable.
+		 *
+		 * @type {Array.<string>}
+		 */
+		config: Substitutions.NAMES,
+
+		init: function () {
+			var plugin = this;
+			Aloha.Markup.addKeyPressHandler(function (event) {
+				processKeyPress(plugin, event);
+			});
+			Aloha.Markup.addKeyHandler(8, processBackspace);
+			Aloha.bind('aloha-editable-deactivated', function () {
+				lastSubstitution = null;
+			});
+		}
+	});
+});
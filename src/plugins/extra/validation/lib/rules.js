@@ -0,0 +1,366 @@
+/* rules.js is part of the Aloha Editor project http://aloha-editor.org
+ *
+ * Aloha Editor is a WYSIWYG HTML5 inline editing library and editor.
+ * Copyright (c) 2010-2014 Gentics Software GmbH, Vienna, Austria.
+ * Contributors http://aloha-editor.org/contribution.php
+ * License http://aloha-editor.org/license.php
+ */
+/**
+ * Declarative validation rules.
+ *
+ * A rule is declared as an object with a `type' and the options of that
+ * type, for example {type: 'maxLength', max: 300, unit: 'words'}.  Every
+ * declaration may also have
+ *
+ * id       - the rule id that is reported, defaults to the type
+ * severity - 'error' (default), 'warning' or 'info'
+ * message  - replaces the default message; {placeholders} are replaced
+ *            with the values of the result's data
+ *
+ * Each violation is reported as a validation result (see the validation
+ * plugin) which additionally carries a `data' object with the details of
+ * the violation.
+ */
+define([
+	'jquery',
+	'aloha/ephemera',
+	'util/strings',
+	'i18n!validation/nls/i18n'
+], function (
+	$,
+	Ephemera,
+	Strings,
+	i18n
+) {
+	'use strict';
+
+	var HEADINGS = 'h1,h2,h3,h4,h5,h6';
+
+	/**
+	 * Elements of the editor's user interface which may be part of an
+	 * editable's DOM, but are not content.
+	 */
+	var NON_CONTENT = '.aloha-ephemera,.aloha-ephemera-wrapper';
+
+	/**
+	 * Finds content elements in the given root.
+	 *
+	 * @param {HTMLElement} root
+	 * @param {string} selector
+	 * @return {jQuery}
+	 */
+	function find(root, selector) {
+		return $(root).find(selector).filter(function () {
+			return !$(this).closest(NON_CONTENT).length;
+		});
+	}
+
+	function level(heading) {
+		return parseInt(heading.nodeName.charAt(1), 10);
+	}
+
+	/**
+	 * Elements around which line breaks are assumed when text is extracted.
+	 */
+	var BREAKING = /^(ADDRESS|BLOCKQUOTE|BR|DD|DIV|DT|H[1-6]|LI|P|PRE|TD|TH|TR)$/;
+
+	/**
+	 * Extracts the text of the given markup.  Blocks are separated by line
+	 * breaks, so that words in adjacent blocks are not run together.
+	 *
+	 * @param {string} html
+	 * @return {string}
+	 */
+	function textOf(html) {
+		var text = [];
+		(function collect(node) {
+			var child;
+			for (child = node.firstChild; child; child = child.nextSibling) {
+				if (3 === child.nodeType) {
+					text.push(child.data);
+				} else if (1 === child.nodeType) {
+					if (BREAKING.test(child.nodeName)) {
+						text.push('\n');
+						collect(child);
+						text.push('\n');
+					} else {
+						collect(child);
+					}
+				}
+			}
+		}($('<div>' + html + '</div>')[0]));
+		return text.join('');
+	}
+
+	function words(text) {
+		var trimmed = $.trim(text);
+		return trimmed ? trimmed.split(/\s+/).length : 0;
+	}
+
+	/**
+	 * Checks whether the given attribute name matches one of the given
+	 * patterns.  A pattern ending in `*' matches attribute names that start
+	 * with the pattern, eg. `on*' or `data-*'.
+	 *
+	 * @param {string} name
+	 * @param {Array.<string>} patterns
+	 * @return {boolean}
+	 */
+	function matchesAttribute(name, patterns) {
+		var i, pattern;
+		name = name.toLowerCase();
+		for (i = 0; i < patterns.length; i++) {
+			pattern = patterns[i].toLowerCase();
+			if ('*' === pattern.charAt(pattern.length - 1)
+					? 0 === name.indexOf(pattern.substring(0, pattern.length - 1))
+					: name === pattern) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * Checks whether the given attribute was added by the editor rather
+	 * than being part of the content.
+	 *
+	 * @param {HTMLElement} element
+	 * @param {string} name
+	 * @return {boolean}
+	 */
+	function isEphemeralAttribute(element, name) {
+		var emap = Ephemera.ephemera();
+		var marked = ' ' + (element.getAttribute('data-aloha-ephemera-attr') || '') + ' ';
+		if ('class' === name) {
+			// Because the editor adds its own classes, only other classes
+			// are content.
+			return !$.grep($.trim(element.className).split(/\s+/), function (cls) {
+				return cls && !emap.classMap[cls] && 0 !== cls.indexOf('aloha-');
+			}).length;
+		}
+		return 0 === name.indexOf('data-aloha-')
+		    || -1 !== marked.indexOf(' ' + name + ' ')
+		    || Ephemera.isAttrEphemeral(element, name, emap.attrMap, emap.attrRxs);
+	}
+
+	/**
+	 * Rule types.  Each one checks the given root element, whose text is
+	 * given with blocks separated by line breaks, and returns a list of violations of the form {element, data},
+	 * and optionally a message key.
+	 *
+	 * @type {object<string, function(HTMLElement, string, object):Array.<object>>}
+	 */
+	var types = {
+
+		/**
+		 * Limits the length of the content.
+		 *
+		 * max  - the maximum length
+		 * unit - 'characters' (default) or 'words'
+		 */
+		maxLength: function (root, text, options) {
+			var unit = 'words' === options.unit ? 'words' : 'characters';
+			var length = 'words' === unit
+			           ? words(text)
+			           : text.replace(/\n/g, '').length;
+			if (length <= options.max) {
+				return [];
+			}
+			return [{
+				key: 'rule.maxLength.' + unit,
+				element: null,
+				data: {max: options.max, length: length, unit: unit}
+			}];
+		},
+
+		/**
+		 * Requires headings.
+		 *
+		 * levels - heading elements which count, eg. ['h1', 'h2']; defaults
+		 *          to all headings
+		 * min    - how many are required, defaults to 1
+		 */
+		requiredHeadings: function (root, text, options) {
+			var levels = options.levels ? options.levels.join(',') : HEADINGS;
+			var min = null == options.min ? 1 : options.min;
+			var count = find(root, levels).length;
+			if (count >= min) {
+				return [];
+			}
+			return [{
+				element: null,
+				data: {levels: levels, min: min, count: count}
+			}];
+		},
+
+		/**
+		 * Requires each heading to be at most one level below the heading
+		 * before it, eg. no h4 directly after an h2.
+		 *
+		 * first - the level the first heading must have, if any
+		 */
+		headingOrder: function (root, text, options) {
+			var violations = [];
+			var previous = null;
+			find(root, HEADINGS).each(function () {
+				var current = level(this);
+				if (null === previous) {
+					if (options.first && current !== options.first) {
+						violations.push({
+							key: 'rule.headingOrder.first',
+							element: this,
+							data: {level: current, expected: options.first}
+						});
+					}
+				} else if (current > previous + 1) {
+					violations.push({
+						element: this,
+						data: {level: current, previous: previous}
+					});
+				}
+				previous = current;
+			});
+			return violations;
+		},
+
+		/**
+		 * Requires images to have a non-empty alt attribute.
+		 */
+		imageAlt: function (root) {
+			return find(root, 'img').filter(function () {
+				return !$.trim(this.getAttribute('alt') || '');
+			}).map(function () {
+				return {element: this, data: {src: this.getAttribute('src')}};
+			}).get();
+		},
+
+		/**
+		 * Requires links to have a non-empty href attribute.  Anchors, which
+		 * have a name but no href, are allowed.
+		 */
+		linkHref: function (root) {
+			return find(root, 'a').filter(function () {
+				return !$.trim(this.getAttribute('href') || '')
+				    && !(this.getAttribute('name') && !this.hasAttribute('href'));
+			}).map(function () {
+				return {element: this, data: {text: $(this).text()}};
+			}).get();
+		},
+
+		/**
+		 * Disallows elements and attributes.
+		 *
+		 * elements   - names of disallowed elements, eg. ['font', 'center']
+		 * attributes - names of disallowed attributes; a name ending in `*'
+		 *              matches all attributes with that prefix, eg. 'on*'
+		 */
+		disallowed: function (root, text, options) {
+			var violations = [];
+			if (options.elements && options.elements.length) {
+				find(root, options.elements.join(',')).each(function () {
+					violations.push({
+						key: 'rule.disallowed.element',
+						element: this,
+						data: {element: this.nodeName.toLowerCase()}
+					});
+				});
+			}
+			if (options.attributes && options.attributes.length) {
+				find(root, '*').each(function () {
+					var element = this;
+					$.each(element.attributes, function (i, attribute) {
+						if (attribute.specified
+								&& matchesAttribute(attribute.name, options.attributes)
+								&& !isEphemeralAttribute(element, attribute.name.toLowerCase())) {
+							violations.push({
+								key: 'rule.disallowed.attribute',
+								element: element,
+								data: {
+									element: element.nodeName.toLowerCase(),
+									attribute: attribute.name.toLowerCase()
+								}
+							});
+						}
+					});
+				});
+			}
+			return violations;
+		},
+
+		/**
+		 * Limits how deeply lists may be nested.
+		 *
+		 * max - the maximum depth; a list which is not inside another list
+		 *       has the depth 1
+		 */
+		listDepth: function (root, text, options) {
+			var depthOf = function (list) {
+				return $(list).parentsUntil(root, 'ul,ol').length + 1;
+			};
+			return find(root, 'ul,ol').map(function () {
+				// Because lists inside a list which is too deep are too deep
+				// as well, only the outermost offending lists are reported.
+				if (depthOf(this) !== options.max + 1) {
+					return null;
+				}
+				var depth = depthOf(this);
+				$(this).find('ul,ol').each(function () {
+					depth = Math.max(depth, depthOf(this));
+				});
+				return {element: this, data: {depth: depth, max: options.max}};
+			}).get();
+		}
+	};
+
+	/**
+	 * Registers a rule type.
+	 *
+	 * @param {string} type
+	 * @param {function(HTMLElement, string, object):Array.<object>} check
+	 *        Receives the editable's element, its text, and the rule
+	 *        declaration, and returns violations of the form
+	 *        {element, data, message}.
+	 */
+	function define(type, check) {
+		types[type] = check;
+	}
+
+	/**
+	 * Creates a validator from a rule declaration.  The type of the rule is
+	 * looked up when the validator is run, so that types may be defined
+	 * after the declaration was read.
+	 *
+	 * @param {object} declaration
+	 * @return {function(string, Aloha.Editable, jQuery):Array.<object>}
+	 *         A validator.  Throws if the type of the rule is unknown.
+	 */
+	function create(declaration) {
+		return function (content, editable) {
+			var check = types[declaration.type];
+			if (!check) {
+				throw new Error('Unknown rule type "' + declaration.type + '"');
+			}
+			var text = textOf(content);
+			return $.map(check(editable.obj[0], text, declaration), function (violation) {
+				var data = violation.data || {};
+				var message = declaration.message
+				           || violation.message
+				           || i18n.t(violation.key || 'rule.' + declaration.type);
+				return {
+					rule: declaration.id || declaration.type,
+					message: Strings.format(message, data),
+					severity: declaration.severity || 'error',
+					element: violation.element || null,
+					data: data
+				};
+			});
+		};
+	}
+
+	return {
+		types: types,
+		define: define,
+		create: create,
+		format: Strings.format
+	};
+});
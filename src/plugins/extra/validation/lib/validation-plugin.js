@@ -10,24 +10,52 @@
  * Provides validation facilities for Aloha Editables.
  * Also defines a ValidationContentHandler that is used internally.
  *
- * @todo:
- * Consider asynchronous validation.
+ * Validators may return a boolean, a result object, a list of result
+ * objects, or a promise of any of these.  A result has the form
+ *
+ * {
+ *     rule     : string, // identifies the rule that was violated
+ *     message  : string, // describes the problem
+ *     severity : string, // 'error' (default), 'warning' or 'info'
+ *     element  : Node,   // the offending node in the editable, if any
+ *     data     : object  // details of the problem, if any
+ * }
+ *
+ * Only results with the severity 'error' make an editable invalid.
  */
 define([
 	'jquery',
 	'PubSub',
 	'aloha/contenthandlermanager',
 	'aloha/plugin',
-	'aloha/core'
+	'aloha/core',
+	'aloha/ephemera',
+	'validation/rules',
+	'i18n!validation/nls/i18n',
+	'css!validation/css/validation.css'
 ], function (
 	$,
 	PubSub,
 	Manager,
 	Plugin,
-	Aloha
+	Aloha,
+	Ephemera,
+	Rules,
+	i18n
 ) {
 	'use strict';
 
+	var SEVERITIES = ['error', 'warning', 'info'];
+
+	/**
+	 * Attribute on offending elements which holds the messages of their
+	 * results.
+	 *
+	 * @const
+	 * @type {string}
+	 */
+	var MESSAGE_ATTR = 'data-aloha-validation-message';
+
 	/**
 	 * Wraps a validator that is expressed as a regular expression into a
 	 * predicate function.
@@ -71,6 +99,27 @@ define([
 		return validators;
 	}
 
+	/**
+	 * Creates validators from declarative rules (see validation/rules).
+	 *
+	 * @param {object<string, Array.<object>>} config Maps editable selectors
+	 *                                                to rule declarations.
+	 * @return {Array.<function>} An array of validation functions.
+	 */
+	function parseRules(config) {
+		var validators = [];
+		var selector;
+		var i;
+		for (selector in config) {
+			if (config.hasOwnProperty(selector)) {
+				for (i = 0; i < config[selector].length; i++) {
+					validators.push([selector, Rules.create(config[selector][i])]);
+				}
+			}
+		}
+		return validators;
+	}
+
 	/**
 	 * An associative array which maps editable selectors with user specified
 	 * validation functions.
@@ -83,10 +132,297 @@ define([
 	 * An optional callback which, if specified, will be invoked each time
 	 * validation on an editable is complete.
 	 *
-	 * @type {function(Aloha.Editable, boolean, object|function)=}
+	 * @type {function(Aloha.Editable, boolean, Array.<object>)=}
 	 */
 	var onValidation;
 
+	/**
+	 * Whether offending elements are highlighted in the editable.
+	 *
+	 * @type {boolean}
+	 */
+	var showMarkers = true;
+
+	/**
+	 * The sidebar panel which summarizes the results, if enabled.
+	 *
+	 * @type {object|null}
+	 */
+	var panel = null;
+
+	/**
+	 * The latest validation report of each editable, by editable id.
+	 *
+	 * @type {object<string, object>}
+	 */
+	var reports = {};
+
+	/**
+	 * Counts validation runs per editable, so that the results of a run
+	 * which was overtaken by a later one can be discarded.
+	 *
+	 * @type {object<string, number>}
+	 */
+	var runs = {};
+
+	/**
+	 * Whether the given value is a promise (eg. a jQuery Deferred).
+	 *
+	 * @param {*} value
+	 * @return {boolean}
+	 */
+	function isPromise(value) {
+		return !!value && 'function' === typeof value.then;
+	}
+
+	/**
+	 * Normalizes the value returned by a validator into a list of results.
+	 *
+	 * @param {*} value Boolean, result object or list of result objects.
+	 * @param {string} selector The selector under which the validator is
+	 *                          configured; the default rule id.
+	 * @return {Array.<object>}
+	 */
+	function normalizeResults(value, selector) {
+		if (true === value || null == value) {
+			return [];
+		}
+		if (false === value) {
+			return [{
+				rule: selector,
+				message: i18n.t('validation.failed'),
+				severity: 'error',
+				element: null,
+				data: {}
+			}];
+		}
+		var results = 'array' === $.type(value) ? value : [value];
+		return $.map(results, function (result) {
+			return {
+				rule: result.rule || selector,
+				message: result.message || i18n.t('validation.failed'),
+				severity: -1 === $.inArray(result.severity, SEVERITIES)
+				        ? 'error'
+				        : result.severity,
+				element: (result.element && result.element.jquery)
+				       ? result.element[0] || null
+				       : result.element || null,
+				data: result.data || {}
+			};
+		});
+	}
+
+	/**
+	 * Represents a validator that failed to run, or whose promise was
+	 * rejected, as a warning.  A broken check, for example an unreachable
+	 * endpoint, should not block saving.
+	 *
+	 * @param {string} selector
+	 * @param {*} error
+	 * @return {Array.<object>}
+	 */
+	function failedCheck(selector, error) {
+		return [{
+			rule: selector,
+			message: i18n.t('validation.check.failed') + (error ? ' ' + error : ''),
+			severity: 'warning',
+			element: null,
+			data: {}
+		}];
+	}
+
+	/**
+	 * Runs a single validator.
+	 *
+	 * @param {Array} predicate [selector, function]
+	 * @param {string} content
+	 * @param {Aloha.Editable} editable
+	 * @return {jQuery.Promise} Resolves with a list of results.  Is never
+	 *                          rejected.
+	 */
+	function runPredicate(predicate, content, editable) {
+		var deferred = $.Deferred();
+		var selector = predicate[0];
+		var value;
+		try {
+			value = predicate[1](content, editable, $);
+		} catch (error) {
+			return deferred.resolve(failedCheck(selector, error)).promise();
+		}
+		if (isPromise(value)) {
+			value.then(function (value) {
+				deferred.resolve(normalizeResults(value, selector));
+			}, function (error) {
+				deferred.resolve(failedCheck(selector, error));
+			});
+		} else {
+			deferred.resolve(normalizeResults(value, selector));
+		}
+		return deferred.promise();
+	}
+
+	/**
+	 * Whether none of the given results is an error.
+	 *
+	 * @param {Array.<object>} results
+	 * @return {boolean}
+	 */
+	function isValid(results) {
+		var i;
+		for (i = 0; i < results.length; i++) {
+			if ('error' === results[i].severity) {
+				return false;
+			}
+		}
+		return true;
+	}
+
+	/**
+	 * Runs all validators that apply to the given editable.
+	 *
+	 * @param {string} content
+	 * @param {Aloha.Editable} editable
+	 * @param {Array.<object>} settled Out parameter that receives the
+	 *                                 results of validators as soon as
+	 *                                 they are available.
+	 * @return {jQuery.Promise} Resolves with a report of the form
+	 *                          {editable, valid, results}.  Resolves
+	 *                          synchronously if no validator is
+	 *                          asynchronous.
+	 */
+	function check(content, editable, settled) {
+		var pending = [];
+		var collect = function (results) {
+			settled.push.apply(settled, results);
+		};
+		var i;
+		for (i = 0; i < predicates.length; i++) {
+			if (editable.obj.is(predicates[i][0])) {
+				pending.push(runPredicate(predicates[i], content, editable)
+					.done(collect));
+			}
+		}
+		return $.when.apply($, pending).pipe(function () {
+			var results = [];
+			var j;
+			for (j = 0; j < arguments.length; j++) {
+				results = results.concat(arguments[j]);
+			}
+			return {editable: editable, valid: isValid(results), results: results};
+		});
+	}
+
+	/**
+	 * Removes all markers from the given editable.
+	 *
+	 * @param {Aloha.Editable} editable
+	 */
+	function clearMarkers(editable) {
+		editable.obj.find('[' + MESSAGE_ATTR + ']').each(function () {
+			var $element = $(this).removeAttr(MESSAGE_ATTR);
+			$.each(SEVERITIES, function (i, severity) {
+				$element.removeClass('aloha-validation-' + severity);
+			});
+		});
+	}
+
+	/**
+	 * Highlights the elements that are referenced by the given results.
+	 * Results which point at text are shown on the text's parent element.
+	 *
+	 * @param {Aloha.Editable} editable
+	 * @param {Array.<object>} results
+	 */
+	function mark(editable, results) {
+		clearMarkers(editable);
+		var root = editable.obj[0];
+		$.each(results, function (i, result) {
+			var element = result.element;
+			if (element && 3 === element.nodeType) {
+				element = element.parentNode;
+			}
+			if (!element || element === root || !$.contains(root, element)) {
+				return;
+			}
+			var messages = element.getAttribute(MESSAGE_ATTR);
+			element.setAttribute(
+				MESSAGE_ATTR,
+				messages ? messages + '\n' + result.message : result.message
+			);
+			$(element).addClass('aloha-validation-' + result.severity);
+		});
+	}
+
+	/**
+	 * Renders the latest reports into the sidebar panel.
+	 */
+	function renderPanel() {
+		if (!panel) {
+			return;
+		}
+		var $list = $('<ul class="aloha-validation-summary"></ul>');
+		var count = 0;
+		$.each(reports, function (id, report) {
+			$.each(report.results, function (i, result) {
+				count++;
+				$('<li>')
+					.addClass('aloha-validation-summary-' + result.severity)
+					.append($('<span class="aloha-validation-summary-message">')
+						.text(result.message))
+					.append($('<span class="aloha-validation-summary-rule">')
+						.text(id + ': ' + result.rule))
+					.click(function () {
+						if (result.element && result.element.scrollIntoView
+								&& $.contains(document.documentElement, result.element)) {
+							result.element.scrollIntoView(false);
+						}
+					})
+					.appendTo($list);
+			});
+		});
+		panel.setContent(count ? $list : i18n.t('validation.summary.none'));
+	}
+
+	/**
+	 * Applies the report of a validation run, unless a later run has been
+	 * started for the same editable in the meantime.
+	 *
+	 * @param {object} report
+	 * @param {number} run
+	 */
+	function applyReport(report, run) {
+		var editable = report.editable;
+		var id = editable.getId();
+		if (runs[id] !== run) {
+			return;
+		}
+		reports[id] = report;
+		if (showMarkers) {
+			mark(editable, report.results);
+		}
+		renderPanel();
+		if (onValidation) {
+			onValidation(editable, report.valid, report.results);
+		}
+		Aloha.trigger('aloha-editable-validated', report);
+	}
+
+	/**
+	 * Validates the given content of an editable, and reports the results.
+	 *
+	 * @param {string} content
+	 * @param {Aloha.Editable} editable
+	 * @param {Array.<object>} settled See check().
+	 * @return {jQuery.Promise} Resolves with the report.
+	 */
+	function run(content, editable, settled) {
+		var id = editable.getId();
+		var current = runs[id] = (runs[id] || 0) + 1;
+		return check(content, editable, settled).done(function (report) {
+			applyReport(report, current);
+		});
+	}
+
 	/**
 	 * Validation content handler for internal use.
 	 *
@@ -95,8 +431,7 @@ define([
 	var ValidationContentHandler = Manager.createHandler({
 
 		/**
-		 * Calls all validation predicates that apply to the given editable, or
-		 * until one fails.
+		 * Calls all validation predicates that apply to the given editable.
 		 *
 		 * Unlike the conventional handleContent() method, this one receives an
 		 * out parameter `out_isValid' which will record whether or not
@@ -113,30 +448,26 @@ define([
 		 *                                                indicating whether
 		 *                                                the editable passed
 		 *                                                validation or not.
+		 *                                                Only takes results
+		 *                                                into account that
+		 *                                                are available
+		 *                                                synchronously.
+		 * @param {function(*=):*} out_promise Out parameter that receives
+		 *                                     the promise of the report.
 		 * @return {string} Per handleContent() contract.
 		 */
-		handleContent: function (content, __options__, editable, out_isValid) {
+		handleContent: function (content, __options__, editable, out_isValid,
+		                         out_promise) {
 			if (!editable || 0 === predicates.length) {
 				return content;
 			}
-			var id = editable.getId();
-			var valid = true;
-			var i;
-			for (i = 0; i < predicates.length; i++) {
-				if (editable.obj.is(predicates[i][0])) {
-					if (!predicates[i][1](content, editable, $)) {
-						// Because to fail one predicate is to fail all
-						// validation.
-						valid = false;
-						break;
-					}
-				}
-			}
-			if (onValidation) {
-				onValidation(editable, valid);
-			}
+			var settled = [];
+			var promise = run(content, editable, settled);
 			if (out_isValid) {
-				out_isValid(valid);
+				out_isValid(isValid(settled));
+			}
+			if (out_promise) {
+				out_promise(promise);
 			}
 			return content;
 		}
@@ -162,23 +493,29 @@ define([
 		return reference;
 	}
 
+	function normalizeEditables(editables) {
+		var type = $.type(editables);
+		if ('undefined' === type) {
+			return Aloha.editables;
+		}
+		return 'array' === type ? editables : [editables];
+	}
+
 	/**
 	 * Validates an editable, or a list of editables.
 	 *
 	 * If no arguments are given, then all available editables are validated.
 	 *
+	 * Results of asynchronous validators are not waited for; use
+	 * validateAsync() to take them into account.
+	 *
 	 * @param {Aloha.Editable|Array.<Aloha.Editable>|null} editables Optional
 	 *                                                               editables
 	 *                                                               to test.
 	 * @return {Array.<Aloha.Editables>} Editables that failed validation.
 	 */
 	function validate(editables) {
-		var type = $.type(editables);
-		if ('undefined' === type) {
-			editables = Aloha.editables;
-		} else if ('array' !== type) {
-			editables = [editables];
-		}
+		editables = normalizeEditables(editables);
 		var failures = [];
 		var valid = outParameter(true);
 		var i;
@@ -193,6 +530,52 @@ define([
 		return failures;
 	}
 
+	/**
+	 * Validates an editable, or a list of editables, and waits for all
+	 * validators, including asynchronous ones.
+	 *
+	 * If no arguments are given, then all available editables are validated.
+	 *
+	 * @param {Aloha.Editable|Array.<Aloha.Editable>|null} editables Optional
+	 *                                                               editables
+	 *                                                               to test.
+	 * @return {jQuery.Promise} Resolves with a list of reports of the form
+	 *                          {editable, valid, results}, one for each
+	 *                          editable.
+	 */
+	function validateAsync(editables) {
+		editables = normalizeEditables(editables);
+		var pending = [];
+		var promise;
+		var i;
+		for (i = 0; i < editables.length; i++) {
+			promise = outParameter();
+			ValidationContentHandler.handleContent(editables[i].getContents(),
+					null, editables[i], null, promise);
+			pending.push(promise() || {
+				editable: editables[i],
+				valid: true,
+				results: []
+			});
+		}
+		return $.when.apply($, pending).pipe(function () {
+			return Array.prototype.slice.call(arguments);
+		});
+	}
+
+	/**
+	 * Gets the latest results of an editable.
+	 *
+	 * @param {Aloha.Editable} editable
+	 * @return {Array.<object>} The results of the last completed validation,
+	 *                          or an empty list if the editable was not
+	 *                          validated yet.
+	 */
+	function getResults(editable) {
+		var report = reports[editable.getId()];
+		return report ? report.results : [];
+	}
+
 	/**
 	 * Validate the active editable.
 	 */
@@ -242,6 +625,22 @@ define([
 		}
 	}
 
+	/**
+	 * Adds the summary panel to the sidebar.
+	 */
+	function registerPanel() {
+		Aloha.bind('aloha-plugins-loaded', function () {
+			panel = Aloha.Sidebar.right.show().addPanel({
+				id       : 'aloha-validation-sidebar-panel',
+				title    : i18n.t('validation.summary.title'),
+				content  : '',
+				expanded : true,
+				activeOn : true
+			});
+			renderPanel();
+		});
+	}
+
 	/**
 	 * @type {Aloha.Plugin}
 	 */
@@ -251,8 +650,17 @@ define([
 			var settings = Aloha.settings.plugins
 			            && Aloha.settings.plugins.validation;
 
-			predicates = settings ? parseValidators(settings.config) : [];
+			predicates = settings
+			           ? parseValidators(settings.config).concat(
+			                 parseRules(settings.rules || {}))
+			           : [];
 			onValidation = (settings && settings.onValidation) || null;
+			showMarkers = !settings || false !== settings.markers;
+
+			Ephemera.classes.apply(Ephemera, $.map(SEVERITIES, function (severity) {
+				return 'aloha-validation-' + severity;
+			}));
+			Ephemera.attributes(MESSAGE_ATTR);
 
 			if (settings) {
 				if (settings.hooks) {
@@ -264,14 +672,26 @@ define([
 				if (settings.channels) {
 					registerSubscriptions(settings.channels);
 				}
+				if (false !== settings.sidebar && predicates.length) {
+					registerPanel();
+				}
 			}
 
+			Aloha.bind('aloha-editable-destroyed', function ($event, editable) {
+				delete reports[editable.getId()];
+				delete runs[editable.getId()];
+				renderPanel();
+			});
+
 			Manager.register('validation', ValidationContentHandler);
 			Aloha.features.validation = true;
 		}
 	});
 
 	Validation.validate = validate;
+	Validation.validateAsync = validateAsync;
+	Validation.getResults = getResults;
+	Validation.rules = Rules;
 
 	return Validation;
 });
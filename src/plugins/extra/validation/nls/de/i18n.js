@@ -0,0 +1,16 @@
+define({
+	"validation.failed": "Der Inhalt ist nicht gültig",
+	"validation.check.failed": "Die Prüfung konnte nicht abgeschlossen werden:",
+	"validation.summary.title": "Prüfung",
+	"validation.summary.none": "Keine Probleme gefunden",
+	"rule.maxLength.characters": "Der Text hat {length} Zeichen, erlaubt sind höchstens {max}",
+	"rule.maxLength.words": "Der Text hat {length} Wörter, erlaubt sind höchstens {max}",
+	"rule.requiredHeadings": "Mindestens {min} Überschrift(en) ({levels}) erforderlich, gefunden: {count}",
+	"rule.headingOrder": "Eine Überschrift der Ebene {level} darf nicht auf eine der Ebene {previous} folgen",
+	"rule.headingOrder.first": "Die erste Überschrift muss die Ebene {expected} haben, nicht {level}",
+	"rule.imageAlt": "Das Bild hat keinen Alternativtext",
+	"rule.linkHref": "Der Link hat kein Ziel",
+	"rule.disallowed.element": "Das Element <{element}> ist nicht erlaubt",
+	"rule.disallowed.attribute": "Das Attribut {attribute} ist an <{element}> nicht erlaubt",
+	"rule.listDepth": "Listen sind {depth} Ebenen tief verschachtelt, erlaubt sind höchstens {max}"
+});
@@ -0,0 +1,19 @@
+define({
+	"root":  {
+		"validation.failed": "The content is not valid",
+		"validation.check.failed": "The validation could not be completed:",
+		"validation.summary.title": "Validation",
+		"validation.summary.none": "No problems found",
+		"rule.maxLength.characters": "The text has {length} characters, but at most {max} are allowed",
+		"rule.maxLength.words": "The text has {length} words, but at most {max} are allowed",
+		"rule.requiredHeadings": "At least {min} heading(s) of {levels} required, but found {count}",
+		"rule.headingOrder": "A heading of level {level} must not follow one of level {previous}",
+		"rule.headingOrder.first": "The first heading must be of level {expected}, not {level}",
+		"rule.imageAlt": "The image has no alternative text",
+		"rule.linkHref": "The link has no target",
+		"rule.disallowed.element": "The element <{element}> is not allowed",
+		"rule.disallowed.attribute": "The attribute {attribute} is not allowed on <{element}>",
+		"rule.listDepth": "Lists are nested {depth} levels deep, but at most {max} are allowed"
+	},
+		"de": true
+});
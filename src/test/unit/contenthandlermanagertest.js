@@ -126,6 +126,81 @@ function (TestUtils) {
 					})(perm);
 				}
 			}
+
+			/**
+			 * Registers a handler which appends its id to the content, for
+			 * the duration of a test.
+			 */
+			function withHandler(id, definition, fn) {
+				ContentHandlerManager.register(id, ContentHandlerManager.createHandler($.extend({
+					handleContent: function (content) {
+						return content + ',' + id;
+					}
+				}, definition)));
+				try {
+					fn();
+				} finally {
+					ContentHandlerManager.unregister(id);
+				}
+			}
+
+			test('Test handler priorities', function () {
+				withHandler('first', {priority: 10}, function () {
+					withHandler('last', {priority: -1}, function () {
+						equal(ContentHandlerManager.handleContent('content', {contenthandler: ['last', 'one', 'two', 'first']}),
+						      'content,first,one,two,last', 'Handlers are ordered by priority, then by configuration');
+					});
+				});
+			});
+
+			test('Test handler phases', function () {
+				withHandler('pasteonly', {phases: ['paste']}, function () {
+					var handlers = ['one', 'pasteonly'];
+					equal(ContentHandlerManager.handleContent('content', {contenthandler: handlers, command: 'paste'}),
+					      'content,one,pasteonly', 'Handler is invoked in its phase');
+					equal(ContentHandlerManager.handleContent('content', {contenthandler: handlers, command: 'insertHtml'}),
+					      'content,one', 'Handler is skipped in other phases');
+					equal(ContentHandlerManager.handleContent('content', {contenthandler: handlers}),
+					      'content,one,pasteonly', 'Handler is invoked without a command');
+				});
+			});
+
+			test('Test editable profiles', function () {
+				var editable = {obj: $('<div class="profiled"></div>')};
+				var other = {obj: $('<div></div>')};
+				var settings = Aloha.settings.contentHandler;
+				settings.editables = {
+					'div': {getContents: ['four']},
+					'.profiled': {insertHtml: ['three', 'two']}
+				};
+				equal(ContentHandlerManager.handleContent('content', {contenthandler: ['one'], command: 'insertHtml'}, editable),
+				      'content,three,two', 'Profile of the last matching selector is used');
+				equal(ContentHandlerManager.handleContent('content', {contenthandler: ['one'], command: 'getContents'}, editable),
+				      'content,one', 'Configured handlers are used for commands without profile');
+				equal(ContentHandlerManager.handleContent('content', {contenthandler: ['one'], command: 'getContents'}, other),
+				      'content,four', 'Profile applies to matching editables');
+				delete settings.editables;
+			});
+
+			test('Test debug log', function () {
+				var settings = Aloha.settings.contentHandler;
+				ContentHandlerManager.clearDebugLog();
+				ContentHandlerManager.handleContent('content', {contenthandler: ['one']});
+				deepEqual(ContentHandlerManager.getDebugLog(), [], 'Nothing is recorded by default');
+				settings.debug = true;
+				ContentHandlerManager.handleContent('content', {contenthandler: ['one', 'two'], command: 'paste'});
+				delete settings.debug;
+				deepEqual(ContentHandlerManager.getDebugLog(), [{
+					command: 'paste',
+					editable: null,
+					steps: [
+						{handler: 'one', input: 'content', output: 'content,one'},
+						{handler: 'two', input: 'content,one', output: 'content,one,two'}
+					]
+				}], 'Input and output of each handler are recorded');
+				ContentHandlerManager.clearDebugLog();
+				deepEqual(ContentHandlerManager.getDebugLog(), [], 'Debug log is cleared');
+			});
 		});
 	});
 });
\ No newline at end of file
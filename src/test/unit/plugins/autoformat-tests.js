@@ -0,0 +1,62 @@
+Aloha.ready(function(){
+Aloha.require(['autoformat/patterns'], function(Patterns){
+	'use strict';
+
+	var all = Patterns.NAMES;
+
+	module('Block patterns');
+
+	test('headings', function() {
+		deepEqual(Patterns.matchBlock('#', all), {name: 'heading', nodeName: 'h1'});
+		deepEqual(Patterns.matchBlock('###', all), {name: 'heading', nodeName: 'h3'});
+		equal(Patterns.matchBlock('#######', all), null);
+		equal(Patterns.matchBlock('a #', all), null);
+	});
+
+	test('lists and block quotes', function() {
+		deepEqual(Patterns.matchBlock('*', all), {name: 'bulletlist', nodeName: 'ul'});
+		deepEqual(Patterns.matchBlock('-', all), {name: 'bulletlist', nodeName: 'ul'});
+		deepEqual(Patterns.matchBlock('1.', all), {name: 'numberedlist', nodeName: 'ol'});
+		deepEqual(Patterns.matchBlock('1)', all), {name: 'numberedlist', nodeName: 'ol'});
+		deepEqual(Patterns.matchBlock('>', all), {name: 'blockquote', nodeName: 'blockquote'});
+		equal(Patterns.matchBlock('2.', all), null);
+	});
+
+	test('disabled patterns', function() {
+		equal(Patterns.matchBlock('#', ['bulletlist']), null);
+		deepEqual(Patterns.matchBlock('*', ['bulletlist']), {name: 'bulletlist', nodeName: 'ul'});
+	});
+
+	module('Horizontal rules');
+
+	test('lines of dashes, asterisks and underscores', function() {
+		deepEqual(Patterns.matchLine('---', all), {name: 'hr', nodeName: 'hr'});
+		deepEqual(Patterns.matchLine(' ***** ', all), {name: 'hr', nodeName: 'hr'});
+		deepEqual(Patterns.matchLine('___', all), {name: 'hr', nodeName: 'hr'});
+		equal(Patterns.matchLine('--', all), null);
+		equal(Patterns.matchLine('-*-', all), null);
+		equal(Patterns.matchLine('---', ['heading']), null);
+	});
+
+	module('Inline patterns');
+
+	test('bold and italic text', function() {
+		deepEqual(Patterns.matchInline('a **b c**', all),
+		          {name: 'bold', command: 'bold', start: 2, marker: '**', text: 'b c'});
+		deepEqual(Patterns.matchInline('__b__', all),
+		          {name: 'bold', command: 'bold', start: 0, marker: '__', text: 'b'});
+		deepEqual(Patterns.matchInline('a *b*', all),
+		          {name: 'italic', command: 'italic', start: 2, marker: '*', text: 'b'});
+		deepEqual(Patterns.matchInline('(_b_', all),
+		          {name: 'italic', command: 'italic', start: 1, marker: '_', text: 'b'});
+	});
+
+	test('text which is left alone', function() {
+		equal(Patterns.matchInline('snake_case_name', all), null);
+		equal(Patterns.matchInline('2*3*4', all), null);
+		equal(Patterns.matchInline('a * b *', all), null);
+		equal(Patterns.matchInline('**', all), null);
+		equal(Patterns.matchInline('a **b**', ['italic']), null);
+	});
+});
+});
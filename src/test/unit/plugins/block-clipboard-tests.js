@@ -0,0 +1,95 @@
+Aloha.ready(function(){
+Aloha.require(['block/blockmanager', 'block/blockcontenthandler', 'aloha/contenthandlermanager'], function(BlockManager, BlockContentHandler, ContentHandlerManager){
+	'use strict';
+
+	function createBlock(html) {
+		var $element = $(html).appendTo('#qunit-fixture');
+		$element.alohaBlock({'aloha-block-type': 'DefaultBlock'});
+		return BlockManager.getBlock($element);
+	}
+
+	function createEditable(dropzones) {
+		return {obj: $('<div class="aloha-editable"></div>')
+			.appendTo('#qunit-fixture')
+			.data('block-dropzones', dropzones)};
+	}
+
+	/**
+	 * Pastes content into an editable, and calls back with the container of
+	 * the pasted content once the blocks are created.
+	 */
+	function paste(content, editable, callback, options) {
+		var $content = $('<div>').html(BlockContentHandler.handleContent(content, options || {}, editable));
+		editable.obj.append($content);
+		window.setTimeout(function () {
+			callback($content);
+			start();
+		}, 100);
+	}
+
+	module('Copying');
+
+	test('copied blocks carry their type and attributes', function() {
+		var block = createBlock('<div data-list=\'["a","b"]\'>Content</div>');
+		block.activate();
+		var $copy = $('<div>').html(BlockManager.serializeBlocks([block])).children();
+		equal($copy.attr('data-aloha-block-type'), 'DefaultBlock');
+		equal($copy.attr('data-list'), '["a","b"]');
+		equal($copy.find('.aloha-block-handle').length, 0);
+		ok(!$copy.hasClass('aloha-block-active'));
+		equal($copy.text(), 'Content');
+	});
+
+	module('Pasting');
+
+	asyncTest('pasted blocks get new ids and keep their attributes', function() {
+		var block = createBlock('<div data-list=\'["a","b"]\' data-count="2">Content</div>');
+		var html = BlockManager.serializeBlocks([block]);
+		paste(html, createEditable(['.aloha-editable']), function ($content) {
+			var copy = BlockManager.getBlock($content.children().first());
+			ok(copy);
+			notEqual(copy.getId(), block.getId());
+			strictEqual(copy.attr('list'), '["a","b"]');
+			strictEqual(copy.attr('count'), '2');
+		});
+	});
+
+	asyncTest('nested blocks are pasted as well', function() {
+		var html = '<div class="aloha-block" id="outer" data-aloha-block-type="DefaultBlock">'
+		         + '<div class="aloha-editable" id="region">'
+		         + '<span class="aloha-block" id="inner" data-aloha-block-type="DefaultBlock">x</span>'
+		         + '</div></div>';
+		paste(html, createEditable(['.aloha-editable']), function ($content) {
+			equal($content.find('#outer, #inner, #region').length, 0);
+			var $blocks = $content.find('.aloha-block');
+			equal($blocks.length, 2);
+			ok(BlockManager.getBlock($blocks[0]));
+			ok(BlockManager.getBlock($blocks[1]));
+		});
+	});
+
+	test('blocks are not pasted into editables which are no dropzones', function() {
+		var html = '<p>Text</p><div class="aloha-block" data-aloha-block-type="DefaultBlock"></div>';
+		var result = BlockContentHandler.handleContent(html, {}, createEditable(['.aloha-dropzone']));
+		equal(result.toLowerCase(), '<p>text</p>');
+	});
+
+	module('Initial content');
+
+	asyncTest('blocks in the initial content of an editable are created', function() {
+		var html = '<div class="aloha-block aloha-block-active" id="initial" data-aloha-block-type="DefaultBlock">'
+		         + '<span class="aloha-block-handle"></span>Content</div>';
+		paste(html, createEditable(['.aloha-dropzone']), function ($content) {
+			var $block = $content.children();
+			equal($block.length, 1, 'blocks are kept where they are, whatever the dropzones');
+			ok(BlockManager.getBlock($block));
+			equal($block.text(), 'Content');
+		}, {command: 'initEditable'});
+	});
+
+	test('blocks keep their ids when the contents are read', function() {
+		ok(ContentHandlerManager.isInPhase(BlockContentHandler, 'initEditable'));
+		ok(!ContentHandlerManager.isInPhase(BlockContentHandler, 'getContents'));
+	});
+});
+});
@@ -0,0 +1,112 @@
+Aloha.ready(function(){
+Aloha.require(['block/editor', 'block/editormanager', 'block/validation'], function(Editor, EditorManager, Validation){
+	'use strict';
+
+	/**
+	 * Renders an editor for the given schema into the fixture, and records
+	 * the values of its change events.
+	 */
+	function createEditor(schema) {
+		var editor = EditorManager.createEditor(schema);
+		editor.changes = [];
+		editor.bind('change', function (value) {
+			editor.changes.push(value);
+		});
+		editor.$wrapper = editor.render().appendTo('#qunit-fixture');
+		return editor;
+	}
+
+	function enter(editor, value) {
+		editor._$formInputElement.val(value).change();
+	}
+
+	module('Validation');
+
+	test('dates and times', function() {
+		var definition = {type: 'date', min: '2014-01-01', max: '2014-12-31'};
+		equal(Validation.validate(definition, '2014-06-30'), null);
+		equal(Validation.validate(definition, '2013-12-31'), 'min');
+		equal(Validation.validate(definition, '2015-01-01'), 'max');
+		equal(Validation.validate({type: 'time', min: '08:00'}, '07:59'), 'min');
+	});
+
+	test('lists', function() {
+		var definition = {type: 'list', required: true, min: 2, max: 3, pattern: '\\d+'};
+		equal(Validation.validate(definition, '[]'), 'required');
+		equal(Validation.validate(definition, '["1"]'), 'min');
+		equal(Validation.validate(definition, '["1","2","3","4"]'), 'max');
+		equal(Validation.validate(definition, '["1","a"]'), 'pattern');
+		equal(Validation.validate(definition, '["1","2"]'), null);
+		deepEqual(Validation.parseList('plain'), ['plain']);
+		deepEqual(Validation.parseList(''), []);
+	});
+
+	test('range of number sliders', function() {
+		equal(Validation.validate({type: 'number', range: {min: 1}}, '0'), 'min');
+	});
+
+	module('Editors');
+
+	test('all types have editors', function() {
+		$.each(['date', 'time', 'datetime', 'color', 'boolean', 'checkbox',
+				'textarea', 'multiline', 'repository', 'image', 'list'], function (i, type) {
+			ok(EditorManager.has(type), type);
+		});
+	});
+
+	test('invalid values are not passed on', function() {
+		var editor = createEditor({type: 'string', label: 'Code', required: true, pattern: '[A-Z]{3}'});
+		enter(editor, 'abc');
+		deepEqual(editor.changes, []);
+		ok(editor.$wrapper.hasClass('aloha-block-editor-invalid'));
+		equal(editor._$formInputElement.attr('aria-invalid'), 'true');
+		ok(editor.$wrapper.find('.aloha-block-editor-error').text());
+		enter(editor, 'ABC');
+		deepEqual(editor.changes, ['ABC']);
+		ok(!editor.$wrapper.hasClass('aloha-block-editor-invalid'));
+		equal(editor.$wrapper.find('.aloha-block-editor-error').text(), '');
+	});
+
+	test('error messages name the limits', function() {
+		var editor = createEditor({type: 'date', label: 'Date', min: '2014-01-01'});
+		editor.showError('min');
+		ok(-1 !== editor.$wrapper.find('.aloha-block-editor-error').text().indexOf('2014-01-01'));
+		equal(editor._$formInputElement.attr('min'), '2014-01-01');
+	});
+
+	test('booleans', function() {
+		var editor = createEditor({type: 'boolean', label: 'Visible'});
+		editor.setValue('true');
+		equal(editor.getValue(), 'true');
+		editor._$formInputElement.prop('checked', false).change();
+		deepEqual(editor.changes, ['false']);
+	});
+
+	test('text areas', function() {
+		var editor = createEditor({type: 'multiline', label: 'Text', rows: 2});
+		ok(editor._$formInputElement.is('textarea'));
+		equal(editor._$formInputElement.attr('rows'), '2');
+	});
+
+	test('lists', function() {
+		var editor = createEditor({type: 'list', label: 'Items', max: 2});
+		editor.setValue('["a","b"]');
+		equal(editor.$wrapper.find('li input').length, 2);
+		editor.$wrapper.find('.aloha-block-editor-list-add').click();
+		editor.$wrapper.find('li input').last().val('c').change();
+		deepEqual(editor.changes, []);
+		ok(editor.$wrapper.hasClass('aloha-block-editor-invalid'));
+		editor.$wrapper.find('.aloha-block-editor-list-remove').first().click();
+		deepEqual(editor.changes, ['["b","c"]']);
+	});
+
+	test('image previews', function() {
+		var editor = createEditor({type: 'image', label: 'Image'});
+		var $preview = editor.$wrapper.find('.aloha-block-editor-preview');
+		editor.setValue('image.png');
+		equal($preview.attr('src'), 'image.png');
+		editor.setValue('');
+		equal($preview.attr('src'), undefined);
+	});
+});
+});
@@ -0,0 +1,120 @@
+Aloha.ready(function(){
+Aloha.require(['block/keyboard', 'block/blockmanager', 'aloha/block-jump'], function(Keyboard, BlockManager, BlockJump){
+	'use strict';
+
+	function fixture(html) {
+		return $(html).appendTo('#qunit-fixture');
+	}
+
+	function createBlocks($container, count) {
+		var blocks = [];
+		var i;
+		for (i = 0; i < count; i++) {
+			$container.append('\n');
+			blocks.push(BlockManager.getBlock(
+				$('<div data-index="' + i + '"></div>')
+					.appendTo($container)
+					.alohaBlock({'aloha-block-type': 'DefaultBlock'})
+			));
+		}
+		$container.append('\n');
+		return blocks;
+	}
+
+	function announcement() {
+		return $('.aloha-block-announcer').text();
+	}
+
+	module('Adjacent blocks');
+
+	test('blocks before and after the cursor', function() {
+		var $editable = fixture('<div class="aloha-editable"><p>one</p>'
+			+ '<div class="aloha-block"></div>\n<p>two</p></div>');
+		var block = $editable.children('.aloha-block')[0];
+		var one = $editable.children('p')[0].firstChild;
+		var two = $editable.children('p')[1].firstChild;
+		equal(BlockJump.findAdjacentBlock(two, 0, true), block);
+		equal(BlockJump.findAdjacentBlock(two.parentNode, 0, true), block);
+		equal(BlockJump.findAdjacentBlock(two, 1, true), null);
+		equal(BlockJump.findAdjacentBlock(one, 3, false), block);
+		equal(BlockJump.findAdjacentBlock(one, 2, false), null);
+	});
+
+	test('inline blocks behind zero width text', function() {
+		var $editable = fixture('<div class="aloha-editable">a'
+			+ '<span class="aloha-block"></span>\u200b b</div>');
+		var text = $editable[0].lastChild;
+		equal(BlockJump.findAdjacentBlock(text, 1, true), $editable.children()[0]);
+		equal(BlockJump.findAdjacentBlock(text, 3, true), null);
+	});
+
+	test('the editing host is not left', function() {
+		fixture('<div><div class="aloha-block"></div>'
+			+ '<div class="aloha-editable"><p>text</p></div></div>');
+		var text = $('#qunit-fixture .aloha-editable p')[0].firstChild;
+		equal(BlockJump.findAdjacentBlock(text, 0, true), null);
+	});
+
+	test('no block next to the cursor', function() {
+		BlockManager._deactivateHighlightedBlocks();
+		var $editable = fixture('<div class="aloha-editable"><p>text</p></div>');
+		var range = Aloha.createRange();
+		range.setStart($editable.find('p')[0].firstChild, 2);
+		range.collapse(true);
+		Aloha.getSelection().removeAllRanges();
+		Aloha.getSelection().addRange(range);
+		Keyboard.announce('');
+		strictEqual(Keyboard.selectAdjacent(true), null);
+		strictEqual(Keyboard.selectAdjacent(false), null);
+		equal(announcement(), '', 'the keys keep their default behavior');
+	});
+
+	module('Hotkeys');
+
+	test('key codes', function() {
+		equal(Keyboard.keyCodeOf('alt+shift+left'), 37);
+		equal(Keyboard.keyCodeOf('alt+shift+d'), 68);
+		equal(Keyboard.keyCodeOf('return'), 13);
+	});
+
+	test('combinations', function() {
+		equal(Keyboard.combinationOf({which: 38, altKey: true, shiftKey: true}), 'alt+shift+up');
+		equal(Keyboard.combinationOf({which: 68, metaKey: true}), 'meta+d');
+		equal(Keyboard.combinationOf({which: 46}), 'del');
+	});
+
+	module('Commands');
+
+	test('moving blocks among their siblings', function() {
+		var $container = fixture('<div></div>');
+		var blocks = createBlocks($container, 3);
+		ok(Keyboard.move(blocks[1], true));
+		deepEqual($container.children().map(function () {
+			return $(this).attr('data-index');
+		}).get(), ['1', '0', '2']);
+		ok(-1 !== announcement().indexOf('1'), announcement());
+		ok(!Keyboard.move(blocks[1], true));
+		ok(Keyboard.move(blocks[0], false));
+		equal($container.children().last()[0], blocks[0].$element[0]);
+	});
+
+	test('duplicating blocks', function() {
+		var $container = fixture('<div></div>');
+		var blocks = createBlocks($container, 1);
+		var copy = Keyboard.duplicate(blocks[0]);
+		ok(copy);
+		notEqual(copy.getId(), blocks[0].getId());
+		equal(copy.$element.prev()[0], blocks[0].$element[0]);
+		equal(copy.attr('index'), '0');
+		equal(copy.$element.children('.aloha-block-handle').length,
+			blocks[0].$element.children('.aloha-block-handle').length);
+		ok(copy.isActive());
+	});
+
+	test('announcements are made in a live region', function() {
+		Keyboard.announce('Hello');
+		equal($('.aloha-block-announcer').attr('aria-live'), 'polite');
+		equal(announcement(), 'Hello');
+	});
+});
+});
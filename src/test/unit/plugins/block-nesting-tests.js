@@ -0,0 +1,122 @@
+Aloha.ready(function(){
+Aloha.require(['block/blockmanager', 'block/block', 'block/nesting', 'block/blockcontenthandler'], function(BlockManager, block, Nesting, BlockContentHandler){
+	'use strict';
+
+	BlockManager.registerBlockType('NestingGallery', block.AbstractBlock.extend({
+		allowedChildren: {
+			blocks: {
+				NestingImage: {min: 1, max: 2}
+			},
+			elements: ['p', 'b']
+		}
+	}));
+	BlockManager.registerBlockType('NestingImage', block.AbstractBlock.extend({}));
+	BlockManager.registerBlockType('NestingQuote', block.AbstractBlock.extend({}));
+
+	function createBlock(html, type, $parent) {
+		var $element = $(html).appendTo($parent || '#qunit-fixture');
+		$element.alohaBlock({'aloha-block-type': type});
+		return BlockManager.getBlock($element);
+	}
+
+	/**
+	 * Creates a gallery with the given number of images in its nested
+	 * editable, and returns the nested editable.
+	 */
+	function createGallery(images) {
+		var gallery = createBlock('<div><div class="aloha-editable"></div></div>', 'NestingGallery');
+		var $region = gallery.$element.find('.aloha-editable');
+		var i;
+		for (i = 0; i < images; i++) {
+			createBlock('<div></div>', 'NestingImage', $region);
+		}
+		return $region[0];
+	}
+
+	function markup(type) {
+		return '<div class="aloha-block" data-aloha-block-type="' + type + '"></div>';
+	}
+
+	module('Rules');
+
+	test('editables outside of blocks have no rules', function() {
+		var $editable = $('<div class="aloha-editable"></div>').appendTo('#qunit-fixture');
+		strictEqual(Nesting.rulesOf($editable[0]), null);
+		strictEqual(Nesting.checkBlock($editable[0], $(markup('NestingQuote'))[0]), null);
+	});
+
+	test('blocks of types which are not listed are refused', function() {
+		var region = createGallery(1);
+		var refusal = Nesting.checkBlock(region, $(markup('NestingQuote'))[0]);
+		equal(refusal.reason, 'type');
+		equal(refusal.type, 'NestingQuote');
+		strictEqual(Nesting.checkBlock(region, $(markup('NestingImage'))[0]), null);
+	});
+
+	test('no more blocks than the maximum are allowed', function() {
+		var region = createGallery(2);
+		var refusal = Nesting.checkBlock(region, $(markup('NestingImage'))[0]);
+		equal(refusal.reason, 'max');
+		equal(refusal.limit, 2);
+		strictEqual(Nesting.checkBlock(region, $(region).children('.aloha-block')[0]), null,
+			'a block which is already in the editable is not counted twice');
+	});
+
+	test('blocks which are needed for the minimum stay', function() {
+		var region = createGallery(1);
+		var image = BlockManager.getBlock($(region).children('.aloha-block'));
+		equal(Nesting.checkRemoval(image.$element[0]).reason, 'min');
+		ok(!image.shouldDestroy());
+		var $other = $('<div class="aloha-editable"></div>').appendTo('#qunit-fixture');
+		equal(Nesting.checkBlock($other[0], image.$element[0]).reason, 'min');
+	});
+
+	module('Inserting');
+
+	test('refused blocks and elements are left out', function() {
+		var region = createGallery(1);
+		var $content = $('<div>').html('<p>A <i>b</i></p>'
+			+ markup('NestingImage') + markup('NestingImage') + markup('NestingQuote'));
+		var refusals = Nesting.filter($content, region);
+		deepEqual($.map(refusals, function (refusal) {
+			return refusal.reason;
+		}), ['element', 'max', 'type']);
+		equal($content.find('.aloha-block').length, 1);
+		equal($content.find('p').length, 1);
+		equal($content.find('i').length, 0);
+		equal($content.text(), 'A b');
+	});
+
+	test('the contents of inserted blocks are left alone', function() {
+		var region = createGallery(0);
+		var $content = $('<div>').html('<div class="aloha-block" data-aloha-block-type="NestingImage">'
+			+ '<div class="aloha-editable"><i>x</i>' + markup('NestingQuote') + '</div></div>');
+		deepEqual(Nesting.filter($content, region), []);
+		equal($content.find('i').length, 1);
+		equal($content.find('.aloha-block').length, 2);
+	});
+
+	test('pasting into a nested editable follows its rules', function() {
+		var region = createGallery(1);
+		var refused = null;
+		var onRefused = function (data) {
+			refused = data;
+		};
+		BlockManager.bind('block-refused', onRefused);
+		var result = BlockContentHandler.handleContent(
+			'<p>Text</p>' + markup('NestingQuote'), {}, {obj: $(region)});
+		BlockManager.unbind('block-refused', onRefused);
+		equal(result.toLowerCase(), '<p>text</p>');
+		ok(refused);
+		strictEqual(refused.editable, region);
+		equal(refused.messages.length, 1);
+		ok($(region).hasClass(Nesting.REFUSED_CLASS));
+	});
+
+	test('refusals are described with their limits', function() {
+		var text = Nesting.describe({reason: 'max', type: 'NestingImage', limit: 2});
+		ok(/2/.test(text));
+		ok(/NestingImage/.test(text));
+	});
+});
+});
@@ -0,0 +1,218 @@
+Aloha.ready(function(){
+Aloha.require(['comments/comments-plugin', 'comments/anchor', 'comments/comment-storage', 'comments/rest-comment-storage'], function(Comments, Anchor, Storage, RestCommentStorage){
+	'use strict';
+
+	var LOCAL_PREFIX = 'aloha-comments-test';
+
+	/**
+	 * A thread with a reply, in its serialized form.
+	 */
+	function threadData(anchor) {
+		return {
+			version: 1,
+			id: 'aloha-comments-test-1',
+			editable: 'comments-threads',
+			anchor: anchor,
+			color: '#fc0',
+			author: 'jane@example.com',
+			text: 'Why?',
+			timestamp: 1356994800000,
+			resolved: false,
+			assignee: null,
+			replies: [{
+				id: 'aloha-comments-test-2',
+				author: 'joe@example.com',
+				text: 'Because.',
+				timestamp: 1356998400000,
+				replies: []
+			}]
+		};
+	}
+
+	function stored() {
+		var threads;
+		Comments.storage.load(Comments.documentId, function (error, result) {
+			threads = result;
+		});
+		return threads;
+	}
+
+	module('Anchors');
+
+	test('the commented text is described by its offsets', function() {
+		var root = $('<div><p>One <span class="c">two</span><span class="c"> three</span></p><p>four</p></div>')[0];
+		deepEqual(Anchor.describe($(root).find('.c'), root), {start: 4, end: 13, text: 'two three'});
+		strictEqual(Anchor.describe($(), root), null);
+	});
+
+	test('the text is located at its offsets', function() {
+		var root = $('<div><p>One <b>two</b> three</p></div>')[0];
+		var range = Anchor.locate({start: 4, end: 13, text: 'two three'}, root);
+		strictEqual(range.startContainer, $(root).find('b')[0].firstChild);
+		equal(range.startOffset, 0);
+		strictEqual(range.endContainer, $(root).find('b')[0].nextSibling);
+		equal(range.endOffset, 6);
+	});
+
+	test('moved text is located at the closest occurrence', function() {
+		var root = $('<div><p>two three, and two three</p></div>')[0];
+		var range = Anchor.locate({start: 17, end: 26, text: 'two three'}, root);
+		equal(range.startOffset, 15);
+		equal(range.endOffset, 24);
+		strictEqual(Anchor.locate({start: 0, end: 3, text: 'six'}, root), null);
+		strictEqual(Anchor.locate({start: 0, end: 0, text: ''}, root), null);
+	});
+
+	module('Storages', {
+		setup: function () {
+			var requests = this.requests = [];
+			this.ajax = $.ajax;
+			$.ajax = function (options) {
+				requests.push(options);
+			};
+		},
+		teardown: function () {
+			$.ajax = this.ajax;
+			try {
+				window.localStorage.removeItem(LOCAL_PREFIX + ':doc');
+			} catch (error) {}
+		}
+	});
+
+	test('memory storage', function() {
+		var storage = new Storage.MemoryCommentStorage();
+		var threads;
+		storage.save('doc', {id: 'a', text: 'x'}, function (error) {
+			strictEqual(error, null);
+		});
+		storage.load('doc', function (error, result) {
+			threads = result;
+		});
+		deepEqual(threads, [{id: 'a', text: 'x'}]);
+		storage.load('other', function (error, result) {
+			threads = result;
+		});
+		deepEqual(threads, [], 'threads are kept per document');
+		storage.remove('doc', 'a', function (error) {
+			strictEqual(error, null);
+		});
+		storage.load('doc', function (error, result) {
+			threads = result;
+		});
+		deepEqual(threads, []);
+	});
+
+	test('local storage', function() {
+		var storage = new Storage.LocalCommentStorage(LOCAL_PREFIX);
+		var threads;
+		storage.save('doc', {id: 'a', text: 'x'}, function () {});
+		storage.load('doc', function (error, result) {
+			threads = result;
+		});
+		deepEqual(threads, [{id: 'a', text: 'x'}]);
+		// Because without localStorage, the threads are only kept in memory
+		if (!storage.persistent) {
+			return;
+		}
+		new Storage.LocalCommentStorage(LOCAL_PREFIX).load('doc', function (error, result) {
+			threads = result;
+		});
+		deepEqual(threads, [{id: 'a', text: 'x'}], 'the threads are kept across instances');
+		equal(window.localStorage.getItem(LOCAL_PREFIX + ':doc'), '{"a":{"id":"a","text":"x"}}');
+		window.localStorage.setItem(LOCAL_PREFIX + ':doc', '{');
+		storage.load('doc', function (error, result) {
+			ok(error, 'unreadable threads are reported');
+			deepEqual(result, []);
+		});
+	});
+
+	test('REST storage requests', function() {
+		var storage = new RestCommentStorage('/api/comments/', {'X-Token': 't'});
+		var requests = this.requests;
+		var threads;
+		storage.load('doc 1', function (error, result) {
+			threads = result;
+		});
+		equal(requests[0].type, 'GET');
+		equal(requests[0].url, '/api/comments?document=doc%201');
+		deepEqual(requests[0].headers, {'X-Token': 't'});
+		requests[0].success([{id: 'a'}]);
+		deepEqual(threads, [{id: 'a'}]);
+
+		storage.save('doc', {id: 'a/b', text: 'x'}, function () {});
+		equal(requests[1].type, 'PUT');
+		equal(requests[1].url, '/api/comments/a%2Fb?document=doc');
+		equal(requests[1].data, '{"id":"a/b","text":"x"}');
+
+		storage.remove('doc', 'a', function () {});
+		equal(requests[2].type, 'DELETE');
+		equal(requests[2].url, '/api/comments/a?document=doc');
+		strictEqual(requests[2].data, undefined);
+	});
+
+	test('REST storage errors', function() {
+		var storage = new RestCommentStorage('/api/comments');
+		var failure, threads;
+		storage.load('doc', function (error, result) {
+			failure = error;
+			threads = result;
+		});
+		this.requests[0].error({status: 503}, 'error');
+		equal(failure.status, 503);
+		ok(/503/.test(failure.message), failure.message);
+		deepEqual(threads, []);
+	});
+
+	module('Threads', {
+		setup: function () {
+			this.$editable = $('<div id="comments-threads"><p>One two three</p></div>')
+				.appendTo('#qunit-fixture').aloha();
+			this.editable = Aloha.getEditableById('comments-threads');
+		},
+		teardown: function () {
+			Comments.remove('aloha-comments-test-1');
+			this.$editable.mahalo();
+		}
+	});
+
+	test('threads are restored and serialized again', function() {
+		var data = threadData({start: 4, end: 7, text: 'two'});
+		var thread = Comments.restoreThread(data);
+		Comments.anchorThreads(this.editable);
+		equal(this.$editable.find('.aloha-comments-test-1').text(), 'two');
+		deepEqual(Comments.serializeThread(thread), data);
+		equal(this.editable.getContents().toLowerCase(), '<p>one two three</p>',
+			'the wrappers are not part of the contents');
+	});
+
+	test('threads are loaded from the storage', function() {
+		Comments.storage.save(Comments.documentId, threadData({start: 10, end: 13, text: 'two'}), function () {});
+		Comments.load();
+		equal(this.$editable.find('.aloha-comments-test-1').text(), 'two',
+			'the text is found although it moved');
+		deepEqual($.map(Comments.getThreads(), function (thread) {
+			return thread.id;
+		}), ['aloha-comments-test-1']);
+	});
+
+	test('moved anchors are saved once editing pauses', function() {
+		var saves = 0;
+		var save = Comments.storage.save;
+		Comments.storage.save = function () {
+			saves++;
+			return save.apply(this, arguments);
+		};
+		Comments.restoreThread(threadData({start: 4, end: 7, text: 'two'}));
+		Comments.anchorThreads(this.editable);
+		this.$editable.find('p')[0].firstChild.insertData(0, 'Yes. ');
+		Comments.scheduleSave(this.editable);
+		equal(saves, 0, 'saving waits');
+		Comments.saveChanged();
+		equal(saves, 1);
+		deepEqual(stored()[0].anchor, {start: 9, end: 12, text: 'two'});
+		Comments.scheduleSave(this.editable, true);
+		equal(saves, 1, 'threads which did not change are not saved again');
+		delete Comments.storage.save;
+	});
+});
+});
@@ -0,0 +1,159 @@
+Aloha.ready(function(){
+Aloha.require(['comments/comments-plugin'], function(Comments){
+	'use strict';
+
+	var FIRST = 'aloha-comments-workflow-1';
+	var SECOND = 'aloha-comments-workflow-2';
+	var REPLY = 'aloha-comments-workflow-3';
+
+	function restore(id, anchor, author, replies) {
+		return Comments.restoreThread({
+			version: 1,
+			id: id,
+			editable: 'comments-workflow',
+			anchor: anchor,
+			color: '#fc0',
+			author: author,
+			text: 'Comment by ' + author,
+			timestamp: 1356994800000,
+			resolved: false,
+			assignee: null,
+			replies: replies || []
+		});
+	}
+
+	function ids(threads) {
+		return $.map(threads, function (thread) {
+			return thread.id;
+		}).sort();
+	}
+
+	function stored(id) {
+		var found = null;
+		Comments.storage.load(Comments.documentId, function (error, threads) {
+			$.each(threads, function (i, thread) {
+				if (thread.id === id) {
+					found = thread;
+				}
+			});
+		});
+		return found;
+	}
+
+	/**
+	 * Calls fn, and returns the data of the given events which were
+	 * triggered meanwhile.
+	 */
+	function events(names, fn) {
+		var triggered = [];
+		var handler = function ($event, data) {
+			triggered.push([$event.type, data]);
+		};
+		$.each(names, function (i, name) {
+			Aloha.bind(name, handler);
+		});
+		fn();
+		$.each(names, function (i, name) {
+			Aloha.unbind(name, handler);
+		});
+		return triggered;
+	}
+
+	module('Workflow', {
+		setup: function () {
+			this.$editable = $('<div id="comments-workflow"><p>One two three</p></div>')
+				.appendTo('#qunit-fixture').aloha();
+			this.editable = Aloha.getEditableById('comments-workflow');
+			this.first = restore(FIRST, {start: 4, end: 7, text: 'two'}, 'jane@example.com', [{
+				id: REPLY,
+				author: 'Joe@Example.com',
+				text: 'A reply',
+				timestamp: 1356998400000,
+				replies: []
+			}]);
+			this.second = restore(SECOND, {start: 8, end: 13, text: 'three'}, 'ann@example.com');
+			Comments.anchorThreads(this.editable);
+		},
+		teardown: function () {
+			Comments.remove(FIRST);
+			Comments.remove(SECOND);
+			this.$editable.mahalo();
+		}
+	});
+
+	test('resolving and reopening', function() {
+		var triggered = events(['aloha-comment-resolved', 'aloha-comment-reopened'], function () {
+			Comments.resolve(FIRST);
+			Comments.resolve(FIRST);
+		});
+		equal(triggered.length, 1, 'resolved threads are not resolved again');
+		equal(triggered[0][0], 'aloha-comment-resolved');
+		equal(triggered[0][1].id, FIRST);
+		strictEqual(triggered[0][1].thread.resolved, true);
+		strictEqual(stored(FIRST).resolved, true, 'the thread is saved');
+
+		triggered = events(['aloha-comment-resolved', 'aloha-comment-reopened'], function () {
+			Comments.reopen(FIRST);
+			Comments.reopen(SECOND);
+		});
+		equal(triggered.length, 1, 'open threads are not reopened');
+		equal(triggered[0][0], 'aloha-comment-reopened');
+		strictEqual(triggered[0][1].thread.resolved, false);
+		strictEqual(stored(FIRST).resolved, false);
+	});
+
+	test('resolved threads are not highlighted', function() {
+		var $wrapper = this.$editable.find('.' + FIRST);
+		Comments.hover(this.first, true);
+		ok($wrapper.hasClass('aloha-comments-hover'));
+		Comments.resolve(FIRST);
+		ok(!$wrapper.hasClass('aloha-comments-hover'));
+		Comments.hover(this.first, true);
+		Comments.highlight(this.first);
+		ok(!$wrapper.hasClass('aloha-comments-hover'));
+		ok(!$wrapper.hasClass('aloha-comments-active'));
+		equal($wrapper.text(), 'two', 'the thread stays anchored');
+	});
+
+	test('assigning', function() {
+		var triggered = events(['aloha-comment-assigned'], function () {
+			Comments.assign(SECOND, 'joe@example.com');
+		});
+		equal(triggered.length, 1);
+		equal(triggered[0][1].thread.assignee, 'joe@example.com');
+		equal(stored(SECOND).assignee, 'joe@example.com');
+		Comments.assign(SECOND, '');
+		strictEqual(this.second.assignee, null);
+	});
+
+	test('filtering', function() {
+		Comments.resolve(SECOND);
+		deepEqual(ids(Comments.getThreads()), [FIRST, SECOND]);
+		deepEqual(ids(Comments.getThreads({status: 'open'})), [FIRST]);
+		deepEqual(ids(Comments.getThreads({status: 'resolved'})), [SECOND]);
+		deepEqual(ids(Comments.getThreads({author: 'JOE'})), [FIRST], 'authors of replies count');
+		deepEqual(ids(Comments.getThreads({status: 'open', author: 'ann'})), []);
+		Comments.setFilter({status: 'all'});
+		deepEqual(Comments.filter, {status: 'all', author: ''});
+		Comments.setFilter({status: 'open'});
+	});
+
+	test('deleting replies and threads', function() {
+		var triggered = events(['aloha-comment-deleted'], function () {
+			Comments.remove(REPLY);
+		});
+		deepEqual(triggered[0][1], {id: REPLY, thread: FIRST});
+		deepEqual(this.first.kids, []);
+		deepEqual(stored(FIRST).replies, [], 'the thread is saved without the reply');
+
+		triggered = events(['aloha-comment-deleted'], function () {
+			Comments.remove(FIRST);
+		});
+		deepEqual(triggered[0][1], {id: FIRST, thread: FIRST});
+		equal(this.$editable.find('.' + FIRST).length, 0, 'the text is no longer wrapped');
+		equal(this.$editable.text(), 'One two three');
+		strictEqual(stored(FIRST), null);
+		deepEqual(ids(Comments.getThreads()), [SECOND]);
+	});
+});
+});
@@ -0,0 +1,122 @@
+Aloha.ready(function(){
+Aloha.require(['block/declarativeblock', 'block/blockmanager'], function(DeclarativeBlock, BlockManager){
+	'use strict';
+
+	var TEASER = {
+		title: 'Teaser',
+		schema: {
+			headline: {type: 'string', label: 'Headline', required: true},
+			columns: {type: 'number', label: 'Columns', min: 1, max: 4, 'default': 2},
+			align: {type: 'select', label: 'Alignment', values: [
+				{key: 'left', label: 'Left'},
+				{key: 'right', label: 'Right'}
+			]}
+		},
+		template: '<h3 class="{{align}}">{{headline}}</h3>'
+		        + '<p>{{ columns }} columns</p>'
+		        + '<div data-block-editable="body"></div>'
+	};
+
+	BlockManager.registerDeclarativeBlockType('TestTeaser', TEASER);
+
+	function createBlock(html) {
+		var $element = $(html).appendTo('#qunit-fixture');
+		$element.alohaBlock({'aloha-block-type': 'TestTeaser'});
+		return BlockManager.getBlock($element);
+	}
+
+	module('Templates');
+
+	test('placeholders', function() {
+		equal(DeclarativeBlock.render('<b>{{name}}</b>', {name: 'x'}), '<b>x</b>');
+		equal(DeclarativeBlock.render('{{ Name }}', {name: 'x'}), 'x');
+		equal(DeclarativeBlock.render('[{{missing}}]', {}), '[]');
+	});
+
+	test('values are escaped', function() {
+		equal(DeclarativeBlock.render('<a title="{{t}}">{{t}}</a>', {t: '"<b>" & \'x\''}),
+			'<a title="&quot;&lt;b&gt;&quot; &amp; &#39;x&#39;">&quot;&lt;b&gt;&quot; &amp; &#39;x&#39;</a>');
+	});
+
+	module('Validation');
+
+	test('required values', function() {
+		equal(DeclarativeBlock.validate({required: true}, ''), 'required');
+		equal(DeclarativeBlock.validate({required: true}, undefined), 'required');
+		equal(DeclarativeBlock.validate({required: true}, 'x'), null);
+		equal(DeclarativeBlock.validate({pattern: '\\d+'}, ''), null);
+	});
+
+	test('numbers', function() {
+		var definition = {type: 'number', min: 1, max: 4};
+		equal(DeclarativeBlock.validate(definition, '2'), null);
+		equal(DeclarativeBlock.validate(definition, '2.5'), null);
+		equal(DeclarativeBlock.validate(definition, 'two'), 'number');
+		equal(DeclarativeBlock.validate(definition, '2px'), 'number');
+		equal(DeclarativeBlock.validate(definition, '0'), 'min');
+		equal(DeclarativeBlock.validate(definition, 5), 'max');
+	});
+
+	test('patterns match whole values', function() {
+		equal(DeclarativeBlock.validate({pattern: '[a-z]+'}, 'abc'), null);
+		equal(DeclarativeBlock.validate({pattern: '[a-z]+'}, 'abc1'), 'pattern');
+		equal(DeclarativeBlock.validate({pattern: 'a|b'}, 'ab'), 'pattern');
+	});
+
+	test('values of selects', function() {
+		var definition = TEASER.schema.align;
+		equal(DeclarativeBlock.validate(definition, 'left'), null);
+		equal(DeclarativeBlock.validate(definition, 'center'), 'values');
+	});
+
+	module('Block types');
+
+	test('rendering with defaults', function() {
+		var block = createBlock('<div data-headline="News"></div>');
+		var $element = block.$element;
+		equal($element.find('h3').text(), 'News');
+		equal($element.find('p').text(), '2 columns');
+		equal(block.attr('columns'), '2');
+		ok($element.find('[data-block-editable="body"]').hasClass('aloha-editable'));
+		equal(block.getTitle(), 'Teaser');
+	});
+
+	test('schema for the sidebar', function() {
+		var schema = createBlock('<div data-headline="News"></div>').getSchema();
+		deepEqual(schema.columns.range, {min: 1, max: 4});
+		equal(schema.headline.label, 'Headline');
+		equal(schema.align.values.length, 2);
+	});
+
+	test('invalid values are refused', function() {
+		var block = createBlock('<div data-headline="News"></div>');
+		var errors = [];
+		block.bind('invalid', function (invalid) {
+			errors.push(invalid.error);
+		});
+		block.attr('columns', '9');
+		block.attr('headline', '');
+		block.attr({columns: '3', align: 'center'});
+		equal(block.attr('columns'), '3');
+		equal(block.attr('headline'), 'News');
+		equal(block.attr('align'), undefined);
+		deepEqual(errors, ['max', 'required', 'values']);
+	});
+
+	asyncTest('nested editables keep their contents', function() {
+		var block = createBlock('<div data-headline="News">'
+			+ '<div data-block-editable="body"><p>Written</p></div></div>');
+		var region = block.$element.find('[data-block-editable="body"]')[0];
+		equal($(region).text(), 'Written');
+		ok($(region).hasClass('aloha-editable'));
+		// Because blocks are only rendered again once they are initialized
+		setTimeout(function () {
+			block.attr('headline', 'Update');
+			equal(block.$element.find('h3').text(), 'Update');
+			equal(block.$element.find('[data-block-editable="body"]')[0], region);
+			equal($(region).text(), 'Written');
+			start();
+		}, 50);
+	});
+});
+});
@@ -0,0 +1,109 @@
+Aloha.ready(function(){
+Aloha.require(['findreplace/search', 'aloha/ephemera'], function(Search, Ephemera){
+	'use strict';
+
+	function fixture(html) {
+		return $('#qunit-fixture').html('<div>' + html + '</div>').children()[0];
+	}
+
+	function findAll(root, query, options) {
+		return Search.find(root, Search.createRegExp(query, options));
+	}
+
+	module('Regular expressions');
+
+	test('queries', function() {
+		equal(Search.createRegExp(''), null);
+		equal(Search.createRegExp('a.b').source, 'a\\.b');
+		equal(Search.createRegExp('a.b', {regex: true}).source, 'a.b');
+		ok(Search.createRegExp('a').ignoreCase);
+		ok(!Search.createRegExp('a', {caseSensitive: true}).ignoreCase);
+		raises(function () {
+			Search.createRegExp('(', {regex: true});
+		});
+	});
+
+	test('whole words', function() {
+		var root = fixture('<p>cat catalog (cat)</p>');
+		equal(findAll(root, 'cat').length, 3);
+		equal(findAll(root, 'cat', {wholeWord: true}).length, 2);
+		equal(findAll(root, '(cat)', {wholeWord: true}).length, 1);
+	});
+
+	module('Finding');
+
+	test('text across inline elements', function() {
+		var root = fixture('<p>a <b>bo</b>ld text</p>');
+		var matches = findAll(root, 'bold');
+		equal(matches.length, 1);
+		equal(matches[0].text, 'bold');
+		equal(matches[0].segments.length, 2);
+	});
+
+	test('no text across blocks and line breaks', function() {
+		equal(findAll(fixture('<p>ab</p><p>cd</p>'), 'bc').length, 0);
+		equal(findAll(fixture('ab<br>cd'), 'bc').length, 0);
+		equal(findAll(fixture('ab<span contenteditable="false">x</span>cd'), 'bx').length, 0);
+	});
+
+	module('Highlighting');
+
+	test('highlights are ephemeral', function() {
+		var root = fixture('<p>a <b>bo</b>ld text, bold</p>');
+		var matches = findAll(root, 'bold');
+		Search.highlight(matches);
+		equal($(root).find('.aloha-findreplace-match').length, 3);
+		equal(Ephemera.prune($(root).clone()[0]).innerHTML, '<p>a <b>bo</b>ld text, bold</p>');
+		Search.markCurrent(matches[1]);
+		equal($(root).find('.aloha-findreplace-current').text(), 'bold');
+	});
+
+	test('removing highlights merges the text again', function() {
+		var root = fixture('<p>a bold text</p>');
+		Search.highlight(findAll(root, 'bold'));
+		Search.unhighlight(root);
+		equal(root.innerHTML, '<p>a bold text</p>');
+		equal(root.firstChild.childNodes.length, 1);
+	});
+
+	test('positions follow the merged text', function() {
+		var root = fixture('<p>a bold text</p>');
+		Search.highlight(findAll(root, 'bold'));
+		var text = $(root).find('.aloha-findreplace-match')[0].firstChild;
+		var positions = [{node: text, offset: 2}];
+		Search.unhighlight(root, positions);
+		equal(positions[0].node, root.firstChild.firstChild);
+		equal(positions[0].offset, 4);
+	});
+
+	module('Replacing');
+
+	test('the replacement keeps the formatting of the start', function() {
+		var root = fixture('<p>a <b>bo</b>ld text</p>');
+		Search.replace(findAll(root, 'bold')[0], 'strong');
+		equal(root.innerHTML, '<p>a <b>strong</b> text</p>');
+	});
+
+	test('elements which become empty are removed', function() {
+		var root = fixture('<p>a b<i>ol</i>d text</p>');
+		Search.replace(findAll(root, 'bold')[0], 'x');
+		equal(root.innerHTML, '<p>a x text</p>');
+	});
+
+	test('highlighted matches', function() {
+		var root = fixture('<p>one two one</p>');
+		var matches = findAll(root, 'one');
+		Search.highlight(matches);
+		Search.replace(matches[0], '1');
+		Search.replace(matches[1], '1');
+		Search.unhighlight(root);
+		equal(root.innerHTML, '<p>1 two 1</p>');
+	});
+
+	test('groups of regular expressions', function() {
+		var root = fixture('<p>Doe, John</p>');
+		var match = findAll(root, '(\\w+), (\\w+)', {regex: true})[0];
+		equal(Search.expandReplacement('$2 $1 ($&) $$1 $9', match), 'John Doe (Doe, John) $1 $9');
+	});
+});
+});
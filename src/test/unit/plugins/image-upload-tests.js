@@ -0,0 +1,81 @@
+Aloha.ready(function(){
+Aloha.require(['paste/image-upload'], function(ImageUpload){
+	'use strict';
+
+	var PIXEL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+	module('Pasted image upload');
+
+	test('files of data URIs', function() {
+		var file = ImageUpload.fileOf(PIXEL);
+		ok(file instanceof window.Blob, 'the file can be appended to form data');
+		equal(file.size, 70);
+		equal(file.type, 'image/png');
+		ok(/^pasted-image-\d+-\d+\.png$/.test(file.name), file.name);
+		equal(file.fileName, file.name);
+		equal(file.fileSize, 70);
+		equal(file.data, PIXEL);
+		notEqual(ImageUpload.fileOf(PIXEL).name, file.name, 'names are unique');
+		ok(/\.jpg$/.test(ImageUpload.fileOf('data:image/jpeg;base64,AAAA').name));
+		var svg = ImageUpload.fileOf('data:image/svg+xml,%3Csvg%2F%3E');
+		ok(/\.svg$/.test(svg.name));
+		equal(svg.size, 6);
+	});
+
+	test('embedded images', function() {
+		var $editable = $('#test-editable').html(
+			'<img src="' + PIXEL + '"><img src="blob:http://example.org/1">'
+			+ '<img src="http://example.org/a.png"><img class="aloha-image-uploading" src="' + PIXEL + '">'
+		);
+		equal(ImageUpload.find($editable).length, 2);
+	});
+
+	test('without the draganddropfiles plugin', function() {
+		var $content = $('<div>').html('<img src="' + PIXEL + '">');
+		equal(ImageUpload.extract($content), 0);
+		equal($content.find('img').attr('src'), PIXEL, 'images are left in the content');
+		var $editable = $('#test-editable').html('<img src="#aloha-pasted-image-1">');
+		ImageUpload.upload($editable, {url: '/upload'});
+		ok(!$editable.find('img').hasClass('aloha-image-uploading'));
+	});
+
+	test('placeholders are not saved while the images are uploaded', function() {
+		var isPluginLoaded = Aloha.isPluginLoaded;
+		var require = Aloha.require;
+		var files = [];
+		var plugin = {
+			settings: {upload: {config: {}}},
+			uploader: {
+				addFileUpload: function (file) {
+					files.push({id: 'image-upload-' + files.length, file: file});
+					return files[files.length - 1];
+				},
+				startFileUpload: function () {}
+			}
+		};
+		Aloha.isPluginLoaded = function (name) {
+			return 'draganddropfiles' === name || isPluginLoaded.apply(Aloha, arguments);
+		};
+		Aloha.require = function (name) {
+			return 'draganddropfiles/draganddropfiles-plugin' === name ? plugin : require.apply(Aloha, arguments);
+		};
+		var $editable = $('<div id="image-upload-editable"></div>').appendTo('#qunit-fixture').aloha();
+		var editable = Aloha.getEditableById('image-upload-editable');
+		try {
+			var $content = $('<div>').html('<p>Text<img src="' + PIXEL + '"></p>');
+			equal(ImageUpload.extract($content), 1);
+			$editable.html($content.html());
+			ImageUpload.upload($editable, {});
+			equal(files.length, 1);
+			equal(editable.getContents().toLowerCase(), '<p>text</p>');
+			files[0].src = 'http://example.org/a.png';
+			Aloha.trigger('aloha-upload-success', files[0]);
+			equal(editable.getContents().toLowerCase(), '<p>text<img src="http://example.org/a.png"></p>');
+		} finally {
+			Aloha.isPluginLoaded = isPluginLoaded;
+			Aloha.require = require;
+			$editable.mahalo();
+		}
+	});
+});
+});
@@ -0,0 +1,157 @@
+Aloha.ready(function(){
+Aloha.require([
+	'contenthandler/markdown',
+	'contenthandler/markdowncontenthandler'
+], function(Markdown, MarkdownContentHandler){
+	'use strict';
+
+	/**
+	 * Normalizes the given markup the way the browser serializes it.
+	 */
+	function normalize(html) {
+		return $('<div>' + html + '</div>').html();
+	}
+
+	function markdownOf(html) {
+		return Markdown.toMarkdown($('<div>' + html + '</div>')[0]);
+	}
+
+	function editable(selector) {
+		return {obj: $(selector)};
+	}
+
+	module('Markdown to HTML');
+
+	test('headings and paragraphs', function() {
+		equal(Markdown.toHtml('# One\n\nSome *text*\nand more\n\nTwo\n---'),
+		      '<h1>One</h1><p>Some <em>text</em>\nand more</p><h2>Two</h2>');
+		equal(Markdown.toHtml('### Three ###'), '<h3>Three</h3>');
+		equal(Markdown.toHtml('#hashtag'), '<p>#hashtag</p>');
+	});
+
+	test('emphasis, code and line breaks', function() {
+		equal(Markdown.toHtml('**a** __b__ _c_ ~~d~~ `<e>` snake_case_name'),
+		      '<p><strong>a</strong> <strong>b</strong> <em>c</em> <del>d</del> '
+		      + '<code>&lt;e&gt;</code> snake_case_name</p>');
+		equal(Markdown.toHtml('a\\\nb  \nc'), '<p>a<br>b<br>c</p>');
+		equal(Markdown.toHtml('\\*not emphasis\\*'), '<p>*not emphasis*</p>');
+		equal(Markdown.toHtml('`**`'), '<p><code>**</code></p>');
+	});
+
+	test('links and images', function() {
+		equal(Markdown.toHtml('[Aloha **Editor**](http://aloha-editor.org "Home") <http://x.org>'),
+		      '<p><a href="http://aloha-editor.org" title="Home">Aloha <strong>Editor</strong></a> '
+		      + '<a href="http://x.org">http://x.org</a></p>');
+		equal(Markdown.toHtml('![logo](logo.png)'), '<p><img src="logo.png" alt="logo"></p>');
+		equal(Markdown.toHtml('[x](javascript:alert)'), '<p><a href="">x</a></p>');
+	});
+
+	test('html is kept as text', function() {
+		equal(Markdown.toHtml('<b onclick="x">a</b>'), '<p>&lt;b onclick=&quot;x&quot;&gt;a&lt;/b&gt;</p>');
+	});
+
+	test('lists', function() {
+		equal(Markdown.toHtml('- a\n- b\n  - c\n  - d\n- e'),
+		      '<ul><li>a</li><li>b<ul><li>c</li><li>d</li></ul></li><li>e</li></ul>');
+		equal(Markdown.toHtml('3. a\n4. b'), '<ol start="3"><li>a</li><li>b</li></ol>');
+		equal(Markdown.toHtml('1. a\n\n2. b'), '<ol><li><p>a</p></li><li><p>b</p></li></ol>');
+		equal(Markdown.toHtml('* a\n+ b'), '<ul><li>a</li></ul><ul><li>b</li></ul>');
+		equal(Markdown.toHtml('In 1984\n1. a'), '<p>In 1984</p><ol><li>a</li></ol>');
+	});
+
+	test('block quotes, code blocks and thematic breaks', function() {
+		equal(Markdown.toHtml('> # a\n> b'), '<blockquote><h1>a</h1><p>b</p></blockquote>');
+		equal(Markdown.toHtml('```js\nvar a = 1 < 2;\n\n# no heading\n```'),
+		      '<pre><code class="language-js">var a = 1 &lt; 2;\n\n# no heading</code></pre>');
+		equal(Markdown.toHtml('    code\n\n    more'), '<pre><code>code\n\nmore</code></pre>');
+		equal(Markdown.toHtml('a\n\n***\n\nb'), '<p>a</p><hr><p>b</p>');
+	});
+
+	test('tables', function() {
+		equal(Markdown.toHtml('| a | b |\n|:--|--:|\n| 1 | `x\\|y` |\n| 2 |'),
+		      '<table><thead><tr><th style="text-align: left">a</th><th style="text-align: right">b</th></tr></thead>'
+		      + '<tbody><tr><td style="text-align: left">1</td><td style="text-align: right"><code>x|y</code></td></tr>'
+		      + '<tr><td style="text-align: left">2</td><td style="text-align: right"></td></tr></tbody></table>');
+		equal(Markdown.toHtml('a | b\n\nc'), '<p>a | b</p><p>c</p>');
+	});
+
+	module('HTML to Markdown');
+
+	test('blocks', function() {
+		equal(markdownOf('<h2>Title</h2><p>One<br>two</p>text<hr><blockquote><p>a</p><p>b</p></blockquote>'),
+		      '## Title\n\nOne\\\ntwo\n\ntext\n\n---\n\n> a\n>\n> b');
+		equal(markdownOf('<pre><code class="language-js">a\n```\nb</code></pre>'),
+		      '````js\na\n```\nb\n````');
+	});
+
+	test('inline formatting', function() {
+		equal(markdownOf('<p><b>bold </b><i>it</i> <code>a`b</code> <a href="/x" title="X">link</a> <img src="a b.png" alt="img"></p>'),
+		      '**bold** _it_ ``a`b`` [link](/x "X") ![img](<a b.png>)');
+		equal(markdownOf('<p>1. *not* [a] snake_case _x_</p><p># no heading</p>'),
+		      '1\\. \\*not\\* \\[a\\] snake_case \\_x\\_\n\n\\# no heading');
+	});
+
+	test('lists', function() {
+		equal(markdownOf('<ul><li>a</li><li>b<ol start="9"><li>c</li><li>d</li></ol></li></ul>'),
+		      '- a\n- b\n  9. c\n  10. d');
+		equal(markdownOf('<ol><li><p>a</p><p>b</p></li><li><p>c</p></li></ol>'),
+		      '1. a\n\n   b\n\n2. c');
+	});
+
+	test('tables', function() {
+		equal(markdownOf('<table><tr><th align="center">a</th><th>b|c</th></tr><tr><td>1</td><td><p>2</p></td></tr></table>'),
+		      '| a | b\\|c |\n| :---: | --- |\n| 1 | 2 |');
+		var merged = '<table><tbody><tr><td colspan="2">a</td></tr><tr><td>1</td><td>2</td></tr></tbody></table>';
+		equal(markdownOf(merged), normalize(merged));
+	});
+
+	test('round trip', function() {
+		var markdown = '# Heading\n\nSome **bold** and _emphasized_ text with `code` and a [link](http://x.org).\n\n'
+		             + '- one\n- two\n  1. three\n\n> quote\n\n```\ncode\n```\n\n| a | b |\n| --- | --- |\n| 1 | 2 |';
+		equal(markdownOf(Markdown.toHtml(markdown)), markdown);
+	});
+
+	module('Markdown content handler');
+
+	test('converts pasted Markdown', function() {
+		var html = MarkdownContentHandler.handleContent(
+			'<div># Title</div><div><br></div><div>- a</div><div>- b</div>',
+			{command: 'insertHtml'},
+			editable('#test-editable')
+		);
+		equal(html, '<h1>Title</h1><ul><li>a</li><li>b</li></ul>');
+		equal(MarkdownContentHandler.handleContent('**a**<br>b', {command: 'insertHtml'}, null),
+		      '<p><strong>a</strong>\nb</p>');
+	});
+
+	test('leaves other content alone', function() {
+		var options = {command: 'insertHtml'};
+		equal(MarkdownContentHandler.handleContent('Just some text.', options, null), 'Just some text.');
+		equal(MarkdownContentHandler.handleContent('<h1># a</h1>', options, null), '<h1># a</h1>');
+		equal(MarkdownContentHandler.handleContent('**a**', {command: 'getContents'}, null), '**a**');
+	});
+
+	test('honors content rules', function() {
+		var html = MarkdownContentHandler.handleContent(
+			'# **a** _b_',
+			{command: 'insertHtml'},
+			editable('#restricted-editable')
+		);
+		equal(html, '<strong>a</strong> b');
+	});
+
+	test('serializes configured editables', function() {
+		var settings = Aloha.settings.contentHandler;
+		var previous = settings.handler;
+		settings.handler = {markdown: {serialize: '#test-editable', convert: '#test-editable'}};
+		var serializer = MarkdownContentHandler.createSerializer(function () {
+			return 'html';
+		});
+		var element = $('<div><p><em>a</em></p></div>')[0];
+		equal(serializer(element, editable('#test-editable')), '_a_');
+		equal(serializer(element, editable('#restricted-editable')), 'html');
+		equal(MarkdownContentHandler.handleContent('**a**', {command: 'insertHtml'}, editable('#restricted-editable')), '**a**');
+		settings.handler = previous;
+	});
+});
+});
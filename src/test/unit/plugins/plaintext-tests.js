@@ -0,0 +1,86 @@
+Aloha.ready(function(){
+Aloha.require(['formatlesspaste/plaintext', 'formatlesspaste/formatlesshandler'], function(PlainText, FormatlessPasteHandler){
+	'use strict';
+
+	module('Paragraphs');
+
+	test('text in a single line', function() {
+		equal(PlainText.toHtml(' a &lt; b '), ' a &amp;lt; b ');
+		equal(PlainText.toHtml('a\nb'), 'a<br>b');
+	});
+
+	test('blocks of text', function() {
+		equal(PlainText.toHtml('a\nb\r\n\r\n\n c\n'), '<p>a<br>b</p><p>c</p>');
+	});
+
+	module('Lists');
+
+	test('unordered and ordered lists', function() {
+		equal(PlainText.toHtml('Shopping:\n- milk\n* eggs\n\n3. three\n4) four'),
+		      '<p>Shopping:</p><ul><li>milk</li><li>eggs</li></ul>'
+		      + '<ol start="3"><li>three</li><li>four</li></ol>');
+	});
+
+	test('nested lists', function() {
+		equal(PlainText.toHtml('- a\n  1. b\n  2. c\n    continued\n- d'),
+		      '<ul><li>a<ol><li>b</li><li>c<br>continued</li></ol></li><li>d</li></ul>');
+	});
+
+	test('alternating list types', function() {
+		equal(PlainText.toHtml('- a\n1. b\n2. c'),
+		      '<ul><li>a</li></ul><ol><li>b</li><li>c</li></ol>');
+	});
+
+	test('single items are no lists', function() {
+		equal(PlainText.toHtml('- a\nb'), '- a<br>b');
+	});
+
+	module('Links');
+
+	test('URLs and e-mail addresses', function() {
+		equal(PlainText.toHtml('See www.example.com/a?b=1, or http://example.org/x_(y).'),
+		      'See <a href="http://www.example.com/a?b=1">www.example.com/a?b=1</a>, '
+		      + 'or <a href="http://example.org/x_(y)">http://example.org/x_(y)</a>.');
+		equal(PlainText.toHtml('(mail jane.doe@example.com)'),
+		      '(mail <a href="mailto:jane.doe@example.com">jane.doe@example.com</a>)');
+	});
+
+	test('custom links', function() {
+		equal(PlainText.toHtml('http://a.example', function (href, text) {
+			return $('<a class="external">').attr('href', href).text(text);
+		}), '<a class="external" href="http://a.example">http://a.example</a>');
+	});
+
+	module('Code');
+
+	test('indented blocks', function() {
+		equal(PlainText.toHtml('Example:\n\n    if (a) {\n        b();\n\n    }\n\nDone'),
+		      '<p>Example:</p><pre>if (a) {\n    b();\n\n}</pre><p>Done</p>');
+	});
+
+	test('blocks which look like code', function() {
+		equal(PlainText.toHtml('function a() {\n  return 1;\n}'),
+		      '<pre>function a() {\n  return 1;\n}</pre>');
+		equal(PlainText.toHtml('Dear Sir,\n  thank you.'), 'Dear Sir,<br>thank you.');
+	});
+
+	module('Formatless paste handler');
+
+	test('Markdown takes precedence', function() {
+		var options = {command: 'paste'};
+		equal(FormatlessPasteHandler.handleContent('# Title\n\n- a\n- b\n\nSee **www.example.com**', options),
+		      '<h1>Title</h1><ul><li>a</li><li>b</li></ul><p>See <strong>www.example.com</strong></p>');
+		equal(FormatlessPasteHandler.handleContent('Title\nwww.example.com', options),
+		      'Title<br><a href="http://www.example.com">www.example.com</a>',
+		      'other text is converted by its layout');
+	});
+
+	test('text is only converted when it is pasted or inserted', function() {
+		var text = 'Title<br>www.example.com';
+		equal(FormatlessPasteHandler.handleContent(text), text);
+		equal(FormatlessPasteHandler.handleContent(text, {command: 'getContents'}), text);
+		equal(FormatlessPasteHandler.handleContent(text, {command: 'insertHtml'}),
+		      'Title<br><a href="http://www.example.com">www.example.com</a>');
+	});
+});
+});
@@ -0,0 +1,104 @@
+Aloha.ready(function(){
+Aloha.require([
+	'contenthandler/sanitizepolicy',
+	'contenthandler/sanitizecontenthandler'
+], function(SanitizePolicy, SanitizeContentHandler){
+	'use strict';
+
+	var policies = {
+		base: {
+			elements: ['p', 'a'],
+			attributes: {a: ['href']}
+		},
+		comment: {
+			extend: 'base',
+			elements: ['span', 'img'],
+			attributes: {a: ['title'], span: ['style'], img: ['src']},
+			protocols: {img: {src: ['https']}},
+			styles: {span: ['color']}
+		},
+		loop: {
+			extend: 'loop'
+		}
+	};
+
+	function sanitize(content, policy) {
+		Aloha.settings.contentHandler.sanitizePolicies = policies;
+		Aloha.settings.contentHandler.sanitize = policy;
+		return SanitizeContentHandler.handleContent(content, {command: 'insertHtml'}, {obj: $('<div>')});
+	}
+
+	module('Sanitize policies');
+
+	test('extending policies', function() {
+		var policy = SanitizePolicy.resolve('comment', policies);
+		equal(policy.name, 'comment');
+		deepEqual(policy.elements, ['p', 'a', 'span', 'img']);
+		deepEqual(policy.attributes, {a: ['href', 'title'], span: ['style'], img: ['src']});
+		deepEqual(policy.protocols, {
+			a: {href: ['ftp', 'http', 'https', 'mailto', '__relative__']},
+			img: {src: ['https']}
+		});
+	});
+
+	test('unknown and cyclic policies', function() {
+		equal(SanitizePolicy.resolve('missing', policies), null);
+		equal(SanitizePolicy.resolve('loop', policies), null);
+		equal(SanitizePolicy.resolve({extend: 'missing'}, policies), null);
+	});
+
+	module('Sanitize content handler');
+
+	test('policies by name', function() {
+		equal(sanitize('<p class="x"><a href="/a" title="A" target="_blank">a</a></p>', 'comment-test'),
+		      '<p>a</p>',
+		      'unknown policies fall back to the restricted policy');
+		policies['comment-test'] = {extend: 'comment'};
+		equal(sanitize('<p class="x"><a href="/a" title="A" target="_blank">a</a></p>', 'comment-test'),
+		      '<p><a href="/a" title="A">a</a></p>');
+		deepEqual(SanitizeContentHandler.getReport(), [
+			{type: 'attribute', element: 'p', attribute: 'class', value: 'x'},
+			{type: 'attribute', element: 'a', attribute: 'target', value: '_blank'}
+		]);
+	});
+
+	test('URL protocols', function() {
+		var reports = [];
+		var onSanitized = function ($event, data) {
+			reports.push(data);
+		};
+		Aloha.bind('aloha-content-sanitized', onSanitized);
+		equal(sanitize('<a href="java&#09;script:alert(1)">x</a><img src="http://a/b.png">', 'comment'),
+		      'x<img>');
+		Aloha.unbind('aloha-content-sanitized', onSanitized);
+		equal(reports.length, 1);
+		equal(reports[0].policy, 'comment');
+		equal(reports[0].command, 'insertHtml');
+		deepEqual(reports[0].report, [
+			{type: 'protocol', element: 'a', attribute: 'href', value: 'java\tscript:alert(1)'},
+			{type: 'protocol', element: 'img', attribute: 'src', value: 'http://a/b.png'}
+		]);
+	});
+
+	test('CSS properties', function() {
+		equal(sanitize('<span style="color:red; position: fixed">a</span>', 'comment'),
+		      '<span style="color: red">a</span>');
+		deepEqual(SanitizeContentHandler.getReport(), [
+			{type: 'style', element: 'span', property: 'position', value: 'fixed'}
+		]);
+		equal(sanitize('<p><span style="color: expression(alert(1))">a</span></p>', 'comment'),
+		      '<p><span>a</span></p>');
+		equal(sanitize('<p><span style="color:red">a</span></p>', 'comment'),
+		      '<p><span style="color:red">a</span></p>', 'allowed styles are kept as they are');
+		deepEqual(SanitizeContentHandler.getReport(), []);
+	});
+
+	test('removed elements', function() {
+		equal(sanitize('<p>a<style>p { color: red; }</style><b>b</b></p>', 'comment'), '<p>ab</p>');
+		deepEqual(SanitizeContentHandler.getReport(), [
+			{type: 'element', element: 'style'},
+			{type: 'element', element: 'b'}
+		]);
+	});
+});
+});
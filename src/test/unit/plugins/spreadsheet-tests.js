@@ -0,0 +1,53 @@
+Aloha.ready(function(){
+Aloha.require(['paste/spreadsheet'], function(Spreadsheet){
+	'use strict';
+
+	module('Tab separated text');
+
+	test('fields and records', function() {
+		deepEqual(Spreadsheet.parseTsv('a\tb\r\nc\t\n'), [['a', 'b'], ['c', '']]);
+		deepEqual(Spreadsheet.parseTsv('"a\tb"\t"say ""hi"""\n"multi\nline"\tx'),
+		          [['a\tb', 'say "hi"'], ['multi\nline', 'x']]);
+		deepEqual(Spreadsheet.parseTsv('5" disk\tx'), [['5" disk', 'x']]);
+	});
+
+	test('pasted text', function() {
+		deepEqual(Spreadsheet.parse('a\tb<br>1 &lt; 2\t"x\ny"<br>'), {
+			rows: [['a', 'b'], ['1 &lt; 2', 'x<br>y']],
+			fromTable: false
+		});
+		deepEqual(Spreadsheet.parse('<div>a\tb</div><div>c\td</div>').rows, [['a', 'b'], ['c', 'd']]);
+	});
+
+	test('text which is not tabular', function() {
+		equal(Spreadsheet.parse('no tabs<br>here'), null);
+		equal(Spreadsheet.parse('a\tb<br>c'), null);
+		equal(Spreadsheet.parse('<b>a\tb</b>'), null);
+	});
+
+	module('Tables');
+
+	test('copied tables', function() {
+		var html = '<meta charset="utf-8"><style>td { color: red; }</style>'
+		         + '<table><colgroup><col></colgroup><tbody>'
+		         + '<tr><td colspan="2"> <b>a</b> </td><td rowspan="2">b</td></tr>'
+		         + '<tr><td>1</td><td>2</td></tr>'
+		         + '<tr><td>3</td></tr></tbody></table>';
+		deepEqual(Spreadsheet.parse(html), {
+			rows: [['<b>a</b>', '', 'b'], ['1', '2', ''], ['3', '', '']],
+			fromTable: true
+		});
+	});
+
+	test('content around tables', function() {
+		equal(Spreadsheet.parse('<p>text</p><table><tr><td>a</td></tr></table>'), null);
+		equal(Spreadsheet.parse('<table><tr><td>a</td></tr></table><table><tr><td>b</td></tr></table>'), null);
+	});
+
+	test('rendering', function() {
+		equal(Spreadsheet.toHtml([['a', ''], ['<i>b</i>', 'c']]),
+		      '<table><tbody><tr><td>a</td><td>&nbsp;</td></tr>'
+		      + '<tr><td><i>b</i></td><td>c</td></tr></tbody></table>');
+	});
+});
+});
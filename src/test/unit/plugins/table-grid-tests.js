@@ -0,0 +1,150 @@
+Aloha.ready(function(){
+Aloha.require(['table/table-plugin-utils'], function(Utils){
+	'use strict';
+
+	/**
+	 * Creates a table from the given markup and returns its rows.
+	 *
+	 * @return {Array.<HTMLElement>} The rows of the table.
+	 */
+	function rowsOf(html) {
+		var $table = $('<table><tbody>' + html + '</tbody></table>');
+		$('#test-editable').empty().append($table);
+		return $.makeArray($table[0].rows);
+	}
+
+	/**
+	 * Returns the current rows of the table the given rows belong to.
+	 */
+	function currentRows(rows) {
+		return $.makeArray($(rows[0]).closest('table')[0].rows);
+	}
+
+	/**
+	 * Describes the layout of the table with the given rows.  Each cell is
+	 * represented by its text, followed by >n if it spans n columns and ^n
+	 * if it spans n rows.
+	 *
+	 * @return {Array.<string>} One string per row.
+	 */
+	function layout(rows) {
+		return $.map(currentRows(rows), function (row) {
+			return $.map(row.cells, function (cell) {
+				var colspan = Utils.colspan(cell);
+				var rowspan = Utils.rowspan(cell);
+				return $(cell).text()
+				     + (colspan > 1 ? '>' + colspan : '')
+				     + (rowspan > 1 ? '^' + rowspan : '');
+			}).join(' ');
+		});
+	}
+
+	/**
+	 * Checks that each position of the grid of the given rows is covered by
+	 * exactly one cell.
+	 */
+	function isRectangular(rows) {
+		var grid = Utils.makeGrid(currentRows(rows));
+		var width = grid[0].length;
+		for (var i = 0; i < grid.length; i++) {
+			if (grid[i].length !== width) {
+				return false;
+			}
+			for (var j = 0; j < width; j++) {
+				if (!grid[i][j]) {
+					return false;
+				}
+			}
+		}
+		return true;
+	}
+
+	function newCell() {
+		return $('<td>+</td>');
+	}
+
+	module('Table grid');
+
+	test('normalizeGrid pads short rows and clamps rowspans', function() {
+		var rows = rowsOf('<tr><td>a</td><td>b</td><td rowspan="3">c</td></tr><tr><td>d</td></tr>');
+		Utils.normalizeGrid(rows, newCell);
+		deepEqual(layout(rows), ['a b c^2', 'd +']);
+		ok(isRectangular(rows));
+	});
+
+	test('insertGridRow extends cells spanning across the new row', function() {
+		var rows = rowsOf('<tr><td rowspan="2">a</td><td>b</td></tr><tr><td>c</td></tr>');
+		Utils.insertGridRow(rows, 1, $('<tr>')[0], newCell);
+		deepEqual(layout(rows), ['a^3 b', '+', 'c']);
+		ok(isRectangular(rows));
+	});
+
+	test('insertGridRow at the end of the table', function() {
+		var rows = rowsOf('<tr><td colspan="2">a</td></tr><tr><td>b</td><td>c</td></tr>');
+		Utils.insertGridRow(rows, 2, $('<tr>')[0], newCell);
+		deepEqual(layout(rows), ['a>2', 'b c', '+ +']);
+	});
+
+	test('removeGridRows keeps cells which start in a removed row', function() {
+		var rows = rowsOf('<tr><td>a</td><td rowspan="3">b</td><td>c</td></tr>'
+		                + '<tr><td rowspan="2">d</td><td>e</td></tr>'
+		                + '<tr><td>f</td></tr>');
+		rows = Utils.removeGridRows(rows, [0, 1]);
+		equal(rows.length, 1);
+		deepEqual(layout(rows), ['d b f']);
+		ok(isRectangular(rows));
+	});
+
+	test('insertGridColumn extends cells spanning across the new column', function() {
+		var rows = rowsOf('<tr><td colspan="2" rowspan="2">a</td><td>b</td></tr>'
+		                + '<tr><td>c</td></tr>'
+		                + '<tr><td>d</td><td>e</td><td>f</td></tr>');
+		Utils.insertGridColumn(rows, 1, newCell);
+		deepEqual(layout(rows), ['a>3^2 b', 'c', 'd + e f']);
+		ok(isRectangular(rows));
+	});
+
+	test('removeGridColumns shrinks spanning cells', function() {
+		var rows = rowsOf('<tr><td colspan="2">a</td><td>b</td></tr>'
+		                + '<tr><td>c</td><td rowspan="2">d</td><td>e</td></tr>'
+		                + '<tr><td>f</td><td>g</td></tr>');
+		Utils.removeGridColumns(rows, [1, 2]);
+		deepEqual(layout(rows), ['a', 'c', 'f']);
+		ok(isRectangular(rows));
+	});
+
+	test('mergeGridCells merges the smallest enclosing rectangle', function() {
+		var rows = rowsOf('<tr><td>a</td><td rowspan="2">b</td><td>c</td></tr>'
+		                + '<tr><td>d</td><td>e</td></tr>'
+		                + '<tr><td>f</td><td>g</td><td>h</td></tr>');
+		var merged = Utils.mergeGridCells(rows, {top: 0, left: 0, bottom: 1, right: 2}, function (cell, other) {
+			$(cell).append($(other).contents());
+		});
+		equal($(merged).text(), 'abd');
+		deepEqual(layout(rows), ['abd>2^2 c', 'e', 'f g h']);
+		ok(isRectangular(rows));
+	});
+
+	test('splitCell restores a rectangular grid', function() {
+		var rows = rowsOf('<tr><td>a</td><td colspan="2" rowspan="2">b</td></tr>'
+		                + '<tr><td>c</td></tr>'
+		                + '<tr><td>d</td><td>e</td><td>f</td></tr>');
+		Utils.splitCell(rows[0].cells[1], newCell);
+		deepEqual(layout(rows), ['a b +', 'c + +', 'd e f']);
+		ok(isRectangular(rows));
+	});
+
+	test('boundingGridRect and expandGridRect', function() {
+		var rows = rowsOf('<tr><td>a</td><td colspan="2">b</td></tr>'
+		                + '<tr><td>c</td><td>d</td><td>e</td></tr>');
+		var grid = Utils.makeGrid(rows);
+		var rect = Utils.boundingGridRect(grid, function (cellInfo) {
+			return 'c' === $(cellInfo.cell).text() || 'd' === $(cellInfo.cell).text();
+		});
+		deepEqual(rect, {top: 1, right: 2, bottom: 2, left: 0});
+		deepEqual(Utils.expandGridRect(grid, {top: 0, right: 2, bottom: 1, left: 1}),
+		          {top: 0, right: 3, bottom: 1, left: 1});
+		equal(Utils.boundingGridRect(grid, function () { return false; }), null);
+	});
+});
+});
@@ -0,0 +1,83 @@
+Aloha.ready(function(){
+Aloha.require(['table/table-sort'], function(TableSort){
+	'use strict';
+
+	/**
+	 * Creates a table from the given markup and returns its rows.
+	 *
+	 * @return {Array.<HTMLElement>} The rows of the table.
+	 */
+	function rowsOf(html) {
+		var $table = $('<table>' + html + '</table>');
+		$('#test-editable').empty().append($table);
+		return $.makeArray($table[0].rows);
+	}
+
+	/**
+	 * Returns the text of the first cell of each row of the table the given
+	 * rows belong to.
+	 */
+	function firstColumn(rows) {
+		return $.map($(rows[0]).closest('table')[0].rows, function (row) {
+			return $(row.cells[0]).text();
+		});
+	}
+
+	function isHeaderRow(row) {
+		return 'TH' === row.cells[0].nodeName;
+	}
+
+	module('Table sorting');
+
+	test('parseNumber', function() {
+		equal(TableSort.parseNumber('1,234.5'), 1234.5);
+		equal(TableSort.parseNumber('-1,5'), -1.5);
+		equal(TableSort.parseNumber('15 %'), 15);
+		equal(TableSort.parseNumber('$ 20'), 20);
+		equal(TableSort.parseNumber('12a'), null);
+	});
+
+	test('parseDate', function() {
+		equal(TableSort.parseDate('2013-12-24'), Date.UTC(2013, 11, 24));
+		equal(TableSort.parseDate('24.12.2013'), Date.UTC(2013, 11, 24));
+		equal(TableSort.parseDate('12/24/2013'), Date.UTC(2013, 11, 24));
+		equal(TableSort.parseDate('1234'), null);
+	});
+
+	test('detectType ignores empty values', function() {
+		equal(TableSort.detectType(['10', '', '9.5']), 'number');
+		equal(TableSort.detectType(['2013-01-02', '3.4.2012']), 'date');
+		equal(TableSort.detectType(['10', 'ten']), 'text');
+	});
+
+	test('numbers are sorted numerically and header rows stay in place', function() {
+		var rows = rowsOf('<tbody><tr><th>n</th></tr><tr><td>10</td></tr><tr><td></td></tr>'
+		                + '<tr><td>9</td></tr><tr><td>100</td></tr></tbody>');
+		equal(TableSort.sortRows(rows, 0, {isFixed: isHeaderRow}), 'number');
+		deepEqual(firstColumn(rows), ['n', '9', '10', '100', '']);
+		TableSort.sortRows(rows, 0, {isFixed: isHeaderRow, descending: true});
+		deepEqual(firstColumn(rows), ['n', '100', '10', '9', '']);
+	});
+
+	test('header rows divide the table into sections', function() {
+		var rows = rowsOf('<tbody><tr><td>b</td></tr><tr><td>a</td></tr><tr><th>x</th></tr>'
+		                + '<tr><td>d</td></tr><tr><td>c</td></tr></tbody>');
+		TableSort.sortRows(rows, 0, {isFixed: isHeaderRow});
+		deepEqual(firstColumn(rows), ['a', 'b', 'x', 'c', 'd']);
+	});
+
+	test('rows connected by rowspans are moved together', function() {
+		var rows = rowsOf('<tbody><tr><td>b</td><td rowspan="2">1</td></tr><tr><td>b2</td></tr>'
+		                + '<tr><td>a</td><td>2</td></tr></tbody>');
+		TableSort.sortRows(rows, 0, {});
+		deepEqual(firstColumn(rows), ['a', 'b', 'b2']);
+	});
+
+	test('rows are not moved between table sections', function() {
+		var rows = rowsOf('<thead><tr><td>z</td></tr></thead>'
+		                + '<tbody><tr><td>b</td></tr><tr><td>a</td></tr></tbody>');
+		TableSort.sortRows(rows, 0, {});
+		deepEqual(firstColumn(rows), ['z', 'a', 'b']);
+	});
+});
+});
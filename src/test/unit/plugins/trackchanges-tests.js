@@ -0,0 +1,199 @@
+Aloha.ready(function(){
+Aloha.require(['trackchanges/trackchanges-plugin', 'trackchanges/changes'], function(TrackChangesPlugin, Changes){
+	'use strict';
+
+	var ALICE = {author: 'alice', time: '2014-01-01T00:00:00Z'};
+	var BOB = {author: 'bob', time: '2014-01-02T00:00:00Z'};
+
+	function marker(nodeName, id, type, text) {
+		return '<' + nodeName + ' class="aloha-change" data-change-id="' + id
+			+ '" data-change-type="' + type + '" data-change-author="alice"'
+			+ ' data-change-time="2014-01-01T00:00:00Z">' + text + '</' + nodeName + '>';
+	}
+
+	/**
+	 * A paragraph with an insertion "b", a deletion "c" and bold
+	 * formatting "d".
+	 */
+	var ANNOTATED = '<p>a' + marker('ins', 'i', 'insert', 'b')
+		+ marker('del', 'd', 'delete', 'c')
+		+ marker('b', 'f', 'format', 'd') + '</p>';
+
+	function root(html) {
+		return $('<div>').html(html).appendTo('#qunit-fixture')[0];
+	}
+
+	function clean(element) {
+		return $(element).html().toLowerCase();
+	}
+
+	function ids(changes) {
+		return $.map(changes, function (change) {
+			return change.id;
+		});
+	}
+
+	module('Markers');
+
+	test('inserted text is wrapped in an insertion', function() {
+		var element = root('<p>ab</p>');
+		var text = $(element).find('p')[0].firstChild;
+		var position = Changes.insertText(element, {container: text, offset: 1}, 'x', ALICE);
+		Changes.insertText(element, position, 'y', ALICE);
+		var $ins = $(element).find('ins');
+		equal($ins.length, 1, 'typing on extends the insertion');
+		equal($ins.text(), 'xy');
+		ok($ins.hasClass(Changes.CLASS));
+		equal($ins.attr('data-change-type'), 'insert');
+		equal($ins.attr('data-change-author'), 'alice');
+		equal($ins.attr('data-change-time'), ALICE.time);
+		ok($ins.attr('data-change-id'));
+		equal($(element).text(), 'axyb');
+		Changes.insertText(element, {container: $ins[0].firstChild, offset: 2}, 'z', BOB);
+		equal($(element).find('ins').length, 2, 'other authors make their own insertions');
+	});
+
+	test('deleted text is wrapped in a deletion', function() {
+		var element = root('<p>abcd</p>');
+		var text = $(element).find('p')[0].firstChild;
+		Changes.deleteRange(element, {
+			startContainer: text,
+			startOffset: 1,
+			endContainer: text,
+			endOffset: 3
+		}, ALICE);
+		Changes.deleteBackward(element, {container: $(element).find('p')[0].firstChild, offset: 1}, ALICE);
+		var $del = $(element).find('del');
+		equal($del.length, 1, 'adjacent deletions are joined');
+		equal($del.text(), 'abc');
+		equal($del.attr('data-change-type'), 'delete');
+		equal($(element).text(), 'abcd', 'deleted text stays until it is accepted');
+		var changes = Changes.list(element);
+		equal(changes.length, 1);
+		equal(changes[0].type, 'delete');
+		equal(changes[0].text, 'abc');
+	});
+
+	test('deleting own insertions removes them', function() {
+		var element = root('<p>ab</p>');
+		var text = $(element).find('p')[0].firstChild;
+		var position = Changes.insertText(element, {container: text, offset: 1}, 'x', ALICE);
+		Changes.deleteBackward(element, position, ALICE);
+		equal($(element).find('ins,del').length, 0);
+		equal($(element).text(), 'ab');
+	});
+
+	test('deletions do not cross blocks', function() {
+		var element = root('<p>a</p><p>b</p>');
+		var text = $(element).find('p')[1].firstChild;
+		strictEqual(Changes.deleteBackward(element, {container: text, offset: 0}, ALICE), null);
+		equal($(element).find('del').length, 0);
+	});
+
+	test('added formatting is marked', function() {
+		var element = root('<p>a<b>b</b><i>c</i></p>');
+		var id = Changes.markFormatting($(element).find('b,i').get(), ALICE);
+		var changes = Changes.list(element);
+		deepEqual(ids(changes), [id], 'the elements belong to a single change');
+		equal(changes[0].type, 'format');
+		equal(changes[0].text, 'bc');
+		equal(Changes.changeAt($(element).find('i')[0].firstChild, element), id);
+	});
+
+	module('Resolving');
+
+	test('accepting changes', function() {
+		var element = root(ANNOTATED);
+		ok(Changes.accept(element, 'i'));
+		equal($(element).find('ins').length, 0);
+		equal($(element).text(), 'abcd');
+		ok(!Changes.accept(element, 'i'), 'the change is gone');
+		ok(Changes.accept(element, 'd'));
+		ok(Changes.accept(element, 'f'));
+		equal(clean(element), '<p>ab<b>d</b></p>');
+	});
+
+	test('rejecting changes', function() {
+		var element = root(ANNOTATED);
+		ok(Changes.reject(element, 'i'));
+		ok(Changes.reject(element, 'd'));
+		ok(Changes.reject(element, 'f'));
+		equal(clean(element), '<p>acd</p>');
+		ok(!Changes.reject(element, 'unknown'));
+	});
+
+	test('accepting and rejecting all changes', function() {
+		var element = root(ANNOTATED);
+		Changes.acceptAll(element);
+		equal(clean(element), '<p>ab<b>d</b></p>');
+		element = root(ANNOTATED);
+		Changes.rejectAll(element);
+		equal(clean(element), '<p>acd</p>');
+	});
+
+	var editables = 0;
+
+	module('Plugin', {
+		setup: function () {
+			var id = 'trackchanges-editable-' + (++editables);
+			this.$editable = $('<div id="' + id + '">' + ANNOTATED + '</div>')
+				.appendTo('#qunit-fixture').aloha();
+			this.editable = Aloha.getEditableById(id);
+		},
+		teardown: function () {
+			TrackChangesPlugin.setView('annotated');
+			this.$editable.mahalo();
+		}
+	});
+
+	test('accepting and rejecting changes triggers events', function() {
+		var resolved = [];
+		var onAccepted = function ($event, data) {
+			resolved.push('accepted ' + data.change.id);
+		};
+		var onRejected = function ($event, data) {
+			resolved.push('rejected ' + data.change.id);
+		};
+		Aloha.bind('aloha-trackchanges-change-accepted', onAccepted);
+		Aloha.bind('aloha-trackchanges-change-rejected', onRejected);
+		ok(TrackChangesPlugin.accept(this.editable, 'i'));
+		ok(TrackChangesPlugin.reject(this.editable, 'f'));
+		ok(!TrackChangesPlugin.accept(this.editable, 'unknown'));
+		Aloha.unbind('aloha-trackchanges-change-accepted', onAccepted);
+		Aloha.unbind('aloha-trackchanges-change-rejected', onRejected);
+		deepEqual(resolved, ['accepted i', 'rejected f']);
+		deepEqual(ids(TrackChangesPlugin.getChanges(this.editable)), ['d']);
+	});
+
+	test('accepting all changes', function() {
+		TrackChangesPlugin.acceptAll(this.editable);
+		deepEqual(TrackChangesPlugin.getChanges(this.editable), []);
+		equal(clean(this.$editable), '<p>ab<b>d</b></p>');
+	});
+
+	test('rejecting all changes', function() {
+		TrackChangesPlugin.rejectAll(this.editable);
+		deepEqual(TrackChangesPlugin.getChanges(this.editable), []);
+		equal(clean(this.$editable), '<p>acd</p>');
+	});
+
+	test('the contents in each view', function() {
+		var editable = this.editable;
+		ok(/aloha-change/.test(TrackChangesPlugin.getContents(editable, 'annotated')));
+		equal(TrackChangesPlugin.getContents(editable, 'accepted').toLowerCase(), '<p>ab<b>d</b></p>');
+		equal(TrackChangesPlugin.getContents(editable, 'original').toLowerCase(), '<p>acd</p>');
+		equal(TrackChangesPlugin.getChanges(editable).length, 3, 'the editable keeps its changes');
+	});
+
+	test('annotated contents', function() {
+		var contents = this.editable.getContents();
+		equal($('<div>').html(contents).find('.aloha-change').length, 3);
+	});
+
+	test('clean contents', function() {
+		TrackChangesPlugin.setView('accepted');
+		equal(this.editable.getContents().toLowerCase(), '<p>ab<b>d</b></p>');
+		equal(TrackChangesPlugin.getChanges(this.editable).length, 3, 'the editable keeps its changes');
+	});
+});
+});
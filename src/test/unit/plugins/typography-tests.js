@@ -0,0 +1,87 @@
+Aloha.ready(function(){
+Aloha.require(['typography/substitutions'], function(Substitutions){
+	'use strict';
+
+	var NBSP = ' ';
+
+	function substitute(before, character, lang) {
+		var substitution = Substitutions.substitute(before, character, {lang: lang});
+		return substitution
+		     ? before.substring(0, before.length - substitution.remove) + substitution.text
+		     : before + character;
+	}
+
+	module('Quotes');
+
+	test('english quotes', function() {
+		equal(substitute('', '"'), '“');
+		equal(substitute('say (', '"'), 'say (“');
+		equal(substitute('“hello', '"'), '“hello”');
+		equal(substitute('a ', '\''), 'a ‘');
+		equal(substitute('‘it', '\''), '‘it’');
+	});
+
+	test('apostrophes', function() {
+		equal(substitute('don', '\'', 'en'), 'don’');
+		equal(substitute('l', '\'', 'fr'), 'l’');
+		equal(substitute('geht', '\'', 'de'), 'geht’');
+	});
+
+	test('quotes of the language', function() {
+		equal(substitute('sagt ', '"', 'de'), 'sagt „');
+		equal(substitute('„ja', '"', 'de-AT'), '„ja“');
+		equal(substitute('sagt ', '"', 'de-CH'), 'sagt «');
+		equal(substitute('', '"', 'xx'), '“');
+	});
+
+	test('configured quotes', function() {
+		var substitution = Substitutions.substitute('', '"', {lang: 'ja', quotes: {ja: '「」『』'}});
+		deepEqual(substitution, {remove: 0, text: '「'});
+	});
+
+	test('french quotes', function() {
+		equal(substitute('dit ', '"', 'fr'), 'dit «' + NBSP);
+		equal(substitute('«' + NBSP + 'oui ', '"', 'fr'), '«' + NBSP + 'oui' + NBSP + '»');
+		equal(substitute('«' + NBSP + 'oui', '"', 'fr'), '«' + NBSP + 'oui' + NBSP + '»');
+	});
+
+	module('Dashes, ellipses and symbols');
+
+	test('dashes', function() {
+		equal(substitute('a --', ' '), 'a – ');
+		equal(substitute('a--', 'b'), 'a—b');
+		equal(substitute('a --', 'b'), 'a --b');
+		equal(substitute('a ---', ' '), 'a --- ');
+		equal(substitute('a -', '-'), 'a --');
+	});
+
+	test('ellipsis', function() {
+		equal(substitute('wait..', '.'), 'wait…');
+		equal(substitute('wait...', '.'), 'wait....');
+		equal(substitute('wait.', '.'), 'wait..');
+	});
+
+	test('copyright sign', function() {
+		equal(substitute('(c', ')'), '©');
+		equal(substitute('a (C', ')'), 'a ©');
+		equal(substitute('c', ')'), 'c)');
+	});
+
+	module('French punctuation');
+
+	test('non-breaking spaces', function() {
+		equal(substitute('Bonjour ', '!', 'fr'), 'Bonjour' + NBSP + '!');
+		equal(substitute('Quoi', '?', 'fr-CA'), 'Quoi' + NBSP + '?');
+		equal(substitute('Quoi' + NBSP + '?', '?', 'fr'), 'Quoi' + NBSP + '??');
+		equal(substitute('http', ':', 'fr'), 'http:');
+		equal(substitute('Hello ', '!', 'en'), 'Hello !');
+	});
+
+	module('Configuration');
+
+	test('disabled substitutions', function() {
+		equal(Substitutions.substitute('', '"', {enabled: ['dashes']}), null);
+		deepEqual(Substitutions.substitute('a--', 'b', {enabled: ['dashes']}), {remove: 2, text: '—b'});
+	});
+});
+});
@@ -0,0 +1,46 @@
+Aloha.ready(function(){
+Aloha.require(['undo/undo-plugin'], function(UndoPlugin){
+	'use strict';
+
+	/**
+	 * Types the given text at the end of the first paragraph of the given
+	 * editable, the way the undo plugin sees it: each keypress is handled
+	 * before the character is inserted.
+	 */
+	function type(editable, text) {
+		var node = editable.obj.find('p')[0].firstChild;
+		$.each(text.split(''), function (i, chr) {
+			UndoPlugin._typing(editable, {which: chr.charCodeAt(0)});
+			node.data += chr;
+		});
+	}
+
+	module('Sentences', {
+		setup: function () {
+			this.$editable = $('<div id="undo-sentences"><p>A</p></div>').appendTo('#qunit-fixture').aloha();
+			this.editable = Aloha.getEditableById('undo-sentences');
+		},
+		teardown: function () {
+			this.$editable.mahalo();
+		}
+	});
+
+	test('typing is grouped into sentences', function() {
+		var editable = this.editable;
+		type(editable, ' day and a night. And "more!" Yes');
+		UndoPlugin.flush(editable);
+		equal(UndoPlugin.getHistory(editable).length, 3);
+		UndoPlugin.undo(editable);
+		equal(this.$editable.text(), 'A day and a night. And "more!" ');
+		UndoPlugin.undo(editable);
+		equal(this.$editable.text(), 'A day and a night. ');
+	});
+
+	test('a period without a space does not end the sentence', function() {
+		var editable = this.editable;
+		type(editable, ' version 1.5 is out');
+		UndoPlugin.flush(editable);
+		equal(UndoPlugin.getHistory(editable).length, 1);
+	});
+});
+});
@@ -0,0 +1,276 @@
+Aloha.ready(function(){
+Aloha.require(['undo/undo-plugin', 'undo/mutation-recorder', 'undo/history', 'undo/selection-state', 'aloha/ephemera'], function(UndoPlugin, MutationRecorder, History, SelectionState, Ephemera){
+	'use strict';
+
+	var Undo = window.Undo;
+
+	Ephemera.classes('aloha-undo-test-highlight');
+
+	/**
+	 * Records the DOM operations fn makes in the given element.
+	 */
+	function record(element, fn) {
+		var recorder = new MutationRecorder.MutationRecorder(element);
+		recorder.start();
+		fn();
+		var operations = recorder.take();
+		recorder.stop();
+		return operations;
+	}
+
+	function select(container, offset) {
+		var range = Aloha.createRange();
+		range.setStart(container, offset);
+		range.setEnd(container, offset);
+		var selection = Aloha.getSelection();
+		selection.removeAllRanges();
+		selection.addRange(range);
+	}
+
+	/**
+	 * Types the given text at the end of the first paragraph of the given
+	 * editable, the way the undo plugin sees it: each keypress is handled
+	 * before the character is inserted.
+	 */
+	function type(editable, text) {
+		var node = editable.obj.find('p')[0].firstChild;
+		$.each(text.split(''), function (i, chr) {
+			UndoPlugin._typing(editable, {which: chr.charCodeAt(0)});
+			node.data += chr;
+		});
+	}
+
+	var LogCommand = Undo.Command.extend({
+		constructor: function (name, log) {
+			this.name = name;
+			this.log = log;
+		},
+		execute: function () {},
+		undo: function () {
+			this.log.push('undo ' + this.name);
+		},
+		redo: function () {
+			this.log.push('redo ' + this.name);
+		}
+	});
+
+	function names(history) {
+		return $.map(history.entries(), function (entry) {
+			return entry.name;
+		});
+	}
+
+	module('Recorder');
+
+	test('reverting and replaying restores the very same nodes', function() {
+		var $element = $('<div><p title="a">one <b>two</b></p></div>').appendTo('#qunit-fixture');
+		var p = $element.find('p')[0];
+		var b = $element.find('b')[0];
+		var before = $element.html();
+		var operations = record($element[0], function () {
+			p.firstChild.data = 'uno ';
+			p.removeChild(b);
+			p.setAttribute('title', 'b');
+			$element.append('<p>three</p>');
+		});
+		var after = $element.html();
+		ok(MutationRecorder.revert(operations));
+		equal($element.html(), before);
+		strictEqual($element.find('b')[0], b, 'the removed node is put back');
+		ok(MutationRecorder.replay(operations));
+		equal($element.html(), after);
+	});
+
+	test('operations are not applied to a DOM which diverged', function() {
+		var $element = $('<div><p>one</p></div>').appendTo('#qunit-fixture');
+		var text = $element.find('p')[0].firstChild;
+		var operations = record($element[0], function () {
+			text.data = 'two';
+			$element.append('<p>three</p>');
+		});
+		text.data = 'four';
+		var current = $element.html();
+		ok(!MutationRecorder.revert(operations));
+		equal($element.html(), current, 'operations which were reverted are applied again');
+	});
+
+	test('ephemeral markup is not recorded', function() {
+		var $element = $('<div><p>one</p></div>').appendTo('#qunit-fixture');
+		var $p = $element.find('p');
+		var operations = record($element[0], function () {
+			$element.attr('class', 'aloha-editable-active');
+			$p.addClass('aloha-undo-test-highlight');
+			$('<span class="aloha-ephemera">handle</span>').appendTo($p).text('moved');
+			$p.find('.aloha-ephemera').remove();
+		});
+		equal(operations.length, 0);
+		operations = record($element[0], function () {
+			$p.removeClass('aloha-undo-test-highlight').addClass('real');
+		});
+		equal(operations.length, 1);
+		$p.addClass('aloha-undo-test-highlight');
+		ok(MutationRecorder.revert(operations));
+		equal($p.attr('class'), 'aloha-undo-test-highlight',
+			'ephemeral classes are left alone');
+	});
+
+	test('changes around ephemeral wrappers are not recorded', function() {
+		var $element = $('<div><p>one</p></div>').appendTo('#qunit-fixture');
+		var operations = record($element[0], function () {
+			$element.find('p').append(' two');
+			$element.find('p').wrapInner('<span class="aloha-ephemera-wrapper"></span>');
+		});
+		deepEqual(operations, [], 'such changes are restored from snapshots');
+	});
+
+	module('Selection');
+
+	test('the caret is restored at the same node', function() {
+		var $editable = $('<div id="undo-caret"><p>one two</p></div>').appendTo('#qunit-fixture').aloha();
+		var editable = Aloha.getEditableById('undo-caret');
+		var text = $editable.find('p')[0].firstChild;
+		select(text, 3);
+		var state = SelectionState.capture(editable);
+		equal(state.start, 3);
+		equal(state.end, 3);
+		select(text, 0);
+		SelectionState.restore(editable, state);
+		var range = Aloha.getSelection().getRangeAt(0);
+		strictEqual(range.startContainer, text);
+		equal(range.startOffset, 3);
+		$editable.mahalo();
+	});
+
+	test('the caret is restored by offset after the contents were replaced', function() {
+		var $editable = $('<div id="undo-offset"><p>one two</p></div>').appendTo('#qunit-fixture').aloha();
+		var editable = Aloha.getEditableById('undo-offset');
+		select($editable.find('p')[0].firstChild, 5);
+		var state = SelectionState.capture(editable);
+		$editable.html('<p>one <b>two</b></p>');
+		SelectionState.restore(editable, state);
+		var range = Aloha.getSelection().getRangeAt(0);
+		strictEqual(range.startContainer, $editable.find('b')[0].firstChild);
+		equal(range.startOffset, 1);
+		$editable.mahalo();
+	});
+
+	module('History');
+
+	test('the oldest changes are dropped beyond the limit', function() {
+		var log = [];
+		var history = new History(2);
+		history.execute(new LogCommand('a', log));
+		history.execute(new LogCommand('b', log));
+		history.execute(new LogCommand('c', log));
+		deepEqual(names(history), ['b', 'c']);
+		history.undo();
+		history.undo();
+		ok(!history.canUndo());
+		deepEqual(log, ['undo c', 'undo b']);
+	});
+
+	test('marks', function() {
+		var log = [];
+		var history = new History(0);
+		history.execute(new LogCommand('a', log));
+		history.mark('saved');
+		ok(!history.isModifiedSince('saved'));
+		history.execute(new LogCommand('b', log));
+		history.execute(new LogCommand('c', log));
+		ok(history.isModifiedSince('saved'));
+		deepEqual(history.entries()[0].marks, ['saved']);
+		ok(history.revertTo('saved'));
+		deepEqual(log, ['undo c', 'undo b']);
+		ok(!history.isModifiedSince('saved'));
+		ok(!history.revertTo('unknown'));
+		ok(history.isModifiedSince('unknown'));
+	});
+
+	test('marks are dropped with the changes they point to', function() {
+		var history = new History(1);
+		history.execute(new LogCommand('a', []));
+		history.mark('undone');
+		history.undo();
+		history.execute(new LogCommand('b', []));
+		ok(!history.hasMark('undone'), 'a new change discards undone changes');
+		history.mark('dropped');
+		history.execute(new LogCommand('c', []));
+		ok(history.hasMark('dropped'), 'the mark points to the start of the history');
+		ok(history.isModifiedSince('dropped'));
+		history.execute(new LogCommand('d', []));
+		ok(!history.hasMark('dropped'), 'the state of the mark can not be reached any more');
+	});
+
+	test('the saved position moves along with the limit', function() {
+		var history = new History(2);
+		history.execute(new LogCommand('a', []));
+		history.stack.save();
+		history.execute(new LogCommand('b', []));
+		history.execute(new LogCommand('c', []));
+		equal(history.stack.savePosition, -1);
+		history.undo();
+		history.undo();
+		ok(!history.stack.dirty(), 'the saved state is the start of the history');
+		history.redo();
+		history.redo();
+		history.execute(new LogCommand('d', []));
+		ok(history.stack.savePosition < -1);
+		history.undo();
+		history.undo();
+		ok(history.stack.dirty(), 'the saved state can not be reached any more');
+	});
+
+	module('Steps', {
+		setup: function () {
+			this.$editable = $('<div id="undo-steps"><p>A</p></div>').appendTo('#qunit-fixture').aloha();
+			this.editable = Aloha.getEditableById('undo-steps');
+		},
+		teardown: function () {
+			this.$editable.mahalo();
+		}
+	});
+
+	test('typing is grouped into words', function() {
+		var editable = this.editable;
+		type(editable, 'nd so');
+		UndoPlugin.flush(editable);
+		deepEqual($.map(UndoPlugin.getHistory(editable), function (entry) {
+			return entry.name;
+		}), ['typing', 'typing']);
+		UndoPlugin.undo(editable);
+		equal(this.$editable.text(), 'And ');
+		UndoPlugin.undo(editable);
+		equal(this.$editable.text(), 'A');
+		UndoPlugin.redo(editable);
+		equal(this.$editable.text(), 'And ');
+	});
+
+	test('nested transactions make a single step', function() {
+		var editable = this.editable;
+		var text = this.$editable.find('p')[0].firstChild;
+		UndoPlugin.beginTransaction(editable, 'outer');
+		text.data = 'a';
+		UndoPlugin.beginTransaction(editable, 'inner');
+		text.data = 'b';
+		UndoPlugin.endTransaction(editable);
+		equal(UndoPlugin.getHistory(editable).length, 0, 'the inner transaction commits nothing');
+		text.data = 'c';
+		UndoPlugin.endTransaction(editable);
+		var history = UndoPlugin.getHistory(editable);
+		equal(history.length, 1);
+		equal(history[0].name, 'outer');
+		UndoPlugin.undo(editable);
+		equal(this.$editable.text(), 'A');
+		UndoPlugin.redo(editable);
+		equal(this.$editable.text(), 'c');
+	});
+
+	test('typing in a transaction does not end the step', function() {
+		var editable = this.editable;
+		UndoPlugin.beginTransaction(editable, 'replace');
+		type(editable, 'nd so');
+		UndoPlugin.endTransaction(editable);
+		equal(UndoPlugin.getHistory(editable).length, 1);
+	});
+});
+});
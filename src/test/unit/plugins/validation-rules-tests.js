@@ -0,0 +1,94 @@
+Aloha.ready(function(){
+Aloha.require(['validation/rules'], function(Rules){
+	'use strict';
+
+	/**
+	 * Checks the given markup with the given rule declaration.
+	 *
+	 * @return {Array.<object>} The results.
+	 */
+	function check(html, declaration) {
+		var $editable = $('#test-editable').html(html);
+		var editable = {obj: $editable};
+		return Rules.create(declaration)($editable.html(), editable, $);
+	}
+
+	function rulesOf(results) {
+		return $.map(results, function (result) {
+			return result.rule;
+		});
+	}
+
+	module('Validation rules');
+
+	test('maxLength counts characters', function() {
+		equal(check('<p>abc</p><p>de</p>', {type: 'maxLength', max: 5}).length, 0);
+		var results = check('<p>abc</p><p>def</p>', {type: 'maxLength', max: 5});
+		equal(results.length, 1);
+		deepEqual(results[0].data, {max: 5, length: 6, unit: 'characters'});
+		equal(results[0].severity, 'error');
+	});
+
+	test('maxLength counts words across blocks', function() {
+		var results = check('<p>one two</p><p>three</p>', {type: 'maxLength', max: 2, unit: 'words'});
+		equal(results.length, 1);
+		equal(results[0].data.length, 3);
+	});
+
+	test('requiredHeadings', function() {
+		equal(check('<h2>a</h2>', {type: 'requiredHeadings'}).length, 0);
+		var results = check('<h2>a</h2>', {type: 'requiredHeadings', levels: ['h1']});
+		equal(results.length, 1);
+		equal(results[0].data.count, 0);
+	});
+
+	test('headingOrder reports skipped levels', function() {
+		var results = check('<h1>a</h1><h2>b</h2><h4>c</h4><h2>d</h2>', {type: 'headingOrder'});
+		equal(results.length, 1);
+		equal(results[0].element.nodeName, 'H4');
+		deepEqual(results[0].data, {level: 4, previous: 2});
+	});
+
+	test('imageAlt and linkHref', function() {
+		var html = '<p><img src="a.png"><img src="b.png" alt="b">'
+		         + '<a>x</a><a name="anchor"></a><a href="/">y</a></p>';
+		equal(check(html, {type: 'imageAlt'}).length, 1);
+		var results = check(html, {type: 'linkHref', severity: 'warning'});
+		equal(results.length, 1);
+		equal(results[0].severity, 'warning');
+		equal(results[0].data.text, 'x');
+	});
+
+	test('disallowed elements and attributes', function() {
+		var results = check(
+			'<p onclick="x" style="color:red"><font>a</font></p>',
+			{type: 'disallowed', elements: ['font'], attributes: ['on*']}
+		);
+		deepEqual(rulesOf(results), ['disallowed', 'disallowed']);
+		deepEqual(results[0].data, {element: 'font'});
+		deepEqual(results[1].data, {element: 'p', attribute: 'onclick'});
+	});
+
+	test('listDepth reports the outermost list that is too deep', function() {
+		var results = check(
+			'<ul><li><ul><li><ul><li><ol><li>a</li></ol></li></ul></li></ul></li></ul>',
+			{type: 'listDepth', max: 2, id: 'lists'}
+		);
+		equal(results.length, 1);
+		equal(results[0].rule, 'lists');
+		equal(results[0].element.nodeName, 'UL');
+		deepEqual(results[0].data, {depth: 4, max: 2});
+	});
+
+	test('custom messages and rule types', function() {
+		Rules.define('noFoo', function (root, text) {
+			return -1 === text.indexOf('foo') ? [] : [{element: null, data: {word: 'foo'}}];
+		});
+		var results = check('<p>foo</p>', {type: 'noFoo', message: 'Do not write {word}'});
+		equal(results[0].message, 'Do not write foo');
+		raises(function () {
+			check('<p>foo</p>', {type: 'unknown'});
+		});
+	});
+});
+});
@@ -0,0 +1,140 @@
+Aloha.ready(function(){
+Aloha.require(['validation/validation-plugin'], function(Validation){
+	'use strict';
+
+	/**
+	 * Creates an editable with the given id and contents.
+	 */
+	function create(id, html) {
+		$('<div id="' + id + '">' + html + '</div>').appendTo('#qunit-fixture').aloha();
+		return Aloha.getEditableById(id);
+	}
+
+	function rulesOf(results) {
+		return $.map(results, function (result) {
+			return result.rule;
+		});
+	}
+
+	module('Results', {
+		teardown: function () {
+			$('#qunit-fixture').children().mahalo();
+		}
+	});
+
+	test('validators which return a boolean', function() {
+		var editable = create('validation-boolean', '<p>Fine.</p>');
+		deepEqual(Validation.validate([editable]), []);
+		deepEqual(Validation.getResults(editable), []);
+		editable.obj.find('p').text('Fine!');
+		deepEqual(Validation.validate([editable]), [editable]);
+		var results = Validation.getResults(editable);
+		equal(results.length, 1);
+		equal(results[0].rule, '#validation-boolean', 'the rule is named after the selector');
+		equal(results[0].severity, 'error');
+		strictEqual(results[0].element, null);
+	});
+
+	test('structured results are normalized', function() {
+		var editable = create('validation-results', '<p>Short <b>bold</b></p>');
+		var failures = Validation.validate(editable);
+		deepEqual(failures, [editable]);
+		var results = Validation.getResults(editable);
+		deepEqual(rulesOf(results), ['no-bold', 'short', '#validation-results']);
+		strictEqual(results[0].element, editable.obj.find('b')[0], 'jQuery objects are unwrapped');
+		equal(results[1].severity, 'warning');
+		equal(results[2].severity, 'error', 'unknown severities are errors');
+		deepEqual(results[2].data, {});
+	});
+
+	test('validators which throw are reported as warnings', function() {
+		var editable = create('validation-broken', '<p>Text</p>');
+		deepEqual(Validation.validate(editable), [], 'a broken check does not make the editable invalid');
+		var results = Validation.getResults(editable);
+		equal(results.length, 1);
+		equal(results[0].severity, 'warning');
+		ok(/unreachable/.test(results[0].message), results[0].message);
+	});
+
+	test('the validated event and callback', function() {
+		var editable = create('validation-results', '<p>Short <b>bold</b></p>');
+		var reports = [];
+		var onValidated = function ($event, report) {
+			reports.push(report);
+		};
+		Aloha.bind('aloha-editable-validated', onValidated);
+		Validation.validate(editable);
+		Aloha.unbind('aloha-editable-validated', onValidated);
+		equal(reports.length, 1);
+		strictEqual(reports[0].editable, editable);
+		strictEqual(reports[0].valid, false);
+		equal(reports[0].results.length, 3);
+	});
+
+	module('Asynchronous validators', {
+		teardown: function () {
+			$('#qunit-fixture').children().mahalo();
+		}
+	});
+
+	asyncTest('are waited for by validateAsync()', function() {
+		var editable = create('validation-async', '<p>Wait!</p>');
+		deepEqual(Validation.validate(editable), [], 'validate() only takes settled results into account');
+		Validation.validateAsync([editable]).done(function (reports) {
+			equal(reports.length, 1);
+			strictEqual(reports[0].editable, editable);
+			strictEqual(reports[0].valid, false);
+			deepEqual(rulesOf(reports[0].results), ['exclamation']);
+			deepEqual(rulesOf(Validation.getResults(editable)), ['exclamation']);
+			start();
+		});
+	});
+
+	asyncTest('results of overtaken runs are discarded', function() {
+		var editable = create('validation-async', '<p>Wait!</p>');
+		var first = Validation.validateAsync(editable);
+		editable.obj.find('p').text('Done.');
+		Validation.validateAsync(editable).done(function (reports) {
+			strictEqual(reports[0].valid, true);
+			first.done(function () {
+				deepEqual(Validation.getResults(editable), [],
+					'the report of the first run was not applied');
+				start();
+			});
+		});
+	});
+
+	module('Markers', {
+		teardown: function () {
+			$('#qunit-fixture').children().mahalo();
+		}
+	});
+
+	test('offending elements are marked', function() {
+		var editable = create('validation-results', '<p>Short <b>bold</b></p>');
+		Validation.validate(editable);
+		var $b = editable.obj.find('b');
+		var $p = editable.obj.find('p');
+		ok($b.hasClass('aloha-validation-error'));
+		equal($b.attr('data-aloha-validation-message'), 'No bold text');
+		ok($p.hasClass('aloha-validation-warning'), 'results for text are shown on its parent');
+		equal($p.attr('data-aloha-validation-message'), 'Too short');
+		ok(!editable.obj.hasClass('aloha-validation-error'), 'the editable itself is not marked');
+	});
+
+	test('markers are not part of the contents', function() {
+		var editable = create('validation-results', '<p>Short <b>bold</b></p>');
+		Validation.validate(editable);
+		equal(editable.getContents().toLowerCase(), '<p>short <b>bold</b></p>');
+	});
+
+	test('markers are replaced on every validation', function() {
+		var editable = create('validation-results', '<p>Short <b>bold</b></p>');
+		Validation.validate(editable);
+		editable.obj.find('b').replaceWith('plain');
+		Validation.validate(editable);
+		equal(editable.obj.find('.aloha-validation-error').length, 0);
+		equal(editable.obj.find('[data-aloha-validation-message]').length, 1);
+	});
+});
+});
@@ -21,4 +21,10 @@ Aloha.require(['util/strings'], function (Strings) {
 		deepEqual(Strings.words('  abc  def  '), ['abc', 'def']);
 		deepEqual(Strings.words('\nabc\ndef\rghi\r\n'), ['abc', 'def', 'ghi']);
 	});
+
+	test('format', function () {
+		equal(Strings.format('{count} of {total}', {count: 0, total: 3}), '0 of 3');
+		equal(Strings.format('{count} of {total}', {count: 1}), '1 of {total}');
+		equal(Strings.format('{count}'), '{count}');
+	});
 });